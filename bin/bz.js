@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+import { run } from '../cli/bz.js';
+
+run(process.argv.slice(2)).then((status) => {
+  process.exitCode = status;
+});
@@ -0,0 +1,311 @@
+/**
+   bz, a command-line tool for setting up and running the cache. It
+   does everything through the admin API (see src/admin.js), so it
+   works the same on a deployed worker as on one run locally by
+   "wrangler dev --local", which is Miniflare.
+
+   It finds the cache at --url, or $BZ_URL, or with --local at
+   http://127.0.0.1:8787, where "wrangler dev" listens. The admin
+   secret comes from $BZ_ADMIN_SECRET, never the command line, so it
+   stays out of shell history.
+
+   Run "bz help" for the commands.
+ */
+
+import { parseArgs } from 'util';
+
+const USAGE = `Usage: bz <command> [options]
+
+Commands:
+  migrate                   bring the database schema up to date
+  token create <id>         create a token and print its value
+  token list                list the tokens
+  token show <id>           describe a token
+  token rotate <id>         give a token a new value and print it
+  token revoke <id>         revoke a token
+  bazelrc <id> <value>      print the .bazelrc lines for a token
+  stats                     show the hit rates and counters
+  purge                     delete cache entries
+  reconcile                 make the database agree with the bucket
+
+Options:
+  --url <url>               where the cache is (or set $BZ_URL)
+  --local                   use "wrangler dev --local" on this machine
+
+  --permissions <list>      for token create: read, write or read,write
+  --prefixes <list>         for token create: keys the token is limited to
+  --namespaces <list>       for token create: namespaces it's limited to,
+                            "" or an empty item being the default one
+  --limits <json>           for token create: its limits, as JSON
+  --expires <time>          for token create: when it stops working
+  --bazelrc                 for token create and rotate: print the
+                            .bazelrc lines rather than the token
+  --namespace <name>        for bazelrc and --bazelrc: the namespace to use
+
+  --keys <list>             for purge: these objects
+  --prefix <prefix>         for purge: every object under this
+  --namespace <name>        for purge: every object in this namespace
+  --token <id>              for purge: every object this token uploaded,
+  --since, --until <time>     optionally only in this window
+  --dry-run                 for migrate, purge and reconcile: only say
+                            what would be done
+  --limit <n>               for purge and reconcile: stop after n objects
+  --start <key>             for purge and reconcile: carry on from here
+
+The admin secret comes from $BZ_ADMIN_SECRET.
+`;
+
+// Where "wrangler dev" serves the worker.
+const LOCAL_URL = 'http://127.0.0.1:8787';
+
+const OPTIONS = {
+  url: { type: 'string' },
+  local: { type: 'boolean' },
+  permissions: { type: 'string' },
+  prefixes: { type: 'string' },
+  namespaces: { type: 'string' },
+  limits: { type: 'string' },
+  expires: { type: 'string' },
+  bazelrc: { type: 'boolean' },
+  namespace: { type: 'string' },
+  keys: { type: 'string' },
+  prefix: { type: 'string' },
+  token: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  limit: { type: 'string' },
+  start: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// What went wrong with a command, as far as whoever ran it is
+// concerned. It's reported without a stack trace.
+class UsageError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Splits a comma-separated option into a list. Empty items are kept,
+// since "" is the default namespace.
+function list (option) {
+  return option.split(',').map((item) => item.trim());
+}
+
+// Returns the URL of the cache, without a trailing slash.
+function cacheUrl (options, env) {
+  const url = options.url || env.BZ_URL || (options.local ? LOCAL_URL : null);
+  if (!url) {
+    throw new UsageError('Say where the cache is with --url, $BZ_URL or --local');
+  }
+  return url.replace(/\/+$/, '');
+}
+
+// Sends a request to the admin API. Returns the parsed response.
+// Throws UsageError if the worker refuses it.
+async function callAdmin (context, method, path, body) {
+  const { options, env, fetch } = context;
+  const secret = env.BZ_ADMIN_SECRET;
+  if (!secret) {
+    throw new UsageError('Set $BZ_ADMIN_SECRET to the worker\'s ADMIN_SECRET');
+  }
+  const init = { method, headers: { Authorization: 'Bearer ' + secret } };
+  if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+  const url = cacheUrl(options, env);
+  let resp;
+  try {
+    resp = await fetch(url + path, init);
+  } catch (e) {
+    throw new UsageError(`Can't reach ${url}: ${e.message}`);
+  }
+  const text = await resp.text();
+  let parsed = null;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch (e) {
+    // Not JSON; the text will have to do.
+  }
+  if (!resp.ok) {
+    const message = parsed && parsed.error ? parsed.error : text.trim();
+    throw new UsageError(`${method} ${path} failed with ${resp.status}: ${message}`);
+  }
+  return parsed;
+}
+
+// Returns a query string of the batch options that purge and
+// reconcile take.
+function batchQuery (options) {
+  const params = new URLSearchParams();
+  if (options['dry-run']) {
+    params.set('dry_run', '1');
+  }
+  for (const name of ['limit', 'start']) {
+    if (options[name] !== undefined) {
+      params.set(name, options[name]);
+    }
+  }
+  const query = params.toString();
+  return query ? '?' + query : '';
+}
+
+// Returns the .bazelrc lines for a token.
+export function bazelrc (url, id, value, namespace = '') {
+  return [
+    `build --remote_cache=${url}${namespace ? '/' + namespace : ''}`,
+    `build --remote_header=Bazel-Cache-Token-Id=${id}`,
+    `build --remote_header=Bazel-Cache-Token-Value=${value}`
+  ].join('\n') + '\n';
+}
+
+// bz migrate
+async function migrate (context) {
+  const { options, print } = context;
+  const result = options['dry-run']
+    ? await callAdmin(context, 'GET', '/admin/schema')
+    : await callAdmin(context, 'POST', '/admin/migrate');
+  print(JSON.stringify(result, null, 2) + '\n');
+}
+
+// bz token ...
+async function token (context, [subcommand, id]) {
+  const { options, print } = context;
+  const needsId = ['create', 'show', 'rotate', 'revoke'];
+  if (needsId.includes(subcommand) && !id) {
+    throw new UsageError(`Usage: bz token ${subcommand} <id>`);
+  }
+  const path = '/admin/tokens/' + encodeURIComponent(id || '');
+  let result;
+  switch (subcommand) {
+    case 'create': {
+      const body = { id };
+      for (const name of ['permissions', 'prefixes', 'namespaces']) {
+        if (options[name] !== undefined) {
+          body[name] = list(options[name]);
+        }
+      }
+      if (options.limits !== undefined) {
+        try {
+          body.limits = JSON.parse(options.limits);
+        } catch (e) {
+          throw new UsageError('--limits must be JSON');
+        }
+      }
+      if (options.expires !== undefined) {
+        body.expires = options.expires;
+      }
+      result = await callAdmin(context, 'POST', '/admin/tokens', body);
+      break;
+    }
+    case 'list':
+      result = await callAdmin(context, 'GET', '/admin/tokens');
+      break;
+    case 'show':
+      result = await callAdmin(context, 'GET', path);
+      break;
+    case 'rotate':
+      result = await callAdmin(context, 'POST', path + '/rotate');
+      break;
+    case 'revoke':
+      await callAdmin(context, 'DELETE', path);
+      print(`Revoked ${id}\n`);
+      return;
+    default:
+      throw new UsageError('Usage: bz token create|list|show|rotate|revoke');
+  }
+
+  if (options.bazelrc && result.value) {
+    print(bazelrc(cacheUrl(options, context.env), result.id, result.value, options.namespace));
+  } else {
+    print(JSON.stringify(result, null, 2) + '\n');
+  }
+}
+
+// bz purge
+async function purge (context) {
+  const { options, print } = context;
+  const selectors = ['keys', 'prefix', 'namespace', 'token'].filter((name) => options[name] !== undefined);
+  if (selectors.length !== 1) {
+    throw new UsageError('Give one of --keys, --prefix, --namespace and --token');
+  }
+  const body = {};
+  if (options.keys !== undefined) {
+    body.keys = list(options.keys);
+  } else {
+    body[selectors[0]] = options[selectors[0]];
+  }
+  for (const name of ['since', 'until']) {
+    if (options[name] !== undefined) {
+      body[name] = options[name];
+    }
+  }
+  const report = await callAdmin(context, 'POST', '/admin/purge' + batchQuery(options), body);
+  print(JSON.stringify(report, null, 2) + '\n');
+}
+
+// Runs bz with the given arguments. Returns the exit status.
+//
+// Everything it touches outside itself comes through the second
+// argument, so that tests can stand in for it: env for the
+// environment variables, fetch for reaching the cache, and stdout and
+// stderr, which have a write method.
+export async function run (argv, {
+  env = process.env,
+  fetch = globalThis.fetch,
+  stdout = process.stdout,
+  stderr = process.stderr
+} = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    stderr.write(e.message + '\n\n' + USAGE);
+    return 2;
+  }
+  const { values: options, positionals: [command, ...rest] } = parsed;
+  if (options.help || command === undefined || command === 'help') {
+    stdout.write(USAGE);
+    return command === undefined && !options.help ? 2 : 0;
+  }
+
+  const print = (text) => stdout.write(text);
+  const context = { options, env, fetch, print };
+  try {
+    switch (command) {
+      case 'migrate':
+        await migrate(context);
+        break;
+      case 'token':
+        await token(context, rest);
+        break;
+      case 'bazelrc':
+        if (rest.length !== 2) {
+          throw new UsageError('Usage: bz bazelrc <id> <value>');
+        }
+        print(bazelrc(cacheUrl(options, env), rest[0], rest[1], options.namespace));
+        break;
+      case 'stats':
+        print(JSON.stringify(await callAdmin(context, 'GET', '/stats'), null, 2) + '\n');
+        break;
+      case 'purge':
+        await purge(context);
+        break;
+      case 'reconcile':
+        print(JSON.stringify(await callAdmin(context, 'POST', '/admin/reconcile' + batchQuery(options)), null, 2) + '\n');
+        break;
+      default:
+        throw new UsageError(`Unknown command "${command}"; try "bz help"`);
+    }
+  } catch (e) {
+    if (!(e instanceof UsageError)) {
+      throw e;
+    }
+    stderr.write('bz: ' + e.message + '\n');
+    return 1;
+  }
+  return 0;
+}
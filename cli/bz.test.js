@@ -0,0 +1,117 @@
+import worker from '../src/index';
+import { migrate, SCHEMA_VERSION } from '../src/schema';
+import { run } from './bz';
+
+/* global expect, test, beforeAll, beforeEach, getMiniflareBindings, ExecutionContext, describe */
+
+describe('bz', () => {
+  let env;
+  const adminSecret = 'run the show';
+  const ctx = new ExecutionContext();
+  const url = 'https://cache.example.com';
+
+  beforeAll(async () => {
+    env = { ...getMiniflareBindings(), ADMIN_SECRET: adminSecret };
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(async () => {
+    const listing = await env.BUCKET.list();
+    if (listing.objects.length > 0) {
+      await env.BUCKET.delete(listing.objects.map((o) => o.key));
+    }
+    await env.__D1_BETA__DB.exec('DELETE FROM CacheEntries');
+    worker.flushCaches();
+  });
+
+  // Runs bz against the worker. Returns its exit status and output.
+  async function bz (...argv) {
+    const out = [];
+    const err = [];
+    const requests = [];
+    const status = await run(argv, {
+      env: { BZ_URL: url, BZ_ADMIN_SECRET: adminSecret },
+      fetch: async (input, init) => {
+        requests.push(input);
+        return worker.fetch(new Request(input, init), env, ctx);
+      },
+      stdout: { write: (text) => out.push(text) },
+      stderr: { write: (text) => err.push(text) }
+    });
+    return { status, out: out.join(''), err: err.join(''), requests };
+  }
+
+  test('it manages tokens', async () => {
+    let result = await bz('token', 'create', 'alice', '--permissions', 'read', '--namespaces', ',team');
+    expect(result.status).toBe(0);
+    const created = JSON.parse(result.out);
+    expect(created).toMatchObject({ id: 'alice', permissions: ['read'], namespaces: ['', 'team'] });
+    expect(created.value).toMatch(/^[0-9a-f]{64}$/);
+
+    result = await bz('token', 'list');
+    expect(JSON.parse(result.out).tokens.map((t) => t.id)).toEqual(['alice']);
+    result = await bz('token', 'show', 'alice');
+    expect(JSON.parse(result.out).value).toBeUndefined();
+
+    result = await bz('token', 'rotate', 'alice', '--bazelrc', '--namespace', 'team');
+    expect(result.out).toMatch(new RegExp(
+      `^build --remote_cache=${url}/team\nbuild --remote_header=Bazel-Cache-Token-Id=alice\n` +
+      'build --remote_header=Bazel-Cache-Token-Value=[0-9a-f]{64}\n$'));
+
+    expect((await bz('token', 'revoke', 'alice')).out).toBe('Revoked alice\n');
+    result = await bz('token', 'show', 'alice');
+    expect(result.status).toBe(1);
+    expect(result.err).toBe('bz: GET /admin/tokens/alice failed with 404: No such token\n');
+  });
+
+  test('it prints bazelrc lines', async () => {
+    const result = await bz('bazelrc', 'bob', 'sesame', '--url', 'http://127.0.0.1:8787/');
+    expect(result.out).toBe(
+      'build --remote_cache=http://127.0.0.1:8787\n' +
+      'build --remote_header=Bazel-Cache-Token-Id=bob\n' +
+      'build --remote_header=Bazel-Cache-Token-Value=sesame\n');
+  });
+
+  test('it purges and reconciles', async () => {
+    await env.__D1_BETA__DB.prepare('INSERT INTO CacheEntries (key, last_used, size) VALUES (?1, ?2, 1)')
+      .bind('ac/' + 'a'.repeat(64), Math.floor(Date.now() / 1000))
+      .run();
+    await env.BUCKET.put('ac/' + 'a'.repeat(64), 'x');
+
+    let result = await bz('purge', '--prefix', 'ac/', '--dry-run', '--limit', '10');
+    expect(result.requests).toEqual([url + '/admin/purge?dry_run=1&limit=10']);
+    expect(JSON.parse(result.out)).toMatchObject({ dry_run: true, count: 1 });
+    expect((await bz('purge', '--prefix', 'ac/', '--token', 'ci')).status).toBe(1);
+
+    result = await bz('reconcile', '--dry-run');
+    expect(JSON.parse(result.out)).toMatchObject({ dry_run: true, checked: 1 });
+  });
+
+  test('it shows stats', async () => {
+    const result = await bz('stats');
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.out)).toHaveProperty('total.ac_hits', 0);
+  });
+
+  test('it migrates the database', async () => {
+    let result = await bz('migrate', '--dry-run');
+    expect(JSON.parse(result.out)).toEqual({ version: SCHEMA_VERSION, expected: SCHEMA_VERSION, pending: [] });
+    result = await bz('migrate');
+    expect(result.requests).toEqual([url + '/admin/migrate']);
+    expect(JSON.parse(result.out)).toEqual({ from: SCHEMA_VERSION, to: SCHEMA_VERSION, applied: [] });
+  });
+
+  test('it explains what it needs', async () => {
+    expect((await bz()).status).toBe(2);
+    expect((await bz('help')).out).toMatch(/^Usage: bz/);
+    expect((await bz('--frobnicate')).status).toBe(2);
+    expect((await bz('frobnicate')).err).toMatch(/Unknown command/);
+    expect((await bz('token', 'create')).err).toMatch(/Usage: bz token create <id>/);
+
+    const status = await run(['token', 'list'], {
+      env: { BZ_URL: url },
+      stderr: { write: (text) => expect(text).toMatch(/BZ_ADMIN_SECRET/) }
+    });
+    expect(status).toBe(1);
+  });
+});
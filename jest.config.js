@@ -151,7 +151,9 @@ export default {
   // testEnvironmentOptions: {},
   testEnvironmentOptions: {
     // Don't keep R2 data around between test runs.
-    r2_persist: false
+    r2_persist: false,
+    // Write stats as soon as the tests wait for them.
+    bindings: { STATS_FLUSH_INTERVAL: '0' }
   }
 
   // Adds a location field to test results
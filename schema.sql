@@ -1 +0,0 @@
-CREATE TABLE IF NOT EXISTS CacheEntries (key TEXT PRIMARY KEY, last_used INTEGER) WITHOUT ROWID;
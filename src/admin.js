@@ -0,0 +1,302 @@
+/**
+   The admin API, for managing tokens without uploading them to the
+   bucket by hand.
+
+     POST   /admin/tokens             creates a token
+     GET    /admin/tokens             lists tokens
+     GET    /admin/tokens/:id         describes a token
+     POST   /admin/tokens/:id/rotate  gives a token a new value
+     DELETE /admin/tokens/:id         revokes a token
+     GET    /admin/audit              searches the audit log
+
+   POST /admin/reconcile (see cleanup.js), POST /admin/purge (see
+   purge.js), /admin/pins (see pins.js), /admin/export and
+   /admin/import (see snapshots.js) and /admin/schema and
+   /admin/migrate (see schema.js) are part of it too.
+
+   Every request needs "Authorization: Bearer <ADMIN_SECRET>", where
+   ADMIN_SECRET is a secret binding of its own; cache tokens are no
+   good here. Without that binding, these routes don't exist.
+
+   Token values are only ever sent back when they're made, by create
+   and rotate. What's stored is a hash of them.
+ */
+
+import { addAuditEntry, DEFAULT_AUDIT_RESULTS, MAX_AUDIT_RESULTS, searchAuditLog } from './audit';
+import { forgetToken } from './auth';
+import { toHex } from './digest';
+import { hashSecret, parseToken, secretsEqual, tokenExpired, TokenFormatError } from './tokens';
+
+/* global crypto, Response, URL */
+
+// Token IDs end up in object names and headers, so keep them simple.
+const TOKEN_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function tokenKey (id) {
+  return 'tokens/' + id;
+}
+
+export function jsonResponse (body, status = 200) {
+  return new Response(JSON.stringify(body, null, 2) + '\n', {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+function errorResponse (message, status) {
+  return jsonResponse({ error: message }, status);
+}
+
+// Returns true if the request carries one of the given secrets.
+// Secrets that aren't set are skipped.
+async function carriesSecret (request, secrets) {
+  const match = /^Bearer (.+)$/.exec(request.headers.get('Authorization') || '');
+  if (match === null) {
+    return false;
+  }
+  for (const secret of secrets.filter((s) => s)) {
+    if (await secretsEqual(match[1], secret)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Wraps a route handler so that only requests carrying one of the
+// secrets that secretsFn(env) returns get to it. Without any of those
+// secrets, the route doesn't exist.
+function secretOnly (secretsFn, handler) {
+  return async (request, env, ctx) => {
+    const secrets = secretsFn(env);
+    if (!secrets.some((s) => s)) {
+      return new Response('Not found', { status: 404 });
+    }
+    if (!await carriesSecret(request, secrets)) {
+      return new Response('Not authenticated', { status: 401 });
+    }
+    return handler(request, env, ctx);
+  };
+}
+
+// Wraps a route handler so that only admins get to it.
+export function adminOnly (handler) {
+  return secretOnly((env) => [env.ADMIN_SECRET], handler);
+}
+
+// Wraps a route handler so that admins and anyone with the
+// METRICS_SECRET get to it. That secret is good for nothing else, so
+// it's the one to give to a metrics scraper.
+export function metricsOnly (handler) {
+  return secretOnly((env) => [env.ADMIN_SECRET, env.METRICS_SECRET], handler);
+}
+
+function newSecret () {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+function isoDate (time) {
+  return time === null ? null : new Date(time).toISOString();
+}
+
+// Returns what the admin API says about a token: everything but its
+// value.
+function describeToken (id, token) {
+  return {
+    id,
+    hashed: token.hash !== null,
+    permissions: token.permissions,
+    prefixes: token.prefixes,
+    namespaces: token.namespaces,
+    limits: token.limits,
+    expires: isoDate(token.expires),
+    expired: tokenExpired(token),
+    created: isoDate(token.created)
+  };
+}
+
+// Returns the request's token ID, or null if it isn't a valid one.
+function requestTokenId (request) {
+  const id = request.params.id;
+  return TOKEN_ID_PATTERN.test(id) ? id : null;
+}
+
+// Stores a token document. Returns the parsed token, or throws
+// TokenFormatError if the document isn't a valid token.
+async function storeToken (env, id, doc) {
+  const text = JSON.stringify(doc);
+  const token = parseToken(text);
+  await env.BUCKET.put(tokenKey(id), text);
+  forgetToken(id);
+  return token;
+}
+
+// POST /admin/tokens
+//
+// The body is a JSON object with the new token's "id" and, optionally,
+// its "permissions", "prefixes", "namespaces", "limits" and "expires";
+// see tokens.js. The response includes the token's value, which the
+// server picks.
+export const createToken = adminOnly(async (request, env) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return errorResponse('Body must be JSON', 400);
+  }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return errorResponse('Body must be a JSON object', 400);
+  }
+  if (typeof body.id !== 'string' || !TOKEN_ID_PATTERN.test(body.id)) {
+    return errorResponse('"id" must be 1-64 letters, digits, "-" or "_"', 400);
+  }
+  if (await env.BUCKET.head(tokenKey(body.id))) {
+    return errorResponse(`Token "${body.id}" already exists`, 409);
+  }
+
+  const value = newSecret();
+  const doc = { hash: await hashSecret(value) };
+  for (const field of ['permissions', 'prefixes', 'namespaces', 'limits', 'expires']) {
+    if (field in body) {
+      doc[field] = body[field];
+    }
+  }
+  doc.created = new Date().toISOString();
+
+  let token;
+  try {
+    token = await storeToken(env, body.id, doc);
+  } catch (e) {
+    if (e instanceof TokenFormatError) {
+      return errorResponse(e.message, 400);
+    }
+    throw e;
+  }
+  const described = describeToken(body.id, token);
+  await addAuditEntry(env.__D1_BETA__DB, {
+    action: 'create_token', key: tokenKey(body.id), request, details: described
+  });
+  return jsonResponse({ ...described, value }, 201);
+});
+
+// GET /admin/tokens
+export const listTokens = adminOnly(async (request, env) => {
+  const tokens = [];
+  let cursor;
+  do {
+    const listing = await env.BUCKET.list({ prefix: tokenKey(''), cursor });
+    const described = await Promise.all(listing.objects.map(async (meta) => {
+      const id = meta.key.slice(tokenKey('').length);
+      const obj = await env.BUCKET.get(meta.key);
+      if (!obj) {
+        return null; // revoked while we were looking
+      }
+      try {
+        return describeToken(id, parseToken(await obj.text()));
+      } catch (e) {
+        if (e instanceof TokenFormatError) {
+          return { id, error: e.message };
+        }
+        throw e;
+      }
+    }));
+    tokens.push(...described.filter((t) => t !== null));
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+  return jsonResponse({ tokens });
+});
+
+// GET /admin/tokens/:id
+export const getToken = adminOnly(async (request, env) => {
+  const id = requestTokenId(request);
+  const obj = id && await env.BUCKET.get(tokenKey(id));
+  if (!obj) {
+    return errorResponse('No such token', 404);
+  }
+  try {
+    return jsonResponse(describeToken(id, parseToken(await obj.text())));
+  } catch (e) {
+    if (e instanceof TokenFormatError) {
+      return jsonResponse({ id, error: e.message });
+    }
+    throw e;
+  }
+});
+
+// POST /admin/tokens/:id/rotate
+//
+// Gives the token a new value and stores it hashed, keeping
+// everything else about it. This is also how to move a token
+// stored as a plain value over to being hashed.
+export const rotateToken = adminOnly(async (request, env) => {
+  const id = requestTokenId(request);
+  const obj = id && await env.BUCKET.get(tokenKey(id));
+  if (!obj) {
+    return errorResponse('No such token', 404);
+  }
+
+  const text = await obj.text();
+  let doc;
+  try {
+    // Check it before we go building on it.
+    parseToken(text);
+    doc = text.trimStart().startsWith('{') ? JSON.parse(text) : {};
+  } catch (e) {
+    if (e instanceof TokenFormatError) {
+      return errorResponse('Stored token is malformed: ' + e.message, 409);
+    }
+    throw e;
+  }
+
+  const value = newSecret();
+  delete doc.value;
+  doc.hash = await hashSecret(value);
+  const token = await storeToken(env, id, doc);
+  await addAuditEntry(env.__D1_BETA__DB, { action: 'rotate_token', key: tokenKey(id), request });
+  return jsonResponse({ ...describeToken(id, token), value });
+});
+
+// DELETE /admin/tokens/:id
+//
+// Takes effect at once in this isolate. Other isolates may keep
+// accepting the token until their caches of it expire, which takes
+// at most ten minutes.
+export const revokeToken = adminOnly(async (request, env) => {
+  const id = requestTokenId(request);
+  if (!id || !await env.BUCKET.head(tokenKey(id))) {
+    return errorResponse('No such token', 404);
+  }
+  await env.BUCKET.delete(tokenKey(id));
+  forgetToken(id);
+  await addAuditEntry(env.__D1_BETA__DB, { action: 'revoke_token', key: tokenKey(id), request });
+  return new Response(null, { status: 204 }); // 204 No Content
+});
+
+// GET /admin/audit
+//
+// Takes any of "key" (an object name, like "ns/team/ac/<hash>"),
+// "token" and "action" as query parameters, and returns the entries
+// that match them all, newest first. "limit" says how many, and
+// "before" is the "next" of the last response, for getting more.
+export const auditLog = adminOnly(async (request, env) => {
+  const params = new URL(request.url).searchParams;
+  const query = {};
+  for (const name of ['key', 'token', 'action']) {
+    query[name] = params.get(name);
+  }
+  for (const name of ['before', 'limit']) {
+    if (params.has(name)) {
+      const n = Number(params.get(name));
+      if (!Number.isInteger(n) || n < 1) {
+        return errorResponse(`"${name}" must be a positive whole number`, 400);
+      }
+      query[name] = n;
+    }
+  }
+  if (query.limit > MAX_AUDIT_RESULTS) {
+    return errorResponse(`"limit" can be at most ${MAX_AUDIT_RESULTS}`, 400);
+  }
+
+  const entries = await searchAuditLog(env.__D1_BETA__DB, query);
+  const full = entries.length === (query.limit || DEFAULT_AUDIT_RESULTS);
+  return jsonResponse({ entries, next: full ? entries[entries.length - 1].id : null });
+});
@@ -0,0 +1,196 @@
+import worker from './index';
+import { migrate } from './schema';
+
+/* global expect, test, beforeAll, beforeEach, getMiniflareBindings, ExecutionContext, describe */
+
+describe('admin API', () => {
+  let env;
+  const ctx = new ExecutionContext();
+  const adminSecret = 'the keys to the kingdom';
+
+  beforeAll(async () => {
+    env = { ...getMiniflareBindings(), ADMIN_SECRET: adminSecret };
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(async () => {
+    const listing = await env.BUCKET.list({ prefix: 'tokens/' });
+    await env.BUCKET.delete(listing.objects.map((o) => o.key));
+    worker.flushCaches();
+  });
+
+  async function admin (method, path, body, secret = adminSecret) {
+    const req = new Request('https://localhost' + path, {
+      method,
+      headers: { Authorization: 'Bearer ' + secret },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return await worker.fetch(req, env, ctx);
+  }
+
+  // Makes a cache request with the given token and returns the
+  // response status.
+  async function cacheStatus (method, id, value) {
+    const req = new Request('https://localhost/ac/' + 'a'.repeat(64), {
+      method,
+      headers: { 'Bazel-Cache-Token-Id': id, 'Bazel-Cache-Token-Value': value },
+      body: method === 'PUT' ? new Uint8Array(0) : undefined
+    });
+    return (await worker.fetch(req, env, ctx)).status;
+  }
+
+  test('it does not exist without an admin secret', async () => {
+    const req = new Request('https://localhost/admin/tokens', {
+      headers: { Authorization: 'Bearer ' }
+    });
+    const resp = await worker.fetch(req, getMiniflareBindings(), ctx);
+    expect(resp.status).toBe(404);
+  });
+
+  test('it requires the admin secret', async () => {
+    let resp = await admin('GET', '/admin/tokens', undefined, 'a good guess');
+    expect(resp.status).toBe(401);
+
+    resp = await worker.fetch(new Request('https://localhost/admin/tokens'), env, ctx);
+    expect(resp.status).toBe(401);
+  });
+
+  test('it does not accept cache tokens', async () => {
+    await env.BUCKET.put('tokens/squirrel', 'many buried nuts');
+    const req = new Request('https://localhost/admin/tokens', {
+      headers: { 'Bazel-Cache-Token-Id': 'squirrel', 'Bazel-Cache-Token-Value': 'many buried nuts' }
+    });
+    const resp = await worker.fetch(req, env, ctx);
+    expect(resp.status).toBe(401);
+  });
+
+  test('it creates tokens', async () => {
+    const resp = await admin('POST', '/admin/tokens', { id: 'laptop', permissions: ['read'] });
+    expect(resp.status).toBe(201);
+    const created = await resp.json();
+    expect(created.id).toBe('laptop');
+    expect(created.value).toMatch(/^[0-9a-f]{64}$/);
+    expect(created.hashed).toBe(true);
+    expect(created.permissions).toStrictEqual(['read']);
+    expect(created.created).not.toBe(null);
+
+    // Only the hash is stored.
+    const stored = await (await env.BUCKET.get('tokens/laptop')).text();
+    expect(stored).not.toContain(created.value);
+
+    expect(await cacheStatus('GET', 'laptop', created.value)).toBe(404);
+    expect(await cacheStatus('PUT', 'laptop', created.value)).toBe(403);
+    expect(await cacheStatus('GET', 'laptop', 'not the value')).toBe(401);
+  });
+
+  test('it refuses to replace a token when creating one', async () => {
+    await env.BUCKET.put('tokens/taken', 'whatever');
+    const resp = await admin('POST', '/admin/tokens', { id: 'taken' });
+    expect(resp.status).toBe(409);
+    expect(await (await env.BUCKET.get('tokens/taken')).text()).toBe('whatever');
+  });
+
+  for (const [what, body] of [
+    ['a missing ID', {}],
+    ['a bad ID', { id: 'tokens/../ac' }],
+    ['an unknown permission', { id: 'ok', permissions: ['admin'] }],
+    ['a bad expiry', { id: 'ok', expires: 'whenever' }],
+    ['a body that is not an object', ['ok']]
+  ]) {
+    test(`it rejects creating a token with ${what}`, async () => {
+      const resp = await admin('POST', '/admin/tokens', body);
+      expect(resp.status).toBe(400);
+      expect(await env.BUCKET.head('tokens/ok')).toBe(null);
+    });
+  }
+
+  test('it lists tokens without their values', async () => {
+    await env.BUCKET.put('tokens/legacy', 'plain old value');
+    await env.BUCKET.put('tokens/broken', '{"permissions": []}');
+    await admin('POST', '/admin/tokens', {
+      id: 'ci', permissions: ['write'], prefixes: ['ac/', 'cas/'], expires: '2030-01-01T00:00:00Z'
+    });
+
+    const resp = await admin('GET', '/admin/tokens');
+    expect(resp.status).toBe(200);
+    const { tokens } = await resp.json();
+    const byId = Object.fromEntries(tokens.map((t) => [t.id, t]));
+    expect(Object.keys(byId).sort()).toStrictEqual(['broken', 'ci', 'legacy']);
+
+    expect(byId.legacy).toEqual({
+      id: 'legacy',
+      hashed: false,
+      permissions: ['read', 'write'],
+      prefixes: null,
+      namespaces: null,
+      limits: null,
+      expires: null,
+      expired: false,
+      created: null
+    });
+    expect(byId.ci.hashed).toBe(true);
+    expect(byId.ci.prefixes).toStrictEqual(['ac/', 'cas/']);
+    expect(byId.ci.expires).toBe('2030-01-01T00:00:00.000Z');
+    expect(byId.broken.error).toBeDefined();
+    expect(JSON.stringify(tokens)).not.toContain('plain old value');
+  });
+
+  test('it describes one token', async () => {
+    await admin('POST', '/admin/tokens', { id: 'one', permissions: ['read'] });
+    let resp = await admin('GET', '/admin/tokens/one');
+    expect(resp.status).toBe(200);
+    const token = await resp.json();
+    expect(token.id).toBe('one');
+    expect(token.value).toBeUndefined();
+
+    resp = await admin('GET', '/admin/tokens/two');
+    expect(resp.status).toBe(404);
+  });
+
+  test('it rotates tokens', async () => {
+    const created = await (await admin('POST', '/admin/tokens', {
+      id: 'rotating', permissions: ['read']
+    })).json();
+    expect(await cacheStatus('GET', 'rotating', created.value)).toBe(404);
+
+    const resp = await admin('POST', '/admin/tokens/rotating/rotate');
+    expect(resp.status).toBe(200);
+    const rotated = await resp.json();
+    expect(rotated.value).not.toBe(created.value);
+    expect(rotated.permissions).toStrictEqual(['read']);
+    expect(rotated.created).toBe(created.created);
+
+    // The old value stops working at once, even though it was cached.
+    expect(await cacheStatus('GET', 'rotating', created.value)).toBe(401);
+    expect(await cacheStatus('GET', 'rotating', rotated.value)).toBe(404);
+  });
+
+  test('it hashes plain tokens when rotating them', async () => {
+    await env.BUCKET.put('tokens/legacy', JSON.stringify({
+      value: 'plain old value', prefixes: ['cas/']
+    }));
+
+    const rotated = await (await admin('POST', '/admin/tokens/legacy/rotate')).json();
+    expect(rotated.hashed).toBe(true);
+    expect(rotated.prefixes).toStrictEqual(['cas/']);
+
+    const stored = await (await env.BUCKET.get('tokens/legacy')).text();
+    expect(stored).not.toContain('plain old value');
+    expect(await cacheStatus('GET', 'legacy', 'plain old value')).toBe(401);
+  });
+
+  test('it revokes tokens', async () => {
+    await env.BUCKET.put('tokens/doomed', 'last words');
+    expect(await cacheStatus('GET', 'doomed', 'last words')).toBe(404);
+
+    let resp = await admin('DELETE', '/admin/tokens/doomed');
+    expect(resp.status).toBe(204);
+    expect(await env.BUCKET.head('tokens/doomed')).toBe(null);
+
+    // It stops working at once, even though it was cached.
+    expect(await cacheStatus('GET', 'doomed', 'last words')).toBe(401);
+
+    resp = await admin('DELETE', '/admin/tokens/doomed');
+    expect(resp.status).toBe(404);
+  });
+});
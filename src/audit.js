@@ -0,0 +1,83 @@
+/**
+   The audit log: who uploaded what, when and from where, along with
+   what was done through the admin API and by the scheduled jobs. It's
+   kept in the AuditLog table of the database for AUDIT_LOG_RETENTION,
+   and searched through GET /admin/audit; see admin.js.
+
+   Each entry has
+
+     time       when it happened, in seconds since the epoch
+     token      the name of the token that did it (see stats.js), or
+                null for the admin API and the scheduled jobs
+     action     "upload", "create_token", "rotate_token",
+                "revoke_token", "pin", "unpin", "reconcile", "purge",
+                "import" or "cleanup"
+     key        the object it was done to, if any
+     size       for uploads, the size of the object in bytes
+     client_ip  the address the request came from, if there was one
+     details    anything else worth knowing, as JSON
+ */
+
+import { nowInEpochSeconds } from './storage';
+
+// How long entries are kept, in seconds.
+export const AUDIT_LOG_RETENTION = 86400 * 90;
+
+// How many entries a search returns, by default and at most.
+export const DEFAULT_AUDIT_RESULTS = 100;
+export const MAX_AUDIT_RESULTS = 1000;
+
+// Adds an entry to the audit log. token is a token as returned by
+// authenticate, or null. request, if given, is where the client's
+// address comes from.
+export async function addAuditEntry (db, { token = null, action, key = null, size = null, request = null, details = null }) {
+  await db.prepare(
+    'INSERT INTO AuditLog (time, token, action, key, size, client_ip, details) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7)')
+    .bind(
+      nowInEpochSeconds(),
+      token ? token.name : null,
+      action,
+      key,
+      size,
+      request ? request.headers.get('CF-Connecting-IP') : null,
+      details === null ? null : JSON.stringify(details))
+    .run();
+}
+
+// Like addAuditEntry, but without making the response wait for it.
+export function recordAudit (env, ctx, entry) {
+  ctx.waitUntil(addAuditEntry(env.__D1_BETA__DB, entry));
+}
+
+// Returns the entries matching all of the given key, token and action
+// that come before the entry with ID before, newest first, up to
+// limit of them. Any of those can be null to mean no restriction.
+export async function searchAuditLog (db, { key = null, token = null, action = null, before = null, limit = DEFAULT_AUDIT_RESULTS }) {
+  const conditions = [];
+  const params = [];
+  for (const [condition, value] of [['key = ', key], ['token = ', token], ['action = ', action], ['id < ', before]]) {
+    if (value !== null) {
+      params.push(value);
+      conditions.push(condition + '?' + params.length);
+    }
+  }
+  params.push(Math.min(limit, MAX_AUDIT_RESULTS));
+  const where = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+  const results = await db.prepare(
+    'SELECT id, time, token, action, key, size, client_ip, details FROM AuditLog' + where +
+      ' ORDER BY id DESC LIMIT ?' + params.length)
+    .bind(...params)
+    .all();
+  return results.results.map((row) => ({
+    ...row,
+    time: new Date(row.time * 1000).toISOString(),
+    details: row.details === null ? null : JSON.parse(row.details)
+  }));
+}
+
+// Deletes entries older than AUDIT_LOG_RETENTION.
+export async function forgetOldAuditEntries (db) {
+  await db.prepare('DELETE FROM AuditLog WHERE time < ?1')
+    .bind(nowInEpochSeconds() - AUDIT_LOG_RETENTION)
+    .run();
+}
@@ -0,0 +1,178 @@
+import { jest } from '@jest/globals';
+import { AUDIT_LOG_RETENTION } from './audit';
+import worker from './index';
+import { migrate } from './schema';
+
+/* global expect, test, beforeAll, beforeEach, afterEach, getMiniflareBindings,
+   getMiniflareWaitUntil, ExecutionContext, describe, crypto, TextEncoder */
+
+describe('audit log', () => {
+  let env;
+  const ctx = new ExecutionContext();
+  const adminSecret = 'who did what';
+  const tokenId = 'magpie';
+  const tokenValue = 'collects shiny things';
+
+  beforeAll(async () => {
+    env = { ...getMiniflareBindings(), ADMIN_SECRET: adminSecret };
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(async () => {
+    await env.__D1_BETA__DB.exec('DELETE FROM AuditLog');
+    await env.BUCKET.put('tokens/' + tokenId, tokenValue);
+    worker.flushCaches();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function sha256Hex (contents) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(contents));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Uploads a CAS blob and returns its key.
+  async function upload (body, clientIp = '192.0.2.7') {
+    const key = 'cas/' + await sha256Hex(body);
+    const req = new Request('https://localhost/' + key, {
+      method: 'PUT',
+      headers: {
+        'Bazel-Cache-Token-Id': tokenId,
+        'Bazel-Cache-Token-Value': tokenValue,
+        'CF-Connecting-IP': clientIp
+      },
+      body
+    });
+    const resp = await worker.fetch(req, env, ctx);
+    await getMiniflareWaitUntil(ctx);
+    expect(resp.status).toBe(201);
+    return key;
+  }
+
+  async function admin (method, path, body, secret = adminSecret) {
+    const req = new Request('https://localhost' + path, {
+      method,
+      headers: { Authorization: 'Bearer ' + secret },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return await worker.fetch(req, env, ctx);
+  }
+
+  async function search (query = '') {
+    const resp = await admin('GET', '/admin/audit' + query);
+    expect(resp.status).toBe(200);
+    return await resp.json();
+  }
+
+  test('it needs the admin secret', async () => {
+    expect((await admin('GET', '/admin/audit', undefined, 'a good guess')).status).toBe(401);
+  });
+
+  test('it records uploads', async () => {
+    const before = Date.now();
+    const key = await upload('a blob');
+
+    const { entries, next } = await search();
+    expect(next).toBe(null);
+    expect(entries).toHaveLength(1);
+    const [entry] = entries;
+    expect(entry).toMatchObject({
+      token: tokenId,
+      action: 'upload',
+      key,
+      size: 'a blob'.length,
+      client_ip: '192.0.2.7',
+      details: null
+    });
+    expect(Date.parse(entry.time)).toBeGreaterThanOrEqual(Math.floor(before / 1000) * 1000);
+  });
+
+  test('it records what is done with tokens', async () => {
+    let resp = await admin('POST', '/admin/tokens', { id: 'jay', permissions: ['read'] });
+    expect(resp.status).toBe(201);
+    resp = await admin('POST', '/admin/tokens/jay/rotate');
+    expect(resp.status).toBe(200);
+    resp = await admin('DELETE', '/admin/tokens/jay');
+    expect(resp.status).toBe(204);
+
+    const { entries } = await search('?key=tokens/jay');
+    expect(entries.map((e) => e.action)).toEqual(['revoke_token', 'rotate_token', 'create_token']);
+    expect(entries.every((e) => e.token === null)).toBe(true);
+    expect(entries[2].details.permissions).toEqual(['read']);
+    expect(JSON.stringify(entries)).not.toContain('value');
+  });
+
+  test('it searches by key, token and action', async () => {
+    const key = await upload('first');
+    await upload('second');
+    // A blob that's still there isn't stored again, so it's only
+    // logged again once it's gone.
+    await upload('first', '203.0.113.9');
+    await env.BUCKET.delete(key);
+    await upload('first', '198.51.100.1');
+    await admin('POST', '/admin/tokens', { id: 'jay', permissions: ['read'] });
+
+    let { entries } = await search('?key=' + key);
+    expect(entries.map((e) => e.client_ip)).toEqual(['198.51.100.1', '192.0.2.7']);
+
+    ({ entries } = await search('?token=' + tokenId));
+    expect(entries).toHaveLength(3);
+
+    ({ entries } = await search('?action=create_token'));
+    expect(entries.map((e) => e.key)).toEqual(['tokens/jay']);
+
+    ({ entries } = await search('?key=' + key + '&action=create_token'));
+    expect(entries).toEqual([]);
+
+    ({ entries } = await search('?token=nobody'));
+    expect(entries).toEqual([]);
+  });
+
+  test('it gives results a page at a time', async () => {
+    for (const body of ['one', 'three', 'seventeen']) {
+      await upload(body);
+    }
+
+    const first = await search('?limit=2');
+    expect(first.entries.map((e) => e.size)).toEqual([9, 5]);
+    expect(first.next).toBe(first.entries[1].id);
+
+    const second = await search('?limit=2&before=' + first.next);
+    expect(second.entries.map((e) => e.size)).toEqual([3]);
+    expect(second.next).toBe(null);
+  });
+
+  test('it rejects malformed searches', async () => {
+    for (const query of ['?limit=lots', '?limit=0', '?limit=1001', '?before=-3']) {
+      expect((await admin('GET', '/admin/audit' + query)).status).toBe(400);
+    }
+  });
+
+  test('it records cleanups and reconciliations', async () => {
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+    const resp = await admin('POST', '/admin/reconcile?dry_run=1');
+    expect(resp.status).toBe(200);
+    await admin('POST', '/admin/reconcile');
+
+    const { entries } = await search();
+    expect(entries.map((e) => e.action)).toEqual(['reconcile', 'cleanup']);
+    expect(entries[0].details).toEqual({
+      checked: 0, orphaned_objects: 0, missing_objects: 0, untracked_objects: 0
+    });
+    expect(entries[1].details).toEqual({
+      expired: { objects: 0, bytes: 0 }, evicted: { objects: 0, bytes: 0 }, abandoned: 0
+    });
+  });
+
+  test('it forgets old entries', async () => {
+    await upload('ancient history');
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now + (AUDIT_LOG_RETENTION + 60) * 1000);
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+
+    const { entries } = await search();
+    expect(entries.map((e) => e.action)).toEqual(['cleanup']);
+  });
+});
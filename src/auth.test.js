@@ -0,0 +1,37 @@
+import { jest } from '@jest/globals';
+import { MAX_CACHED_TOKENS, TokenCache } from './auth';
+
+/* global expect, test, describe, afterEach */
+
+describe('the token cache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('it keeps outcomes until they expire', async () => {
+    const cache = new TokenCache();
+    const fetch = jest.fn(async () => null);
+    await cache.retrieve('bad', 'someone', fetch);
+    await cache.retrieve('bad', 'someone', fetch);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now + 60 * 1000);
+    await cache.retrieve('bad', 'someone', fetch);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('it only holds so many', async () => {
+    const cache = new TokenCache();
+    const fetch = jest.fn(async () => ({ name: 'someone' }));
+    await cache.retrieve('kept', 'someone', fetch);
+    for (let i = 0; i < MAX_CACHED_TOKENS * 2; i++) {
+      await cache.retrieve('attempt ' + i, null, async () => null);
+      // Using it keeps it.
+      await cache.retrieve('kept', 'someone', fetch);
+    }
+    expect(cache.tokens.size).toBe(MAX_CACHED_TOKENS);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(cache.tokens.has('attempt 0')).toBe(false);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+   A small, unkeyed, streaming BLAKE3 implementation.
+
+   Workers' crypto.DigestStream doesn't know about BLAKE3, so teams
+   running Bazel with --digest_function=blake3 need this. It follows
+   the reference implementation in the BLAKE3 paper closely; it isn't
+   fast, but it only has to keep up with an upload.
+ */
+
+const OUT_LEN = 32;
+const BLOCK_LEN = 64;
+const CHUNK_LEN = 1024;
+
+const CHUNK_START = 1 << 0;
+const CHUNK_END = 1 << 1;
+const PARENT = 1 << 2;
+const ROOT = 1 << 3;
+
+const IV = new Uint32Array([
+  0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A,
+  0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19
+]);
+
+const MSG_PERMUTATION = [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8];
+
+function rotr (x, n) {
+  return (x >>> n) | (x << (32 - n));
+}
+
+// The quarter-round mixing function.
+function g (state, a, b, c, d, mx, my) {
+  state[a] = state[a] + state[b] + mx;
+  state[d] = rotr(state[d] ^ state[a], 16);
+  state[c] = state[c] + state[d];
+  state[b] = rotr(state[b] ^ state[c], 12);
+  state[a] = state[a] + state[b] + my;
+  state[d] = rotr(state[d] ^ state[a], 8);
+  state[c] = state[c] + state[d];
+  state[b] = rotr(state[b] ^ state[c], 7);
+}
+
+function round (state, m) {
+  // Mix the columns.
+  g(state, 0, 4, 8, 12, m[0], m[1]);
+  g(state, 1, 5, 9, 13, m[2], m[3]);
+  g(state, 2, 6, 10, 14, m[4], m[5]);
+  g(state, 3, 7, 11, 15, m[6], m[7]);
+  // Mix the diagonals.
+  g(state, 0, 5, 10, 15, m[8], m[9]);
+  g(state, 1, 6, 11, 12, m[10], m[11]);
+  g(state, 2, 7, 8, 13, m[12], m[13]);
+  g(state, 3, 4, 9, 14, m[14], m[15]);
+}
+
+function permute (m) {
+  const original = Uint32Array.from(m);
+  for (let i = 0; i < 16; i++) {
+    m[i] = original[MSG_PERMUTATION[i]];
+  }
+}
+
+// Returns the full 16-word compression output. The first 8 words are
+// the new chaining value.
+function compress (chainingValue, blockWords, counter, blockLen, flags) {
+  const state = new Uint32Array([
+    chainingValue[0], chainingValue[1], chainingValue[2], chainingValue[3],
+    chainingValue[4], chainingValue[5], chainingValue[6], chainingValue[7],
+    IV[0], IV[1], IV[2], IV[3],
+    counter % 0x100000000, Math.floor(counter / 0x100000000),
+    blockLen, flags
+  ]);
+  const block = Uint32Array.from(blockWords);
+
+  for (let i = 0; i < 7; i++) {
+    round(state, block);
+    if (i < 6) {
+      permute(block);
+    }
+  }
+
+  for (let i = 0; i < 8; i++) {
+    state[i] ^= state[i + 8];
+    state[i + 8] ^= chainingValue[i];
+  }
+  return state;
+}
+
+// Reads a zero-padded 64-byte block as 16 little-endian words.
+function wordsFromBlock (bytes, len) {
+  const padded = new Uint8Array(BLOCK_LEN);
+  padded.set(bytes.subarray(0, len));
+  const view = new DataView(padded.buffer);
+  const words = new Uint32Array(16);
+  for (let i = 0; i < 16; i++) {
+    words[i] = view.getUint32(i * 4, true);
+  }
+  return words;
+}
+
+// Everything needed to produce either a chaining value or the root
+// hash for a node in the tree.
+class Output {
+  constructor (inputChainingValue, blockWords, counter, blockLen, flags) {
+    this.inputChainingValue = inputChainingValue;
+    this.blockWords = blockWords;
+    this.counter = counter;
+    this.blockLen = blockLen;
+    this.flags = flags;
+  }
+
+  chainingValue () {
+    return compress(this.inputChainingValue, this.blockWords,
+      this.counter, this.blockLen, this.flags).slice(0, 8);
+  }
+
+  // We only ever need the default 32-byte output, which fits in the
+  // first output block.
+  rootBytes () {
+    const words = compress(this.inputChainingValue, this.blockWords,
+      0, this.blockLen, this.flags | ROOT);
+    const out = new Uint8Array(OUT_LEN);
+    const view = new DataView(out.buffer);
+    for (let i = 0; i < OUT_LEN / 4; i++) {
+      view.setUint32(i * 4, words[i], true);
+    }
+    return out;
+  }
+}
+
+function parentOutput (leftChildCv, rightChildCv, key) {
+  const blockWords = new Uint32Array(16);
+  blockWords.set(leftChildCv, 0);
+  blockWords.set(rightChildCv, 8);
+  return new Output(key, blockWords, 0, BLOCK_LEN, PARENT);
+}
+
+class ChunkState {
+  constructor (key, chunkCounter) {
+    this.chainingValue = Uint32Array.from(key);
+    this.chunkCounter = chunkCounter;
+    this.block = new Uint8Array(BLOCK_LEN);
+    this.blockLen = 0;
+    this.blocksCompressed = 0;
+  }
+
+  len () {
+    return BLOCK_LEN * this.blocksCompressed + this.blockLen;
+  }
+
+  startFlag () {
+    return this.blocksCompressed === 0 ? CHUNK_START : 0;
+  }
+
+  update (input) {
+    let offset = 0;
+    while (offset < input.length) {
+      // If the block buffer is full, compress it and clear it. More
+      // input is coming, so this compression is not CHUNK_END.
+      if (this.blockLen === BLOCK_LEN) {
+        const blockWords = wordsFromBlock(this.block, BLOCK_LEN);
+        this.chainingValue = compress(this.chainingValue, blockWords,
+          this.chunkCounter, BLOCK_LEN, this.startFlag()).slice(0, 8);
+        this.blocksCompressed++;
+        this.block.fill(0);
+        this.blockLen = 0;
+      }
+
+      const take = Math.min(BLOCK_LEN - this.blockLen, input.length - offset);
+      this.block.set(input.subarray(offset, offset + take), this.blockLen);
+      this.blockLen += take;
+      offset += take;
+    }
+  }
+
+  output () {
+    return new Output(this.chainingValue, wordsFromBlock(this.block, this.blockLen),
+      this.chunkCounter, this.blockLen, this.startFlag() | CHUNK_END);
+  }
+}
+
+// Incremental BLAKE3 hasher. Feed it Uint8Arrays with update(), then
+// call digest() once to get the 32-byte hash.
+export class Blake3Hasher {
+  constructor () {
+    this.key = IV;
+    this.chunkState = new ChunkState(this.key, 0);
+    this.cvStack = [];
+  }
+
+  // Merges completed subtrees. The number of trailing zero bits in
+  // totalChunks is the number of subtrees this new chunk completes.
+  addChunkChainingValue (newCv, totalChunks) {
+    while ((totalChunks % 2) === 0) {
+      newCv = parentOutput(this.cvStack.pop(), newCv, this.key).chainingValue();
+      totalChunks = Math.floor(totalChunks / 2);
+    }
+    this.cvStack.push(newCv);
+  }
+
+  update (input) {
+    let offset = 0;
+    while (offset < input.length) {
+      // If the current chunk is complete, finalize it and start a new
+      // one. More input is coming, so this chunk is not the root.
+      if (this.chunkState.len() === CHUNK_LEN) {
+        const chunkCv = this.chunkState.output().chainingValue();
+        const totalChunks = this.chunkState.chunkCounter + 1;
+        this.addChunkChainingValue(chunkCv, totalChunks);
+        this.chunkState = new ChunkState(this.key, totalChunks);
+      }
+
+      const take = Math.min(CHUNK_LEN - this.chunkState.len(), input.length - offset);
+      this.chunkState.update(input.subarray(offset, offset + take));
+      offset += take;
+    }
+  }
+
+  digest () {
+    // Starting with the output from the current chunk, compute all the
+    // parent chaining values along the right edge of the tree, until
+    // we have the root output.
+    let output = this.chunkState.output();
+    for (let i = this.cvStack.length - 1; i >= 0; i--) {
+      output = parentOutput(this.cvStack[i], output.chainingValue(), this.key);
+    }
+    return output.rootBytes();
+  }
+}
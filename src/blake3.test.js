@@ -0,0 +1,43 @@
+import { Blake3Hasher } from './blake3';
+import { toHex } from './digest';
+
+/* global expect, test, describe */
+
+// Inputs from the official BLAKE3 test vectors: a repeating byte
+// pattern of 0, 1, ..., 250, 0, 1, ...
+function testInput (length) {
+  const input = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    input[i] = i % 251;
+  }
+  return input;
+}
+
+describe('BLAKE3', () => {
+  const vectors = {
+    0: 'af1349b9f5f9a1a6a0404dea36dcc9499bcb25c9adc112b7cc9a93cae41f3262',
+    1: '2d3adedff11b61f14c886e35afa036736dcd87a74d27b5c1510225d0f592e213',
+    1023: '10108970eeda3eb932baac1428c7a2163b0e924c9a9e25b35bba72b28f70bd11',
+    1024: '42214739f095a406f3fc83deb889744ac00df831c10daa55189b5d121c855af7',
+    1025: 'd00278ae47eb27b34faecf67b4fe263f82d5412916c1ffd97c8cb7fb814b8444',
+    2049: '5f4d72f40d7a5f82b15ca2b2e44b1de3c2ef86c426c95c1af0b6879522563030',
+    8193: 'bab6c09cb8ce8cf459261398d2e7aef35700bf488116ceb94a36d0f5f1b7bc3b'
+  };
+
+  for (const [length, expected] of Object.entries(vectors)) {
+    test(`it hashes ${length} bytes in one update`, () => {
+      const hasher = new Blake3Hasher();
+      hasher.update(testInput(Number(length)));
+      expect(toHex(hasher.digest())).toBe(expected);
+    });
+
+    test(`it hashes ${length} bytes in uneven pieces`, () => {
+      const input = testInput(Number(length));
+      const hasher = new Blake3Hasher();
+      for (let i = 0; i < input.length; i += 97) {
+        hasher.update(input.subarray(i, i + 97));
+      }
+      expect(toHex(hasher.digest())).toBe(expected);
+    });
+  }
+});
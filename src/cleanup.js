@@ -0,0 +1,493 @@
+/**
+   Keeping the bucket and the database in step.
+
+   The rest of the worker relies on the CacheEntries table being a
+   superset of the bucket: a row is added before its object and
+   deleted after it. The scheduled cleanup keeps to that while it
+   deletes objects nobody has used in a while and, if MAX_CACHE_SIZE
+   is set, the least recently used ones until the cache fits in it.
+   Pinned objects are spared both; see pins.js. It also abandons
+   uploads in parts that were never finished, see multipart.js, and
+   deletes the staging objects of uploads that died, see staging.js.
+
+   Reconciliation repairs whatever broke it anyway, like an upload
+   that failed after its row was added or a deletion that was cut
+   short. It pages through the bucket and the table together and
+
+     - deletes rows whose objects are gone;
+     - gives objects without a row one, with their upload time as
+       their last use, unless that makes them stale already, in which
+       case it deletes them as orphans.
+
+   Only objects under ac/, cas/ and ns/ are looked at, and anything
+   touched within the last hour is left alone, since it may belong to
+   an upload that's still going.
+
+   It runs on the cron schedule given by RECONCILE_CRON, and on
+
+     POST /admin/reconcile
+
+   Each scheduled run looks at RECONCILE_CRON_LIMIT keys at most, and
+   the next one carries on after the last of them, starting over once
+   it's been all the way through. Where it's got to is kept in the
+   Cursors table.
+
+   which needs "Authorization: Bearer <ADMIN_SECRET>" like the rest of
+   the admin API. With ?dry_run=1 it only reports what it would do.
+   ?limit=<n> stops it after n keys, and the report's "next" is then
+   the ?start=<key> to carry on from.
+ */
+
+import { adminOnly, jsonResponse } from './admin';
+import { addAuditEntry, forgetOldAuditEntries } from './audit';
+import { forgetOldUsage } from './limits';
+import { abandonOldUploads } from './multipart';
+import { forgetExpiredPins, notPinned } from './pins';
+import { forgetOldStagedObjects } from './staging';
+import { addStats, tally } from './stats';
+import {
+  CACHE_PREFIXES, deleteKeysFromDB, isValidNamespace, nowInEpochSeconds,
+  recordObjectSize, splitObjectName
+} from './storage';
+
+/* global URL */
+
+// After this much time without being accessed, an object is
+// considered stale.
+export const STALENESS_THRESHOLD = 86400 * 14; // Two weeks in seconds
+
+// How many stale objects to delete at a time.
+export const STALE_OBJECT_BATCH_SIZE = 100;
+
+// How many keys reconciliation gets from the bucket and the database
+// at a time.
+const RECONCILE_PAGE_SIZE = 1000;
+
+// How many keys a scheduled reconciliation looks at, unless
+// RECONCILE_CRON_LIMIT says otherwise. Each page of keys takes a
+// subrequest to the bucket and one to the database.
+const DEFAULT_RECONCILE_CRON_LIMIT = 20 * RECONCILE_PAGE_SIZE;
+
+// Reconciliation leaves rows used and objects uploaded within this
+// many seconds alone.
+const RECONCILE_GRACE_PERIOD = 3600;
+
+// How many keys of each kind a reconciliation report lists.
+export const REPORTED_KEYS = 100;
+
+// Returns how long an object lasts without being used, given the
+// result of parseRetention.
+function retentionOf (retention, key) {
+  const { namespace } = splitObjectName(key);
+  return namespace in retention ? retention[namespace] : STALENESS_THRESHOLD;
+}
+
+// Generates keys for stale objects needing deletion.
+//
+// Yields batches of at most STALE_OBJECT_BATCH_SIZE. Each one is an
+// array of { key, size } rows. retention gives how long objects in
+// each namespace last; see parseRetention.
+async function * getStaleObjectsFromDB (dbHandle, retention) {
+  let marker = ''; // Largest value from last set of results
+  const now = nowInEpochSeconds();
+  // Look at everything that might be stale in some namespace, then
+  // check each one against its own namespace's retention.
+  const staleTime = now - Math.min(STALENESS_THRESHOLD, ...Object.values(retention));
+
+  while (true) {
+    const results = await dbHandle.prepare(
+      'SELECT key, size, last_used FROM CacheEntries WHERE key > ?1 AND last_used <= ?2 AND ' +
+        notPinned('?4') + ' ORDER BY key LIMIT ?3')
+      .bind(marker, staleTime, STALE_OBJECT_BATCH_SIZE, now)
+      .all();
+
+    const rows = results.results;
+    if (rows.length === 0) {
+      return;
+    }
+
+    marker = rows[rows.length - 1].key;
+    const stale = rows.filter((row) => row.last_used <= now - retentionOf(retention, row.key));
+    if (stale.length > 0) {
+      yield stale;
+    }
+  }
+}
+
+// Tallies the removal of a { key, size } row from the database in
+// byNamespace, which maps namespaces to counts for stats.js. how is
+// "expired" or "evicted".
+function tallyRemoval (byNamespace, row, how) {
+  const { namespace } = splitObjectName(row.key);
+  byNamespace[namespace] = byNamespace[namespace] || {};
+  tally(byNamespace[namespace], how + '_objects');
+  tally(byNamespace[namespace], how + '_bytes', row.size || 0);
+}
+
+// Parses NAMESPACE_RETENTION, a JSON object that gives the number of
+// days objects in some namespaces last without being used, e.g.
+// {"": 30, "scratch": 2}. "" is the default namespace, and namespaces
+// that aren't listed get STALENESS_THRESHOLD. Returns an object
+// mapping namespaces to seconds. Throws an error if the setting is
+// malformed.
+export function parseRetention (config) {
+  let days = config || {};
+  if (typeof days === 'string') {
+    try {
+      days = JSON.parse(days);
+    } catch (e) {
+      throw new Error('NAMESPACE_RETENTION is not valid JSON: ' + e.message);
+    }
+  }
+  if (days === null || typeof days !== 'object' || Array.isArray(days)) {
+    throw new Error('NAMESPACE_RETENTION must be a JSON object');
+  }
+
+  const retention = {};
+  for (const [namespace, n] of Object.entries(days)) {
+    if (namespace !== '' && !isValidNamespace(namespace)) {
+      throw new Error(`NAMESPACE_RETENTION: invalid namespace "${namespace}"`);
+    }
+    if (typeof n !== 'number' || !(n > 0)) {
+      throw new Error(`NAMESPACE_RETENTION: "${namespace}" needs a positive number of days`);
+    }
+    retention[namespace] = Math.round(n * 86400);
+  }
+  return retention;
+}
+
+// Parses a size like "500000", "20GB" or "1.5 TiB" into a number of
+// bytes. Returns null if it's malformed.
+function parseByteSize (text) {
+  const match = /^(\d+(?:\.\d+)?) *(?:([KMGT])(i?)B|B)?$/i.exec(String(text).trim());
+  if (!match) {
+    return null;
+  }
+  const exponent = match[2] ? 'KMGT'.indexOf(match[2].toUpperCase()) + 1 : 0;
+  const base = match[3] ? 1024 : 1000;
+  return Math.floor(parseFloat(match[1]) * base ** exponent);
+}
+
+// Returns the total size of everything in the cache, going by the
+// database.
+async function totalCacheSize (dbHandle) {
+  const row = await dbHandle.prepare('SELECT COALESCE(SUM(size), 0) AS total FROM CacheEntries')
+    .first();
+  return row.total;
+}
+
+// Looks up the sizes of objects whose rows don't have one. Those come
+// from before sizes were recorded, and they'd otherwise count as
+// nothing towards the size budget. Does at most a few batches per run
+// so as not to run out of subrequests.
+async function fillInMissingSizes (env) {
+  for (let i = 0; i < 10; i++) {
+    const results = await env.__D1_BETA__DB.prepare(
+      'SELECT key FROM CacheEntries WHERE size IS NULL LIMIT ?1')
+      .bind(STALE_OBJECT_BATCH_SIZE)
+      .all();
+    const keys = results.results.map((row) => row.key);
+    if (keys.length === 0) {
+      return;
+    }
+    await Promise.all(keys.map(async (key) => {
+      // A row can outlive its object; those take up no space.
+      const obj = await env.BUCKET.head(key);
+      await recordObjectSize(env.__D1_BETA__DB, key, obj ? obj.size : 0);
+    }));
+  }
+}
+
+// Deletes the least recently used objects until the cache takes up
+// at most maxSize bytes. Returns how many objects and bytes it freed.
+// They're also tallied by namespace in byNamespace.
+async function evictLeastRecentlyUsed (env, maxSize, byNamespace) {
+  const dbHandle = env.__D1_BETA__DB;
+  const freed = { objects: 0, bytes: 0 };
+  let total = await totalCacheSize(dbHandle);
+
+  while (total > maxSize) {
+    const results = await dbHandle.prepare(
+      'SELECT key, size FROM CacheEntries WHERE ' + notPinned('?2') + ' ORDER BY last_used, key LIMIT ?1')
+      .bind(STALE_OBJECT_BATCH_SIZE, nowInEpochSeconds())
+      .all();
+    const rows = results.results;
+    if (rows.length === 0) {
+      break;
+    }
+
+    const keys = [];
+    for (const row of rows) {
+      if (total <= maxSize) {
+        break;
+      }
+      keys.push(row.key);
+      total -= row.size || 0;
+      freed.bytes += row.size || 0;
+      tallyRemoval(byNamespace, row, 'evicted');
+    }
+
+    // Bucket first, then database, as in the stale object cleanup.
+    await env.BUCKET.delete(keys);
+    await deleteKeysFromDB(dbHandle, keys);
+    freed.objects += keys.length;
+  }
+  return freed;
+}
+
+// Deletes stale objects, then, if MAX_CACHE_SIZE is set, the least
+// recently used ones until the cache fits in it. Returns how many
+// objects and bytes each of those freed, and how many abandoned
+// uploads were cleaned up, which also go in the audit log.
+export async function cleanUp (env) {
+  const retention = parseRetention(env.NAMESPACE_RETENTION);
+  const byNamespace = {};
+  const expired = { objects: 0, bytes: 0 };
+  for await (const rows of getStaleObjectsFromDB(env.__D1_BETA__DB, retention)) {
+    const keys = rows.map((row) => row.key);
+
+    // handlePut creates the DB entry before the object to ensure
+    // that the DB is a superset of the bucket. We delete from R2
+    // before the DB for the same reason.
+    await env.BUCKET.delete(keys);
+
+    await deleteKeysFromDB(env.__D1_BETA__DB, keys);
+    expired.objects += keys.length;
+    expired.bytes += rows.reduce((sum, row) => sum + (row.size || 0), 0);
+    rows.forEach((row) => tallyRemoval(byNamespace, row, 'expired'));
+  }
+
+  let evicted = { objects: 0, bytes: 0 };
+  if (env.MAX_CACHE_SIZE) {
+    const maxSize = parseByteSize(env.MAX_CACHE_SIZE);
+    if (maxSize === null) {
+      throw new Error('Malformed MAX_CACHE_SIZE: ' + env.MAX_CACHE_SIZE);
+    }
+    await fillInMissingSizes(env);
+    evicted = await evictLeastRecentlyUsed(env, maxSize, byNamespace);
+  }
+
+  for (const [namespace, counts] of Object.entries(byNamespace)) {
+    await addStats(env.__D1_BETA__DB, null, namespace, counts);
+  }
+  const abandoned = await abandonOldUploads(env);
+  await forgetOldStagedObjects(env);
+  await forgetExpiredPins(env.__D1_BETA__DB);
+  await forgetOldUsage(env.__D1_BETA__DB);
+  await forgetOldAuditEntries(env.__D1_BETA__DB);
+  await addAuditEntry(env.__D1_BETA__DB, { action: 'cleanup', details: { expired, evicted, abandoned } });
+  return { expired, evicted, abandoned };
+}
+
+// Returns the smallest string that comes after every string starting
+// with prefix.
+export function prefixEnd (prefix) {
+  return prefix.slice(0, -1) + String.fromCharCode(prefix.charCodeAt(prefix.length - 1) + 1);
+}
+
+// Generates every key that starts with prefix, comes after marker and
+// is in the bucket, the database or both, in order. Yields
+// { key, object, row }, where object is the bucket's listing of it
+// and row its CacheEntries row, either of them null if it's missing.
+async function * walkCacheKeys (env, prefix, marker) {
+  const end = prefixEnd(prefix);
+  while (true) {
+    const listing = await env.BUCKET.list({
+      prefix, startAfter: marker || undefined, limit: RECONCILE_PAGE_SIZE
+    });
+    const results = await env.__D1_BETA__DB.prepare(
+      'SELECT key, last_used FROM CacheEntries WHERE key > ?1 AND key >= ?2 AND key < ?3 ORDER BY key LIMIT ?4')
+      .bind(marker, prefix, end, RECONCILE_PAGE_SIZE)
+      .all();
+    const objects = listing.objects;
+    const rows = results.results;
+
+    // Past the end of a full page, the other side may have keys that
+    // this side hasn't got to yet, so stop at the end of the shorter
+    // one.
+    let last = null;
+    if (listing.truncated && objects.length > 0) {
+      last = objects[objects.length - 1].key;
+    }
+    if (rows.length === RECONCILE_PAGE_SIZE) {
+      const key = rows[rows.length - 1].key;
+      last = last === null || key < last ? key : last;
+    }
+    const inPage = (key) => last === null || key <= last;
+
+    const entries = new Map();
+    for (const object of objects.filter((o) => inPage(o.key))) {
+      entries.set(object.key, { key: object.key, object, row: null });
+    }
+    for (const row of rows.filter((r) => inPage(r.key))) {
+      entries.set(row.key, { key: row.key, object: null, ...entries.get(row.key), row });
+    }
+    for (const key of [...entries.keys()].sort()) {
+      yield entries.get(key);
+    }
+
+    if (last === null) {
+      return;
+    }
+    marker = last;
+  }
+}
+
+// Adds rows for objects that the database doesn't know about. objects
+// are listings from the bucket.
+async function trackObjects (dbHandle, objects) {
+  // An upload may have added a row since we looked; that one's newer.
+  const insert = dbHandle.prepare(
+    'INSERT INTO CacheEntries (key, last_used, size) VALUES (?1, ?2, ?3) ON CONFLICT(key) DO NOTHING');
+  await dbHandle.batch(objects.map((object) =>
+    insert.bind(object.key, Math.floor(object.uploaded.getTime() / 1000), object.size)));
+}
+
+// Generates what walkCacheKeys does for every key under the cache's
+// prefixes that comes after start.
+async function * walkCache (env, start) {
+  for (const prefix of CACHE_PREFIXES) {
+    if (start < prefixEnd(prefix)) {
+      yield * walkCacheKeys(env, prefix, start > prefix ? start : '');
+    }
+  }
+}
+
+// Finds where the bucket and the database disagree and, unless dryRun
+// is set, fixes it. Starts after the key start and stops after looking
+// at limit keys. Returns a report of what it found; see README.md.
+// request is the admin request that asked for it, if any.
+export async function reconcile (env, { dryRun = false, start = '', limit = Infinity, request = null } = {}) {
+  const retention = parseRetention(env.NAMESPACE_RETENTION);
+  const now = nowInEpochSeconds();
+  const report = {
+    dry_run: dryRun,
+    checked: 0,
+    orphaned_objects: { count: 0, keys: [] },
+    missing_objects: { count: 0, keys: [] },
+    untracked_objects: { count: 0, keys: [] },
+    next: null
+  };
+  const orphaned = [];
+  const missing = [];
+  const untracked = [];
+
+  const note = (kind, key) => {
+    report[kind].count++;
+    if (report[kind].keys.length < REPORTED_KEYS) {
+      report[kind].keys.push(key);
+    }
+  };
+
+  // Carries out what's been found so far. Orphans go from the bucket
+  // before the database learns of anything else, as in the cleanup.
+  const fix = async (atLeast) => {
+    if (dryRun || orphaned.length + missing.length + untracked.length < atLeast) {
+      return;
+    }
+    if (orphaned.length > 0) {
+      await env.BUCKET.delete(orphaned.splice(0));
+    }
+    if (missing.length > 0) {
+      await deleteKeysFromDB(env.__D1_BETA__DB, missing.splice(0));
+    }
+    if (untracked.length > 0) {
+      await trackObjects(env.__D1_BETA__DB, untracked.splice(0));
+    }
+  };
+
+  let finished = true;
+  for await (const { key, object, row } of walkCache(env, start)) {
+    if (report.checked >= limit) {
+      finished = false;
+      break;
+    }
+    report.checked++;
+    report.next = key;
+
+    if (object && !row) {
+      const uploaded = Math.floor(object.uploaded.getTime() / 1000);
+      if (uploaded > now - RECONCILE_GRACE_PERIOD) {
+        continue;
+      }
+      if (uploaded <= now - retentionOf(retention, key)) {
+        note('orphaned_objects', key);
+        orphaned.push(key);
+      } else {
+        note('untracked_objects', key);
+        untracked.push(object);
+      }
+    } else if (row && !object && row.last_used <= now - RECONCILE_GRACE_PERIOD) {
+      note('missing_objects', key);
+      missing.push(key);
+    }
+    await fix(STALE_OBJECT_BATCH_SIZE);
+  }
+  await fix(1);
+  if (finished) {
+    report.next = null;
+  }
+
+  if (!dryRun) {
+    const { checked, orphaned_objects: o, missing_objects: m, untracked_objects: u } = report;
+    await addAuditEntry(env.__D1_BETA__DB, {
+      action: 'reconcile',
+      request,
+      details: { checked, orphaned_objects: o.count, missing_objects: m.count, untracked_objects: u.count }
+    });
+  }
+  return report;
+}
+
+// Parses RECONCILE_CRON_LIMIT, a number of keys. Throws an error if
+// it's malformed.
+function parseCronLimit (config) {
+  if (config === undefined || config === '') {
+    return DEFAULT_RECONCILE_CRON_LIMIT;
+  }
+  const limit = Number(config);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('Malformed RECONCILE_CRON_LIMIT: ' + config);
+  }
+  return limit;
+}
+
+// Reconciles the next RECONCILE_CRON_LIMIT keys after where the last
+// scheduled run stopped, and notes where this one did. Returns the
+// report, as for reconcile.
+export async function reconcileOnSchedule (env) {
+  const db = env.__D1_BETA__DB;
+  const start = await db.prepare("SELECT next FROM Cursors WHERE name = 'reconcile'").first('next');
+  const report = await reconcile(env, { start: start || '', limit: parseCronLimit(env.RECONCILE_CRON_LIMIT) });
+  await db.prepare(
+    "INSERT INTO Cursors (name, next) VALUES ('reconcile', ?1) ON CONFLICT(name) DO UPDATE SET next=excluded.next")
+    .bind(report.next || '')
+    .run();
+  return report;
+}
+
+// Parses the ?dry_run, ?start and ?limit query parameters that admin
+// requests going through the cache a batch at a time take. Returns
+// { dryRun, start, limit }, or { error } if they're malformed.
+export function parseBatchQuery (request) {
+  const params = new URL(request.url).searchParams;
+  const dryRun = params.has('dry_run') && !['0', 'false'].includes(params.get('dry_run'));
+  const start = params.get('start') || '';
+  let limit = Infinity;
+  if (params.has('limit')) {
+    limit = Number(params.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: '"limit" must be a positive whole number' };
+    }
+  }
+  return { dryRun, start, limit };
+}
+
+// POST /admin/reconcile
+export const reconcileBucket = adminOnly(async (request, env) => {
+  const query = parseBatchQuery(request);
+  if (query.error) {
+    return jsonResponse({ error: query.error }, 400);
+  }
+  return jsonResponse(await reconcile(env, { ...query, request }));
+});
@@ -0,0 +1,217 @@
+import { jest } from '@jest/globals';
+import worker from './index';
+import { migrate } from './schema';
+import { STAGING_EXPIRY } from './staging';
+
+/* global expect, test, beforeAll, beforeEach, afterEach, getMiniflareBindings,
+   ExecutionContext, describe */
+
+describe('reconciliation', () => {
+  let env;
+  const adminSecret = 'for the admins';
+  const ctx = new ExecutionContext();
+  const realNow = Date.now();
+
+  beforeAll(async () => {
+    env = {
+      ...getMiniflareBindings(),
+      ADMIN_SECRET: adminSecret,
+      NAMESPACE_RETENTION: '{"scratch": 1}',
+      RECONCILE_CRON: '41 4 * * 0'
+    };
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(async () => {
+    await env.__D1_BETA__DB.exec('DELETE FROM CacheEntries');
+    await env.__D1_BETA__DB.exec('DELETE FROM Cursors');
+    const listing = await env.BUCKET.list();
+    await env.BUCKET.delete(listing.objects.map((o) => o.key));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Makes it be some hours after the test started.
+  function hoursLater (hours) {
+    jest.spyOn(Date, 'now').mockImplementation(() => realNow + hours * 3600 * 1000);
+  }
+
+  async function addRow (key, lastUsed = Math.floor(realNow / 1000), size = 1) {
+    await env.__D1_BETA__DB.prepare('INSERT INTO CacheEntries (key, last_used, size) VALUES (?1, ?2, ?3)')
+      .bind(key, lastUsed, size)
+      .run();
+  }
+
+  async function getRow (key) {
+    return await env.__D1_BETA__DB.prepare('SELECT last_used, size FROM CacheEntries WHERE key = ?1')
+      .bind(key)
+      .first();
+  }
+
+  async function reconcile (query = '', secret = adminSecret) {
+    const req = new Request('https://localhost/admin/reconcile' + query, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer ' + secret }
+    });
+    return await worker.fetch(req, env, ctx);
+  }
+
+  // Sets up one of each kind of disagreement, plus things that agree.
+  async function disagree () {
+    await env.BUCKET.put('ac/tracked', 'fine');
+    await addRow('ac/tracked');
+    await env.BUCKET.put('cas/untracked', 'no row');
+    await env.BUCKET.put('ns/scratch/cas/orphaned', 'no row and old');
+    await addRow('cas/missing');
+    await env.BUCKET.put('tokens/laptop', 'not a cache object');
+    hoursLater(30);
+  }
+
+  test('it needs the admin secret', async () => {
+    expect((await reconcile('', 'a good guess')).status).toBe(401);
+  });
+
+  test('it reports what it would do in a dry run', async () => {
+    await disagree();
+
+    const resp = await reconcile('?dry_run=1');
+    expect(resp.status).toBe(200);
+    const report = await resp.json();
+    expect(report.dry_run).toBe(true);
+    expect(report.checked).toBe(4);
+    expect(report.orphaned_objects).toEqual({ count: 1, keys: ['ns/scratch/cas/orphaned'] });
+    expect(report.missing_objects).toEqual({ count: 1, keys: ['cas/missing'] });
+    expect(report.untracked_objects).toEqual({ count: 1, keys: ['cas/untracked'] });
+    expect(report.next).toBe(null);
+
+    expect(await env.BUCKET.head('ns/scratch/cas/orphaned')).not.toBe(null);
+    expect(await getRow('cas/missing')).not.toBe(null);
+    expect(await getRow('cas/untracked')).toBe(null);
+  });
+
+  test('it fixes what it finds', async () => {
+    await disagree();
+    const uploaded = (await env.BUCKET.head('cas/untracked')).uploaded;
+
+    const report = await (await reconcile()).json();
+    expect(report.dry_run).toBe(false);
+    expect(report.orphaned_objects.count).toBe(1);
+
+    expect(await env.BUCKET.head('ns/scratch/cas/orphaned')).toBe(null);
+    expect(await getRow('cas/missing')).toBe(null);
+    expect(await getRow('cas/untracked')).toEqual({
+      last_used: Math.floor(uploaded.getTime() / 1000),
+      size: 'no row'.length
+    });
+    expect(await env.BUCKET.head('ac/tracked')).not.toBe(null);
+    expect(await env.BUCKET.head('tokens/laptop')).not.toBe(null);
+
+    const again = await (await reconcile()).json();
+    expect(again.orphaned_objects.count + again.missing_objects.count + again.untracked_objects.count).toBe(0);
+  });
+
+  test('it leaves recent uploads alone', async () => {
+    await env.BUCKET.put('cas/being-uploaded', 'no row yet');
+    await addRow('cas/uploading');
+
+    const report = await (await reconcile()).json();
+    expect(report.checked).toBe(2);
+    expect(report.missing_objects.count).toBe(0);
+    expect(report.untracked_objects.count).toBe(0);
+    expect(await getRow('cas/uploading')).not.toBe(null);
+  });
+
+  test('it can be done a bit at a time', async () => {
+    await disagree();
+
+    const first = await (await reconcile('?limit=2')).json();
+    expect(first.checked).toBe(2);
+    expect(first.next).toBe('cas/missing');
+    expect(first.missing_objects.count).toBe(1);
+    expect(first.untracked_objects.count).toBe(0);
+
+    const second = await (await reconcile('?limit=1&start=' + first.next)).json();
+    expect(second.checked).toBe(1);
+    expect(second.untracked_objects.keys).toEqual(['cas/untracked']);
+    expect(second.next).toBe('cas/untracked');
+
+    const last = await (await reconcile('?start=' + second.next)).json();
+    expect(last.checked).toBe(1);
+    expect(last.orphaned_objects.keys).toEqual(['ns/scratch/cas/orphaned']);
+    expect(last.next).toBe(null);
+  });
+
+  test('it rejects a malformed limit', async () => {
+    expect((await reconcile('?limit=lots')).status).toBe(400);
+    expect((await reconcile('?limit=0')).status).toBe(400);
+  });
+
+  test('it pages through the bucket and the database together', async () => {
+    // More rows than fit in a page, with objects spread among them.
+    const values = [];
+    for (let i = 0; i < 1500; i++) {
+      values.push(`('cas/${String(i).padStart(4, '0')}', ${Math.floor(realNow / 1000)}, 1)`);
+    }
+    await env.__D1_BETA__DB.exec('INSERT INTO CacheEntries (key, last_used, size) VALUES ' + values.join(', '));
+    for (let i = 0; i < 1500; i += 100) {
+      await env.BUCKET.put(`cas/${String(i).padStart(4, '0')}`, 'x');
+      await env.BUCKET.put(`cas/${String(i).padStart(4, '0')}-untracked`, 'x');
+    }
+    hoursLater(2);
+
+    const report = await (await reconcile('?dry_run=1')).json();
+    expect(report.checked).toBe(1515);
+    expect(report.missing_objects.count).toBe(1500 - 15);
+    expect(report.untracked_objects.count).toBe(15);
+  });
+
+  test('it runs on its own cron schedule', async () => {
+    await disagree();
+
+    const cleanup = await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+    expect(cleanup.expired).toBeDefined();
+    expect(await getRow('cas/missing')).not.toBe(null);
+
+    const report = await worker.scheduled({ cron: env.RECONCILE_CRON }, env, ctx);
+    expect(report.missing_objects.count).toBe(1);
+    expect(await getRow('cas/missing')).toBe(null);
+  });
+
+  test('each scheduled run carries on where the last one stopped', async () => {
+    await disagree();
+    const limited = { ...env, RECONCILE_CRON_LIMIT: '2' };
+
+    const first = await worker.scheduled({ cron: env.RECONCILE_CRON }, limited, ctx);
+    expect(first.checked).toBe(2);
+    expect(first.missing_objects.keys).toEqual(['cas/missing']);
+    expect(await getRow('cas/untracked')).toBe(null);
+
+    const second = await worker.scheduled({ cron: env.RECONCILE_CRON }, limited, ctx);
+    expect(second.checked).toBe(2);
+    expect(second.untracked_objects.keys).toEqual(['cas/untracked']);
+    expect(second.orphaned_objects.keys).toEqual(['ns/scratch/cas/orphaned']);
+    expect(await getRow('cas/untracked')).not.toBe(null);
+    expect(second.next).toBe(null);
+
+    // Then it starts over, with what's left.
+    const third = await worker.scheduled({ cron: env.RECONCILE_CRON }, limited, ctx);
+    expect(third.checked).toBe(2);
+    expect(third.untracked_objects.count).toBe(0);
+  });
+
+  test('the cleanup deletes staging objects that were left behind', async () => {
+    await env.BUCKET.put('staging/left-behind', 'unchecked');
+    hoursLater(2);
+    await worker.scheduled({ cron: env.RECONCILE_CRON }, env, ctx);
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+    // They aren't cache entries, and it could still be being checked.
+    expect(await env.BUCKET.head('staging/left-behind')).not.toBe(null);
+    expect(await getRow('staging/left-behind')).toBe(null);
+
+    hoursLater(STAGING_EXPIRY / 3600 + 1);
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+    expect(await env.BUCKET.head('staging/left-behind')).toBe(null);
+  });
+});
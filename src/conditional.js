@@ -0,0 +1,134 @@
+/**
+   Conditional requests: If-None-Match on downloads, and If-Match and
+   If-None-Match on uploads, compared against the ETags R2 gives
+   objects.
+
+   A download whose If-None-Match names the object's current ETag gets
+   a 304 Not Modified without the body. An upload whose preconditions
+   don't hold is refused with a 412 Precondition Failed and leaves the
+   object alone, so "If-None-Match: *" only ever creates an entry and
+   "If-Match: <etag>" only replaces the version the writer has seen.
+
+   AC entries in the namespaces listed in AC_FIRST_WRITER_WINS can't be
+   overwritten, unless the writer asks for that with If-Match, or the
+   entry is incomplete because a blob it refers to is gone. Such an
+   entry is a miss for good otherwise, since Bazel would upload it
+   again and again and be refused each time.
+ */
+
+import { actionResultIsComplete, isValidNamespace } from './storage';
+
+// Parses an If-Match or If-None-Match header. Returns "*", or a list
+// of the entity tags it names without their quotes, or null if the
+// header is missing. Weak tags count as their strong selves, since
+// R2 only hands out strong ones.
+export function parseEntityTags (header) {
+  if (header === null || header === undefined) {
+    return null;
+  }
+  if (header.trim() === '*') {
+    return '*';
+  }
+  return header.split(',')
+    .map((tag) => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter((tag) => tag !== '');
+}
+
+// Whether a download with the given headers can be answered with a
+// 304 for an object whose ETag (with quotes, as in R2's httpEtag) is
+// etag.
+export function notModified (headers, etag) {
+  const tags = parseEntityTags(headers.get('If-None-Match'));
+  if (tags === null || !etag) {
+    return false;
+  }
+  return tags === '*' || tags.includes(etag.replace(/^"(.*)"$/, '$1'));
+}
+
+// Returns the preconditions of an upload as { ifMatch, ifNoneMatch },
+// each being what parseEntityTags returns, or null if there are none.
+export function uploadPreconditions (headers) {
+  const ifMatch = parseEntityTags(headers.get('If-Match'));
+  const ifNoneMatch = parseEntityTags(headers.get('If-None-Match'));
+  if (ifMatch === null && ifNoneMatch === null) {
+    return null;
+  }
+  return { ifMatch, ifNoneMatch };
+}
+
+// Whether preconditions hold for an object, given its metadata, or
+// null if there's no such object.
+export function preconditionsHold ({ ifMatch, ifNoneMatch }, meta) {
+  if (ifMatch !== null && !(meta && (ifMatch === '*' || ifMatch.includes(meta.etag)))) {
+    return false;
+  }
+  if (ifNoneMatch !== null && meta && (ifNoneMatch === '*' || ifNoneMatch.includes(meta.etag))) {
+    return false;
+  }
+  return true;
+}
+
+// Returns the R2Conditional for bucket.put that makes it check
+// preconditions as it writes, so that a writer that checked them
+// first can't lose a race with another. R2 has no way to say "*", but
+// every object was uploaded after the epoch, so "uploaded before it"
+// means there's no object and "uploaded after it" means there is.
+export function putConditional ({ ifMatch, ifNoneMatch }) {
+  const epoch = new Date(0);
+  const onlyIf = {};
+  if (ifMatch === '*') {
+    onlyIf.uploadedAfter = epoch;
+  } else if (ifMatch !== null) {
+    onlyIf.etagMatches = ifMatch;
+  }
+  if (ifNoneMatch === '*') {
+    onlyIf.uploadedBefore = epoch;
+  } else if (ifNoneMatch !== null) {
+    onlyIf.etagDoesNotMatch = ifNoneMatch;
+  }
+  return onlyIf;
+}
+
+// Parses AC_FIRST_WRITER_WINS, a JSON list of the namespaces whose AC
+// entries can't be overwritten, e.g. ["", "release"], "" being the
+// default namespace. Throws an error if it's malformed.
+export function parseFirstWriterWins (config) {
+  let namespaces = config || [];
+  if (typeof namespaces === 'string') {
+    try {
+      namespaces = JSON.parse(namespaces);
+    } catch (e) {
+      throw new Error('AC_FIRST_WRITER_WINS is not valid JSON: ' + e.message);
+    }
+  }
+  if (!Array.isArray(namespaces)) {
+    throw new Error('AC_FIRST_WRITER_WINS must be a JSON list');
+  }
+  for (const namespace of namespaces) {
+    if (namespace !== '' && !isValidNamespace(namespace)) {
+      throw new Error(`AC_FIRST_WRITER_WINS: invalid namespace "${namespace}"`);
+    }
+  }
+  return namespaces;
+}
+
+// Whether the first writer of an AC entry in namespace wins.
+export function firstWriterWins (env, namespace) {
+  return parseFirstWriterWins(env.AC_FIRST_WRITER_WINS).includes(namespace);
+}
+
+// Returns the preconditions under which the AC entry key can be
+// written where the first writer wins: that there's still no entry,
+// if there's none, or that it's still the incomplete one that's
+// there. Returns null if the entry is complete, so it has to stay.
+export async function firstWriterPreconditions (bucket, key, digestFn, namespace) {
+  const obj = await bucket.get(key);
+  if (!obj) {
+    return { ifMatch: null, ifNoneMatch: '*' };
+  }
+  const contents = new Uint8Array(await obj.arrayBuffer());
+  if (await actionResultIsComplete(contents, digestFn, bucket, namespace)) {
+    return null;
+  }
+  return { ifMatch: [obj.etag], ifNoneMatch: null };
+}
@@ -0,0 +1,49 @@
+import {
+  notModified, parseEntityTags, parseFirstWriterWins, preconditionsHold, putConditional, uploadPreconditions
+} from './conditional';
+
+/* global expect, test, describe, Headers */
+
+describe('conditional requests', () => {
+  const meta = { etag: 'abc', httpEtag: '"abc"' };
+
+  test('it parses lists of entity tags', () => {
+    expect(parseEntityTags(null)).toBe(null);
+    expect(parseEntityTags(' * ')).toBe('*');
+    expect(parseEntityTags('"abc", W/"def",,"ghi"')).toEqual(['abc', 'def', 'ghi']);
+  });
+
+  test('it knows when a download has not changed', () => {
+    expect(notModified(new Headers({ 'If-None-Match': '"abc"' }), '"abc"')).toBe(true);
+    expect(notModified(new Headers({ 'If-None-Match': '*' }), '"abc"')).toBe(true);
+    expect(notModified(new Headers({ 'If-None-Match': '"def"' }), '"abc"')).toBe(false);
+    expect(notModified(new Headers(), '"abc"')).toBe(false);
+    expect(notModified(new Headers({ 'If-None-Match': '*' }), null)).toBe(false);
+  });
+
+  test('it checks the preconditions of uploads', () => {
+    const check = (headers, object) => preconditionsHold(uploadPreconditions(new Headers(headers)), object);
+    expect(uploadPreconditions(new Headers())).toBe(null);
+    expect(check({ 'If-Match': '"abc"' }, meta)).toBe(true);
+    expect(check({ 'If-Match': '"def"' }, meta)).toBe(false);
+    expect(check({ 'If-Match': '*' }, null)).toBe(false);
+    expect(check({ 'If-None-Match': '*' }, meta)).toBe(false);
+    expect(check({ 'If-None-Match': '"def"' }, meta)).toBe(true);
+    expect(check({ 'If-None-Match': '"abc"' }, null)).toBe(true);
+  });
+
+  test('it turns preconditions into R2 conditions', () => {
+    expect(putConditional({ ifMatch: ['abc'], ifNoneMatch: '*' }))
+      .toEqual({ etagMatches: ['abc'], uploadedBefore: new Date(0) });
+    expect(putConditional({ ifMatch: '*', ifNoneMatch: ['def'] }))
+      .toEqual({ uploadedAfter: new Date(0), etagDoesNotMatch: ['def'] });
+  });
+
+  test('it parses the first-writer-wins setting', () => {
+    expect(parseFirstWriterWins(undefined)).toEqual([]);
+    expect(parseFirstWriterWins('["", "release"]')).toEqual(['', 'release']);
+    expect(() => parseFirstWriterWins('["ac"]')).toThrow(/invalid namespace "ac"/);
+    expect(() => parseFirstWriterWins('release')).toThrow(/not valid JSON/);
+    expect(() => parseFirstWriterWins('{}')).toThrow(/must be a JSON list/);
+  });
+});
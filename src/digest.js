@@ -0,0 +1,97 @@
+/**
+   Digest functions used to verify CAS content. These correspond to
+   the values Bazel accepts for --digest_function.
+ */
+
+import { Blake3Hasher } from './blake3';
+
+/* global crypto, FixedLengthStream, TransformStream */
+
+// Wraps crypto.DigestStream so it has the same update/digest
+// interface as Blake3Hasher.
+class WebCryptoHasher {
+  constructor (algorithm) {
+    this.stream = new crypto.DigestStream(algorithm);
+    this.writer = this.stream.getWriter();
+  }
+
+  async update (chunk) {
+    await this.writer.write(chunk);
+  }
+
+  async digest () {
+    await this.writer.close();
+    return new Uint8Array(await this.stream.digest);
+  }
+}
+
+const DIGEST_FUNCTIONS = {
+  sha256: {
+    name: 'sha256',
+    hashLength: 32,
+    createHasher: () => new WebCryptoHasher('SHA-256')
+  },
+  sha1: {
+    name: 'sha1',
+    hashLength: 20,
+    createHasher: () => new WebCryptoHasher('SHA-1')
+  },
+  blake3: {
+    name: 'blake3',
+    hashLength: 32,
+    createHasher: () => new Blake3Hasher()
+  }
+};
+
+export const DEFAULT_DIGEST_FUNCTION = 'sha256';
+
+// Looks up a digest function by its (case-insensitive) Bazel name.
+// Returns null if we don't support it.
+export function getDigestFunction (name) {
+  const digestFn = DIGEST_FUNCTIONS[(name || DEFAULT_DIGEST_FUNCTION).toLowerCase()];
+  return digestFn || null;
+}
+
+// Returns true if hash looks like a hex digest from digestFn. Bazel
+// always sends lowercase hex.
+export function isWellFormedHash (digestFn, hash) {
+  return hash.length === digestFn.hashLength * 2 && /^[0-9a-f]*$/.test(hash);
+}
+
+export function toHex (bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// The inverse of toHex. Either case is fine. Returns null if hex isn't
+// an even number of hex digits.
+export function fromHex (hex) {
+  if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+    return null;
+  }
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+// Passes stream through unchanged while feeding every chunk to
+// hasher. Once the returned stream has been fully read, hasher.digest()
+// gives the digest of everything that went through it.
+//
+// If length is known, the result is a FixedLengthStream so that R2
+// will accept it; R2 refuses streams of unknown length. This also
+// means a body shorter than its Content-Length fails the upload.
+export function hashThrough (stream, hasher, length) {
+  const hashed = stream.pipeThrough(new TransformStream({
+    async transform (chunk, controller) {
+      await hasher.update(chunk);
+      controller.enqueue(chunk);
+    }
+  }));
+
+  if (length === null || length === undefined) {
+    return hashed;
+  }
+  return hashed.pipeThrough(new FixedLengthStream(length));
+}
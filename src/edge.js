@@ -0,0 +1,66 @@
+/**
+   A read-through tier in front of the bucket, in the Workers cache
+   of whichever Cloudflare data center a request comes through.
+
+   Only CAS blobs go in it. They're named by the digest of their
+   contents, so a copy can't go out of date, and many CI jobs tend to
+   want the same ones at the same moment. Action cache entries can be
+   overwritten, and have to be checked for missing outputs each time
+   they're served, so they never do.
+
+   Entries are keyed by object name, not request URL, and only looked
+   up once a request is authorized, so this doesn't change who can
+   read what. Note that the Cache API does nothing on workers.dev;
+   the worker needs a custom domain for this to help.
+ */
+
+/* global caches, Headers, Request, Response, URL */
+
+// How long the edge keeps a blob, in seconds. It may well drop it
+// sooner.
+export const EDGE_CACHE_TTL = 86400 * 30;
+
+// Objects bigger than this are too big for the Cache API.
+const EDGE_CACHE_MAX_SIZE = 512 * 1024 * 1024;
+
+// Returns the request that an object is cached under. It's on the
+// worker's own host, as the Cache API requires, but under a path that
+// no request is routed to.
+function edgeCacheRequest (request, key) {
+  return new Request(new URL('/.edge-cache/' + key, request.url).toString());
+}
+
+// Looks for an object in the edge cache. Returns { body, size,
+// httpEtag }, or null if it isn't there.
+export async function matchEdge (request, key) {
+  const cached = await caches.default.match(edgeCacheRequest(request, key));
+  if (!cached) {
+    return null;
+  }
+  return {
+    body: cached.body,
+    size: parseInt(cached.headers.get('Content-Length'), 10),
+    httpEtag: cached.headers.get('ETag')
+  };
+}
+
+// Puts an object just read from the bucket in the edge cache, without
+// making the response wait for it. Returns the body to send in its
+// place, since the object's own is read to fill the cache.
+export function fillEdge (request, ctx, key, obj) {
+  if (obj.size > EDGE_CACHE_MAX_SIZE) {
+    return obj.body;
+  }
+  const [body, copy] = obj.body.tee();
+  const cached = new Response(copy, {
+    headers: new Headers({
+      'Cache-Control': `public, max-age=${EDGE_CACHE_TTL}, immutable`,
+      'Content-Length': obj.size.toString(),
+      ETag: obj.httpEtag
+    })
+  });
+  // A blob that doesn't make it into the cache will be read from the
+  // bucket next time, which is no worse than before.
+  ctx.waitUntil(caches.default.put(edgeCacheRequest(request, key), cached).catch(() => {}));
+  return body;
+}
@@ -0,0 +1,759 @@
+/**
+   The Remote Execution API's cache services (ActionCache,
+   ContentAddressableStorage and Capabilities) plus ByteStream, spoken
+   over gRPC-Web.
+
+   Plain gRPC sends its status in HTTP trailers, which a worker can't
+   produce. gRPC-Web puts the status in a final frame of the response
+   body instead, so that's what we speak. Clients that only speak
+   plain gRPC, Bazel among them, need a gRPC-Web proxy in front.
+
+   Everything here uses the same bucket layout and CacheEntries
+   bookkeeping as the HTTP cache in index.js; see storage.js. A
+   request's instance_name is the namespace it works in, so
+   "--remote_instance_name=team" sees the same entries as the HTTP
+   cache at /team/. Hits, misses and uploads count in the same stats
+   too; see stats.js. FindMissingBlobs doesn't count as either a hit
+   or a miss, since writers use it to decide what to upload.
+ */
+
+import { recordAudit } from './audit';
+import { firstWriterPreconditions, firstWriterWins, putConditional } from './conditional';
+import { hashThrough, isWellFormedHash, toHex } from './digest';
+import { admitUpload } from './limits';
+import { decode, encode, ProtobufError } from './protobuf';
+import {
+  BatchReadBlobsRequest, BatchReadBlobsResponse, BatchUpdateBlobsRequest,
+  BatchUpdateBlobsResponse, Compressor, decodeActionResult, DigestFunctionValue,
+  FindMissingBlobsRequest, FindMissingBlobsResponse, GetActionResultRequest,
+  GetCapabilitiesRequest, parseResourceName, ReadRequest, ReadResponse,
+  serverCapabilities, ServerCapabilities, UpdateActionResultRequest,
+  WriteRequest, WriteResponse
+} from './reapi';
+import {
+  acObjectName, actionResultIsComplete, casObjectName, findBlob,
+  isValidNamespace, recordObject, recordObjectSize, touchObject,
+  zstdObjectName
+} from './storage';
+import { DigestMismatchError, storeCheckedBlob } from './staging';
+import { recordStats, tally } from './stats';
+import { READ, tokenAllows, WRITE } from './tokens';
+import { decompressStream, DecompressingHasher, wrapStream } from './zstd';
+
+/* global Response, TransformStream */
+
+// gRPC status codes
+export const Code = {
+  OK: 0,
+  INVALID_ARGUMENT: 3,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  PERMISSION_DENIED: 7,
+  RESOURCE_EXHAUSTED: 8,
+  OUT_OF_RANGE: 11,
+  UNIMPLEMENTED: 12,
+  INTERNAL: 13,
+  UNAUTHENTICATED: 16
+};
+
+export class GrpcError extends Error {
+  constructor (code, message) {
+    super(message);
+    this.name = 'GrpcError';
+    this.code = code;
+  }
+}
+
+// The most data we'll accept or send in one BatchUpdateBlobs or
+// BatchReadBlobs call. Bigger blobs go through ByteStream.
+const MAX_BATCH_TOTAL_SIZE = 4 * 1024 * 1024;
+
+// How much blob data goes in each ByteStream ReadResponse.
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// How many blobs FindMissingBlobs checks at a time. Found blobs get
+// their last-used times updated in one statement per batch, which
+// keeps us under D1's limit on bound parameters.
+const FIND_MISSING_BATCH_SIZE = 90;
+
+// R2 has to know how long an upload is before it starts. ByteStream
+// writes of compressed blobs only tell us the uncompressed size, so we
+// hold those in memory, up to this much.
+const MAX_BUFFERED_WRITE_SIZE = 64 * 1024 * 1024;
+
+const CONTENT_TYPE = 'application/grpc-web+proto';
+
+const FRAME_HEADER_SIZE = 5;
+const FLAG_COMPRESSED = 0x01;
+const FLAG_TRAILERS = 0x80;
+
+function frame (flags, payload) {
+  const out = new Uint8Array(FRAME_HEADER_SIZE + payload.length);
+  out[0] = flags;
+  new DataView(out.buffer).setUint32(1, payload.length);
+  out.set(payload, FRAME_HEADER_SIZE);
+  return out;
+}
+
+function trailersFrame (code, message) {
+  let trailers = `grpc-status:${code}\r\n`;
+  if (message) {
+    trailers += `grpc-message:${encodeURIComponent(message)}\r\n`;
+  }
+  return frame(FLAG_TRAILERS, new TextEncoder().encode(trailers));
+}
+
+// Returns a response carrying nothing but a status.
+export function grpcStatusResponse (code, message) {
+  return new Response(trailersFrame(code, message), {
+    headers: { 'Content-Type': CONTENT_TYPE }
+  });
+}
+
+// Returns a successful response to a unary call. message is already
+// encoded.
+function unaryResponse (message) {
+  const dataFrame = frame(0, message);
+  const okFrame = trailersFrame(Code.OK);
+  const body = new Uint8Array(dataFrame.length + okFrame.length);
+  body.set(dataFrame);
+  body.set(okFrame, dataFrame.length);
+  return new Response(body, { headers: { 'Content-Type': CONTENT_TYPE } });
+}
+
+// Yields the messages in a stream of gRPC frames, as they arrive.
+async function * readFrames (stream) {
+  if (!stream) {
+    return;
+  }
+
+  let buffer = new Uint8Array(0);
+  const reader = stream.getReader();
+  while (true) {
+    while (buffer.length >= FRAME_HEADER_SIZE) {
+      const flags = buffer[0];
+      const length = new DataView(buffer.buffer, buffer.byteOffset).getUint32(1);
+      if (buffer.length < FRAME_HEADER_SIZE + length) {
+        break;
+      }
+      const payload = buffer.slice(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length);
+      buffer = buffer.slice(FRAME_HEADER_SIZE + length);
+
+      if (flags & FLAG_TRAILERS) {
+        continue; // Nothing for us in client trailers
+      }
+      if (flags & FLAG_COMPRESSED) {
+        throw new GrpcError(Code.UNIMPLEMENTED, 'Compressed messages are not supported');
+      }
+      yield payload;
+    }
+
+    const { done, value } = await reader.read();
+    if (done) {
+      if (buffer.length > 0) {
+        throw new GrpcError(Code.INVALID_ARGUMENT, 'Truncated message');
+      }
+      return;
+    }
+    const joined = new Uint8Array(buffer.length + value.length);
+    joined.set(buffer);
+    joined.set(value, buffer.length);
+    buffer = joined;
+  }
+}
+
+// Reads the single request message of a unary call.
+async function readUnaryRequest (request, schema) {
+  const { done, value } = await readFrames(request.body).next();
+  if (done) {
+    throw new GrpcError(Code.INVALID_ARGUMENT, 'Missing request message');
+  }
+  return decode(schema, value);
+}
+
+// Requests may name a digest function; it has to be ours. Zero means
+// the client didn't say, which is fine.
+function checkDigestFunction (value, digestFn) {
+  if (value !== 0 && value !== DigestFunctionValue[digestFn.name]) {
+    throw new GrpcError(Code.INVALID_ARGUMENT,
+      `This cache only supports the ${digestFn.name} digest function`);
+  }
+}
+
+// Returns an error message if digest isn't usable, or null if it's
+// fine.
+function digestProblem (digest, digestFn) {
+  if (!digest) {
+    return 'Missing digest';
+  }
+  if (!isWellFormedHash(digestFn, digest.hash)) {
+    return `Malformed digest "${digest.hash}"`;
+  }
+  if (digest.sizeBytes < 0) {
+    return 'Negative size in digest';
+  }
+  return null;
+}
+
+// Returns the namespace that an instance name refers to. Throws
+// INVALID_ARGUMENT if it can't be one.
+function requestNamespace (instanceName) {
+  if (instanceName !== '' && !isValidNamespace(instanceName)) {
+    throw new GrpcError(Code.INVALID_ARGUMENT, `Bad instance name "${instanceName}"`);
+  }
+  return instanceName;
+}
+
+function checkDigest (digest, digestFn) {
+  const problem = digestProblem(digest, digestFn);
+  if (problem) {
+    throw new GrpcError(Code.INVALID_ARGUMENT, problem);
+  }
+}
+
+// Throws PERMISSION_DENIED unless the token grants the given
+// permission on the object with the given key.
+function checkAccess (token, permission, key) {
+  if (!tokenAllows(token, permission, key)) {
+    throw new GrpcError(Code.PERMISSION_DENIED, `No ${permission} access to ${key}`);
+  }
+}
+
+// Throws RESOURCE_EXHAUSTED if the token's limits don't allow it to
+// upload size bytes, and counts them if they do. See limits.js.
+async function checkUpload (env, token, size) {
+  const refusal = await admitUpload(env, token, size);
+  if (refusal) {
+    throw new GrpcError(Code.RESOURCE_EXHAUSTED, refusal.message);
+  }
+}
+
+function concatenate (chunks) {
+  const out = new Uint8Array(chunks.reduce((total, c) => total + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+// Returns the digest of data, or null if the data is compressed and
+// isn't valid zstd.
+async function hashData (data, compressed, digestFn) {
+  const hasher = compressed
+    ? new DecompressingHasher(digestFn.createHasher())
+    : digestFn.createHasher();
+  await hasher.update(data);
+  const digest = await hasher.digest();
+  return digest === null ? null : toHex(digest);
+}
+
+async function getCapabilities (request, env, ctx, digestFn, token) {
+  await readUnaryRequest(request, GetCapabilitiesRequest);
+  return unaryResponse(encode(ServerCapabilities,
+    serverCapabilities(digestFn, MAX_BATCH_TOTAL_SIZE)));
+}
+
+async function getActionResult (request, env, ctx, digestFn, token) {
+  const req = await readUnaryRequest(request, GetActionResultRequest);
+  const namespace = requestNamespace(req.instanceName);
+  checkDigestFunction(req.digestFunction, digestFn);
+  checkDigest(req.actionDigest, digestFn);
+
+  const key = acObjectName(req.actionDigest.hash, namespace);
+  checkAccess(token, READ, key);
+  const obj = await env.BUCKET.get(key);
+  if (!obj) {
+    recordStats(env, ctx, token, namespace, { ac_misses: 1 });
+    throw new GrpcError(Code.NOT_FOUND, 'No such action');
+  }
+  const contents = new Uint8Array(await obj.arrayBuffer());
+  if (!await actionResultIsComplete(contents, digestFn, env.BUCKET, namespace)) {
+    recordStats(env, ctx, token, namespace, { ac_misses: 1 });
+    throw new GrpcError(Code.NOT_FOUND, 'Action outputs are missing');
+  }
+  touchObject(env, ctx, key);
+  recordStats(env, ctx, token, namespace, { ac_hits: 1, bytes_out: contents.length });
+  return unaryResponse(contents);
+}
+
+// Answers an UpdateActionResult that the first writer won with the
+// action result that was kept, as the API allows. Bazel takes an
+// error as a failed upload.
+async function keptActionResult (env, key) {
+  const obj = await env.BUCKET.get(key);
+  if (!obj) {
+    throw new GrpcError(Code.ABORTED, 'The action result changed while it was being written');
+  }
+  return unaryResponse(new Uint8Array(await obj.arrayBuffer()));
+}
+
+// In the namespaces in AC_FIRST_WRITER_WINS, an action result that's
+// already there can't be replaced unless it's incomplete; see
+// conditional.js.
+async function updateActionResult (request, env, ctx, digestFn, token) {
+  const req = await readUnaryRequest(request, UpdateActionResultRequest);
+  const namespace = requestNamespace(req.instanceName);
+  checkDigestFunction(req.digestFunction, digestFn);
+  checkDigest(req.actionDigest, digestFn);
+  decodeActionResult(req.actionResult, digestFn);
+
+  const key = acObjectName(req.actionDigest.hash, namespace);
+  checkAccess(token, WRITE, key);
+  let options = {};
+  if (firstWriterWins(env, namespace)) {
+    const preconditions = await firstWriterPreconditions(env.BUCKET, key, digestFn, namespace);
+    if (!preconditions) {
+      return await keptActionResult(env, key);
+    }
+    options = { onlyIf: putConditional(preconditions) };
+  }
+  await checkUpload(env, token, req.actionResult.length);
+  await recordObject(env.__D1_BETA__DB, key, req.actionResult.length);
+  if (!await env.BUCKET.put(key, req.actionResult, options)) {
+    // Another writer got in after we looked. The row is theirs, but
+    // it has our size.
+    const meta = await env.BUCKET.head(key);
+    if (meta) {
+      await recordObjectSize(env.__D1_BETA__DB, key, meta.size);
+    }
+    return await keptActionResult(env, key);
+  }
+  recordStats(env, ctx, token, namespace, { ac_uploads: 1, bytes_in: req.actionResult.length });
+  recordAudit(env, ctx, { token, action: 'upload', key, size: req.actionResult.length, request });
+  return unaryResponse(req.actionResult);
+}
+
+async function findMissingBlobs (request, env, ctx, digestFn, token) {
+  const req = await readUnaryRequest(request, FindMissingBlobsRequest);
+  const namespace = requestNamespace(req.instanceName);
+  checkDigestFunction(req.digestFunction, digestFn);
+  for (const digest of req.blobDigests) {
+    checkDigest(digest, digestFn);
+    // Writers need this to know what to upload, so either permission
+    // will do.
+    const key = casObjectName(digest.hash, namespace);
+    if (!tokenAllows(token, READ, key) && !tokenAllows(token, WRITE, key)) {
+      throw new GrpcError(Code.PERMISSION_DENIED, `No access to ${key}`);
+    }
+  }
+
+  // Bazel never uploads empty blobs, so they're never missing.
+  const digests = req.blobDigests.filter((d) => d.sizeBytes > 0);
+  const missing = [];
+  for (let i = 0; i < digests.length; i += FIND_MISSING_BATCH_SIZE) {
+    const batch = digests.slice(i, i + FIND_MISSING_BATCH_SIZE);
+    const found = await Promise.all(batch.map((d) => findBlob(env.BUCKET, d, namespace)));
+    batch.forEach((d, j) => {
+      if (found[j] === null) {
+        missing.push(d);
+      }
+    });
+    // The client is counting on the blobs it didn't upload sticking
+    // around, so they count as used.
+    touchObject(env, ctx, found.filter((key) => key !== null));
+  }
+  return unaryResponse(encode(FindMissingBlobsResponse, { missingBlobDigests: missing }));
+}
+
+// Handles one blob from BatchUpdateBlobs. Returns a google.rpc.Status.
+async function updateBlob (request, env, ctx, digestFn, token, namespace, { digest, data, compressor }) {
+  const problem = digestProblem(digest, digestFn);
+  if (problem) {
+    return { code: Code.INVALID_ARGUMENT, message: problem };
+  }
+  if (compressor !== Compressor.IDENTITY && compressor !== Compressor.ZSTD) {
+    return { code: Code.INVALID_ARGUMENT, message: 'Unsupported compressor' };
+  }
+  const compressed = compressor === Compressor.ZSTD;
+  const key = compressed ? zstdObjectName(digest.hash, namespace) : casObjectName(digest.hash, namespace);
+  if (!tokenAllows(token, WRITE, key)) {
+    return { code: Code.PERMISSION_DENIED, message: `No write access to ${key}` };
+  }
+  if (!compressed && data.length !== digest.sizeBytes) {
+    return { code: Code.INVALID_ARGUMENT, message: 'Size mismatch' };
+  }
+
+  // We have all the data, so we can check it before storing it.
+  if (await hashData(data, compressed, digestFn) !== digest.hash) {
+    return { code: Code.INVALID_ARGUMENT, message: 'Digest mismatch' };
+  }
+  const refusal = await admitUpload(env, token, data.length);
+  if (refusal) {
+    return { code: Code.RESOURCE_EXHAUSTED, message: refusal.message };
+  }
+
+  await recordObject(env.__D1_BETA__DB, key, data.length);
+  await env.BUCKET.put(key, data);
+  recordAudit(env, ctx, { token, action: 'upload', key, size: data.length, request });
+  return { code: Code.OK };
+}
+
+async function batchUpdateBlobs (request, env, ctx, digestFn, token) {
+  const req = await readUnaryRequest(request, BatchUpdateBlobsRequest);
+  const namespace = requestNamespace(req.instanceName);
+  checkDigestFunction(req.digestFunction, digestFn);
+  const totalSize = req.requests.reduce((total, r) => total + r.data.length, 0);
+  if (totalSize > MAX_BATCH_TOTAL_SIZE) {
+    throw new GrpcError(Code.INVALID_ARGUMENT, 'Batch too large');
+  }
+
+  const responses = [];
+  const counts = {};
+  for (const blob of req.requests) {
+    const status = await updateBlob(request, env, ctx, digestFn, token, namespace, blob);
+    if (status.code === Code.OK) {
+      tally(counts, 'cas_uploads');
+      tally(counts, 'bytes_in', blob.data.length);
+    }
+    responses.push({ digest: blob.digest, status });
+  }
+  recordStats(env, ctx, token, namespace, counts);
+  return unaryResponse(encode(BatchUpdateBlobsResponse, { responses }));
+}
+
+// Handles one blob from BatchReadBlobs. Returns a
+// BatchReadBlobsResponse.Response.
+async function readBlob (env, ctx, digestFn, token, namespace, digest, acceptZstd) {
+  const problem = digestProblem(digest, digestFn);
+  if (problem) {
+    return { digest, status: { code: Code.INVALID_ARGUMENT, message: problem } };
+  }
+  const key = casObjectName(digest.hash, namespace);
+  if (!tokenAllows(token, READ, key)) {
+    const message = `No read access to ${key}`;
+    return { digest, status: { code: Code.PERMISSION_DENIED, message } };
+  }
+  if (digest.sizeBytes === 0) {
+    return { digest, status: { code: Code.OK } };
+  }
+
+  const bucket = env.BUCKET;
+  if (acceptZstd) {
+    const obj = await bucket.get(zstdObjectName(digest.hash, namespace));
+    if (obj) {
+      touchObject(env, ctx, obj.key);
+      const data = new Uint8Array(await obj.arrayBuffer());
+      return { digest, data, compressor: Compressor.ZSTD, status: { code: Code.OK } };
+    }
+  }
+
+  let obj = await bucket.get(key);
+  let body = obj && obj.body;
+  if (!obj && !acceptZstd) {
+    obj = await bucket.get(zstdObjectName(digest.hash, namespace));
+    body = obj && decompressStream(obj.body);
+  }
+  if (!obj) {
+    return { digest, status: { code: Code.NOT_FOUND, message: 'Blob not found' } };
+  }
+  touchObject(env, ctx, obj.key);
+  const data = new Uint8Array(await new Response(body).arrayBuffer());
+  return { digest, data, status: { code: Code.OK } };
+}
+
+async function batchReadBlobs (request, env, ctx, digestFn, token) {
+  const req = await readUnaryRequest(request, BatchReadBlobsRequest);
+  const namespace = requestNamespace(req.instanceName);
+  checkDigestFunction(req.digestFunction, digestFn);
+  const totalSize = req.digests.reduce((total, d) => total + d.sizeBytes, 0);
+  if (totalSize > MAX_BATCH_TOTAL_SIZE) {
+    throw new GrpcError(Code.INVALID_ARGUMENT, 'Batch too large');
+  }
+
+  const acceptZstd = req.acceptableCompressors.includes(Compressor.ZSTD);
+  const responses = [];
+  const counts = {};
+  for (const digest of req.digests) {
+    const response = await readBlob(env, ctx, digestFn, token, namespace, digest, acceptZstd);
+    if (response.status.code === Code.OK) {
+      tally(counts, 'cas_hits');
+      tally(counts, 'bytes_out', response.data ? response.data.length : 0);
+    } else if (response.status.code === Code.NOT_FOUND) {
+      tally(counts, 'cas_misses');
+    }
+    responses.push(response);
+  }
+  recordStats(env, ctx, token, namespace, counts);
+  return unaryResponse(encode(BatchReadBlobsResponse, { responses }));
+}
+
+// Parses a ByteStream resource name, making sure it's for a blob we
+// can handle. Returns { namespace, digest, compressed }.
+function parseBlobResourceName (name, digestFn) {
+  const parsed = parseResourceName(name);
+  if (!parsed) {
+    throw new GrpcError(Code.INVALID_ARGUMENT, `Bad resource name "${name}"`);
+  }
+  checkDigest(parsed.digest, digestFn);
+  if (parsed.compressor !== null && parsed.compressor !== 'zstd') {
+    throw new GrpcError(Code.UNIMPLEMENTED, `Unsupported compressor "${parsed.compressor}"`);
+  }
+  return {
+    namespace: requestNamespace(parsed.instanceName),
+    digest: parsed.digest,
+    compressed: parsed.compressor === 'zstd'
+  };
+}
+
+// Passes through only the bytes of stream from offset onwards, and at
+// most limit of them if limit is nonzero.
+function sliceStream (stream, offset, limit) {
+  let position = 0;
+  const end = limit ? offset + limit : Infinity;
+  return stream.pipeThrough(new TransformStream({
+    transform (chunk, controller) {
+      const start = Math.max(offset - position, 0);
+      const stop = Math.min(end - position, chunk.length);
+      if (start < stop) {
+        controller.enqueue(chunk.subarray(start, stop));
+      }
+      position += chunk.length;
+    }
+  }));
+}
+
+// Opens a blob for ByteStream.Read. Returns { key, stream }, or null
+// if there's no such blob.
+async function openBlob (bucket, namespace, digest, compressed, offset, limit) {
+  const storedKey = compressed ? zstdObjectName(digest.hash, namespace) : casObjectName(digest.hash, namespace);
+  const otherKey = compressed ? casObjectName(digest.hash, namespace) : zstdObjectName(digest.hash, namespace);
+
+  const range = { offset };
+  if (limit) {
+    range.length = limit;
+  }
+  const stored = await bucket.get(storedKey, { range });
+  if (stored) {
+    return { key: storedKey, stream: stored.body };
+  }
+
+  const other = await bucket.get(otherKey);
+  if (!other) {
+    return null;
+  }
+  const converted = compressed ? wrapStream(other.body) : decompressStream(other.body);
+  return { key: otherKey, stream: sliceStream(converted, offset, limit) };
+}
+
+async function byteStreamRead (request, env, ctx, digestFn, token) {
+  const req = await readUnaryRequest(request, ReadRequest);
+  const { namespace, digest, compressed } = parseBlobResourceName(req.resourceName, digestFn);
+  checkAccess(token, READ, compressed
+    ? zstdObjectName(digest.hash, namespace)
+    : casObjectName(digest.hash, namespace));
+  if (req.readOffset < 0 || req.readLimit < 0) {
+    throw new GrpcError(Code.OUT_OF_RANGE, 'Negative offset or limit');
+  }
+  // The compressed form's size isn't known, so only check this for
+  // uncompressed reads.
+  if (!compressed && req.readOffset > digest.sizeBytes) {
+    throw new GrpcError(Code.OUT_OF_RANGE, 'Offset past end of blob');
+  }
+  if (digest.sizeBytes === 0 || (!compressed && req.readOffset === digest.sizeBytes)) {
+    return grpcStatusResponse(Code.OK);
+  }
+
+  const blob = await openBlob(env.BUCKET, namespace, digest, compressed, req.readOffset, req.readLimit);
+  if (!blob) {
+    recordStats(env, ctx, token, namespace, { cas_misses: 1 });
+    throw new GrpcError(Code.NOT_FOUND, 'Blob not found');
+  }
+  touchObject(env, ctx, blob.key);
+
+  // The hit is only counted once the whole blob has been sent, since
+  // that's when we know how much was sent.
+  let sent = 0;
+  const body = blob.stream.pipeThrough(new TransformStream({
+    transform (chunk, controller) {
+      for (let i = 0; i < chunk.length; i += READ_CHUNK_SIZE) {
+        const data = chunk.subarray(i, i + READ_CHUNK_SIZE);
+        controller.enqueue(frame(0, encode(ReadResponse, { data })));
+      }
+      sent += chunk.length;
+    },
+    flush (controller) {
+      controller.enqueue(trailersFrame(Code.OK));
+      recordStats(env, ctx, token, namespace, { cas_hits: 1, bytes_out: sent });
+    }
+  }));
+  return new Response(body, { headers: { 'Content-Type': CONTENT_TYPE } });
+}
+
+// Checks that each WriteRequest picks up where the last one left off.
+function checkWriteOffset (req, received) {
+  if (req.writeOffset !== received) {
+    throw new GrpcError(Code.INVALID_ARGUMENT,
+      `Expected write offset ${received}, got ${req.writeOffset}`);
+  }
+}
+
+// Streams an uncompressed ByteStream upload into R2, checking its
+// digest on the way; it's only stored if it checks out. See
+// staging.js. Returns the number of bytes written.
+async function writeUncompressed (env, key, digest, digestFn, first, messages) {
+  const hasher = digestFn.createHasher();
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+
+  const putPromise = storeCheckedBlob(env, key, hashThrough(readable, hasher, digest.sizeBytes), {
+    hasher, hash: digest.hash, digestFn, kind: 'cas', size: digest.sizeBytes
+  });
+
+  let received = 0;
+  let finished = false;
+  try {
+    let req = first;
+    while (true) {
+      checkWriteOffset(req, received);
+      received += req.data.length;
+      if (received > digest.sizeBytes) {
+        throw new GrpcError(Code.INVALID_ARGUMENT, 'More data than the digest says');
+      }
+      await writer.write(req.data);
+      if (req.finishWrite) {
+        break;
+      }
+      const { done, value } = await messages.next();
+      if (done) {
+        throw new GrpcError(Code.INVALID_ARGUMENT, 'Upload ended without finish_write');
+      }
+      req = decode(WriteRequest, value);
+    }
+    if (received !== digest.sizeBytes) {
+      throw new GrpcError(Code.INVALID_ARGUMENT, 'Less data than the digest says');
+    }
+    await writer.close();
+    finished = true;
+  } finally {
+    if (!finished) {
+      // Nothing that failed part way is stored.
+      writer.abort().catch(() => {});
+      await putPromise.catch(() => {});
+    }
+  }
+
+  try {
+    await putPromise;
+  } catch (e) {
+    if (e instanceof DigestMismatchError) {
+      throw new GrpcError(Code.INVALID_ARGUMENT, 'Digest mismatch');
+    }
+    throw e;
+  }
+  return received;
+}
+
+// Buffers a compressed ByteStream upload, checks its digest, and
+// stores it. Returns the number of bytes written.
+async function writeCompressed (env, key, digest, digestFn, first, messages) {
+  const chunks = [];
+  let received = 0;
+  let req = first;
+  while (true) {
+    checkWriteOffset(req, received);
+    received += req.data.length;
+    if (received > MAX_BUFFERED_WRITE_SIZE) {
+      throw new GrpcError(Code.INVALID_ARGUMENT, 'Compressed upload too large');
+    }
+    chunks.push(req.data);
+    if (req.finishWrite) {
+      break;
+    }
+    const { done, value } = await messages.next();
+    if (done) {
+      throw new GrpcError(Code.INVALID_ARGUMENT, 'Upload ended without finish_write');
+    }
+    req = decode(WriteRequest, value);
+  }
+
+  const data = concatenate(chunks);
+  if (await hashData(data, true, digestFn) !== digest.hash) {
+    throw new GrpcError(Code.INVALID_ARGUMENT, 'Digest mismatch');
+  }
+  await recordObject(env.__D1_BETA__DB, key, data.length);
+  await env.BUCKET.put(key, data);
+  return received;
+}
+
+async function byteStreamWrite (request, env, ctx, digestFn, token) {
+  const messages = readFrames(request.body);
+  const { done, value } = await messages.next();
+  if (done) {
+    throw new GrpcError(Code.INVALID_ARGUMENT, 'Missing request message');
+  }
+  const first = decode(WriteRequest, value);
+  const { namespace, digest, compressed } = parseBlobResourceName(first.resourceName, digestFn);
+  const key = compressed ? zstdObjectName(digest.hash, namespace) : casObjectName(digest.hash, namespace);
+  checkAccess(token, WRITE, key);
+
+  // If we already have the blob, the client can stop sending it.
+  const existingKey = await findBlob(env.BUCKET, digest, namespace);
+  if (existingKey !== null) {
+    touchObject(env, ctx, existingKey);
+    // For compressed uploads, the API says to use -1 here since the
+    // compressed size isn't known.
+    const committedSize = compressed ? -1 : digest.sizeBytes;
+    return unaryResponse(encode(WriteResponse, { committedSize }));
+  }
+  // findBlob doesn't count a blob of another size than the digest
+  // says, but whatever size is claimed, one that's there stays.
+  if (await env.BUCKET.head(key)) {
+    throw new GrpcError(Code.INVALID_ARGUMENT, 'Size mismatch');
+  }
+
+  // Resuming interrupted uploads isn't supported yet, so every
+  // upload starts from the beginning.
+  if (first.writeOffset !== 0) {
+    throw new GrpcError(Code.INVALID_ARGUMENT, 'Uploads must start at offset 0');
+  }
+  // A compressed upload's size isn't known until it's all here, so it
+  // counts as the size of the blob.
+  await checkUpload(env, token, digest.sizeBytes);
+
+  const committedSize = compressed
+    ? await writeCompressed(env, key, digest, digestFn, first, messages)
+    : await writeUncompressed(env, key, digest, digestFn, first, messages);
+  recordStats(env, ctx, token, namespace, { cas_uploads: 1, bytes_in: committedSize });
+  recordAudit(env, ctx, { token, action: 'upload', key, size: committedSize, request });
+  return unaryResponse(encode(WriteResponse, { committedSize }));
+}
+
+const METHODS = {
+  '/build.bazel.remote.execution.v2.Capabilities/GetCapabilities': getCapabilities,
+  '/build.bazel.remote.execution.v2.ActionCache/GetActionResult': getActionResult,
+  '/build.bazel.remote.execution.v2.ActionCache/UpdateActionResult': updateActionResult,
+  '/build.bazel.remote.execution.v2.ContentAddressableStorage/FindMissingBlobs': findMissingBlobs,
+  '/build.bazel.remote.execution.v2.ContentAddressableStorage/BatchUpdateBlobs': batchUpdateBlobs,
+  '/build.bazel.remote.execution.v2.ContentAddressableStorage/BatchReadBlobs': batchReadBlobs,
+  '/google.bytestream.ByteStream/Read': byteStreamRead,
+  '/google.bytestream.ByteStream/Write': byteStreamWrite
+};
+
+// Handles a gRPC-Web call. The caller is responsible for
+// authentication; token is what the call was authenticated with, and
+// each method checks that it allows what the call is asking for.
+export async function handleGrpc (request, env, ctx, digestFn, token) {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (!/^application\/grpc-web(\+proto)?(;|$)/.test(contentType)) {
+    return new Response('Unsupported content type', { status: 415 });
+  }
+
+  const method = METHODS[new URL(request.url).pathname];
+  if (!method) {
+    return grpcStatusResponse(Code.UNIMPLEMENTED, 'No such method');
+  }
+
+  try {
+    return await method(request, env, ctx, digestFn, token);
+  } catch (e) {
+    if (e instanceof GrpcError) {
+      return grpcStatusResponse(e.code, e.message);
+    }
+    if (e instanceof ProtobufError) {
+      return grpcStatusResponse(Code.INVALID_ARGUMENT, e.message);
+    }
+    throw e;
+  }
+}
@@ -0,0 +1,660 @@
+import worker from './index';
+import { decode, encode } from './protobuf';
+import {
+  ActionResult, BatchReadBlobsRequest, BatchReadBlobsResponse,
+  BatchUpdateBlobsRequest, BatchUpdateBlobsResponse, Compressor,
+  FindMissingBlobsRequest, FindMissingBlobsResponse, GetActionResultRequest,
+  ReadRequest, ReadResponse, ServerCapabilities, UpdateActionResultRequest,
+  WriteRequest, WriteResponse
+} from './reapi';
+import { migrate } from './schema';
+
+/* global expect, test, Blob, beforeAll, beforeEach, crypto, Buffer,
+   getMiniflareBindings, getMiniflareWaitUntil, ExecutionContext, describe, TextEncoder, TextDecoder */
+
+// "all work and no play makes jack a dull boy\n" fifty times,
+// compressed with "zstd -19".
+const PLAIN = 'all work and no play makes jack a dull boy\n'.repeat(50);
+const COMPRESSED = Uint8Array.from(Buffer.from(
+  '28b52ffd646607850100b2820910c0ebacaf2022491aaa6c56d58290c3026065' +
+  'e89facee0993a2712e5dbe69620ddd3ba9fa3b0100c381f35519342628c0', 'hex'));
+
+async function sha256Hex (contents) {
+  const buf = await new Blob([contents]).arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buf);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function digestOf (contents) {
+  return { hash: await sha256Hex(contents), sizeBytes: new Blob([contents]).size };
+}
+
+function frame (payload, flags = 0) {
+  const out = new Uint8Array(5 + payload.length);
+  out[0] = flags;
+  new DataView(out.buffer).setUint32(1, payload.length);
+  out.set(payload, 5);
+  return out;
+}
+
+// Splits a gRPC-Web response body into its messages and its status.
+function parseFrames (bytes) {
+  const messages = [];
+  let trailers = {};
+  let pos = 0;
+  while (pos < bytes.length) {
+    const flags = bytes[pos];
+    const length = new DataView(bytes.buffer, bytes.byteOffset + pos + 1).getUint32(0);
+    const payload = bytes.subarray(pos + 5, pos + 5 + length);
+    pos += 5 + length;
+    if (flags & 0x80) {
+      trailers = Object.fromEntries(new TextDecoder().decode(payload)
+        .split('\r\n').filter((line) => line)
+        .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)]));
+    } else {
+      messages.push(payload);
+    }
+  }
+  return {
+    messages,
+    code: parseInt(trailers['grpc-status'], 10),
+    message: decodeURIComponent(trailers['grpc-message'] || '')
+  };
+}
+
+describe('gRPC-Web', () => {
+  let env;
+  const ctx = new ExecutionContext();
+  const tokenId = 'chipmunk';
+  const tokenValue = 'cheeks full of seeds';
+
+  const headers = {
+    'Content-Type': 'application/grpc-web+proto',
+    'Bazel-Cache-Token-Id': tokenId,
+    'Bazel-Cache-Token-Value': tokenValue
+  };
+
+  beforeAll(async () => {
+    env = getMiniflareBindings();
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(async () => {
+    await env.BUCKET.put('tokens/' + tokenId, tokenValue);
+    worker.flushCaches();
+  });
+
+  // Makes a call whose request is made of the given (encoded)
+  // messages. Returns the parsed response.
+  async function callRaw (method, messages, extraHeaders = {}) {
+    const body = Buffer.concat(messages.map((m) => frame(m)));
+    const req = new Request('https://localhost' + method, {
+      method: 'POST',
+      headers: { ...headers, ...extraHeaders },
+      body
+    });
+    const resp = await worker.fetch(req, env, ctx);
+    expect(resp.status).toBe(200);
+    return parseFrames(new Uint8Array(await resp.arrayBuffer()));
+  }
+
+  async function call (method, requestSchema, request, responseSchema) {
+    const result = await callRaw(method, [encode(requestSchema, request)]);
+    if (responseSchema && result.messages.length > 0) {
+      result.response = decode(responseSchema, result.messages[0]);
+    }
+    return result;
+  }
+
+  const AC = '/build.bazel.remote.execution.v2.ActionCache/';
+  const CAS = '/build.bazel.remote.execution.v2.ContentAddressableStorage/';
+  const BYTESTREAM = '/google.bytestream.ByteStream/';
+
+  async function uploadBlobs (...contents) {
+    const requests = [];
+    for (const c of contents) {
+      requests.push({ digest: await digestOf(c), data: new TextEncoder().encode(c) });
+    }
+    return await call(CAS + 'BatchUpdateBlobs', BatchUpdateBlobsRequest, { requests },
+      BatchUpdateBlobsResponse);
+  }
+
+  test('it requires authentication', async () => {
+    const result = await callRaw(
+      '/build.bazel.remote.execution.v2.Capabilities/GetCapabilities', [new Uint8Array(0)],
+      { 'Bazel-Cache-Token-Value': 'wrong' });
+    expect(result.code).toBe(16); // UNAUTHENTICATED
+  });
+
+  test('it rejects requests that are not gRPC-Web', async () => {
+    const req = new Request('https://localhost/build.bazel.remote.execution.v2.Capabilities/GetCapabilities', {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/grpc' },
+      body: frame(new Uint8Array(0))
+    });
+    const resp = await worker.fetch(req, env, ctx);
+    expect(resp.status).toBe(415);
+  });
+
+  test('it answers unknown methods with UNIMPLEMENTED', async () => {
+    const result = await callRaw('/build.bazel.remote.execution.v2.Execution/Execute', [new Uint8Array(0)]);
+    expect(result.code).toBe(12);
+  });
+
+  test('it describes its capabilities', async () => {
+    const result = await callRaw(
+      '/build.bazel.remote.execution.v2.Capabilities/GetCapabilities', [new Uint8Array(0)]);
+    expect(result.code).toBe(0);
+
+    const caps = decode(ServerCapabilities, result.messages[0]);
+    expect(caps.cacheCapabilities.digestFunctions).toStrictEqual([1]); // SHA256
+    expect(caps.cacheCapabilities.actionCacheUpdateCapabilities.updateEnabled).toBe(true);
+    expect(caps.cacheCapabilities.supportedCompressors).toStrictEqual([Compressor.ZSTD]);
+    expect(caps.highApiVersion.major).toBe(2);
+  });
+
+  describe('scoped tokens', () => {
+    async function callAs (doc, method, requestSchema, request, responseSchema) {
+      await env.BUCKET.put('tokens/scoped', JSON.stringify({ value: 'scoped secret', ...doc }));
+      worker.flushCaches();
+      const req = new Request('https://localhost' + method, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/grpc-web+proto',
+          'Bazel-Cache-Token-Id': 'scoped',
+          'Bazel-Cache-Token-Value': 'scoped secret'
+        },
+        body: frame(encode(requestSchema, request))
+      });
+      const result = parseFrames(new Uint8Array(await (await worker.fetch(req, env, ctx)).arrayBuffer()));
+      if (responseSchema && result.messages.length > 0) {
+        result.response = decode(responseSchema, result.messages[0]);
+      }
+      return result;
+    }
+
+    test('read-only tokens cannot update action results', async () => {
+      const result = await callAs({ permissions: ['read'] }, AC + 'UpdateActionResult',
+        UpdateActionResultRequest, {
+          actionDigest: await digestOf('a read-only action'),
+          actionResult: encode(ActionResult, {})
+        });
+      expect(result.code).toBe(7); // PERMISSION_DENIED
+    });
+
+    test('write-only tokens cannot get action results', async () => {
+      const result = await callAs({ permissions: ['write'] }, AC + 'GetActionResult',
+        GetActionResultRequest, { actionDigest: await digestOf('an action') });
+      expect(result.code).toBe(7);
+    });
+
+    test('write-only tokens can find missing blobs', async () => {
+      const absent = await digestOf('a blob CI is about to upload');
+      const result = await callAs({ permissions: ['write'] }, CAS + 'FindMissingBlobs',
+        FindMissingBlobsRequest, { blobDigests: [absent] }, FindMissingBlobsResponse);
+      expect(result.code).toBe(0);
+      expect(result.response.missingBlobDigests).toStrictEqual([absent]);
+    });
+
+    test('batch calls report forbidden blobs individually', async () => {
+      const digest = await digestOf('not for you');
+      let result = await callAs({ prefixes: ['ac/'] }, CAS + 'BatchUpdateBlobs',
+        BatchUpdateBlobsRequest, {
+          requests: [{ digest, data: new TextEncoder().encode('not for you') }]
+        }, BatchUpdateBlobsResponse);
+      expect(result.code).toBe(0);
+      expect(result.response.responses[0].status.code).toBe(7);
+      expect(await env.BUCKET.head('cas/' + digest.hash)).toBe(null);
+
+      result = await callAs({ prefixes: ['ac/'] }, CAS + 'BatchReadBlobs',
+        BatchReadBlobsRequest, { digests: [digest] }, BatchReadBlobsResponse);
+      expect(result.code).toBe(0);
+      expect(result.response.responses[0].status.code).toBe(7);
+    });
+
+    test('read-only tokens cannot write through ByteStream', async () => {
+      const digest = await digestOf('streamed');
+      const result = await callAs({ permissions: ['read'] }, BYTESTREAM + 'Write', WriteRequest, {
+        resourceName: `uploads/x/blobs/${digest.hash}/${digest.sizeBytes}`,
+        finishWrite: true,
+        data: new TextEncoder().encode('streamed')
+      });
+      expect(result.code).toBe(7);
+      expect(await env.BUCKET.head('cas/' + digest.hash)).toBe(null);
+    });
+
+    test('tokens are limited to their namespaces', async () => {
+      const digest = await digestOf('somebody else\'s');
+      let result = await callAs({ namespaces: ['team'] }, CAS + 'FindMissingBlobs',
+        FindMissingBlobsRequest, { blobDigests: [digest] });
+      expect(result.code).toBe(7);
+
+      result = await callAs({ namespaces: ['team'] }, CAS + 'FindMissingBlobs',
+        FindMissingBlobsRequest, { instanceName: 'team', blobDigests: [digest] });
+      expect(result.code).toBe(0);
+    });
+
+    test('tokens are held to their limits', async () => {
+      const digest = await digestOf('too big for you');
+      let result = await callAs({ limits: { max_object_size: 5 } }, CAS + 'BatchUpdateBlobs',
+        BatchUpdateBlobsRequest, {
+          requests: [{ digest, data: new TextEncoder().encode('too big for you') }]
+        }, BatchUpdateBlobsResponse);
+      expect(result.code).toBe(0);
+      expect(result.response.responses[0].status.code).toBe(8); // RESOURCE_EXHAUSTED
+      expect(await env.BUCKET.head('cas/' + digest.hash)).toBe(null);
+
+      const limits = { requests_per_minute: 1 };
+      result = await callAs({ limits }, CAS + 'FindMissingBlobs', FindMissingBlobsRequest, { blobDigests: [digest] });
+      expect(result.code).toBe(0);
+      result = await callAs({ limits }, CAS + 'FindMissingBlobs', FindMissingBlobsRequest, { blobDigests: [digest] });
+      expect(result.code).toBe(8);
+    });
+  });
+
+  describe('instance names', () => {
+    test('it keeps instances apart', async () => {
+      const digest = await digestOf('team stuff');
+      let result = await call(CAS + 'BatchUpdateBlobs', BatchUpdateBlobsRequest, {
+        instanceName: 'team',
+        requests: [{ digest, data: new TextEncoder().encode('team stuff') }]
+      }, BatchUpdateBlobsResponse);
+      expect(result.response.responses[0].status.code).toBe(0);
+      expect(await env.BUCKET.head('ns/team/cas/' + digest.hash)).not.toBe(null);
+      expect(await env.BUCKET.head('cas/' + digest.hash)).toBe(null);
+
+      for (const [instanceName, missing] of [['team', []], ['', [digest]], ['other-team', [digest]]]) {
+        result = await call(CAS + 'FindMissingBlobs', FindMissingBlobsRequest,
+          { instanceName, blobDigests: [digest] }, FindMissingBlobsResponse);
+        expect(result.response.missingBlobDigests).toStrictEqual(missing);
+      }
+    });
+
+    test('it only counts outputs in the same instance', async () => {
+      await uploadBlobs('output in the default instance');
+      const actionDigest = await digestOf('an action in a team instance');
+      const actionResult = encode(ActionResult, {
+        outputFiles: [{ path: 'out.txt', digest: await digestOf('output in the default instance') }]
+      });
+      let result = await call(AC + 'UpdateActionResult', UpdateActionResultRequest,
+        { instanceName: 'team', actionDigest, actionResult });
+      expect(result.code).toBe(0);
+
+      result = await call(AC + 'GetActionResult', GetActionResultRequest,
+        { instanceName: 'team', actionDigest });
+      expect(result.code).toBe(5); // NOT_FOUND
+    });
+
+    test('it counts reads in the stats of their instance', async () => {
+      const digest = await digestOf('counted');
+      await call(CAS + 'BatchUpdateBlobs', BatchUpdateBlobsRequest, {
+        instanceName: 'team',
+        requests: [{ digest, data: new TextEncoder().encode('counted') }]
+      });
+      await call(CAS + 'BatchReadBlobs', BatchReadBlobsRequest, {
+        instanceName: 'team',
+        digests: [digest, await digestOf('not counted')]
+      });
+      await getMiniflareWaitUntil(ctx);
+
+      const { results } = await env.__D1_BETA__DB.prepare(
+        "SELECT name, value FROM Stats WHERE token = ?1 AND namespace = 'team' ORDER BY name")
+        .bind(tokenId)
+        .all();
+      expect(Object.fromEntries(results.map((row) => [row.name, row.value]))).toEqual({
+        bytes_in: 'counted'.length,
+        bytes_out: 'counted'.length,
+        cas_hits: 1,
+        cas_misses: 1,
+        cas_uploads: 1
+      });
+    });
+
+    test('it rejects instance names that cannot be namespaces', async () => {
+      for (const instanceName of ['projects/team', 'blobs', '.hidden']) {
+        const result = await call(CAS + 'FindMissingBlobs', FindMissingBlobsRequest,
+          { instanceName, blobDigests: [] });
+        expect(result.code).toBe(3); // INVALID_ARGUMENT
+      }
+    });
+  });
+
+  describe('ActionCache', () => {
+    test('it stores and returns action results', async () => {
+      await uploadBlobs('output of the action');
+      const actionDigest = await digestOf('an action');
+      const actionResult = encode(ActionResult, {
+        outputFiles: [{ path: 'out.txt', digest: await digestOf('output of the action') }],
+        exitCode: 0
+      });
+
+      let result = await call(AC + 'UpdateActionResult', UpdateActionResultRequest,
+        { actionDigest, actionResult });
+      expect(result.code).toBe(0);
+      expect(result.messages[0]).toStrictEqual(actionResult);
+
+      // It's also visible through the HTTP cache.
+      expect(await env.BUCKET.head('ac/' + actionDigest.hash)).not.toBe(null);
+
+      result = await call(AC + 'GetActionResult', GetActionResultRequest, { actionDigest });
+      expect(result.code).toBe(0);
+      expect(result.messages[0]).toStrictEqual(actionResult);
+    });
+
+    test('it records uploads in the audit log', async () => {
+      const actionDigest = await digestOf('an audited action');
+      const actionResult = encode(ActionResult, { exitCode: 1 });
+      await call(AC + 'UpdateActionResult', UpdateActionResultRequest, { actionDigest, actionResult });
+      await getMiniflareWaitUntil(ctx);
+
+      const entry = await env.__D1_BETA__DB.prepare('SELECT token, action, size FROM AuditLog WHERE key = ?1')
+        .bind('ac/' + actionDigest.hash)
+        .first();
+      expect(entry).toEqual({ token: tokenId, action: 'upload', size: actionResult.length });
+    });
+
+    test('it keeps the first action result where the first writer wins', async () => {
+      env.AC_FIRST_WRITER_WINS = '["team"]';
+      try {
+        const actionDigest = await digestOf('a contested action');
+        const winner = encode(ActionResult, { exitCode: 0 });
+        const loser = encode(ActionResult, { exitCode: 1 });
+        for (const instanceName of ['', 'team']) {
+          const first = await call(AC + 'UpdateActionResult', UpdateActionResultRequest,
+            { instanceName, actionDigest, actionResult: winner });
+          expect(first.code).toBe(0);
+          const second = await call(AC + 'UpdateActionResult', UpdateActionResultRequest,
+            { instanceName, actionDigest, actionResult: loser });
+          // It succeeds either way, but where the first writer wins, it
+          // answers with what was kept.
+          expect(second.code).toBe(0);
+          expect(second.messages[0]).toStrictEqual(instanceName ? winner : loser);
+        }
+
+        const result = await call(AC + 'GetActionResult', GetActionResultRequest,
+          { instanceName: 'team', actionDigest });
+        expect(result.messages[0]).toStrictEqual(winner);
+      } finally {
+        delete env.AC_FIRST_WRITER_WINS;
+      }
+    });
+
+    test('the first writer loses an action result whose outputs are gone', async () => {
+      env.AC_FIRST_WRITER_WINS = '[""]';
+      try {
+        await uploadBlobs('output that gets evicted');
+        const output = await digestOf('output that gets evicted');
+        const actionDigest = await digestOf('an evicted action');
+        const incomplete = encode(ActionResult, { outputFiles: [{ path: 'out.txt', digest: output }] });
+        const replacement = encode(ActionResult, { exitCode: 1 });
+        let result = await call(AC + 'UpdateActionResult', UpdateActionResultRequest,
+          { actionDigest, actionResult: incomplete });
+        expect(result.code).toBe(0);
+
+        await env.BUCKET.delete('cas/' + output.hash);
+        result = await call(AC + 'GetActionResult', GetActionResultRequest, { actionDigest });
+        expect(result.code).toBe(5); // NOT_FOUND
+        result = await call(AC + 'UpdateActionResult', UpdateActionResultRequest,
+          { actionDigest, actionResult: replacement });
+        expect(result.code).toBe(0);
+        result = await call(AC + 'GetActionResult', GetActionResultRequest, { actionDigest });
+        expect(result.messages[0]).toStrictEqual(replacement);
+      } finally {
+        delete env.AC_FIRST_WRITER_WINS;
+      }
+    });
+
+    test('it answers NOT_FOUND for unknown actions', async () => {
+      const result = await call(AC + 'GetActionResult', GetActionResultRequest,
+        { actionDigest: await digestOf('never run') });
+      expect(result.code).toBe(5);
+    });
+
+    test('it answers NOT_FOUND for actions with missing outputs', async () => {
+      const actionDigest = await digestOf('an action with lost outputs');
+      await call(AC + 'UpdateActionResult', UpdateActionResultRequest, {
+        actionDigest,
+        actionResult: encode(ActionResult, {
+          stdoutDigest: await digestOf('stdout that was never uploaded')
+        })
+      });
+
+      const result = await call(AC + 'GetActionResult', GetActionResultRequest, { actionDigest });
+      expect(result.code).toBe(5);
+    });
+
+    test('it rejects malformed action results', async () => {
+      const result = await call(AC + 'UpdateActionResult', UpdateActionResultRequest, {
+        actionDigest: await digestOf('a bad action'),
+        actionResult: new TextEncoder().encode('this is not an ActionResult')
+      });
+      expect(result.code).toBe(3);
+    });
+
+    test('it rejects other digest functions', async () => {
+      const result = await call(AC + 'GetActionResult', GetActionResultRequest, {
+        actionDigest: await digestOf('an action'),
+        digestFunction: 9 // BLAKE3
+      });
+      expect(result.code).toBe(3);
+    });
+  });
+
+  describe('ContentAddressableStorage', () => {
+    test('it stores blobs in batches', async () => {
+      const result = await uploadBlobs('first blob', 'second blob');
+      expect(result.code).toBe(0);
+      expect(result.response.responses.map((r) => r.status.code)).toStrictEqual([0, 0]);
+
+      const digest = await digestOf('first blob');
+      const obj = await env.BUCKET.get('cas/' + digest.hash);
+      expect(await obj.text()).toBe('first blob');
+
+      const { results } = await env.__D1_BETA__DB.prepare(
+        'SELECT COUNT(*) AS c FROM CacheEntries WHERE key = ?1')
+        .bind('cas/' + digest.hash)
+        .all();
+      expect(results[0].c).toBe(1);
+    });
+
+    test('it rejects batched blobs that do not match their digests', async () => {
+      const digest = await digestOf('what was promised');
+      const result = await call(CAS + 'BatchUpdateBlobs', BatchUpdateBlobsRequest, {
+        requests: [{ digest, data: new TextEncoder().encode('what was delivered') }]
+      }, BatchUpdateBlobsResponse);
+      expect(result.code).toBe(0);
+      expect(result.response.responses[0].status.code).toBe(3);
+      expect(await env.BUCKET.head('cas/' + digest.hash)).toBe(null);
+    });
+
+    test('it finds missing blobs', async () => {
+      await uploadBlobs('present and accounted for');
+      const present = await digestOf('present and accounted for');
+      const absent = await digestOf('absent without leave');
+      const empty = await digestOf('');
+
+      const result = await call(CAS + 'FindMissingBlobs', FindMissingBlobsRequest, {
+        blobDigests: [present, absent, empty]
+      }, FindMissingBlobsResponse);
+      expect(result.code).toBe(0);
+      expect(result.response.missingBlobDigests).toStrictEqual([absent]);
+    });
+
+    test('it reads blobs in batches', async () => {
+      await uploadBlobs('read me');
+      const present = await digestOf('read me');
+      const absent = await digestOf('you cannot read me');
+
+      const result = await call(CAS + 'BatchReadBlobs', BatchReadBlobsRequest, {
+        digests: [present, absent]
+      }, BatchReadBlobsResponse);
+      expect(result.code).toBe(0);
+
+      const [first, second] = result.response.responses;
+      expect(first.status.code).toBe(0);
+      expect(new TextDecoder().decode(first.data)).toBe('read me');
+      expect(second.status.code).toBe(5);
+    });
+
+    test('it reads compressed blobs for clients that accept them', async () => {
+      const digest = await digestOf(PLAIN);
+      const compressed = COMPRESSED;
+
+      let result = await call(CAS + 'BatchUpdateBlobs', BatchUpdateBlobsRequest, {
+        requests: [{ digest, data: compressed, compressor: Compressor.ZSTD }]
+      }, BatchUpdateBlobsResponse);
+      expect(result.response.responses[0].status.code).toBe(0);
+
+      result = await call(CAS + 'BatchReadBlobs', BatchReadBlobsRequest, {
+        digests: [digest], acceptableCompressors: [Compressor.ZSTD]
+      }, BatchReadBlobsResponse);
+      expect(result.response.responses[0].compressor).toBe(Compressor.ZSTD);
+      expect(result.response.responses[0].data).toStrictEqual(compressed);
+
+      result = await call(CAS + 'BatchReadBlobs', BatchReadBlobsRequest, {
+        digests: [digest]
+      }, BatchReadBlobsResponse);
+      expect(result.response.responses[0].compressor).toBe(Compressor.IDENTITY);
+      expect(new TextDecoder().decode(result.response.responses[0].data)).toBe(PLAIN);
+    });
+  });
+
+  describe('ByteStream', () => {
+    const contents = 'a large blob, or at least one pretending to be large';
+
+    async function write (resourceName, pieces) {
+      const messages = [];
+      let offset = 0;
+      pieces.forEach((piece, i) => {
+        const data = new TextEncoder().encode(piece);
+        messages.push(encode(WriteRequest, {
+          resourceName: i === 0 ? resourceName : '',
+          writeOffset: offset,
+          finishWrite: i === pieces.length - 1,
+          data
+        }));
+        offset += data.length;
+      });
+      const result = await callRaw(BYTESTREAM + 'Write', messages);
+      if (result.messages.length > 0) {
+        result.response = decode(WriteResponse, result.messages[0]);
+      }
+      return result;
+    }
+
+    async function read (resourceName, readOffset = 0, readLimit = 0) {
+      const result = await call(BYTESTREAM + 'Read', ReadRequest,
+        { resourceName, readOffset, readLimit });
+      result.text = result.messages
+        .map((m) => new TextDecoder().decode(decode(ReadResponse, m).data))
+        .join('');
+      return result;
+    }
+
+    test('it writes a blob in pieces and reads it back', async () => {
+      const digest = await digestOf(contents);
+      const uuid = '4b1fbd8c-5a7f-4d3e-9d43-1f6a2c3e7b10';
+      const pieces = [contents.slice(0, 10), contents.slice(10, 30), contents.slice(30)];
+
+      const writeResult = await write(`uploads/${uuid}/blobs/${digest.hash}/${digest.sizeBytes}`, pieces);
+      expect(writeResult.code).toBe(0);
+      expect(writeResult.response.committedSize).toBe(digest.sizeBytes);
+
+      const readResult = await read(`blobs/${digest.hash}/${digest.sizeBytes}`);
+      expect(readResult.code).toBe(0);
+      expect(readResult.text).toBe(contents);
+    });
+
+    test('it reads part of a blob', async () => {
+      const digest = await digestOf(contents);
+      await write(`my-instance/uploads/x/blobs/${digest.hash}/${digest.sizeBytes}`, [contents]);
+
+      const result = await read(`my-instance/blobs/${digest.hash}/${digest.sizeBytes}`, 2, 5);
+      expect(result.code).toBe(0);
+      expect(result.text).toBe(contents.slice(2, 7));
+    });
+
+    test('it answers NOT_FOUND for reads of missing blobs', async () => {
+      const digest = await digestOf('not here');
+      const result = await read(`blobs/${digest.hash}/${digest.sizeBytes}`);
+      expect(result.code).toBe(5);
+    });
+
+    test('it rejects writes that do not match their digest', async () => {
+      const digest = await digestOf('the real thing');
+      const result = await write(`uploads/x/blobs/${digest.hash}/${digest.sizeBytes}`,
+        ['the fake thing']);
+      expect(result.code).toBe(3);
+      expect(await env.BUCKET.head('cas/' + digest.hash)).toBe(null);
+
+      const { results } = await env.__D1_BETA__DB.prepare(
+        'SELECT COUNT(*) AS c FROM CacheEntries WHERE key = ?1')
+        .bind('cas/' + digest.hash)
+        .all();
+      expect(results[0].c).toBe(0);
+    });
+
+    test('it rejects writes that are shorter than their digest', async () => {
+      const digest = await digestOf(contents);
+      const result = await write(`uploads/x/blobs/${digest.hash}/${digest.sizeBytes}`,
+        [contents.slice(0, 10)]);
+      expect(result.code).toBe(3);
+      expect(await env.BUCKET.head('cas/' + digest.hash)).toBe(null);
+    });
+
+    test('it short-circuits writes of blobs it already has', async () => {
+      await uploadBlobs('already here');
+      const digest = await digestOf('already here');
+
+      const result = await write(`uploads/x/blobs/${digest.hash}/${digest.sizeBytes}`, ['alre']);
+      expect(result.code).toBe(0);
+      expect(result.response.committedSize).toBe(digest.sizeBytes);
+    });
+
+    test('a write that gets the size wrong leaves the stored blob alone', async () => {
+      await uploadBlobs('here first');
+      const digest = await digestOf('here first');
+      const result = await write(`uploads/x/blobs/${digest.hash}/${digest.sizeBytes + 3}`, ['not here first']);
+      expect(result.code).toBe(3);
+      expect(await (await env.BUCKET.get('cas/' + digest.hash)).text()).toBe('here first');
+    });
+
+    test('it has R2 check the digest as it stores the blob', async () => {
+      const digest = await digestOf(contents);
+      const bucket = env.BUCKET;
+      const options = [];
+      env.BUCKET = {
+        get: (...args) => bucket.get(...args),
+        head: (...args) => bucket.head(...args),
+        put: (key, body, opts) => {
+          options.push(opts);
+          return bucket.put(key, body, opts);
+        }
+      };
+      try {
+        const result = await write(`uploads/x/blobs/${digest.hash}/${digest.sizeBytes}`, [contents]);
+        expect(result.code).toBe(0);
+      } finally {
+        env.BUCKET = bucket;
+      }
+      expect(options).toEqual([expect.objectContaining({ sha256: digest.hash })]);
+    });
+
+    test('it writes and reads compressed blobs', async () => {
+      const digest = await digestOf(PLAIN);
+      const messages = [encode(WriteRequest, {
+        resourceName: `uploads/x/compressed-blobs/zstd/${digest.hash}/${digest.sizeBytes}`,
+        finishWrite: true,
+        data: COMPRESSED
+      })];
+
+      const writeResult = await callRaw(BYTESTREAM + 'Write', messages);
+      expect(writeResult.code).toBe(0);
+      expect(await env.BUCKET.head('cas/zstd/' + digest.hash)).not.toBe(null);
+
+      const readResult = await read(`blobs/${digest.hash}/${digest.sizeBytes}`);
+      expect(readResult.code).toBe(0);
+      expect(readResult.text).toBe(PLAIN);
+    });
+  });
+});
@@ -4,235 +4,677 @@
  */
 
 import { Router } from 'itty-router';
+import { adminOnly, auditLog, createToken, getToken, listTokens, revokeToken, rotateToken } from './admin';
+import { recordAudit } from './audit';
+import { authenticate, flushTokenCache } from './auth';
+import { cleanUp, reconcileBucket, reconcileOnSchedule, STALE_OBJECT_BATCH_SIZE, STALENESS_THRESHOLD } from './cleanup';
+import {
+  firstWriterPreconditions, firstWriterWins, notModified, preconditionsHold, putConditional, uploadPreconditions
+} from './conditional';
+import { fillEdge, matchEdge } from './edge';
+import { admitUpload, countRequest, needsUploadSize, refusalResponse } from './limits';
+import { abortUpload, describeUpload, finishUpload, startUpload, uploadPart } from './multipart';
+import { getDigestFunction, hashThrough, isWellFormedHash } from './digest';
+import { Code, grpcStatusResponse, handleGrpc } from './grpc';
+import { flushJwksCache } from './oidc';
+import { forgetStats, metrics, recordStats, stats, tally } from './stats';
+import { createPin, deletePin, listPins } from './pins';
+import { ProtobufError } from './protobuf';
+import { purgeCache } from './purge';
+import { decodeActionResult } from './reapi';
+import { autoMigrate, checkSchema, forgetSchemaCheck, migrateSchema, SchemaError, schemaStatus } from './schema';
+import { exportCache, importCache } from './snapshots';
+import { DigestMismatchError, storeCheckedBlob } from './staging';
+import {
+  actionResultIsComplete, casObjectName, forgetTouches, isValidNamespace,
+  namespacePrefix, recordObject, recordObjectSize, touchObject,
+  zstdObjectName
+} from './storage';
+import { READ, tokenAllows, WRITE } from './tokens';
+import { acceptsZstd, decompressStream, DecompressingHasher, wrappedSize, wrapStream } from './zstd';
 
-const TOKEN_ID_HEADER = 'Bazel-Cache-Token-Id';
-const TOKEN_VALUE_HEADER = 'Bazel-Cache-Token-Value';
+// Converts a request path (e.g. "/ac/something") into its
+// corresponding R2 object name (e.g. "ac/something"). A path in a
+// namespace (e.g. "/team/ac/something") becomes a name in that
+// namespace (e.g. "ns/team/ac/something").
+//
+// The argument is the string form of a URL, for example
+// that given by request.url
+function urlToObjectName (u, namespace = '') {
+  const path = new URL(u).pathname.slice(1); // drop leading slash
+  return namespacePrefix(namespace) + (namespace ? path.slice(namespace.length + 1) : path);
+}
 
-// Cache positive results for 10 minutes, but negative results for
-// only 5 seconds. This way, if someone is trying to sort out their
-// authentication, they don't need to wait very long for things to
-// expire before trying again.
-const POSITIVE_TTL = 10 * 60 * 1000;
-const NEGATIVE_TTL = 5 * 1000;
+// Returns the namespace a cache request is for: "" for the default
+// one, or the first part of the path if the request came in through
+// one of the namespaced routes. Returns null if that isn't a valid
+// namespace.
+function requestNamespace (request) {
+  const namespace = request.params.namespace || '';
+  return namespace === '' || isValidNamespace(namespace) ? namespace : null;
+}
 
-// After this much time without being accessed, an object is
-// considered stale.
-const STALENESS_THRESHOLD = 86400 * 14; // Two weeks in seconds
+// Returns what's wrong if the database schema isn't the one this code
+// expects, or null if it is. See schema.js.
+async function schemaProblem (env) {
+  try {
+    await checkSchema(env);
+    return null;
+  } catch (e) {
+    if (!(e instanceof SchemaError)) {
+      throw e;
+    }
+    return e.message;
+  }
+}
 
-// How many stale objects to delete at a time.
-const STALE_OBJECT_BATCH_SIZE = 100;
+// Returns a response saying what's wrong if the database schema isn't
+// the one this code expects, or null if it is.
+async function schemaRefusal (env) {
+  const problem = await schemaProblem(env);
+  return problem ? new Response(problem, { status: 500 }) : null;
+}
 
-// Caches tokens in memory. This saves us from asking R2 for the same
-// token over and over.
-class TokenCache {
-  constructor () {
-    this.tokens = {};
+// Wraps an admin route handler that writes to the database so it
+// refuses to run if the schema isn't the one this code expects. The
+// admin secret is checked first, so only admins hear what's wrong.
+function needsSchema (handler) {
+  return adminOnly(async (request, env, ctx) => {
+    return await schemaRefusal(env) || await handler(request, env, ctx);
+  });
+}
+
+// Returns the response to an upload whose preconditions don't hold
+// for the object that's there now, whose metadata is meta (or null if
+// there's none). See conditional.js.
+function preconditionFailed (request, meta) {
+  const headers = meta ? { ETag: meta.httpEtag } : {};
+  if (!request.headers.has('If-Match') && !request.headers.has('If-None-Match')) {
+    // The writer didn't ask for this; AC_FIRST_WRITER_WINS did. Bazel
+    // takes anything but success as a failed upload, and there's an
+    // entry for the action, as it wanted.
+    return new Response(':thumbs-up:', { status: 201, headers });
   }
+  return new Response('Precondition failed', { status: 412, headers });
+}
 
-  // Gets a token. If the stored token is expired or missing, calls
-  // fetchFn to generate the value.
-  async retrieve (tokenId, fetchFn) {
-    const now = new Date();
-    if (tokenId in this.tokens &&
-        this.tokens[tokenId].expiration < now) {
-      return this.tokens[tokenId].value;
-    }
+// Handles an upload. kind is "ac", "cas" or "zstd"; CAS uploads are
+// checked against the digest in their name, and AC uploads must be
+// valid ActionResult messages. For "zstd", the body is a compressed
+// CAS blob, which we store as-is once we've checked the digest of its
+// decompressed contents. A CAS blob that's already there is never
+// written again, and one that fails its check is never stored; see
+// staging.js.
+//
+// Uploads with If-Match or If-None-Match only go through if their
+// preconditions hold. Those of AC entries in the namespaces in
+// AC_FIRST_WRITER_WINS that have neither only replace an entry that's
+// incomplete. See conditional.js.
+async function handlePut (request, env, ctx, kind) {
+  const outdated = await schemaRefusal(env);
+  if (outdated) {
+    return outdated;
+  }
+  const token = await authenticate(request, env, ctx);
+  if (!token) {
+    recordStats(env, ctx, null, '', { auth_failures: 1 });
+    return new Response('Not authenticated', { status: 401 });
+  }
+  const overLimit = await countRequest(env, token);
+  if (overLimit) {
+    return refusalResponse(overLimit);
+  }
 
-    const value = await fetchFn();
-    const ttl = value ? POSITIVE_TTL : NEGATIVE_TTL;
-    this.tokens[tokenId] = {
-      expiration: now + ttl,
-      value
-    };
-    return value;
+  const namespace = requestNamespace(request);
+  if (namespace === null) {
+    return new Response('Malformed namespace', { status: 400 });
+  }
+  const objKey = urlToObjectName(request.url, namespace);
+  if (!tokenAllows(token, WRITE, objKey)) {
+    return new Response('Forbidden', { status: 403 });
   }
 
-  // Clears out the cache. This should only be used in testing.
-  flush () {
-    this.tokens = {};
+  const digestFn = getDigestFunction(env.DIGEST_FUNCTION);
+  if (!digestFn) {
+    return new Response('Unsupported digest function', { status: 500 });
   }
-}
 
-// This is global so it persists for the lifetime of the worker.
-const tokenCache = new TokenCache();
+  const bucket = env.BUCKET;
+  let preconditions = uploadPreconditions(request.headers);
+  if (preconditions) {
+    const meta = await bucket.head(objKey);
+    if (!preconditionsHold(preconditions, meta)) {
+      return preconditionFailed(request, meta);
+    }
+  } else if (kind === 'ac' && firstWriterWins(env, namespace)) {
+    preconditions = await firstWriterPreconditions(bucket, objKey, digestFn, namespace);
+    if (!preconditions) {
+      return preconditionFailed(request, await bucket.head(objKey));
+    }
+  }
 
-// Helper function to fetch the contents of a small object from an R2
-// bucket. Returns the contents or null if the object was not found.
-async function fetchFromR2 (key, bucket) {
-  const obj = await bucket.get(key);
-  return obj ? await obj.text() : null;
-}
+  let body = request.body;
+  let hasher = null;
+  let expectedHash = null;
+  if (kind === 'ac') {
+    // AC entries are small, so it's fine to hold one in memory while
+    // we look at it.
+    body = await request.arrayBuffer();
+    try {
+      decodeActionResult(body, digestFn);
+    } catch (e) {
+      if (e instanceof ProtobufError) {
+        return new Response('Malformed action result: ' + e.message, { status: 400 });
+      }
+      throw e;
+    }
+  } else {
+    expectedHash = objKey.slice(objKey.lastIndexOf('/') + 1);
+    if (!isWellFormedHash(digestFn, expectedHash)) {
+      return new Response('Malformed digest', { status: 400 });
+    }
+    hasher = digestFn.createHasher();
+    if (kind === 'zstd') {
+      hasher = new DecompressingHasher(hasher);
+    }
 
-// Returns true if a request is authenticated, false otherwise.
-async function authenticated (request, env, ctx) {
-  // Currently only checks for bearer token name and value. This won't
-  // scale beyond a team of a couple dozen. Certificate auth would be
-  // a better choice for large teams, but I don't currently have one
-  // of those.
-  if (!request.headers.has(TOKEN_ID_HEADER) || !request.headers.has(TOKEN_VALUE_HEADER)) {
-    return false;
+    // A CAS blob is named by its contents, so one that's already there
+    // is what's being uploaded. Leaving it be means a bad upload can
+    // never replace a good blob.
+    const existing = await bucket.head(objKey);
+    if (existing) {
+      touchObject(env, ctx, objKey);
+      return new Response(':thumbs-up:', { status: 201, headers: { ETag: existing.httpEtag } });
+    }
   }
 
-  const id = request.headers.get(TOKEN_ID_HEADER);
-  const key = 'tokens/' + id;
-  const storedValue = await tokenCache.retrieve(key, async () => {
-    return await fetchFromR2(key, env.BUCKET);
-  });
-  if (storedValue === null) {
-    return false;
+  // If there's a Content-Length, it's enforced by hashThrough, so it's
+  // safe to record as the size.
+  let size = null;
+  if (kind === 'ac') {
+    size = body.byteLength;
+  } else if (request.headers.has('Content-Length')) {
+    size = parseInt(request.headers.get('Content-Length'), 10);
+  }
+  if (size === null && needsUploadSize(token)) {
+    return new Response('Content-Length required', { status: 411 });
+  }
+  const refusal = size === null ? null : await admitUpload(env, token, size);
+  if (refusal) {
+    return refusalResponse(refusal);
+  }
+
+  const putOptions = preconditions ? { onlyIf: putConditional(preconditions) } : {};
+  let putSucceeded;
+  if (kind === 'ac') {
+    await recordObject(env.__D1_BETA__DB, objKey, size);
+    putSucceeded = await bucket.put(objKey, body, putOptions);
+  } else {
+    // Blobs only go in once they've been checked; see staging.js.
+    try {
+      putSucceeded = await storeCheckedBlob(env, objKey, body && hashThrough(body, hasher, size), {
+        hasher, hash: expectedHash, digestFn, kind, size, ...putOptions
+      });
+    } catch (e) {
+      if (e instanceof DigestMismatchError) {
+        return new Response('Digest mismatch', { status: 400 });
+      }
+      throw e;
+    }
+  }
+  if (!putSucceeded && preconditions) {
+    // Another writer got in after we checked. The row is theirs, but
+    // it has our size.
+    const meta = await bucket.head(objKey);
+    if (meta) {
+      await recordObjectSize(env.__D1_BETA__DB, objKey, meta.size);
+    }
+    return preconditionFailed(request, meta);
+  }
+  if (!putSucceeded) {
+    // Another writer stored the blob after we looked, and being named
+    // by its contents, it's this one.
+    const meta = await bucket.head(objKey);
+    if (!meta) {
+      return new Response('Upload failed', { status: 500 });
+    }
+    return new Response(':thumbs-up:', { status: 201, headers: { ETag: meta.httpEtag } });
+  }
+  if (size === null) {
+    await recordObjectSize(env.__D1_BETA__DB, objKey, putSucceeded.size);
   }
 
-  const userValue = request.headers.get(TOKEN_VALUE_HEADER);
-  // TODO: constant-time string comparison
-  return userValue === storedValue;
+  recordStats(env, ctx, token, namespace, {
+    [kind === 'ac' ? 'ac_uploads' : 'cas_uploads']: 1,
+    bytes_in: putSucceeded.size
+  });
+  recordAudit(env, ctx, { token, action: 'upload', key: objKey, size: putSucceeded.size, request });
+  return new Response(':thumbs-up:', { status: 201, headers: { ETag: putSucceeded.httpEtag } }); // 201 Created
 }
 
-// Converts a request path (e.g. "/ac/something") into its
-// corresponding R2 object name (e.g. "ac/something").
-//
-// The argument is the string form of a URL, for example
-// that given by request.url
-function urlToObjectName (u) {
-  return new URL(u).pathname.slice(1); // drop leading slash
+// Handles one step of a CAS blob upload in parts, which is done by
+// step(request, env, ctx, token, key, namespace, digestFn), where key
+// is the blob's object name. See multipart.js.
+async function handleMultipart (request, env, ctx, step) {
+  const outdated = await schemaRefusal(env);
+  if (outdated) {
+    return outdated;
+  }
+  const token = await authenticate(request, env, ctx);
+  if (!token) {
+    recordStats(env, ctx, null, '', { auth_failures: 1 });
+    return new Response('Not authenticated', { status: 401 });
+  }
+  const overLimit = await countRequest(env, token);
+  if (overLimit) {
+    return refusalResponse(overLimit);
+  }
+
+  const namespace = requestNamespace(request);
+  if (namespace === null) {
+    return new Response('Malformed namespace', { status: 400 });
+  }
+  const digestFn = getDigestFunction(env.DIGEST_FUNCTION);
+  if (!digestFn) {
+    return new Response('Unsupported digest function', { status: 500 });
+  }
+  if (!isWellFormedHash(digestFn, request.params.hash)) {
+    return new Response('Malformed digest', { status: 400 });
+  }
+  const key = casObjectName(request.params.hash, namespace);
+  if (!tokenAllows(token, WRITE, key)) {
+    return new Response('Forbidden', { status: 403 });
+  }
+  return step(request, env, ctx, token, key, namespace, digestFn);
 }
 
-async function handlePut (request, env, ctx) {
-  if (!await authenticated(request, env, ctx)) {
+// Handles a download, or just an existence check for a HEAD. kind is
+// "ac", "cas" or "zstd"; AC entries are only served if all the
+// outputs they refer to are still around. Objects served as stored
+// come with their ETag, and If-None-Match gets a 304 if it's current.
+//
+// CAS blobs may be stored compressed, uncompressed or both. /cas/
+// serves the compressed form if the client sends "Accept-Encoding:
+// zstd", and /cas/zstd/ always serves the compressed form. Either
+// one converts from the other form if that's all we have.
+async function handleGet (request, env, ctx, kind) {
+  const token = await authenticate(request, env, ctx);
+  if (!token) {
+    recordStats(env, ctx, null, '', { auth_failures: 1 });
     return new Response('Not authenticated', { status: 401 });
   }
+  const overLimit = await countRequest(env, token);
+  if (overLimit) {
+    return refusalResponse(overLimit);
+  }
 
-  // Before accepting the upload, we make sure there's an entry in the
-  // database for it. It's important that the database contain a
-  // superset of the objects actually in the bucket so that we never
-  // lose track of objects.
-  const objKey = urlToObjectName(request.url);
+  const namespace = requestNamespace(request);
+  if (namespace === null) {
+    return new Response('Malformed namespace', { status: 400 });
+  }
+  const objKey = urlToObjectName(request.url, namespace);
+  if (!tokenAllows(token, READ, objKey)) {
+    return new Response('Forbidden', { status: 403 });
+  }
 
-  // Database time is seconds, not milliseconds. SQLite uses a
-  // variable-length integer encoding where smaller numbers take up
-  // less space, and we don't need sub-second precision here.
-  //
-  // We could probably get away with dekaseconds or even hectoseconds,
-  // but seconds should be fine for now.
-  const nowInEpochSeconds = Math.floor(Date.now() / 1000);
-  await env.__D1_BETA__DB.prepare(
-    'INSERT INTO CacheEntries (key, last_used) VALUES (?1, ?2) ' +
-      'ON CONFLICT(key) DO UPDATE SET last_used=excluded.last_used')
-    .bind(objKey, nowInEpochSeconds)
-    .run();
+  const digestFn = getDigestFunction(env.DIGEST_FUNCTION);
+  if (!digestFn) {
+    return new Response('Unsupported digest function', { status: 500 });
+  }
 
-  const bucket = env.BUCKET;
-  const putSucceeded = await bucket.put(objKey, request.body);
-  if (!putSucceeded) {
-    return new Response('Upload failed', { status: 500 });
+  const counts = {};
+  let resp;
+  if (kind === 'ac') {
+    resp = await serveActionResult(request, env, ctx, counts, objKey, digestFn, namespace);
+  } else {
+    const hash = objKey.slice(objKey.lastIndexOf('/') + 1);
+    const casKey = casObjectName(hash, namespace);
+    const zstdKey = zstdObjectName(hash, namespace);
+    if (kind === 'zstd') {
+      resp = await serveObject(request, env, ctx, counts, zstdKey) ||
+        await serveConverted(request, env, ctx, counts, casKey, wrapStream, wrappedSize);
+    } else {
+      const vary = { Vary: 'Accept-Encoding' };
+      if (acceptsZstd(request.headers.get('Accept-Encoding'))) {
+        resp = await serveObject(request, env, ctx, counts, zstdKey,
+          { ...vary, 'Content-Encoding': 'zstd' }) ||
+          await serveObject(request, env, ctx, counts, casKey, vary);
+      } else {
+        resp = await serveObject(request, env, ctx, counts, casKey, vary) ||
+          await serveConverted(request, env, ctx, counts, zstdKey, decompressStream, null, vary);
+      }
+    }
   }
-  return new Response(':thumbs-up:', { status: 201 }); // 201 Created
+
+  const cache = kind === 'ac' ? 'ac' : 'cas';
+  tally(counts, resp ? cache + '_hits' : cache + '_misses');
+  recordStats(env, ctx, token, namespace, counts);
+  return resp || new Response('Not found', { status: 404 });
 }
 
-async function handleGet (request, env, ctx) {
-  if (!await authenticated(request, env, ctx)) {
-    return new Response('Not authenticated', { status: 401 });
+// Serves an AC entry, in full or in part, or answers a HEAD for it.
+// Returns null if there's no such entry or it's incomplete.
+async function serveActionResult (request, env, ctx, counts, key, digestFn, namespace) {
+  const obj = await env.BUCKET.get(key);
+  if (!obj) {
+    return null;
   }
+  const contents = new Uint8Array(await obj.arrayBuffer());
+  if (!await actionResultIsComplete(contents, digestFn, env.BUCKET, namespace)) {
+    return null;
+  }
+  // An incomplete entry isn't used, so it's left to age out.
+  touchObject(env, ctx, key);
+  return objectResponse(request, counts, contents.length, objectHeaders(obj), async (range) => {
+    return range ? contents.slice(range.offset, range.offset + range.length) : contents;
+  });
+}
 
-  const objKey = urlToObjectName(request.url);
+// Serves a stored object as-is, in full or in part, or answers a HEAD
+// for it. Returns null if there's no such object. The bytes sent are
+// tallied in counts.
+async function serveObject (request, env, ctx, counts, key, extraHeaders = {}) {
+  const bucket = env.BUCKET;
 
-  // See handlePut for rationale behind using seconds.
-  const nowInEpochSeconds = Math.floor(Date.now() / 1000);
+  // The common case is a plain GET of a whole object, which takes
+  // just one trip to R2, or none if the edge has it. Conditional ones
+  // go the other way, which can answer a 304 without the body.
+  if (request.method === 'GET' && !request.headers.has('Range') && !request.headers.has('If-None-Match')) {
+    const cached = await matchEdge(request, key);
+    const obj = cached || await bucket.get(key);
+    if (!obj) {
+      return null;
+    }
+    touchObject(env, ctx, key);
+    tally(counts, 'bytes_out', obj.size);
+    const body = cached ? cached.body : fillEdge(request, ctx, key, obj);
+    return new Response(body, objectResponseInit(objectHeaders(obj, extraHeaders)));
+  }
 
-  // There's no need to wait for this to complete before serving the
-  // file. In the worst case, the last-used update fails and the object
-  // expires prematurely.
-  //
-  // Recall that object lifetimes are days or weeks; if the object is
-  // popular, then a subsequent GET will probably succeed in updating
-  // its last-used time. If it's unpopular, then it might expire
-  // early, but hardly anyone will care. Also, this is a cache; if an
-  // object goes missing, Bazel will rebuild and replace it.
-  ctx.waitUntil(
-    env.__D1_BETA__DB.prepare('UPDATE CacheEntries SET last_used=?1 WHERE key=?2')
-      .bind(nowInEpochSeconds, objKey)
-      .run());
+  const meta = await bucket.head(key);
+  if (!meta) {
+    return null;
+  }
+  touchObject(env, ctx, key);
+  return objectResponse(request, counts, meta.size, objectHeaders(meta, extraHeaders), async (range) => {
+    const obj = await bucket.get(key, range ? { range } : {});
+    return obj ? obj.body : null;
+  });
+}
 
+// Serves a stored object after passing it through convert, which
+// maps a ReadableStream to another ReadableStream. convertedSize(n)
+// gives the size of the output for n bytes of input, or is null if
+// that can't be known in advance. Returns null if there's no such
+// object. The bytes sent are tallied in counts; if their number
+// isn't known, it's the size of the stored object instead.
+//
+// Range requests get the whole thing; it's not worth converting a
+// whole object just to hand out part of it.
+async function serveConverted (request, env, ctx, counts, key, convert, convertedSize, extraHeaders = {}) {
   const bucket = env.BUCKET;
-  const obj = await bucket.get(urlToObjectName(request.url));
+  const headers = new Headers(extraHeaders);
+
+  if (request.method === 'HEAD') {
+    const meta = await bucket.head(key);
+    if (!meta) {
+      return null;
+    }
+    touchObject(env, ctx, key);
+    if (convertedSize) {
+      headers.set('Content-Length', convertedSize(meta.size).toString());
+    }
+    return new Response(null, { headers });
+  }
+
+  const obj = await bucket.get(key);
   if (!obj) {
-    return new Response('Not found', { status: 404 });
+    return null;
   }
-  return new Response(obj.body);
+  touchObject(env, ctx, key);
+  tally(counts, 'bytes_out', convertedSize ? convertedSize(obj.size) : obj.size);
+  return new Response(convert(obj.body), { headers });
 }
 
-// App routing
-const router = Router();
-router.put('/ac/*', async (request, env, ctx) => {
-  return handlePut(request, env, ctx);
-});
-router.put('/cas/*', async (request, env, ctx) => {
-  return handlePut(request, env, ctx);
-});
+// Returns the headers describing an R2 object (or its metadata) that
+// we send along with it.
+function objectHeaders (obj, extraHeaders = {}) {
+  return new Headers({
+    ...extraHeaders,
+    ETag: obj.httpEtag,
+    'Accept-Ranges': 'bytes'
+  });
+}
 
-router.get('/ac/*', async (request, env, ctx) => {
-  return handleGet(request, env, ctx);
-});
-router.get('/cas/*', async (request, env, ctx) => {
-  return handleGet(request, env, ctx);
-});
+// Returns the ResponseInit for sending an object with the given
+// headers. If the object is already compressed, the runtime must
+// send it as-is rather than trying to encode it again.
+function objectResponseInit (headers, status = 200) {
+  const init = { status, headers };
+  if (headers.has('Content-Encoding')) {
+    init.encodeBody = 'manual';
+  }
+  return init;
+}
 
-router.all('*', () => { return new Response('Not found', { status: 404 }); });
+// Sentinel returned by parseRange.
+const UNSATISFIABLE_RANGE = {};
 
-// Generates keys for stale objects needing deletion.
+// Parses a Range header for an object of the given size.
 //
-// Yields batches of size STALE_OBJECT_BATCH_SIZE.
-async function * getStaleObjectsFromDB (dbHandle) {
-  let marker = ''; // Largest value from last set of results
-  const staleTime = Math.floor(Date.now() / 1000 - STALENESS_THRESHOLD);
-
-  while (true) {
-    const results = await dbHandle.prepare('SELECT key FROM CacheEntries WHERE key > ?1 AND last_used <= ?2 LIMIT ?3')
-      .bind(marker, staleTime, STALE_OBJECT_BATCH_SIZE)
-      .all();
+// Returns { offset, length } for a single satisfiable range, or
+// UNSATISFIABLE_RANGE. Returns null if the header should be ignored
+// and the whole object served, which is what we do for malformed
+// headers and multiple ranges; RFC 9110 allows that.
+function parseRange (header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
 
-    const rows = results.results;
-    if (rows.length === 0) {
-      return;
+  if (match[1] === '') {
+    // "bytes=-N" means the last N bytes.
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0 || size === 0) {
+      return UNSATISFIABLE_RANGE;
     }
+    const length = Math.min(suffixLength, size);
+    return { offset: size - length, length };
+  }
 
-    const keys = [];
-    for (const row of rows) {
-      keys.push(row.key);
-    }
-    marker = keys[keys.length - 1];
-    yield keys;
+  const first = parseInt(match[1], 10);
+  const last = match[2] === '' ? Infinity : parseInt(match[2], 10);
+  if (last < first) {
+    return null;
+  }
+  if (first >= size) {
+    return UNSATISFIABLE_RANGE;
+  }
+  return { offset: first, length: Math.min(last, size - 1) - first + 1 };
+}
+
+// Builds the response to a GET or HEAD for an object of the given
+// size, honoring any If-None-Match header, and any Range header on a
+// GET, and tallies the bytes sent in counts. getBody(range) returns
+// the requested part of the body, or all of it if range is null; it
+// returns null if the object has vanished in the meantime.
+async function objectResponse (request, counts, size, headers, getBody) {
+  if (notModified(request.headers, headers.get('ETag'))) {
+    return new Response(null, { status: 304, headers }); // 304 Not Modified
+  }
+  if (request.method === 'HEAD') {
+    headers.set('Content-Length', size.toString());
+    return new Response(null, { headers });
+  }
+
+  const rangeHeader = request.headers.get('Range');
+  const range = rangeHeader ? parseRange(rangeHeader, size) : null;
+  if (range === UNSATISFIABLE_RANGE) {
+    headers.set('Content-Range', `bytes */${size}`);
+    return new Response('Range not satisfiable', { status: 416, headers });
+  }
+
+  const body = await getBody(range);
+  if (body === null) {
+    return new Response('Not found', { status: 404 });
+  }
+  if (!range) {
+    tally(counts, 'bytes_out', size);
+    return new Response(body, objectResponseInit(headers));
   }
+
+  tally(counts, 'bytes_out', range.length);
+  const last = range.offset + range.length - 1;
+  headers.set('Content-Range', `bytes ${range.offset}-${last}/${size}`);
+  return new Response(body, objectResponseInit(headers, 206)); // 206 Partial Content
+}
+
+// Handles a gRPC-Web call to one of the Remote Execution API
+// services. See grpc.js.
+async function handleGrpcCall (request, env, ctx) {
+  const outdated = await schemaProblem(env);
+  if (outdated) {
+    return grpcStatusResponse(Code.INTERNAL, outdated);
+  }
+  const token = await authenticate(request, env, ctx);
+  if (!token) {
+    recordStats(env, ctx, null, '', { auth_failures: 1 });
+    return grpcStatusResponse(Code.UNAUTHENTICATED, 'Not authenticated');
+  }
+  const overLimit = await countRequest(env, token);
+  if (overLimit) {
+    return grpcStatusResponse(Code.RESOURCE_EXHAUSTED, overLimit.message);
+  }
+
+  const digestFn = getDigestFunction(env.DIGEST_FUNCTION);
+  if (!digestFn) {
+    return grpcStatusResponse(Code.INTERNAL, 'Unsupported digest function');
+  }
+  return handleGrpc(request, env, ctx, digestFn, token);
 }
 
-// Deletes the rows for the given keys.
-async function deleteKeysFromDB (dbHandle, keys) {
-  const placeholders = keys.map(() => '?').join(',');
-  const sql = ('DELETE FROM CacheEntries WHERE key IN (' +
-               placeholders + ')');
-  await dbHandle.prepare(sql).bind(...keys).run();
+// App routing
+//
+// The /cas/zstd/ routes and those for uploads in parts have to come
+// before the /cas/ ones, which would otherwise match them too. Every
+// cache route is there once for the default namespace and once under
+// /<namespace>/.
+const router = Router();
+for (const base of ['', '/:namespace']) {
+  router.post(base + '/cas/:hash/uploads', async (request, env, ctx) => {
+    return handleMultipart(request, env, ctx, startUpload);
+  });
+  router.get(base + '/cas/:hash/uploads/:upload', async (request, env, ctx) => {
+    return handleMultipart(request, env, ctx, describeUpload);
+  });
+  router.put(base + '/cas/:hash/uploads/:upload/:part', async (request, env, ctx) => {
+    return handleMultipart(request, env, ctx, uploadPart);
+  });
+  router.post(base + '/cas/:hash/uploads/:upload', async (request, env, ctx) => {
+    return handleMultipart(request, env, ctx, finishUpload);
+  });
+  router.delete(base + '/cas/:hash/uploads/:upload', async (request, env, ctx) => {
+    return handleMultipart(request, env, ctx, abortUpload);
+  });
+
+  router.put(base + '/cas/zstd/*', async (request, env, ctx) => {
+    return handlePut(request, env, ctx, 'zstd');
+  });
+  router.get(base + '/cas/zstd/*', async (request, env, ctx) => {
+    return handleGet(request, env, ctx, 'zstd');
+  });
+  router.head(base + '/cas/zstd/*', async (request, env, ctx) => {
+    return handleGet(request, env, ctx, 'zstd');
+  });
+
+  router.put(base + '/ac/*', async (request, env, ctx) => {
+    return handlePut(request, env, ctx, 'ac');
+  });
+  router.put(base + '/cas/*', async (request, env, ctx) => {
+    return handlePut(request, env, ctx, 'cas');
+  });
+
+  router.get(base + '/ac/*', async (request, env, ctx) => {
+    return handleGet(request, env, ctx, 'ac');
+  });
+  router.get(base + '/cas/*', async (request, env, ctx) => {
+    return handleGet(request, env, ctx, 'cas');
+  });
+
+  router.head(base + '/ac/*', async (request, env, ctx) => {
+    return handleGet(request, env, ctx, 'ac');
+  });
+  router.head(base + '/cas/*', async (request, env, ctx) => {
+    return handleGet(request, env, ctx, 'cas');
+  });
 }
 
+router.post('/build.bazel.remote.execution.v2.*', async (request, env, ctx) => {
+  return handleGrpcCall(request, env, ctx);
+});
+router.post('/google.bytestream.ByteStream/*', async (request, env, ctx) => {
+  return handleGrpcCall(request, env, ctx);
+});
+
+router.get('/metrics', metrics);
+router.get('/stats', stats);
+
+// The admin routes that write to the database need its schema to be
+// up to date, except of course for the ones that bring it up to date.
+router.post('/admin/tokens', needsSchema(createToken));
+router.get('/admin/tokens', listTokens);
+router.get('/admin/tokens/:id', getToken);
+router.post('/admin/tokens/:id/rotate', needsSchema(rotateToken));
+router.delete('/admin/tokens/:id', needsSchema(revokeToken));
+router.post('/admin/reconcile', needsSchema(reconcileBucket));
+router.post('/admin/purge', needsSchema(purgeCache));
+router.post('/admin/pins', needsSchema(createPin));
+router.get('/admin/pins', listPins);
+router.delete('/admin/pins', needsSchema(deletePin));
+router.get('/admin/export', exportCache);
+router.post('/admin/import', needsSchema(importCache));
+router.get('/admin/audit', auditLog);
+router.get('/admin/schema', schemaStatus);
+router.post('/admin/migrate', migrateSchema);
+
+// Routes that work whatever the schema is.
+const SCHEMA_ROUTES = ['/admin/schema', '/admin/migrate'];
+
+router.all('*', () => { return new Response('Not found', { status: 404 }); });
+
 export default {
-  // Handles HTTP requests.
+  // Handles HTTP requests. With AUTO_MIGRATE set, the first one
+  // brings the database schema up to date.
   async fetch (request, env, ctx) {
+    if (autoMigrate(env) && !SCHEMA_ROUTES.includes(new URL(request.url).pathname)) {
+      const outdated = await schemaRefusal(env);
+      if (outdated) {
+        return outdated;
+      }
+    }
     return await router.handle(request, env, ctx);
   },
 
   // Handles scheduled invocations from cron triggers.
-  async scheduled (request, env, ctx) {
-    for await (const keys of getStaleObjectsFromDB(env.__D1_BETA__DB)) {
-      // handlePut creates the DB entry before the object to ensure
-      // that the DB is a superset of the bucket. We delete from R2
-      // before the DB for the same reason.
-      env.BUCKET.delete(keys);
-
-      await deleteKeysFromDB(env.__D1_BETA__DB, keys);
+  //
+  // The RECONCILE_CRON schedule reconciles the bucket with the
+  // database; any other runs the cleanup. See cleanup.js. Neither
+  // runs on a database whose schema is out of date.
+  async scheduled (event, env, ctx) {
+    await checkSchema(env);
+    if (env.RECONCILE_CRON && event && event.cron === env.RECONCILE_CRON) {
+      return await reconcileOnSchedule(env);
     }
+    return await cleanUp(env);
   },
 
   // These are exported only to help in writing tests.
   flushCaches () {
-    tokenCache.flush();
+    flushTokenCache();
+    flushJwksCache();
+    forgetTouches();
+    forgetStats();
+    forgetSchemaCheck();
   },
 
   STALE_OBJECT_BATCH_SIZE,
@@ -1,7 +1,11 @@
-import { readFileSync } from 'fs';
 import worker from './index';
+import { encode } from './protobuf';
+import { ActionResult } from './reapi';
+import { migrate } from './schema';
+import { MAX_CHECKED_BLOBS, touchObject } from './storage';
+import { decompress } from 'fzstd';
 
-/* global expect, test, Blob, beforeAll, beforeEach,
+/* global expect, test, Blob, beforeAll, beforeEach, afterEach, crypto, Buffer, TextDecoder, TextEncoder,
    getMiniflareWaitUntil, getMiniflareBindings, ExecutionContext, describe */
 
 // Converts a ReadableStream to a Blob. This slurps the whole thing
@@ -14,6 +18,14 @@ async function streamToBlob (rstream) {
   return new Blob(chunks);
 }
 
+// Returns the lowercase hex SHA-256 of a string or Blob, which is
+// what a CAS key looks like.
+async function sha256Hex (contents) {
+  const buf = await new Blob([contents]).arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buf);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
 describe('Bazel cache', () => {
   let env;
   const ctx = new ExecutionContext();
@@ -28,7 +40,7 @@ describe('Bazel cache', () => {
   beforeAll(async () => {
     env = getMiniflareBindings();
 
-    env.__D1_BETA__DB.exec(readFileSync('schema.sql').toString());
+    await migrate(env.__D1_BETA__DB);
   });
 
   beforeEach(async () => {
@@ -93,6 +105,95 @@ describe('Bazel cache', () => {
     expect(resp.status).toBe(401);
   });
 
+  describe('Authorization header', () => {
+    async function statusWith (authorization) {
+      const req = new Request('https://localhost/ac/nope-not-here', {
+        headers: { Authorization: authorization }
+      });
+      return (await worker.fetch(req, env, ctx)).status;
+    }
+
+    function basic (credentials) {
+      return 'Basic ' + Buffer.from(credentials).toString('base64');
+    }
+
+    test('it accepts Basic credentials', async () => {
+      expect(await statusWith(basic(`${tokenId}:${tokenValue}`))).toBe(404);
+      expect(await statusWith(basic(`${tokenId}:wrong`))).toBe(401);
+      expect(await statusWith(basic(`nobody:${tokenValue}`))).toBe(401);
+    });
+
+    test('it accepts Basic passwords with colons in them', async () => {
+      await env.BUCKET.put('tokens/colons', 'a:b:c');
+      expect(await statusWith(basic('colons:a:b:c'))).toBe(404);
+    });
+
+    test('it accepts Bearer tokens', async () => {
+      await env.BUCKET.put('tokens/chipmunk', 'cheeks.full.of.seeds');
+      expect(await statusWith('Bearer chipmunk.cheeks.full.of.seeds')).toBe(404);
+      expect(await statusWith('bearer chipmunk.cheeks.full.of.seeds')).toBe(404);
+      expect(await statusWith('Bearer chipmunk.cheeks')).toBe(401);
+    });
+
+    test('it rejects malformed credentials', async () => {
+      expect(await statusWith('Basic not-base64!')).toBe(401);
+      expect(await statusWith(basic('no colon here'))).toBe(401);
+      expect(await statusWith(basic(':' + tokenValue))).toBe(401);
+      expect(await statusWith('Bearer ' + tokenId)).toBe(401);
+      expect(await statusWith('Digest username="squirrel"')).toBe(401);
+    });
+
+    test('it checks the permissions of the token', async () => {
+      await env.BUCKET.put('tokens/reader', JSON.stringify({ value: 'reads', permissions: ['read'] }));
+      const req = new Request('https://localhost/ac/' + 'b'.repeat(64), {
+        method: 'PUT',
+        headers: { Authorization: 'Bearer reader.reads' },
+        body: encode(ActionResult, {})
+      });
+      expect((await worker.fetch(req, env, ctx)).status).toBe(403);
+    });
+  });
+
+  test('it accepts hashed tokens', async () => {
+    // "hunter2", hashed as in tokens.test.js.
+    await env.BUCKET.put('tokens/hashed', JSON.stringify({
+      hash: {
+        algorithm: 'PBKDF2-SHA256',
+        iterations: 100000,
+        salt: '00112233445566778899aabbccddeeff',
+        key: '2147d14169e0af3690f720de3f98dd89d63e4dbb08a702ebbda7b33f0fe97a69'
+      }
+    }));
+
+    const request = (value) => new Request('https://localhost/ac/nope-not-here', {
+      headers: { 'Bazel-Cache-Token-Id': 'hashed', 'Bazel-Cache-Token-Value': value }
+    });
+    let resp = await worker.fetch(request('hunter2'), env, ctx);
+    expect(resp.status).toBe(404);
+    resp = await worker.fetch(request('hunter3'), env, ctx);
+    expect(resp.status).toBe(401);
+  });
+
+  test('it remembers tokens it has checked', async () => {
+    const req = () => new Request('https://localhost/ac/nope-not-here', { headers: authedHeaders });
+    let resp = await worker.fetch(req(), env, ctx);
+    expect(resp.status).toBe(404);
+
+    await env.BUCKET.delete('tokens/' + tokenId);
+    resp = await worker.fetch(req(), env, ctx);
+    expect(resp.status).toBe(404);
+
+    // Only the right value was remembered, though.
+    resp = await worker.fetch(new Request('https://localhost/ac/nope-not-here', {
+      headers: { 'Bazel-Cache-Token-Id': tokenId, 'Bazel-Cache-Token-Value': 'wrong' }
+    }), env, ctx);
+    expect(resp.status).toBe(401);
+
+    worker.flushCaches();
+    resp = await worker.fetch(req(), env, ctx);
+    expect(resp.status).toBe(401);
+  });
+
   test('it has a default handler that 404s', async () => {
     const req = new Request('https://localhost/blah/blah/fishcakes');
     const resp = await worker.fetch(req, env, ctx);
@@ -101,8 +202,9 @@ describe('Bazel cache', () => {
 
   test('it stores uploaded files in R2', async () => {
     const bodyContents = new Blob(['fee fi fo fum']);
+    const hash = await sha256Hex(bodyContents);
 
-    const req = new Request('https://localhost/cas/abc123def456', {
+    const req = new Request('https://localhost/cas/' + hash, {
       method: 'PUT',
       headers: authedHeaders,
       body: bodyContents.stream(),
@@ -111,15 +213,16 @@ describe('Bazel cache', () => {
     const resp = await worker.fetch(req, env, ctx);
     expect(resp.status).toBe(201);
 
-    const r2Obj = await env.BUCKET.get('cas/abc123def456');
+    const r2Obj = await env.BUCKET.get('cas/' + hash);
     const r2ObjContents = await streamToBlob(await r2Obj.body);
     expect(r2ObjContents).toStrictEqual(bodyContents);
   });
 
   test('it retrieves files from R2', async () => {
-    const fileContents = new Blob([
-      'lorem ipsum et cetera blah blah Carthago delenda est'
-    ]);
+    const fileContents = new Blob([encode(ActionResult, {
+      exitCode: 0,
+      stdoutRaw: new TextEncoder().encode('lorem ipsum et cetera blah blah Carthago delenda est')
+    })]);
     const result = await env.BUCKET.put('ac/an-action', fileContents.stream());
     expect(result).not.toBe(null);
 
@@ -132,9 +235,10 @@ describe('Bazel cache', () => {
 
   test('it adds files to the database on upload', async () => {
     const bodyContents = new Blob(['great balls of fire']);
+    const hash = await sha256Hex(bodyContents);
     const testStartTimeUnixSeconds = Math.floor(Date.now() / 1000);
 
-    const req = new Request('https://localhost/cas/111', {
+    const req = new Request('https://localhost/cas/' + hash, {
       method: 'PUT',
       headers: authedHeaders,
       body: bodyContents.stream(),
@@ -145,13 +249,841 @@ describe('Bazel cache', () => {
 
     const db = env.__D1_BETA__DB;
     const { results } = await db.prepare('SELECT last_used FROM CacheEntries WHERE key = ?1')
-      .bind('cas/111')
+      .bind('cas/' + hash)
       .all();
 
     expect(results.length).toBe(1);
     expect(results[0].last_used).toBeGreaterThanOrEqual(testStartTimeUnixSeconds);
   });
 
+  describe('CAS digest verification', () => {
+    afterEach(() => {
+      delete env.DIGEST_FUNCTION;
+    });
+
+    // PUTs contents to /cas/<hash>; returns the response.
+    async function putCas (hash, contents) {
+      const req = new Request('https://localhost/cas/' + hash, {
+        method: 'PUT',
+        headers: authedHeaders,
+        body: new Blob([contents]).stream(),
+        duplex: 'half'
+      });
+      return await worker.fetch(req, env, ctx);
+    }
+
+    async function rowCount (key) {
+      const { results } = await env.__D1_BETA__DB.prepare(
+        'SELECT COUNT(*) AS c FROM CacheEntries WHERE key = ?1')
+        .bind(key)
+        .all();
+      return results[0].c;
+    }
+
+    test('it rejects a CAS upload whose contents do not match its digest', async () => {
+      const hash = await sha256Hex('what the client meant to send');
+      const resp = await putCas(hash, 'what the client actually sent');
+      expect(resp.status).toBe(400);
+
+      expect(await env.BUCKET.head('cas/' + hash)).toBe(null);
+      expect(await rowCount('cas/' + hash)).toBe(0);
+    });
+
+    test('a bad upload never replaces a good blob', async () => {
+      const contents = 'what was there first';
+      const hash = await sha256Hex(contents);
+      expect((await putCas(hash, contents)).status).toBe(201);
+      const { httpEtag } = await env.BUCKET.head('cas/' + hash);
+
+      const resp = await putCas(hash, 'something else entirely');
+      expect(resp.status).toBe(201);
+      expect(resp.headers.get('ETag')).toBe(httpEtag);
+      expect(await (await env.BUCKET.get('cas/' + hash)).text()).toBe(contents);
+      expect(await rowCount('cas/' + hash)).toBe(1);
+    });
+
+    test('it rejects a CAS upload whose name is not a digest', async () => {
+      const resp = await putCas('not-a-digest', 'anything at all');
+      expect(resp.status).toBe(400);
+
+      expect(await env.BUCKET.head('cas/not-a-digest')).toBe(null);
+      expect(await rowCount('cas/not-a-digest')).toBe(0);
+    });
+
+    test('it accepts an empty CAS upload', async () => {
+      const hash = await sha256Hex('');
+      const req = new Request('https://localhost/cas/' + hash, {
+        method: 'PUT',
+        headers: authedHeaders
+      });
+      const resp = await worker.fetch(req, env, ctx);
+      expect(resp.status).toBe(201);
+    });
+
+    test('it does not verify AC uploads against their name', async () => {
+      const req = new Request('https://localhost/ac/' + await sha256Hex('some action'), {
+        method: 'PUT',
+        headers: authedHeaders,
+        body: new Blob([encode(ActionResult, { exitCode: 1 })]).stream(),
+        duplex: 'half'
+      });
+      const resp = await worker.fetch(req, env, ctx);
+      expect(resp.status).toBe(201);
+    });
+
+    test('it verifies SHA-1 digests when configured to', async () => {
+      env.DIGEST_FUNCTION = 'sha1';
+      const contents = 'the quick brown fox jumps over the lazy dog';
+
+      let resp = await putCas('16312751ef9307c3fd1afbcb993cdc80464ba0f1', contents);
+      expect(resp.status).toBe(201);
+
+      // A SHA-256 is the wrong length for SHA-1.
+      resp = await putCas(await sha256Hex(contents), contents);
+      expect(resp.status).toBe(400);
+    });
+
+    test('it verifies BLAKE3 digests when configured to', async () => {
+      env.DIGEST_FUNCTION = 'blake3';
+      const contents = 'the quick brown fox jumps over the lazy dog';
+      const hash = '54eb9a529fa1343a5b1e16eaade0c274d0b58e9d7a02b017f8fc01cbe0e2dfde';
+
+      let resp = await putCas(hash, 'the quick brown fox jumps over the lazy cat');
+      expect(resp.status).toBe(400);
+      expect(await env.BUCKET.head('cas/' + hash)).toBe(null);
+
+      resp = await putCas(hash, contents);
+      expect(resp.status).toBe(201);
+      const r2Obj = await env.BUCKET.get('cas/' + hash);
+      expect(await r2Obj.text()).toBe(contents);
+    });
+
+    test('a blob R2 cannot check goes in only once it has been checked', async () => {
+      env.DIGEST_FUNCTION = 'blake3';
+      const contents = 'the quick brown fox jumps over the lazy dog';
+      const hash = '54eb9a529fa1343a5b1e16eaade0c274d0b58e9d7a02b017f8fc01cbe0e2dfde';
+      // A bucket that notes where things are put.
+      const puts = [];
+      const bucket = {
+        get: (...args) => env.BUCKET.get(...args),
+        head: (...args) => env.BUCKET.head(...args),
+        delete: (...args) => env.BUCKET.delete(...args),
+        put: (key, ...args) => {
+          puts.push(key);
+          return env.BUCKET.put(key, ...args);
+        }
+      };
+      const put = async (body) => {
+        const req = new Request('https://localhost/cas/' + hash, { method: 'PUT', headers: authedHeaders, body });
+        return await worker.fetch(req, { ...env, BUCKET: bucket }, ctx);
+      };
+
+      expect((await put('the quick brown fox jumps over the lazy cat')).status).toBe(400);
+      expect(puts).toEqual([expect.stringMatching(/^staging\//)]);
+      expect(await rowCount('cas/' + hash)).toBe(0);
+
+      puts.length = 0;
+      expect((await put(contents)).status).toBe(201);
+      expect(puts).toEqual([expect.stringMatching(/^staging\//), 'cas/' + hash]);
+      expect(await (await env.BUCKET.get('cas/' + hash)).text()).toBe(contents);
+      expect(await rowCount('cas/' + hash)).toBe(1);
+      expect((await env.BUCKET.list({ prefix: 'staging/' })).objects).toEqual([]);
+    });
+
+    test('it refuses uploads when the digest function is unknown', async () => {
+      env.DIGEST_FUNCTION = 'md4';
+      const resp = await putCas(await sha256Hex('x'), 'x');
+      expect(resp.status).toBe(500);
+    });
+  });
+
+  describe('Action Cache validation', () => {
+    // Stores a blob in the CAS directly; returns its Digest.
+    async function storeBlob (contents) {
+      const hash = await sha256Hex(contents);
+      await env.BUCKET.put('cas/' + hash, contents);
+      return { hash, sizeBytes: new TextEncoder().encode(contents).length };
+    }
+
+    async function putAc (key, contents) {
+      const req = new Request('https://localhost/ac/' + key, {
+        method: 'PUT',
+        headers: authedHeaders,
+        body: new Blob([contents]).stream(),
+        duplex: 'half'
+      });
+      return await worker.fetch(req, env, ctx);
+    }
+
+    async function getAc (key) {
+      const req = new Request('https://localhost/ac/' + key, {
+        headers: authedHeaders
+      });
+      return await worker.fetch(req, env, ctx);
+    }
+
+    test('it rejects an AC upload that is not an ActionResult', async () => {
+      const resp = await putAc('garbage', 'this is not a protobuf, it is a sentence');
+      expect(resp.status).toBe(400);
+      expect(await env.BUCKET.head('ac/garbage')).toBe(null);
+    });
+
+    test('it rejects an AC upload with a malformed digest', async () => {
+      const resp = await putAc('bad-digest', encode(ActionResult, {
+        outputFiles: [{ path: 'out/a.txt', digest: { hash: 'xyzzy', sizeBytes: 5 } }]
+      }));
+      expect(resp.status).toBe(400);
+    });
+
+    test('it rejects an AC upload with an absolute output path', async () => {
+      const digest = await storeBlob('absolute nonsense');
+      const resp = await putAc('absolute', encode(ActionResult, {
+        outputFiles: [{ path: '/etc/passwd', digest }]
+      }));
+      expect(resp.status).toBe(400);
+    });
+
+    test('it serves an AC entry whose outputs are all present', async () => {
+      const file = await storeBlob('an output file');
+      const tree = await storeBlob('a tree, more or less');
+      const stdout = await storeBlob('some console output');
+      const empty = { hash: await sha256Hex(''), sizeBytes: 0 };
+      const contents = encode(ActionResult, {
+        outputFiles: [
+          { path: 'out/file.txt', digest: file },
+          { path: 'out/empty.txt', digest: empty }
+        ],
+        outputDirectories: [{ path: 'out/dir', treeDigest: tree }],
+        stdoutDigest: stdout
+      });
+
+      let resp = await putAc('complete', contents);
+      expect(resp.status).toBe(201);
+
+      resp = await getAc('complete');
+      expect(resp.status).toBe(200);
+      expect(new Uint8Array(await resp.arrayBuffer())).toStrictEqual(contents);
+    });
+
+    test('it only looks for so many outputs at once, and so many in all', async () => {
+      const files = [];
+      for (let i = 0; i < 25; i++) {
+        files.push({ path: `out/${i}.txt`, digest: await storeBlob('output number ' + i) });
+      }
+      await putAc('many', encode(ActionResult, { outputFiles: files }));
+      let looking = 0;
+      let most = 0;
+      let looked = 0;
+      const head = env.BUCKET.head.bind(env.BUCKET);
+      const bucket = {
+        get: (...args) => env.BUCKET.get(...args),
+        head: async (key) => {
+          looked++;
+          most = Math.max(most, ++looking);
+          try {
+            return await head(key);
+          } finally {
+            looking--;
+          }
+        }
+      };
+      const req = new Request('https://localhost/ac/many', { headers: authedHeaders });
+      expect((await worker.fetch(req, { ...env, BUCKET: bucket }, ctx)).status).toBe(200);
+      expect(most).toBeGreaterThan(1);
+      expect(most).toBeLessThanOrEqual(10);
+
+      // Past that, it can't tell, so it's a miss rather than an error.
+      const tooMany = [];
+      for (let i = 0; i <= MAX_CHECKED_BLOBS; i++) {
+        const hash = i.toString(16).padStart(64, '0');
+        tooMany.push({ path: `out/${i}.txt`, digest: { hash, sizeBytes: 1 } });
+      }
+      await env.BUCKET.put('ac/too-many', encode(ActionResult, { outputFiles: tooMany }));
+      looked = 0;
+      const tooManyReq = new Request('https://localhost/ac/too-many', { headers: authedHeaders });
+      expect((await worker.fetch(tooManyReq, { ...env, BUCKET: bucket }, ctx)).status).toBe(404);
+      expect(looked).toBe(0);
+    });
+
+    test('it 404s an AC entry whose output file is missing', async () => {
+      const file = await storeBlob('this file will go away');
+      await putAc('missing-file', encode(ActionResult, {
+        outputFiles: [{ path: 'out/file.txt', digest: file }]
+      }));
+      await env.BUCKET.delete('cas/' + file.hash);
+
+      const resp = await getAc('missing-file');
+      expect(resp.status).toBe(404);
+    });
+
+    test('it 404s an AC entry whose stderr is missing', async () => {
+      const stderr = { hash: await sha256Hex('never uploaded'), sizeBytes: 14 };
+      await putAc('missing-stderr', encode(ActionResult, { stderrDigest: stderr }));
+
+      const resp = await getAc('missing-stderr');
+      expect(resp.status).toBe(404);
+    });
+
+    test('it 404s an AC entry whose tree is missing', async () => {
+      const tree = { hash: await sha256Hex('never uploaded either'), sizeBytes: 21 };
+      await putAc('missing-tree', encode(ActionResult, {
+        outputDirectories: [{ path: 'out/dir', treeDigest: tree }]
+      }));
+
+      const resp = await getAc('missing-tree');
+      expect(resp.status).toBe(404);
+    });
+
+    test('it 404s an AC entry whose output has the wrong size', async () => {
+      const file = await storeBlob('twenty-one bytes long');
+      file.sizeBytes = 22;
+      await putAc('wrong-size', encode(ActionResult, {
+        outputFiles: [{ path: 'out/file.txt', digest: file }]
+      }));
+
+      const resp = await getAc('wrong-size');
+      expect(resp.status).toBe(404);
+    });
+
+    test('it 404s a stored AC entry that is not an ActionResult', async () => {
+      await env.BUCKET.put('ac/corrupt', 'this is not a protobuf either');
+
+      const resp = await getAc('corrupt');
+      expect(resp.status).toBe(404);
+    });
+  });
+
+  describe('HEAD and Range requests', () => {
+    const contents = '0123456789abcdefghij';
+    let hash;
+
+    beforeEach(async () => {
+      hash = await sha256Hex(contents);
+      await env.BUCKET.put('cas/' + hash, contents);
+    });
+
+    async function request (method, key, headers = {}) {
+      const allHeaders = new Headers(authedHeaders);
+      for (const [name, value] of Object.entries(headers)) {
+        allHeaders.set(name, value);
+      }
+      const req = new Request('https://localhost/' + key, {
+        method,
+        headers: allHeaders
+      });
+      return await worker.fetch(req, env, ctx);
+    }
+
+    test('it requires authentication for HEAD', async () => {
+      const req = new Request('https://localhost/cas/' + hash, { method: 'HEAD' });
+      const resp = await worker.fetch(req, env, ctx);
+      expect(resp.status).toBe(401);
+    });
+
+    test('it answers HEAD with the size and ETag but no body', async () => {
+      const resp = await request('HEAD', 'cas/' + hash);
+      expect(resp.status).toBe(200);
+      expect(resp.headers.get('Content-Length')).toBe('20');
+
+      const obj = await env.BUCKET.head('cas/' + hash);
+      expect(resp.headers.get('ETag')).toBe(obj.httpEtag);
+      expect(await resp.text()).toBe('');
+    });
+
+    test('it 404s HEAD for a missing object', async () => {
+      const resp = await request('HEAD', 'cas/' + await sha256Hex('nope'));
+      expect(resp.status).toBe(404);
+    });
+
+    test('it answers HEAD for an AC entry', async () => {
+      await env.BUCKET.put('ac/headed', encode(ActionResult, { exitCode: 3 }));
+      const resp = await request('HEAD', 'ac/headed');
+      expect(resp.status).toBe(200);
+      expect(resp.headers.get('Content-Length')).toBe('2');
+    });
+
+    test('it sends an ETag on GET', async () => {
+      const resp = await request('GET', 'cas/' + hash);
+      const obj = await env.BUCKET.head('cas/' + hash);
+      expect(resp.headers.get('ETag')).toBe(obj.httpEtag);
+      expect(await resp.text()).toBe(contents);
+    });
+
+    test('it serves a byte range', async () => {
+      const resp = await request('GET', 'cas/' + hash, { Range: 'bytes=5-9' });
+      expect(resp.status).toBe(206);
+      expect(resp.headers.get('Content-Range')).toBe('bytes 5-9/20');
+      expect(await resp.text()).toBe('56789');
+    });
+
+    test('it serves an open-ended byte range', async () => {
+      const resp = await request('GET', 'cas/' + hash, { Range: 'bytes=15-' });
+      expect(resp.status).toBe(206);
+      expect(resp.headers.get('Content-Range')).toBe('bytes 15-19/20');
+      expect(await resp.text()).toBe('fghij');
+    });
+
+    test('it serves a suffix byte range', async () => {
+      const resp = await request('GET', 'cas/' + hash, { Range: 'bytes=-3' });
+      expect(resp.status).toBe(206);
+      expect(resp.headers.get('Content-Range')).toBe('bytes 17-19/20');
+      expect(await resp.text()).toBe('hij');
+    });
+
+    test('it clamps a range that runs past the end', async () => {
+      const resp = await request('GET', 'cas/' + hash, { Range: 'bytes=18-100' });
+      expect(resp.status).toBe(206);
+      expect(resp.headers.get('Content-Range')).toBe('bytes 18-19/20');
+      expect(await resp.text()).toBe('ij');
+    });
+
+    test('it answers 416 for a range past the end', async () => {
+      const resp = await request('GET', 'cas/' + hash, { Range: 'bytes=20-' });
+      expect(resp.status).toBe(416);
+      expect(resp.headers.get('Content-Range')).toBe('bytes */20');
+    });
+
+    test('it ignores multiple ranges', async () => {
+      const resp = await request('GET', 'cas/' + hash, { Range: 'bytes=0-1,5-6' });
+      expect(resp.status).toBe(200);
+      expect(await resp.text()).toBe(contents);
+    });
+
+    test('it serves a byte range of an AC entry', async () => {
+      const entry = encode(ActionResult, {
+        stdoutRaw: new TextEncoder().encode('hello')
+      });
+      await env.BUCKET.put('ac/ranged', entry);
+
+      const resp = await request('GET', 'ac/ranged', { Range: 'bytes=2-' });
+      expect(resp.status).toBe(206);
+      expect(new Uint8Array(await resp.arrayBuffer())).toStrictEqual(entry.slice(2));
+    });
+  });
+
+  describe('Conditional requests', () => {
+    const first = encode(ActionResult, { stdoutRaw: new TextEncoder().encode('first') });
+    const second = encode(ActionResult, { stdoutRaw: new TextEncoder().encode('second!') });
+
+    afterEach(() => {
+      delete env.AC_FIRST_WRITER_WINS;
+    });
+
+    async function request (method, path, headers = {}, body, bindings = env) {
+      const allHeaders = new Headers(authedHeaders);
+      for (const [name, value] of Object.entries(headers)) {
+        allHeaders.set(name, value);
+      }
+      const req = new Request('https://localhost/' + path, { method, headers: allHeaders, body });
+      return await worker.fetch(req, bindings, ctx);
+    }
+
+    async function stored (key) {
+      const obj = await env.BUCKET.get(key);
+      return obj && new Uint8Array(await obj.arrayBuffer());
+    }
+
+    test('it answers If-None-Match with 304 when the ETag is current', async () => {
+      await env.BUCKET.put('ac/unchanged', first);
+      let resp = await request('GET', 'ac/unchanged');
+      const etag = resp.headers.get('ETag');
+      expect(etag).toMatch(/^".+"$/);
+
+      resp = await request('GET', 'ac/unchanged', { 'If-None-Match': etag });
+      expect(resp.status).toBe(304);
+      expect(resp.headers.get('ETag')).toBe(etag);
+      expect(await resp.text()).toBe('');
+      expect((await request('HEAD', 'ac/unchanged', { 'If-None-Match': 'W/' + etag })).status).toBe(304);
+      expect((await request('GET', 'ac/unchanged', { 'If-None-Match': '"stale", ' + etag })).status).toBe(304);
+
+      resp = await request('GET', 'ac/unchanged', { 'If-None-Match': '"stale"' });
+      expect(resp.status).toBe(200);
+      expect(new Uint8Array(await resp.arrayBuffer())).toStrictEqual(first);
+    });
+
+    test('it answers If-None-Match for CAS blobs too', async () => {
+      const hash = await sha256Hex('conditional blob');
+      await env.BUCKET.put('cas/' + hash, 'conditional blob');
+      const etag = (await env.BUCKET.head('cas/' + hash)).httpEtag;
+      expect((await request('GET', 'cas/' + hash, { 'If-None-Match': etag })).status).toBe(304);
+      expect((await request('GET', 'cas/' + hash, { 'If-None-Match': '"stale"' })).status).toBe(200);
+    });
+
+    test('it only creates with If-None-Match: *', async () => {
+      let resp = await request('PUT', 'ac/created', { 'If-None-Match': '*' }, first);
+      expect(resp.status).toBe(201);
+      const etag = resp.headers.get('ETag');
+      expect(etag).toBe((await env.BUCKET.head('ac/created')).httpEtag);
+
+      resp = await request('PUT', 'ac/created', { 'If-None-Match': '*' }, second);
+      expect(resp.status).toBe(412);
+      expect(resp.headers.get('ETag')).toBe(etag);
+      expect(await stored('ac/created')).toStrictEqual(first);
+    });
+
+    test('it only replaces the version named by If-Match', async () => {
+      await env.BUCKET.put('ac/replaced', first);
+      const etag = (await env.BUCKET.head('ac/replaced')).httpEtag;
+
+      expect((await request('PUT', 'ac/replaced', { 'If-Match': '"stale"' }, second)).status).toBe(412);
+      expect(await stored('ac/replaced')).toStrictEqual(first);
+      expect((await request('PUT', 'ac/replaced', { 'If-Match': etag }, second)).status).toBe(201);
+      expect(await stored('ac/replaced')).toStrictEqual(second);
+
+      expect((await request('PUT', 'ac/nowhere', { 'If-Match': '*' }, first)).status).toBe(412);
+      expect(await stored('ac/nowhere')).toBe(null);
+    });
+
+    test('it refuses an upload that loses a race', async () => {
+      await env.__D1_BETA__DB.prepare("INSERT INTO CacheEntries (key, last_used, size) VALUES ('ac/raced', 1, ?1)")
+        .bind(first.length)
+        .run();
+      await env.BUCKET.put('ac/raced', first);
+      // A bucket where the entry only turns up after it's been looked
+      // for.
+      let looked = false;
+      const bucket = {
+        get: (...args) => env.BUCKET.get(...args),
+        put: (...args) => env.BUCKET.put(...args),
+        head: async (key) => {
+          if (looked) {
+            return env.BUCKET.head(key);
+          }
+          looked = true;
+          return null;
+        }
+      };
+
+      const resp = await request('PUT', 'ac/raced', { 'If-None-Match': '*' }, second, { ...env, BUCKET: bucket });
+      expect(resp.status).toBe(412);
+      expect(await stored('ac/raced')).toStrictEqual(first);
+      const row = await env.__D1_BETA__DB.prepare("SELECT size FROM CacheEntries WHERE key = 'ac/raced'").first();
+      expect(row.size).toBe(first.length);
+    });
+
+    test('the first writer of an AC entry wins in the namespaces that want it', async () => {
+      env.AC_FIRST_WRITER_WINS = '["", "release"]';
+      for (const prefix of ['', 'release/', 'team/']) {
+        expect((await request('PUT', prefix + 'ac/won', {}, first)).status).toBe(201);
+      }
+      // Bazel takes anything but success as a failed upload.
+      expect((await request('PUT', 'ac/won', {}, second)).status).toBe(201);
+      expect((await request('PUT', 'release/ac/won', {}, second)).status).toBe(201);
+      expect((await request('PUT', 'team/ac/won', {}, second)).status).toBe(201);
+      expect(await stored('ac/won')).toStrictEqual(first);
+      expect(await stored('ns/release/ac/won')).toStrictEqual(first);
+      expect(await stored('ns/team/ac/won')).toStrictEqual(second);
+      // A writer that asks gets told.
+      expect((await request('PUT', 'ac/won', { 'If-None-Match': '*' }, second)).status).toBe(412);
+
+      // Unless the writer asks to replace what's there.
+      const etag = (await env.BUCKET.head('ac/won')).httpEtag;
+      expect((await request('PUT', 'ac/won', { 'If-Match': etag }, second)).status).toBe(201);
+      expect(await stored('ac/won')).toStrictEqual(second);
+    });
+
+    test('the first writer loses its entry once a blob it refers to is gone', async () => {
+      env.AC_FIRST_WRITER_WINS = '[""]';
+      const output = 'output of the first writer';
+      const hash = await sha256Hex(output);
+      const entry = encode(ActionResult, {
+        outputFiles: [{ path: 'out', digest: { hash, sizeBytes: output.length } }]
+      });
+      await env.BUCKET.put('cas/' + hash, output);
+      expect((await request('PUT', 'ac/evicted', {}, entry)).status).toBe(201);
+      expect((await request('PUT', 'ac/evicted', {}, second)).status).toBe(201);
+      expect(await stored('ac/evicted')).toStrictEqual(entry);
+
+      await env.BUCKET.delete('cas/' + hash);
+      await env.__D1_BETA__DB.prepare("UPDATE CacheEntries SET last_used = 1 WHERE key = 'ac/evicted'").run();
+      // Forget that the upload touched it.
+      worker.flushCaches();
+      expect((await request('GET', 'ac/evicted')).status).toBe(404);
+      // It doesn't count as used.
+      await getMiniflareWaitUntil(ctx);
+      const row = await env.__D1_BETA__DB.prepare("SELECT last_used FROM CacheEntries WHERE key = 'ac/evicted'").first();
+      expect(row.last_used).toBe(1);
+
+      // Bazel uploads it again, and that takes its place.
+      expect((await request('PUT', 'ac/evicted', {}, second)).status).toBe(201);
+      expect(await stored('ac/evicted')).toStrictEqual(second);
+      expect((await request('PUT', 'ac/evicted', {}, first)).status).toBe(201);
+      expect(await stored('ac/evicted')).toStrictEqual(second);
+    });
+
+    test('it rejects a malformed first-writer-wins setting', async () => {
+      env.AC_FIRST_WRITER_WINS = '{"": true}';
+      await expect(request('PUT', 'ac/whatever', {}, first)).rejects.toThrow(/must be a JSON list/);
+    });
+  });
+
+  describe('zstd-compressed CAS blobs', () => {
+    // "all work and no play makes jack a dull boy\n" fifty times,
+    // compressed with "zstd -19".
+    const plain = 'all work and no play makes jack a dull boy\n'.repeat(50);
+    const compressed = Uint8Array.from(Buffer.from(
+      '28b52ffd646607850100b2820910c0ebacaf2022491aaa6c56d58290c3026065' +
+      'e89facee0993a2712e5dbe69620ddd3ba9fa3b0100c381f35519342628c0', 'hex'));
+    let hash;
+
+    beforeEach(async () => {
+      hash = await sha256Hex(plain);
+      await env.BUCKET.delete(['cas/' + hash, 'cas/zstd/' + hash]);
+    });
+
+    async function request (method, path, body, headers = {}) {
+      const allHeaders = new Headers(authedHeaders);
+      for (const [name, value] of Object.entries(headers)) {
+        allHeaders.set(name, value);
+      }
+      const init = { method, headers: allHeaders };
+      if (body) {
+        init.body = new Blob([body]).stream();
+        init.duplex = 'half';
+      }
+      return await worker.fetch(new Request('https://localhost/' + path, init), env, ctx);
+    }
+
+    async function bytesOf (resp) {
+      return new Uint8Array(await resp.arrayBuffer());
+    }
+
+    test('it stores compressed uploads as they are', async () => {
+      const resp = await request('PUT', 'cas/zstd/' + hash, compressed);
+      expect(resp.status).toBe(201);
+
+      const obj = await env.BUCKET.get('cas/zstd/' + hash);
+      expect(new Uint8Array(await obj.arrayBuffer())).toStrictEqual(compressed);
+      expect(await env.BUCKET.head('cas/' + hash)).toBe(null);
+    });
+
+    test('it checks the digest of the decompressed contents', async () => {
+      const wrongHash = await sha256Hex('something else entirely');
+      const resp = await request('PUT', 'cas/zstd/' + wrongHash, compressed);
+      expect(resp.status).toBe(400);
+      expect(await env.BUCKET.head('cas/zstd/' + wrongHash)).toBe(null);
+    });
+
+    test('it rejects compressed uploads that are not zstd', async () => {
+      const resp = await request('PUT', 'cas/zstd/' + hash, plain);
+      expect(resp.status).toBe(400);
+      expect(await env.BUCKET.head('cas/zstd/' + hash)).toBe(null);
+    });
+
+    test('it rejects truncated compressed uploads', async () => {
+      const resp = await request('PUT', 'cas/zstd/' + hash, compressed.subarray(0, 40));
+      expect(resp.status).toBe(400);
+    });
+
+    test('it serves compressed uploads compressed', async () => {
+      await request('PUT', 'cas/zstd/' + hash, compressed);
+
+      const resp = await request('GET', 'cas/zstd/' + hash);
+      expect(resp.status).toBe(200);
+      expect(await bytesOf(resp)).toStrictEqual(compressed);
+    });
+
+    test('it serves compressed uploads to clients that accept zstd', async () => {
+      await request('PUT', 'cas/zstd/' + hash, compressed);
+
+      const resp = await request('GET', 'cas/' + hash, null, { 'Accept-Encoding': 'gzip, zstd' });
+      expect(resp.status).toBe(200);
+      expect(resp.headers.get('Content-Encoding')).toBe('zstd');
+      expect(await bytesOf(resp)).toStrictEqual(compressed);
+    });
+
+    test('it decompresses compressed uploads for other clients', async () => {
+      await request('PUT', 'cas/zstd/' + hash, compressed);
+
+      const resp = await request('GET', 'cas/' + hash);
+      expect(resp.status).toBe(200);
+      expect(resp.headers.get('Content-Encoding')).toBe(null);
+      expect(await resp.text()).toBe(plain);
+    });
+
+    test('it compresses uncompressed uploads on request', async () => {
+      await request('PUT', 'cas/' + hash, plain);
+
+      const resp = await request('GET', 'cas/zstd/' + hash);
+      expect(resp.status).toBe(200);
+      expect(new TextDecoder().decode(decompress(await bytesOf(resp)))).toBe(plain);
+    });
+
+    test('it serves uncompressed uploads as they are to clients that accept zstd', async () => {
+      await request('PUT', 'cas/' + hash, plain);
+
+      const resp = await request('GET', 'cas/' + hash, null, { 'Accept-Encoding': 'zstd' });
+      expect(resp.status).toBe(200);
+      expect(resp.headers.get('Content-Encoding')).toBe(null);
+      expect(await resp.text()).toBe(plain);
+    });
+
+    test('it answers HEAD for either form', async () => {
+      await request('PUT', 'cas/' + hash, plain);
+
+      let resp = await request('HEAD', 'cas/zstd/' + hash);
+      expect(resp.status).toBe(200);
+      const size = parseInt(resp.headers.get('Content-Length'), 10);
+
+      resp = await request('GET', 'cas/zstd/' + hash);
+      expect((await bytesOf(resp)).length).toBe(size);
+    });
+
+    test('it 404s when neither form exists', async () => {
+      let resp = await request('GET', 'cas/zstd/' + hash);
+      expect(resp.status).toBe(404);
+      resp = await request('GET', 'cas/' + hash, null, { 'Accept-Encoding': 'zstd' });
+      expect(resp.status).toBe(404);
+    });
+
+    test('it counts compressed blobs when checking AC entries', async () => {
+      await request('PUT', 'cas/zstd/' + hash, compressed);
+      await env.BUCKET.put('ac/compressed-output', encode(ActionResult, {
+        outputFiles: [{ path: 'jack.txt', digest: { hash, sizeBytes: plain.length } }]
+      }));
+
+      const resp = await request('GET', 'ac/compressed-output');
+      expect(resp.status).toBe(200);
+    });
+  });
+
+  describe('Edge cache', () => {
+    const contents = 'popular contents';
+    let hash;
+
+    beforeEach(async () => {
+      hash = await sha256Hex(contents);
+    });
+
+    // Makes a request and waits for whatever it left to do, like
+    // filling the edge cache.
+    async function request (method, path, body, headers = authedHeaders) {
+      const requestCtx = new ExecutionContext();
+      const req = new Request('https://localhost' + path, { method, headers, body });
+      const resp = await worker.fetch(req, env, requestCtx);
+      const text = await resp.text();
+      await getMiniflareWaitUntil(requestCtx);
+      return { status: resp.status, text };
+    }
+
+    test('it serves CAS blobs from the edge once they have been read', async () => {
+      expect((await request('PUT', `/team/cas/${hash}`, contents)).status).toBe(201);
+      expect(await request('GET', `/team/cas/${hash}`)).toEqual({ status: 200, text: contents });
+
+      // Only the edge has it now.
+      await env.BUCKET.delete('ns/team/cas/' + hash);
+      expect(await request('GET', `/team/cas/${hash}`)).toEqual({ status: 200, text: contents });
+      expect((await request('GET', `/cas/${hash}`)).status).toBe(404);
+      expect((await request('HEAD', `/team/cas/${hash}`)).status).toBe(404);
+    });
+
+    test('it still checks authorization', async () => {
+      expect((await request('PUT', `/cas/${hash}`, contents)).status).toBe(201);
+      expect((await request('GET', `/cas/${hash}`)).status).toBe(200);
+
+      await env.BUCKET.put('tokens/no-cas', JSON.stringify({
+        value: 'no cas for you', prefixes: ['ac/']
+      }));
+      const noCas = new Headers({ 'Bazel-Cache-Token-Id': 'no-cas', 'Bazel-Cache-Token-Value': 'no cas for you' });
+      expect((await request('GET', `/cas/${hash}`, undefined, noCas)).status).toBe(403);
+      expect((await request('GET', `/cas/${hash}`, undefined, new Headers())).status).toBe(401);
+    });
+
+    test('it does not keep AC entries at the edge', async () => {
+      const actionResult = encode(ActionResult, { exitCode: 0 });
+      const key = await sha256Hex('some action');
+      expect((await request('PUT', `/ac/${key}`, actionResult)).status).toBe(201);
+      expect((await request('GET', `/ac/${key}`)).status).toBe(200);
+
+      await env.BUCKET.delete('ac/' + key);
+      expect((await request('GET', `/ac/${key}`)).status).toBe(404);
+    });
+  });
+
+  describe('Scoped tokens', () => {
+    const contents = 'scoped token test contents';
+    let hash;
+
+    beforeEach(async () => {
+      hash = await sha256Hex(contents);
+      await env.BUCKET.put('cas/' + hash, contents);
+    });
+
+    async function storeToken (id, doc) {
+      await env.BUCKET.put('tokens/' + id, JSON.stringify(doc));
+      worker.flushCaches();
+    }
+
+    async function request (method, key, id, value, body) {
+      const req = new Request('https://localhost/' + key, {
+        method,
+        headers: { 'Bazel-Cache-Token-Id': id, 'Bazel-Cache-Token-Value': value },
+        body
+      });
+      return await worker.fetch(req, env, ctx);
+    }
+
+    test('it lets read-only tokens read', async () => {
+      await storeToken('laptop', { value: 'laptop secret', permissions: ['read'] });
+      let resp = await request('GET', 'cas/' + hash, 'laptop', 'laptop secret');
+      expect(resp.status).toBe(200);
+      resp = await request('HEAD', 'cas/' + hash, 'laptop', 'laptop secret');
+      expect(resp.status).toBe(200);
+    });
+
+    test('it forbids read-only tokens to write', async () => {
+      await storeToken('laptop', { value: 'laptop secret', permissions: ['read'] });
+      const resp = await request('PUT', 'cas/' + hash, 'laptop', 'laptop secret', contents);
+      expect(resp.status).toBe(403);
+    });
+
+    test('it forbids write-only tokens to read', async () => {
+      await storeToken('ci', { value: 'ci secret', permissions: ['write'] });
+      let resp = await request('GET', 'cas/' + hash, 'ci', 'ci secret');
+      expect(resp.status).toBe(403);
+
+      resp = await request('PUT', 'cas/' + hash, 'ci', 'ci secret', contents);
+      expect(resp.status).toBe(201);
+    });
+
+    test('it limits tokens to their prefixes', async () => {
+      await storeToken('cas-only', { value: 'cas secret', prefixes: ['cas/'] });
+      let resp = await request('GET', 'cas/' + hash, 'cas-only', 'cas secret');
+      expect(resp.status).toBe(200);
+      resp = await request('GET', 'cas/zstd/' + hash, 'cas-only', 'cas secret');
+      expect(resp.status).toBe(200);
+      resp = await request('GET', 'ac/' + hash, 'cas-only', 'cas secret');
+      expect(resp.status).toBe(403);
+      resp = await request('PUT', 'ac/' + hash, 'cas-only', 'cas secret', encode(ActionResult, {}));
+      expect(resp.status).toBe(403);
+    });
+
+    test('it rejects expired tokens', async () => {
+      await storeToken('old', { value: 'old secret', expires: '2001-01-01T00:00:00Z' });
+      const resp = await request('GET', 'cas/' + hash, 'old', 'old secret');
+      expect(resp.status).toBe(401);
+    });
+
+    test('it accepts tokens that have not expired yet', async () => {
+      const expires = new Date(Date.now() + 3600 * 1000).toISOString();
+      await storeToken('new', { value: 'new secret', expires });
+      const resp = await request('GET', 'cas/' + hash, 'new', 'new secret');
+      expect(resp.status).toBe(200);
+    });
+
+    test('it rejects malformed tokens', async () => {
+      await storeToken('typo', { value: 'typo secret', permissions: ['raed'] });
+      const resp = await request('GET', 'cas/' + hash, 'typo', 'typo secret');
+      expect(resp.status).toBe(401);
+    });
+
+    test('it checks the value of structured tokens', async () => {
+      await storeToken('laptop', { value: 'laptop secret', permissions: ['read'] });
+      const resp = await request('GET', 'cas/' + hash, 'laptop', 'a guess');
+      expect(resp.status).toBe(401);
+    });
+  });
+
   test('it 404s when the file is not in R2', async () => {
     const req = new Request('https://localhost/ac/nope-not-here', {
       headers: authedHeaders
@@ -161,8 +1093,8 @@ describe('Bazel cache', () => {
   });
 
   test('it updates the last-used time on a PUT that overwrites a file', async () => {
-    const objKey = 'cas/wallace_and_gromit';
     const bodyContents = new Blob(['gouda cheddar edam stilton halloumi gruyere brie wensleydale']);
+    const objKey = 'cas/' + await sha256Hex(bodyContents);
     const testStartTimeUnixSeconds = Math.floor(Date.now() / 1000);
     const db = env.__D1_BETA__DB;
 
@@ -191,7 +1123,9 @@ describe('Bazel cache', () => {
   test('it updates the timestamp on GET', async () => {
     // Ensure the object already exists in the DB and in R2.
     const objKey = 'ac/lunch';
-    const bodyContents = new Blob(['super carne asada burrito with pinto beans']);
+    const bodyContents = new Blob([encode(ActionResult, {
+      stderrRaw: new TextEncoder().encode('super carne asada burrito with pinto beans')
+    })]);
     const testStartTimeUnixSeconds = Math.floor(Date.now() / 1000);
     const db = env.__D1_BETA__DB;
 
@@ -215,6 +1149,207 @@ describe('Bazel cache', () => {
     expect(results[0].last_used).toBeGreaterThanOrEqual(testStartTimeUnixSeconds);
   });
 
+  describe('Last-used times', () => {
+    const contents = 'often used contents';
+    let hash;
+
+    beforeEach(async () => {
+      hash = await sha256Hex(contents);
+      await env.BUCKET.put('cas/' + hash, contents);
+      await setLastUsed('cas/' + hash, 100);
+    });
+
+    afterEach(() => {
+      delete env.LAST_USED_GRANULARITY;
+    });
+
+    async function setLastUsed (key, time) {
+      await env.__D1_BETA__DB.prepare(
+        'INSERT INTO CacheEntries (key, last_used) VALUES (?1, ?2) ON CONFLICT(key) DO UPDATE SET last_used=?2')
+        .bind(key, time)
+        .run();
+    }
+
+    async function lastUsed (key) {
+      const row = await env.__D1_BETA__DB.prepare('SELECT last_used FROM CacheEntries WHERE key = ?1')
+        .bind(key)
+        .first();
+      return row.last_used;
+    }
+
+    // GETs an object and waits for it to be touched.
+    async function get (key) {
+      const requestCtx = new ExecutionContext();
+      const req = new Request('https://localhost/' + key, { headers: authedHeaders });
+      const resp = await worker.fetch(req, env, requestCtx);
+      expect(resp.status).toBe(200);
+      await resp.arrayBuffer();
+      await getMiniflareWaitUntil(requestCtx);
+    }
+
+    test('it touches an object at most once per granularity', async () => {
+      const key = 'cas/' + hash;
+      await get(key);
+      expect(await lastUsed(key)).toBeGreaterThan(100);
+
+      await setLastUsed(key, 100);
+      await get(key);
+      expect(await lastUsed(key)).toBe(100);
+    });
+
+    test('it leaves rows another isolate touched recently', async () => {
+      const recently = Math.floor(Date.now() / 1000) - 60;
+      await setLastUsed('cas/' + hash, recently);
+      await get('cas/' + hash);
+      expect(await lastUsed('cas/' + hash)).toBe(recently);
+    });
+
+    test('it has a configurable granularity', async () => {
+      const recently = Math.floor(Date.now() / 1000) - 60;
+      await setLastUsed('cas/' + hash, recently);
+      env.LAST_USED_GRANULARITY = '30';
+      await get('cas/' + hash);
+      expect(await lastUsed('cas/' + hash)).toBeGreaterThan(recently);
+
+      env.LAST_USED_GRANULARITY = 'often';
+      await env.BUCKET.put('cas/' + await sha256Hex('other'), 'other');
+      const req = new Request('https://localhost/cas/' + await sha256Hex('other'), { headers: authedHeaders });
+      await expect(worker.fetch(req, env, new ExecutionContext())).rejects.toThrow('LAST_USED_GRANULARITY');
+    });
+
+    test('it writes concurrent touches together', async () => {
+      const keys = [];
+      for (let i = 0; i < 5; i++) {
+        const blob = contents + i;
+        keys.push('cas/' + await sha256Hex(blob));
+        await env.BUCKET.put(keys[i], blob);
+        await setLastUsed(keys[i], 100);
+      }
+
+      // Count the statements that touch objects.
+      const db = env.__D1_BETA__DB;
+      let updates = 0;
+      const countingDb = Object.create(db);
+      countingDb.prepare = (sql) => {
+        if (sql.startsWith('UPDATE CacheEntries SET last_used')) {
+          updates++;
+        }
+        return db.prepare(sql);
+      };
+
+      const touchCtx = new ExecutionContext();
+      const countingEnv = { ...env, __D1_BETA__DB: countingDb };
+      keys.forEach((key) => touchObject(countingEnv, touchCtx, key));
+      await getMiniflareWaitUntil(touchCtx);
+      for (const key of keys) {
+        expect(await lastUsed(key)).toBeGreaterThan(100);
+      }
+      expect(updates).toBe(1);
+    });
+  });
+
+  describe('Namespaces', () => {
+    const contents = 'namespaced contents';
+    let hash;
+
+    beforeEach(async () => {
+      hash = await sha256Hex(contents);
+    });
+
+    afterEach(() => {
+      delete env.NAMESPACE_RETENTION;
+    });
+
+    async function request (method, path, body, headers = authedHeaders) {
+      const req = new Request('https://localhost' + path, { method, headers, body });
+      return await worker.fetch(req, env, ctx);
+    }
+
+    test('it keeps namespaces apart', async () => {
+      let resp = await request('PUT', `/team/cas/${hash}`, contents);
+      expect(resp.status).toBe(201);
+      expect(await env.BUCKET.head('ns/team/cas/' + hash)).not.toBe(null);
+      expect(await env.BUCKET.head('cas/' + hash)).toBe(null);
+
+      resp = await request('GET', `/team/cas/${hash}`);
+      expect(resp.status).toBe(200);
+      expect(await resp.text()).toBe(contents);
+
+      expect((await request('GET', `/cas/${hash}`)).status).toBe(404);
+      expect((await request('GET', `/other-team/cas/${hash}`)).status).toBe(404);
+    });
+
+    test('it serves compressed blobs in namespaces', async () => {
+      expect((await request('PUT', `/team/cas/${hash}`, contents)).status).toBe(201);
+      const resp = await request('GET', `/team/cas/zstd/${hash}`);
+      expect(resp.status).toBe(200);
+      expect(new TextDecoder().decode(decompress(new Uint8Array(await resp.arrayBuffer()))))
+        .toBe(contents);
+    });
+
+    test('it only counts outputs in the same namespace', async () => {
+      expect((await request('PUT', `/cas/${hash}`, contents)).status).toBe(201);
+      const actionResult = encode(ActionResult, {
+        outputFiles: [{ path: 'out', digest: { hash, sizeBytes: contents.length } }]
+      });
+      const key = 'b'.repeat(64);
+      expect((await request('PUT', `/team/ac/${key}`, actionResult)).status).toBe(201);
+      expect((await request('GET', `/team/ac/${key}`)).status).toBe(404);
+
+      expect((await request('PUT', `/team/cas/${hash}`, contents)).status).toBe(201);
+      expect((await request('GET', `/team/ac/${key}`)).status).toBe(200);
+    });
+
+    test('it rejects invalid namespaces', async () => {
+      for (const namespace of ['blobs', '.hidden', 'a%2Fb']) {
+        const resp = await request('PUT', `/${namespace}/cas/${hash}`, contents);
+        expect(resp.status).toBe(400);
+      }
+    });
+
+    test('it limits tokens to their namespaces', async () => {
+      await env.BUCKET.put('tokens/team-ci', JSON.stringify({ value: 'team secret', namespaces: ['team'] }));
+      const headers = { 'Bazel-Cache-Token-Id': 'team-ci', 'Bazel-Cache-Token-Value': 'team secret' };
+      expect((await request('PUT', `/team/cas/${hash}`, contents, headers)).status).toBe(201);
+      expect((await request('PUT', `/cas/${hash}`, contents, headers)).status).toBe(403);
+      expect((await request('GET', `/other-team/cas/${hash}`, undefined, headers)).status).toBe(403);
+    });
+
+    test('it expires objects according to their namespace', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const days = 86400;
+      const objects = {
+        'cas/three-days-old': 3 * days,
+        'cas/twenty-days-old': 20 * days,
+        'ns/scratch/cas/three-days-old': 3 * days,
+        'ns/scratch/cas/one-day-old': 1 * days,
+        'ns/archive/cas/twenty-days-old': 20 * days,
+        'ns/other/cas/twenty-days-old': 20 * days
+      };
+      const stmt = env.__D1_BETA__DB.prepare('INSERT INTO CacheEntries (key, last_used) VALUES (?1, ?2)');
+      for (const [key, age] of Object.entries(objects)) {
+        await stmt.bind(key, now - age).run();
+        await env.BUCKET.put(key, 'x');
+      }
+      env.NAMESPACE_RETENTION = JSON.stringify({ scratch: 2, archive: 30 });
+
+      await worker.scheduled('not sure what goes here', env, ctx);
+      const { results } = await env.__D1_BETA__DB.prepare('SELECT key FROM CacheEntries ORDER BY key').all();
+      expect(results.map((row) => row.key)).toStrictEqual([
+        'cas/three-days-old',
+        'ns/archive/cas/twenty-days-old',
+        'ns/scratch/cas/one-day-old'
+      ]);
+    });
+
+    test('it rejects malformed retention settings', async () => {
+      for (const setting of ['{', '[]', '{"scratch": "2"}', '{"a/b": 2}']) {
+        env.NAMESPACE_RETENTION = setting;
+        await expect(worker.scheduled('not sure what goes here', env, ctx)).rejects.toThrow('NAMESPACE_RETENTION');
+      }
+    });
+  });
+
   describe('scheduled callback', () => {
     const freshRowCount = Math.floor(2.5 * worker.STALE_OBJECT_BATCH_SIZE);
     const expiredTimeUnixSeconds = (Math.floor(Date.now() / 1000)) - worker.STALENESS_THRESHOLD - 1;
@@ -278,5 +1413,129 @@ describe('Bazel cache', () => {
       expect(staleCount).toEqual(0);
       expect(freshCount).toEqual(freshRowCount);
     });
+
+    test('it reports what it freed', async () => {
+      await env.__D1_BETA__DB.prepare('UPDATE CacheEntries SET size = 10').run();
+
+      const report = await worker.scheduled('not sure what goes here', env, ctx);
+      expect(report.expired).toEqual({ objects: freshRowCount, bytes: 10 * freshRowCount });
+      expect(report.evicted).toEqual({ objects: 0, bytes: 0 });
+    });
+  });
+
+  describe('Size budget', () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    // Stores an object and its row, last used the given number of
+    // seconds ago.
+    async function putObject (key, size, age) {
+      await env.__D1_BETA__DB.prepare('INSERT INTO CacheEntries (key, last_used, size) VALUES (?1, ?2, ?3)')
+        .bind(key, now - age, size)
+        .run();
+      await env.BUCKET.put(key, new Uint8Array(size));
+    }
+
+    async function rowSize (key) {
+      const row = await env.__D1_BETA__DB.prepare('SELECT size FROM CacheEntries WHERE key = ?1')
+        .bind(key)
+        .first();
+      return row ? row.size : undefined;
+    }
+
+    afterEach(() => {
+      delete env.MAX_CACHE_SIZE;
+    });
+
+    test('it records the size of uploads', async () => {
+      const contents = 'sized in advance';
+      const hash = await sha256Hex(contents);
+      let req = new Request('https://localhost/cas/' + hash, {
+        method: 'PUT',
+        headers: { ...Object.fromEntries(authedHeaders), 'Content-Length': contents.length.toString() },
+        body: new TextEncoder().encode(contents)
+      });
+      expect((await worker.fetch(req, env, ctx)).status).toBe(201);
+      expect(await rowSize('cas/' + hash)).toBe(contents.length);
+
+      // Without a Content-Length, we find out once it's stored.
+      const streamed = 'sized afterwards';
+      const streamedHash = await sha256Hex(streamed);
+      req = new Request('https://localhost/cas/' + streamedHash, {
+        method: 'PUT',
+        headers: authedHeaders,
+        body: new Blob([streamed]).stream(),
+        duplex: 'half'
+      });
+      expect((await worker.fetch(req, env, ctx)).status).toBe(201);
+      expect(await rowSize('cas/' + streamedHash)).toBe(streamed.length);
+
+      const actionResult = encode(ActionResult, { exitCode: 0 });
+      req = new Request('https://localhost/ac/' + 'a'.repeat(64), {
+        method: 'PUT',
+        headers: authedHeaders,
+        body: actionResult
+      });
+      expect((await worker.fetch(req, env, ctx)).status).toBe(201);
+      expect(await rowSize('ac/' + 'a'.repeat(64))).toBe(actionResult.length);
+    });
+
+    test('it evicts the least recently used objects until the cache fits', async () => {
+      for (let i = 0; i < 10; i++) {
+        await putObject('cas/' + i, 100, 1000 - i);
+      }
+      env.MAX_CACHE_SIZE = '650';
+
+      const report = await worker.scheduled('not sure what goes here', env, ctx);
+      expect(report.evicted).toEqual({ objects: 4, bytes: 400 });
+
+      const listing = await env.BUCKET.list({ prefix: 'cas/' });
+      expect(listing.objects.map((o) => o.key).sort())
+        .toStrictEqual(['cas/4', 'cas/5', 'cas/6', 'cas/7', 'cas/8', 'cas/9']);
+      for (let i = 0; i < 10; i++) {
+        expect(await rowSize('cas/' + i)).toBe(i < 4 ? undefined : 100);
+      }
+    });
+
+    test('it evicts across several batches', async () => {
+      const count = worker.STALE_OBJECT_BATCH_SIZE * 2 + 5;
+      for (let i = 0; i < count; i++) {
+        await putObject('cas/' + String(i).padStart(4, '0'), 1, count - i);
+      }
+      env.MAX_CACHE_SIZE = '3B';
+
+      const report = await worker.scheduled('not sure what goes here', env, ctx);
+      expect(report.evicted).toEqual({ objects: count - 3, bytes: count - 3 });
+      const listing = await env.BUCKET.list({ prefix: 'cas/' });
+      expect(listing.objects.length).toBe(3);
+    });
+
+    test('it leaves the cache alone when it fits', async () => {
+      await putObject('cas/small', 100, 1000);
+      env.MAX_CACHE_SIZE = '1 KiB';
+
+      const report = await worker.scheduled('not sure what goes here', env, ctx);
+      expect(report.evicted).toEqual({ objects: 0, bytes: 0 });
+      expect(await env.BUCKET.head('cas/small')).not.toBe(null);
+    });
+
+    test('it looks up sizes that were not recorded', async () => {
+      await putObject('cas/old', 300, 2000);
+      await putObject('cas/new', 300, 1000);
+      await env.__D1_BETA__DB.prepare('UPDATE CacheEntries SET size = NULL').run();
+      await env.__D1_BETA__DB.prepare('INSERT INTO CacheEntries (key, last_used) VALUES (?1, ?2)')
+        .bind('cas/gone', now)
+        .run();
+      env.MAX_CACHE_SIZE = '500';
+
+      const report = await worker.scheduled('not sure what goes here', env, ctx);
+      expect(report.evicted).toEqual({ objects: 1, bytes: 300 });
+      expect(await rowSize('cas/new')).toBe(300);
+      expect(await rowSize('cas/gone')).toBe(0);
+    });
+
+    test('it rejects a malformed budget', async () => {
+      env.MAX_CACHE_SIZE = 'lots';
+      await expect(worker.scheduled('not sure what goes here', env, ctx)).rejects.toThrow('MAX_CACHE_SIZE');
+    });
   });
 });
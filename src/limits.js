@@ -0,0 +1,108 @@
+/**
+   Per-token limits, for keeping one misbehaving client from taking
+   over the cache. A token (or an OIDC rule) can have
+
+     "limits": {
+       "requests_per_minute": 600,
+       "upload_bytes_per_day": 10000000000,
+       "max_object_size": 100000000
+     }
+
+   with any of them left out to mean no limit. Going over the request
+   rate or the daily upload allowance gets a 429 (RESOURCE_EXHAUSTED
+   over gRPC) with a Retry-After saying when the count starts over.
+   An object over the size limit gets a 413. Days are UTC days, and
+   uploads count once they're accepted, whether they then succeed or
+   not.
+
+   The counts live in the TokenUsage table of the database, so they
+   hold across isolates; `wrangler dev` and the tests use a local
+   stand-in for it. OIDC tokens count under their issuer and subject
+   (see oidc.js), so each subject a rule matches has its limits to
+   itself.
+ */
+
+import { nowInEpochSeconds } from './storage';
+
+/* global Headers, Response */
+
+export const LIMIT_NAMES = ['requests_per_minute', 'upload_bytes_per_day', 'max_object_size'];
+
+// The periods that counts are kept for, in seconds.
+const MINUTE = 60;
+const DAY = 86400;
+
+// Adds n to one of a token's counts for the period of the given length
+// that now is in. Returns the new count and how many seconds are left
+// in the period.
+async function addUsage (db, token, name, period, n) {
+  const now = nowInEpochSeconds();
+  const start = now - now % period;
+  const row = await db.prepare(
+    'INSERT INTO TokenUsage (token, name, period_start, value) VALUES (?1, ?2, ?3, ?4) ' +
+      'ON CONFLICT(token, name, period_start) DO UPDATE SET value=value + excluded.value ' +
+      'RETURNING value')
+    .bind(token.name, name, start, n)
+    .first();
+  return { value: row.value, remaining: start + period - now };
+}
+
+// Counts a request. Returns null if the token may make it, or else a
+// refusal: { status, message, retryAfter }, where retryAfter is in
+// seconds.
+export async function countRequest (env, token) {
+  const limit = token.limits && token.limits.requests_per_minute;
+  if (!limit) {
+    return null;
+  }
+  const { value, remaining } = await addUsage(env.__D1_BETA__DB, token, 'requests', MINUTE, 1);
+  if (value <= limit) {
+    return null;
+  }
+  return { status: 429, message: 'Too many requests', retryAfter: remaining };
+}
+
+// Turns a refusal into a response.
+export function refusalResponse (refusal) {
+  const headers = new Headers();
+  if (refusal.retryAfter !== null) {
+    headers.set('Retry-After', refusal.retryAfter.toString());
+  }
+  return new Response(refusal.message, { status: refusal.status, headers });
+}
+
+// Checks whether the token may upload an object of the given size,
+// and counts it if so. Returns null or a refusal, as countRequest
+// does.
+export async function admitUpload (env, token, size) {
+  const limits = token.limits || {};
+  if (limits.max_object_size && size > limits.max_object_size) {
+    return { status: 413, message: `Objects may be at most ${limits.max_object_size} bytes`, retryAfter: null };
+  }
+  if (!limits.upload_bytes_per_day) {
+    return null;
+  }
+
+  const db = env.__D1_BETA__DB;
+  const { value, remaining } = await addUsage(db, token, 'upload_bytes', DAY, size);
+  if (value <= limits.upload_bytes_per_day) {
+    return null;
+  }
+  // Take back what the refused upload added, so that smaller ones can
+  // still fit.
+  await addUsage(db, token, 'upload_bytes', DAY, -size);
+  return { status: 429, message: 'Daily upload allowance used up', retryAfter: remaining };
+}
+
+// Returns true if uploads by the token must say how big they are up
+// front.
+export function needsUploadSize (token) {
+  return Boolean(token.limits && (token.limits.max_object_size || token.limits.upload_bytes_per_day));
+}
+
+// Deletes counts for periods that are over.
+export async function forgetOldUsage (db) {
+  await db.prepare('DELETE FROM TokenUsage WHERE period_start < ?1')
+    .bind(nowInEpochSeconds() - DAY)
+    .run();
+}
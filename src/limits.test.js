@@ -0,0 +1,117 @@
+import worker from './index';
+import { migrate } from './schema';
+
+/* global expect, test, beforeAll, beforeEach, crypto, getMiniflareBindings, TextEncoder,
+   ExecutionContext, describe, ReadableStream */
+
+async function sha256Hex (contents) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(contents));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+describe('token limits', () => {
+  let env;
+  const ctx = new ExecutionContext();
+
+  beforeAll(async () => {
+    env = getMiniflareBindings();
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(() => {
+    worker.flushCaches();
+  });
+
+  async function storeToken (id, limits) {
+    await env.BUCKET.put('tokens/' + id, JSON.stringify({ value: id + ' secret', limits }));
+  }
+
+  async function request (id, method, path, body, headers = {}) {
+    const req = new Request('https://localhost' + path, {
+      method,
+      headers: { 'Bazel-Cache-Token-Id': id, 'Bazel-Cache-Token-Value': id + ' secret', ...headers },
+      body,
+      duplex: 'half'
+    });
+    return await worker.fetch(req, env, ctx);
+  }
+
+  async function put (id, contents) {
+    return await request(id, 'PUT', '/cas/' + await sha256Hex(contents), contents,
+      { 'Content-Length': contents.length.toString() });
+  }
+
+  test('it limits the request rate', async () => {
+    await storeToken('busy', { requests_per_minute: 2 });
+    await storeToken('calm', { requests_per_minute: 2 });
+    const path = '/cas/' + await sha256Hex('nothing');
+    expect((await request('busy', 'GET', path)).status).toBe(404);
+    expect((await request('busy', 'HEAD', path)).status).toBe(404);
+
+    const resp = await request('busy', 'GET', path);
+    expect(resp.status).toBe(429);
+    const retryAfter = parseInt(resp.headers.get('Retry-After'), 10);
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(60);
+    expect((await put('busy', 'something')).status).toBe(429);
+
+    expect((await request('calm', 'GET', path)).status).toBe(404);
+  });
+
+  test('it limits the size of objects', async () => {
+    await storeToken('small', { max_object_size: 10 });
+    const resp = await put('small', 'more than ten bytes');
+    expect(resp.status).toBe(413);
+    expect(resp.headers.has('Retry-After')).toBe(false);
+    expect((await put('small', 'ten bytes!')).status).toBe(201);
+  });
+
+  test('it limits how much a token uploads in a day', async () => {
+    await storeToken('thrifty', { upload_bytes_per_day: 30 });
+    expect((await put('thrifty', 'twenty bytes of data')).status).toBe(201);
+
+    const resp = await put('thrifty', 'twenty more bytes!!!');
+    expect(resp.status).toBe(429);
+    const retryAfter = parseInt(resp.headers.get('Retry-After'), 10);
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(86400);
+
+    // What was refused doesn't count.
+    expect((await put('thrifty', 'ten bytes!')).status).toBe(201);
+  });
+
+  test('it needs to know how big uploads are', async () => {
+    await storeToken('careful', { upload_bytes_per_day: 1000 });
+    const contents = 'streamed without a length';
+    const body = new ReadableStream({
+      start (controller) {
+        controller.enqueue(new TextEncoder().encode(contents));
+        controller.close();
+      }
+    });
+    const resp = await request('careful', 'PUT', '/cas/' + await sha256Hex(contents), body);
+    expect(resp.status).toBe(411);
+  });
+
+  test('tokens without limits have none', async () => {
+    await env.BUCKET.put('tokens/free', 'free secret');
+    for (let i = 0; i < 5; i++) {
+      expect((await put('free', 'contents ' + i)).status).toBe(201);
+    }
+    const { count } = await env.__D1_BETA__DB.prepare('SELECT COUNT(*) AS count FROM TokenUsage').first();
+    expect(count).toBe(0);
+  });
+
+  test('the cleanup forgets old counts', async () => {
+    const stmt = env.__D1_BETA__DB.prepare(
+      'INSERT INTO TokenUsage (token, name, period_start, value) VALUES (?1, ?2, ?3, ?4)');
+    const now = Math.floor(Date.now() / 1000);
+    await stmt.bind('old', 'upload_bytes', now - 3 * 86400, 100).run();
+    await stmt.bind('new', 'requests', now, 1).run();
+
+    await worker.scheduled('not sure what goes here', env, ctx);
+
+    const { results } = await env.__D1_BETA__DB.prepare('SELECT token FROM TokenUsage').all();
+    expect(results.map((row) => row.token)).toEqual(['new']);
+  });
+});
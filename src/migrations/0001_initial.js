@@ -0,0 +1,5 @@
+// The one table the cache started out with, as the first schema.sql
+// made it.
+export default [
+  'CREATE TABLE IF NOT EXISTS CacheEntries (key TEXT PRIMARY KEY, last_used INTEGER) WITHOUT ROWID'
+];
@@ -0,0 +1,10 @@
+// The size of each object, for MAX_CACHE_SIZE, and an index for
+// evicting the least recently used. A database made by a later
+// schema.sql, from before migrations, already has the column.
+export default async function (db) {
+  const column = await db.prepare("SELECT name FROM pragma_table_info('CacheEntries') WHERE name = 'size'").first();
+  return [
+    ...(column ? [] : ['ALTER TABLE CacheEntries ADD COLUMN size INTEGER']),
+    'CREATE INDEX IF NOT EXISTS CacheEntriesByLastUsed ON CacheEntries (last_used)'
+  ];
+}
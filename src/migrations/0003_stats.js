@@ -0,0 +1,4 @@
+// The counters behind /metrics and /stats; see stats.js.
+export default [
+  'CREATE TABLE IF NOT EXISTS Stats (token TEXT NOT NULL, namespace TEXT NOT NULL, name TEXT NOT NULL, value INTEGER NOT NULL, PRIMARY KEY (token, namespace, name)) WITHOUT ROWID'
+];
@@ -0,0 +1,4 @@
+// What tokens have used of their limits; see limits.js.
+export default [
+  'CREATE TABLE IF NOT EXISTS TokenUsage (token TEXT NOT NULL, name TEXT NOT NULL, period_start INTEGER NOT NULL, value INTEGER NOT NULL, PRIMARY KEY (token, name, period_start)) WITHOUT ROWID'
+];
@@ -0,0 +1,7 @@
+// The audit log; see audit.js.
+export default [
+  'CREATE TABLE IF NOT EXISTS AuditLog (id INTEGER PRIMARY KEY, time INTEGER NOT NULL, token TEXT, action TEXT NOT NULL, key TEXT, size INTEGER, client_ip TEXT, details TEXT)',
+  'CREATE INDEX IF NOT EXISTS AuditLogByKey ON AuditLog (key)',
+  'CREATE INDEX IF NOT EXISTS AuditLogByToken ON AuditLog (token)',
+  'CREATE INDEX IF NOT EXISTS AuditLogByTime ON AuditLog (time)'
+];
@@ -0,0 +1,6 @@
+// Uploads in parts and the parts that have arrived; see multipart.js.
+export default [
+  'CREATE TABLE IF NOT EXISTS Uploads (id TEXT PRIMARY KEY, key TEXT NOT NULL, r2_upload_id TEXT NOT NULL, token TEXT, size INTEGER NOT NULL, part_size INTEGER NOT NULL, started INTEGER NOT NULL) WITHOUT ROWID',
+  'CREATE INDEX IF NOT EXISTS UploadsByStart ON Uploads (started)',
+  'CREATE TABLE IF NOT EXISTS UploadParts (upload_id TEXT NOT NULL, part_number INTEGER NOT NULL, etag TEXT NOT NULL, PRIMARY KEY (upload_id, part_number)) WITHOUT ROWID'
+];
@@ -0,0 +1,5 @@
+// Pinned objects and prefixes; see pins.js.
+export default [
+  'CREATE TABLE IF NOT EXISTS Pins (key TEXT NOT NULL, prefix INTEGER NOT NULL, pinned_by TEXT NOT NULL, expires INTEGER, created INTEGER NOT NULL, PRIMARY KEY (key, prefix, pinned_by)) WITHOUT ROWID',
+  'CREATE INDEX IF NOT EXISTS PinsByPinnedBy ON Pins (pinned_by)'
+];
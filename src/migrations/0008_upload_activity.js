@@ -0,0 +1,9 @@
+// When each upload last had a part arrive, which is what the cleanup
+// goes by, and when it started being verified; see multipart.js.
+export default [
+  'ALTER TABLE Uploads ADD COLUMN updated INTEGER',
+  'ALTER TABLE Uploads ADD COLUMN verifying INTEGER',
+  'UPDATE Uploads SET updated = started',
+  'DROP INDEX IF EXISTS UploadsByStart',
+  'CREATE INDEX IF NOT EXISTS UploadsByUpdate ON Uploads (updated)'
+];
@@ -0,0 +1,5 @@
+// Where jobs that go through the cache a part at a time have got to;
+// see reconcileOnSchedule in cleanup.js.
+export default [
+  'CREATE TABLE IF NOT EXISTS Cursors (name TEXT PRIMARY KEY, next TEXT NOT NULL) WITHOUT ROWID'
+];
@@ -0,0 +1,319 @@
+/**
+   Uploading big CAS blobs in parts, for ones too big for a single
+   request, and so that an interrupted upload can carry on where it
+   left off. Each of these is under the blob's path, /cas/<hash>, in
+   any namespace:
+
+     POST   /cas/<hash>/uploads          starts an upload
+     GET    /cas/<hash>/uploads/<id>     says which parts have arrived
+     PUT    /cas/<hash>/uploads/<id>/<n> uploads part n
+     POST   /cas/<hash>/uploads/<id>     finishes the upload
+     DELETE /cas/<hash>/uploads/<id>     abandons it
+
+   Starting an upload takes a JSON body with the blob's "size" in
+   bytes and, optionally, a "part_size", and the response gives the
+   upload's "id" and how many "parts" to send. Part n starts at byte
+   (n - 1) * part_size, and all are part_size bytes but the last,
+   which has the rest. They can come in any order, and sending a part
+   again replaces it.
+
+   Parts go into an R2 multipart upload of a staging object (see
+   staging.js), and the upload's progress into the Uploads and
+   UploadParts tables of the database. Finishing it checks the
+   staging object against the blob's digest, and only then is it
+   copied into place and counted as uploaded, for stats.js and
+   audit.js. The upload is kept, marked as verifying, until that's
+   done, so that if the worker dies part way the cleanup can take
+   away what it left. A blob that's already in the cache is never
+   replaced: there's no starting an upload of it, and one that's
+   finished after it arrived is abandoned instead. An upload is the
+   token's that started it, which is the only one that can carry on
+   with it.
+
+   The scheduled cleanup abandons uploads that have had no part
+   arrive for UPLOAD_EXPIRY, and ones that have been verifying for
+   VERIFY_EXPIRY, along with their staging objects; see cleanup.js.
+ */
+
+import { jsonResponse } from './admin';
+import { recordAudit } from './audit';
+import { hashThrough, toHex } from './digest';
+import { admitUpload, refusalResponse } from './limits';
+import { publishStagedObject, stagingObjectName } from './staging';
+import { recordStats } from './stats';
+import { findBlob, nowInEpochSeconds, touchObject } from './storage';
+
+/* global crypto, Response, WritableStream */
+
+// R2 needs every part but the last to be at least this big.
+export const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// Workers won't take request bodies much bigger than this on most
+// plans.
+export const MAX_PART_SIZE = 100 * 1000 * 1000;
+
+export const DEFAULT_PART_SIZE = 64 * 1024 * 1024;
+
+// R2 won't take more parts than this.
+const MAX_PARTS = 10000;
+
+// How long an upload can go without a part arriving before the
+// cleanup abandons it, in seconds.
+export const UPLOAD_EXPIRY = 86400;
+
+// How long an upload can be verifying before the cleanup takes it for
+// dead, in seconds. No worker runs anywhere near this long.
+export const VERIFY_EXPIRY = 3600;
+
+// Returns the number of parts an upload is in.
+function partCount (upload) {
+  return Math.max(1, Math.ceil(upload.size / upload.part_size));
+}
+
+// Returns the size that part n of an upload has to be.
+function partSize (upload, n) {
+  return n < partCount(upload) ? upload.part_size : upload.size - (n - 1) * upload.part_size;
+}
+
+// Looks up an upload of the object key. Returns its row from the
+// Uploads table, or null if there's no such upload or it isn't the
+// token's.
+async function findUpload (db, id, key, token) {
+  const upload = await db.prepare('SELECT * FROM Uploads WHERE id = ?1 AND key = ?2')
+    .bind(id, key)
+    .first();
+  return upload && upload.token === token.name ? upload : null;
+}
+
+function busyResponse () {
+  return new Response('The upload is being finished', { status: 409 });
+}
+
+// Returns the R2MultipartUpload of an upload, which puts together its
+// staging object.
+function multipartUpload (env, upload) {
+  return env.BUCKET.resumeMultipartUpload(stagingObjectName(upload.id), upload.r2_upload_id);
+}
+
+// Returns the parts of an upload that have arrived, as { partNumber,
+// etag } objects in order.
+async function uploadedParts (db, upload) {
+  const results = await db.prepare(
+    'SELECT part_number AS partNumber, etag FROM UploadParts WHERE upload_id = ?1 ORDER BY part_number')
+    .bind(upload.id)
+    .all();
+  return results.results;
+}
+
+// Forgets an upload, once it's finished or abandoned.
+async function forgetUpload (db, upload) {
+  await db.prepare('DELETE FROM UploadParts WHERE upload_id = ?1').bind(upload.id).run();
+  await db.prepare('DELETE FROM Uploads WHERE id = ?1').bind(upload.id).run();
+}
+
+// POST /cas/<hash>/uploads
+export async function startUpload (request, env, ctx, token, key, namespace) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return new Response('Body must be JSON', { status: 400 });
+  }
+  const size = body && body.size;
+  const partBytes = body && 'part_size' in body ? body.part_size : DEFAULT_PART_SIZE;
+  if (!Number.isSafeInteger(size) || size < 0) {
+    return new Response('"size" must be a whole number of bytes', { status: 400 });
+  }
+  if (!Number.isSafeInteger(partBytes) || partBytes < MIN_PART_SIZE || partBytes > MAX_PART_SIZE) {
+    return new Response(`"part_size" must be from ${MIN_PART_SIZE} to ${MAX_PART_SIZE} bytes`, { status: 400 });
+  }
+  const upload = {
+    id: toHex(crypto.getRandomValues(new Uint8Array(16))),
+    key,
+    token: token.name,
+    size,
+    part_size: partBytes,
+    started: nowInEpochSeconds()
+  };
+  if (partCount(upload) > MAX_PARTS) {
+    return new Response(`That takes more than ${MAX_PARTS} parts; use bigger ones`, { status: 400 });
+  }
+  const refusal = await admitUpload(env, token, size);
+  if (refusal) {
+    return refusalResponse(refusal);
+  }
+  const hash = key.slice(key.lastIndexOf('/') + 1);
+  if (await findBlob(env.BUCKET, { hash, sizeBytes: size }, namespace)) {
+    return new Response('Already in the cache', { status: 409 });
+  }
+
+  const multipart = await env.BUCKET.createMultipartUpload(stagingObjectName(upload.id));
+  await env.__D1_BETA__DB.prepare(
+    'INSERT INTO Uploads (id, key, r2_upload_id, token, size, part_size, started, updated) ' +
+      'VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?7)')
+    .bind(upload.id, key, multipart.uploadId, upload.token, size, partBytes, upload.started)
+    .run();
+  return jsonResponse({ id: upload.id, size, part_size: partBytes, parts: partCount(upload) }, 201);
+}
+
+// GET /cas/<hash>/uploads/<id>
+export async function describeUpload (request, env, ctx, token, key) {
+  const db = env.__D1_BETA__DB;
+  const upload = await findUpload(db, request.params.upload, key, token);
+  if (!upload) {
+    return new Response('No such upload', { status: 404 });
+  }
+  const parts = await uploadedParts(db, upload);
+  return jsonResponse({
+    id: upload.id,
+    size: upload.size,
+    part_size: upload.part_size,
+    parts: partCount(upload),
+    uploaded: parts.map((part) => part.partNumber),
+    verifying: upload.verifying !== null
+  });
+}
+
+// PUT /cas/<hash>/uploads/<id>/<n>
+export async function uploadPart (request, env, ctx, token, key) {
+  const db = env.__D1_BETA__DB;
+  const upload = await findUpload(db, request.params.upload, key, token);
+  if (!upload) {
+    return new Response('No such upload', { status: 404 });
+  }
+  if (upload.verifying !== null) {
+    return busyResponse();
+  }
+  const n = Number(request.params.part);
+  if (!Number.isInteger(n) || n < 1 || n > partCount(upload)) {
+    return new Response(`Parts are numbered from 1 to ${partCount(upload)}`, { status: 400 });
+  }
+  const expected = partSize(upload, n);
+  if (parseInt(request.headers.get('Content-Length'), 10) !== expected) {
+    return new Response(`Part ${n} must be ${expected} bytes`, { status: 400 });
+  }
+
+  const multipart = multipartUpload(env, upload);
+  const part = await multipart.uploadPart(n, request.body || new Uint8Array(0));
+  await db.batch([
+    db.prepare(
+      'INSERT INTO UploadParts (upload_id, part_number, etag) VALUES (?1, ?2, ?3) ' +
+        'ON CONFLICT(upload_id, part_number) DO UPDATE SET etag=excluded.etag')
+      .bind(upload.id, n, part.etag),
+    db.prepare('UPDATE Uploads SET updated = ?1 WHERE id = ?2').bind(nowInEpochSeconds(), upload.id)
+  ]);
+  return new Response(null, { status: 204 }); // 204 No Content
+}
+
+// POST /cas/<hash>/uploads/<id>
+export async function finishUpload (request, env, ctx, token, key, namespace, digestFn) {
+  const db = env.__D1_BETA__DB;
+  const upload = await findUpload(db, request.params.upload, key, token);
+  if (!upload) {
+    return new Response('No such upload', { status: 404 });
+  }
+  if (upload.verifying !== null) {
+    return busyResponse();
+  }
+  const parts = await uploadedParts(db, upload);
+  if (parts.length < partCount(upload)) {
+    const arrived = new Set(parts.map((part) => part.partNumber));
+    const missing = [];
+    for (let n = 1; n <= partCount(upload); n++) {
+      if (!arrived.has(n)) {
+        missing.push(n);
+      }
+    }
+    return new Response('Missing parts: ' + missing.join(', '), { status: 409 });
+  }
+
+  // There's no need to check a blob that's arrived since the upload
+  // started.
+  const multipart = multipartUpload(env, upload);
+  const hash = key.slice(key.lastIndexOf('/') + 1);
+  const existing = await findBlob(env.BUCKET, { hash, sizeBytes: upload.size }, namespace);
+  if (existing) {
+    await multipart.abort();
+    await forgetUpload(db, upload);
+    touchObject(env, ctx, existing);
+    return new Response(':thumbs-up:', { status: 201 }); // 201 Created
+  }
+
+  // Only one request gets to finish it. Until the blob's in place, the
+  // upload stays, so the cleanup can take away its staging object if
+  // this one dies.
+  const claimed = await db.prepare('UPDATE Uploads SET verifying = ?1 WHERE id = ?2 AND verifying IS NULL')
+    .bind(nowInEpochSeconds(), upload.id)
+    .run();
+  if (claimed.meta.changes === 0) {
+    return busyResponse();
+  }
+  const staged = stagingObjectName(upload.id);
+  await multipart.complete(parts);
+
+  // The parts were never hashed on the way in, so read the whole
+  // thing back to check it.
+  const obj = await env.BUCKET.get(staged);
+  const hasher = digestFn.createHasher();
+  await hashThrough(obj.body, hasher).pipeTo(new WritableStream());
+  if (toHex(await hasher.digest()) !== hash) {
+    await env.BUCKET.delete(staged);
+    await forgetUpload(db, upload);
+    return new Response('Digest mismatch', { status: 400 });
+  }
+  const published = await publishStagedObject(env, staged, key);
+  await forgetUpload(db, upload);
+  if (!published) {
+    // Someone else's upload of it got there first.
+    const meta = await env.BUCKET.head(key);
+    return new Response(':thumbs-up:', { status: 201, headers: meta ? { ETag: meta.httpEtag } : {} }); // 201 Created
+  }
+
+  recordStats(env, ctx, token, namespace, { cas_uploads: 1, bytes_in: obj.size });
+  recordAudit(env, ctx, { token, action: 'upload', key, size: obj.size, request, details: { parts: parts.length } });
+  return new Response(':thumbs-up:', { status: 201, headers: { ETag: published.httpEtag } }); // 201 Created
+}
+
+// DELETE /cas/<hash>/uploads/<id>
+export async function abortUpload (request, env, ctx, token, key) {
+  const db = env.__D1_BETA__DB;
+  const upload = await findUpload(db, request.params.upload, key, token);
+  if (!upload) {
+    return new Response('No such upload', { status: 404 });
+  }
+  if (upload.verifying !== null) {
+    return busyResponse();
+  }
+  await multipartUpload(env, upload).abort();
+  await forgetUpload(db, upload);
+  return new Response(null, { status: 204 }); // 204 No Content
+}
+
+// Abandons uploads that have had no part arrive for UPLOAD_EXPIRY,
+// and those whose verifying never finished, along with the staging
+// objects they may have left. Returns how many there were.
+export async function abandonOldUploads (env) {
+  const db = env.__D1_BETA__DB;
+  const now = nowInEpochSeconds();
+  const results = await db.prepare(
+    'SELECT id, key, r2_upload_id, verifying FROM Uploads ' +
+      'WHERE (verifying IS NULL AND updated < ?1) OR verifying < ?2')
+    .bind(now - UPLOAD_EXPIRY, now - VERIFY_EXPIRY)
+    .all();
+  for (const upload of results.results) {
+    const multipart = multipartUpload(env, upload);
+    if (upload.verifying === null) {
+      await multipart.abort();
+    } else if (await env.BUCKET.head(stagingObjectName(upload.id))) {
+      // It was completed, and the staging object is all it left.
+      await env.BUCKET.delete(stagingObjectName(upload.id));
+    } else {
+      // Either it never got as far as completing, or its blob went in
+      // place and it died before forgetting it; only the first leaves
+      // anything to abort.
+      await multipart.abort().catch(() => {});
+    }
+    await forgetUpload(db, upload);
+  }
+  return results.results.length;
+}
@@ -0,0 +1,286 @@
+import { jest } from '@jest/globals';
+import worker from './index';
+import { MIN_PART_SIZE, UPLOAD_EXPIRY, VERIFY_EXPIRY } from './multipart';
+import { migrate } from './schema';
+import { STAGING_PREFIX } from './staging';
+
+/* global expect, test, beforeAll, beforeEach, afterEach, getMiniflareBindings,
+   getMiniflareWaitUntil, ExecutionContext, describe, crypto, Buffer */
+
+describe('uploads in parts', () => {
+  let env;
+  const ctx = new ExecutionContext();
+  const tokenId = 'pelican';
+  const tokenValue = 'a beak that holds more than its belly can';
+
+  // Two full parts and a bit.
+  const blob = new Uint8Array(2 * MIN_PART_SIZE + 1000);
+  for (let i = 0; i < blob.length; i++) {
+    blob[i] = (i * 7 + (i >> 12)) & 0xff;
+  }
+  let hash;
+
+  beforeAll(async () => {
+    env = getMiniflareBindings();
+    await migrate(env.__D1_BETA__DB);
+    const digest = await crypto.subtle.digest('SHA-256', blob);
+    hash = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  });
+
+  beforeEach(async () => {
+    await env.BUCKET.put('tokens/' + tokenId, tokenValue);
+    await env.BUCKET.put('tokens/reader', JSON.stringify({ value: 'just looking', permissions: ['read'] }));
+    await env.BUCKET.put('tokens/other', 'someone else');
+    worker.flushCaches();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function send (method, path, body, id = tokenId, value = tokenValue) {
+    const headers = { 'Bazel-Cache-Token-Id': id, 'Bazel-Cache-Token-Value': value };
+    if (body instanceof Uint8Array) {
+      headers['Content-Length'] = body.length.toString();
+    } else if (body !== undefined) {
+      body = JSON.stringify(body);
+    }
+    const resp = await worker.fetch(new Request('https://localhost' + path, { method, headers, body }), env, ctx);
+    await getMiniflareWaitUntil(ctx);
+    return resp;
+  }
+
+  // Starts an upload of blob. Returns its path.
+  async function start (base = '') {
+    const resp = await send('POST', `${base}/cas/${hash}/uploads`, { size: blob.length, part_size: MIN_PART_SIZE });
+    expect(resp.status).toBe(201);
+    const upload = await resp.json();
+    expect(upload.parts).toBe(3);
+    return `${base}/cas/${hash}/uploads/${upload.id}`;
+  }
+
+  function part (n) {
+    return blob.subarray((n - 1) * MIN_PART_SIZE, n * MIN_PART_SIZE);
+  }
+
+  test('it puts a blob together from its parts', async () => {
+    const path = await start();
+    expect((await send('PUT', path + '/3', part(3))).status).toBe(204);
+    expect((await send('PUT', path + '/1', part(1))).status).toBe(204);
+
+    // Where an interrupted upload would pick up from.
+    const progress = await (await send('GET', path)).json();
+    expect(progress.uploaded).toEqual([1, 3]);
+    expect((await send('POST', path)).status).toBe(409);
+
+    expect((await send('PUT', path + '/2', part(2))).status).toBe(204);
+    expect((await send('POST', path)).status).toBe(201);
+
+    const resp = await send('GET', '/cas/' + hash);
+    expect(resp.status).toBe(200);
+    // toEqual takes forever on something this big.
+    expect(Buffer.from(await resp.arrayBuffer()).equals(Buffer.from(blob))).toBe(true);
+    const row = await env.__D1_BETA__DB.prepare('SELECT size FROM CacheEntries WHERE key = ?1')
+      .bind('cas/' + hash)
+      .first();
+    expect(row.size).toBe(blob.length);
+    const audit = await env.__D1_BETA__DB.prepare("SELECT size FROM AuditLog WHERE action = 'upload' AND key = ?1")
+      .bind('cas/' + hash)
+      .first();
+    expect(audit.size).toBe(blob.length);
+
+    // It's finished, so it's gone.
+    expect((await send('GET', path)).status).toBe(404);
+  });
+
+  test('it works in namespaces', async () => {
+    const path = await start('/team');
+    for (const n of [1, 2, 3]) {
+      await send('PUT', `${path}/${n}`, part(n));
+    }
+    expect((await send('POST', path)).status).toBe(201);
+    expect(await env.BUCKET.head(`ns/team/cas/${hash}`)).not.toBe(null);
+  });
+
+  test('it turns away blobs that do not match their digest', async () => {
+    const path = await start('/wrong');
+    const bad = part(2).slice();
+    bad[17] ^= 1;
+    await send('PUT', path + '/1', part(1));
+    await send('PUT', path + '/2', bad);
+    await send('PUT', path + '/3', part(3));
+
+    // Sending it again replaces it, but that's just as bad.
+    expect((await send('PUT', path + '/2', bad)).status).toBe(204);
+    expect((await send('POST', path)).status).toBe(400);
+    expect(await env.BUCKET.head(`ns/wrong/cas/${hash}`)).toBe(null);
+    const row = await env.__D1_BETA__DB.prepare('SELECT * FROM CacheEntries WHERE key = ?1')
+      .bind(`ns/wrong/cas/${hash}`)
+      .first();
+    expect(row).toBe(null);
+  });
+
+  test('it checks the parts', async () => {
+    const path = await start();
+    expect((await send('PUT', path + '/0', part(1))).status).toBe(400);
+    expect((await send('PUT', path + '/4', part(3))).status).toBe(400);
+    expect((await send('PUT', path + '/1', part(3))).status).toBe(400);
+    expect((await send('PUT', path + '/3', part(1))).status).toBe(400);
+  });
+
+  test('it checks how uploads are started', async () => {
+    const bad = [
+      { part_size: MIN_PART_SIZE },
+      { size: -1 },
+      { size: 'big' },
+      { size: 100, part_size: 1000 },
+      { size: 1e12, part_size: MIN_PART_SIZE }
+    ];
+    for (const body of bad) {
+      expect((await send('POST', `/cas/${hash}/uploads`, body)).status).toBe(400);
+    }
+    expect((await send('POST', '/cas/not-a-hash/uploads', { size: 10 })).status).toBe(400);
+  });
+
+  test('uploads belong to their tokens', async () => {
+    expect((await send('POST', `/cas/${hash}/uploads`, { size: 10 }, 'reader', 'just looking')).status)
+      .toBe(403);
+
+    const path = await start();
+    expect((await send('GET', path, undefined, 'other', 'someone else')).status).toBe(404);
+    expect((await send('PUT', path + '/1', part(1), 'other', 'someone else')).status).toBe(404);
+    expect((await send('GET', path.replace(hash, 'f'.repeat(64)))).status).toBe(404);
+  });
+
+  test('it can abandon an upload', async () => {
+    const path = await start();
+    await send('PUT', path + '/1', part(1));
+    expect((await send('DELETE', path)).status).toBe(204);
+    expect((await send('GET', path)).status).toBe(404);
+    expect((await send('PUT', path + '/2', part(2))).status).toBe(404);
+  });
+
+  test('the cleanup abandons uploads that have stopped', async () => {
+    const now = Date.now();
+    const later = jest.spyOn(Date, 'now');
+    const path = await start();
+    await send('PUT', path + '/1', part(1));
+
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+    expect((await send('GET', path)).status).toBe(200);
+
+    // It's the last part to arrive that counts, not the start.
+    later.mockImplementation(() => now + (UPLOAD_EXPIRY - 60) * 1000);
+    await send('PUT', path + '/2', part(2));
+    later.mockImplementation(() => now + (UPLOAD_EXPIRY + 60) * 1000);
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+    expect((await send('GET', path)).status).toBe(200);
+
+    later.mockImplementation(() => now + (2 * UPLOAD_EXPIRY) * 1000);
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+    expect((await send('GET', path)).status).toBe(404);
+  });
+
+  test('the cleanup takes away what a dead upload left', async () => {
+    const path = await start('/dying');
+    for (const n of [1, 2, 3]) {
+      await send('PUT', `${path}/${n}`, part(n));
+    }
+    // The worker dies reading it back.
+    const get = jest.spyOn(env.BUCKET, 'get').mockRejectedValueOnce(new Error('Exceeded CPU limit'));
+    await expect(send('POST', path)).rejects.toThrow('Exceeded CPU limit');
+    get.mockRestore();
+    // Nothing unchecked is ever in place.
+    expect(await env.BUCKET.head(`ns/dying/cas/${hash}`)).toBe(null);
+    expect((await env.BUCKET.list({ prefix: STAGING_PREFIX })).objects.length).toBe(1);
+    expect((await (await send('GET', path)).json()).verifying).toBe(true);
+    expect((await send('POST', path)).status).toBe(409);
+    expect((await send('PUT', path + '/1', part(1))).status).toBe(409);
+
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+    expect((await send('GET', path)).status).toBe(200);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now + (VERIFY_EXPIRY + 60) * 1000);
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+    expect((await send('GET', path)).status).toBe(404);
+    expect((await env.BUCKET.list({ prefix: STAGING_PREFIX })).objects).toEqual([]);
+    const row = await env.__D1_BETA__DB.prepare('SELECT * FROM CacheEntries WHERE key = ?1')
+      .bind(`ns/dying/cas/${hash}`)
+      .first();
+    expect(row).toBe(null);
+  });
+
+  test('the cleanup aborts uploads that died before completing', async () => {
+    const path = await start('/dying');
+    for (const n of [1, 2, 3]) {
+      await send('PUT', `${path}/${n}`, part(n));
+    }
+    const resume = env.BUCKET.resumeMultipartUpload;
+    const aborted = [];
+    jest.spyOn(env.BUCKET, 'resumeMultipartUpload').mockImplementation((...args) => {
+      const multipart = resume.apply(env.BUCKET, args);
+      return {
+        complete: () => Promise.reject(new Error('Exceeded CPU limit')),
+        abort: () => {
+          aborted.push(multipart.uploadId);
+          return multipart.abort();
+        }
+      };
+    });
+    await expect(send('POST', path)).rejects.toThrow('Exceeded CPU limit');
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now + (VERIFY_EXPIRY + 60) * 1000);
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+    expect((await send('GET', path)).status).toBe(404);
+    expect(aborted.length).toBe(1);
+  });
+
+  test('it never replaces a blob that is already there', async () => {
+    const key = `ns/there/cas/${hash}`;
+    const path = await start('/there');
+    for (const n of [1, 2]) {
+      await send('PUT', `${path}/${n}`, part(n));
+    }
+    const bad = part(3).slice();
+    bad[0] ^= 1;
+    await send('PUT', path + '/3', bad);
+
+    // It turns up while the upload is going.
+    await env.BUCKET.put(key, blob);
+    const etag = (await env.BUCKET.head(key)).etag;
+    expect((await send('POST', path)).status).toBe(201);
+    expect((await env.BUCKET.head(key)).etag).toBe(etag);
+    expect((await send('GET', path)).status).toBe(404);
+
+    // Or while it's being checked.
+    await env.BUCKET.delete(key);
+    const another = await start('/there');
+    for (const n of [1, 2, 3]) {
+      await send('PUT', `${another}/${n}`, part(n));
+    }
+    const get = env.BUCKET.get;
+    let theirs;
+    jest.spyOn(env.BUCKET, 'get').mockImplementationOnce(async (...args) => {
+      theirs = (await env.BUCKET.put(key, blob)).version;
+      return await get.apply(env.BUCKET, args);
+    });
+    expect((await send('POST', another)).status).toBe(201);
+    expect((await env.BUCKET.head(key)).version).toBe(theirs);
+    expect((await env.BUCKET.list({ prefix: STAGING_PREFIX })).objects).toEqual([]);
+
+    // And there's no starting another.
+    const resp = await send('POST', `/there/cas/${hash}/uploads`, { size: blob.length });
+    expect(resp.status).toBe(409);
+  });
+
+  test('it holds uploads to the token limits', async () => {
+    await env.BUCKET.put('tokens/' + tokenId, JSON.stringify({
+      value: tokenValue, limits: { max_object_size: MIN_PART_SIZE }
+    }));
+    worker.flushCaches();
+    const resp = await send('POST', `/cas/${hash}/uploads`, { size: blob.length });
+    expect(resp.status).toBe(413);
+  });
+});
@@ -0,0 +1,380 @@
+/**
+   Authentication with OpenID Connect ID tokens, the signed JWTs that
+   CI systems such as GitHub Actions hand to the jobs they run. A job
+   sends one as "Authorization: Bearer <jwt>", so it doesn't need a
+   long-lived cache token of its own.
+
+   Trusted issuers are configured in the OIDC_ISSUERS variable, a JSON
+   array like this:
+
+     [{
+       "issuer": "https://token.actions.githubusercontent.com",
+       "audience": "https://bazel-cache.example.com",
+       "rules": [
+         { "claims": { "repository": "acme/monorepo", "ref": "refs/heads/main" },
+           "permissions": ["read", "write"] },
+         { "claims": { "repository": "acme/*" },
+           "permissions": ["read"] }
+       ]
+     }]
+
+   A JWT is good if an issuer in the list signed it for the given
+   audience, it names its subject and it hasn't expired. It then gets the "permissions",
+   "prefixes", "namespaces" and "limits" (see tokens.js) of the first
+   rule whose claims all match, where "*" in a rule matches anything.
+   A JWT that matches no rule gets nothing.
+
+   The issuer's signing keys come from its discovery document, or
+   from "jwksUri" if that's given. "jwks" can hold the keys
+   themselves instead, which is handy for issuers that aren't on the
+   internet, and for tests.
+ */
+
+import { parseGrants, TokenFormatError } from './tokens';
+
+/* global atob, crypto, fetch, TextDecoder, TextEncoder */
+
+// How long to keep an issuer's keys before fetching them again.
+const JWKS_TTL = 10 * 60 * 1000;
+
+// A JWT signed with a key we don't have may mean the issuer has
+// rotated its keys, so we fetch them again, but no more often than
+// this.
+const JWKS_MIN_REFRESH_INTERVAL = 60 * 1000;
+
+// How far our clock and the issuer's may disagree.
+const CLOCK_SKEW = 60 * 1000;
+
+// The signature algorithms we accept, as WebCrypto parameters.
+const ALGORITHMS = {
+  RS256: {
+    kty: 'RSA',
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verifyParams: { name: 'RSASSA-PKCS1-v1_5' }
+  },
+  ES256: {
+    kty: 'EC',
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+  }
+};
+
+export class OidcConfigError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'OidcConfigError';
+  }
+}
+
+// Thrown for JWTs that don't check out.
+class JwtError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+function isObject (x) {
+  return x !== null && typeof x === 'object' && !Array.isArray(x);
+}
+
+function parseRule (rule, where) {
+  if (!isObject(rule) || !isObject(rule.claims)) {
+    throw new OidcConfigError(`${where} needs a "claims" object`);
+  }
+  for (const [claim, pattern] of Object.entries(rule.claims)) {
+    if (typeof pattern !== 'string') {
+      throw new OidcConfigError(`${where}: the pattern for "${claim}" must be a string`);
+    }
+  }
+  try {
+    return { claims: rule.claims, ...parseGrants(rule) };
+  } catch (e) {
+    if (e instanceof TokenFormatError) {
+      throw new OidcConfigError(`${where}: ${e.message}`);
+    }
+    throw e;
+  }
+}
+
+// Parses the OIDC_ISSUERS variable, which may be a JSON string or
+// already parsed. Throws OidcConfigError if it's malformed; that's a
+// mistake in the worker's configuration, so it shouldn't pass
+// quietly.
+export function parseIssuers (config) {
+  let issuers = config;
+  if (typeof config === 'string') {
+    try {
+      issuers = JSON.parse(config);
+    } catch (e) {
+      throw new OidcConfigError('OIDC_ISSUERS is not valid JSON: ' + e.message);
+    }
+  }
+  if (!Array.isArray(issuers)) {
+    throw new OidcConfigError('OIDC_ISSUERS must be an array');
+  }
+
+  return issuers.map((issuer, i) => {
+    const where = `OIDC_ISSUERS[${i}]`;
+    if (!isObject(issuer) || typeof issuer.issuer !== 'string' ||
+        typeof issuer.audience !== 'string') {
+      throw new OidcConfigError(`${where} needs "issuer" and "audience" strings`);
+    }
+    if ('jwks' in issuer && !(isObject(issuer.jwks) && Array.isArray(issuer.jwks.keys))) {
+      throw new OidcConfigError(`${where}: "jwks" must be an object with a "keys" array`);
+    }
+    if (!Array.isArray(issuer.rules)) {
+      throw new OidcConfigError(`${where} needs a "rules" array`);
+    }
+    return {
+      issuer: issuer.issuer,
+      audience: issuer.audience,
+      jwksUri: issuer.jwksUri || null,
+      keys: issuer.jwks ? issuer.jwks.keys : null,
+      rules: issuer.rules.map((rule, j) => parseRule(rule, `${where}.rules[${j}]`))
+    };
+  });
+}
+
+function base64UrlDecode (s) {
+  const base64 = s.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+function decodeJson (bytes) {
+  const value = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+  if (!isObject(value)) {
+    throw new JwtError('JWT parts must be JSON objects');
+  }
+  return value;
+}
+
+// Splits up a JWT without checking anything about it. Returns
+// { header, payload, signedPart, signature }, or null if it isn't a
+// JWT at all.
+export function decodeJwt (jwt) {
+  const parts = jwt.split('.');
+  if (parts.length !== 3 || !parts.every((p) => /^[A-Za-z0-9_-]+$/.test(p))) {
+    return null;
+  }
+  try {
+    const header = decodeJson(base64UrlDecode(parts[0]));
+    if (typeof header.alg !== 'string') {
+      return null;
+    }
+    return {
+      header,
+      payload: decodeJson(base64UrlDecode(parts[1])),
+      signedPart: new TextEncoder().encode(parts[0] + '.' + parts[1]),
+      signature: base64UrlDecode(parts[2])
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Caches issuers' signing keys in memory, so we don't fetch them for
+// every request.
+class JwksCache {
+  constructor () {
+    this.issuers = {};
+  }
+
+  // Gets an issuer's keys, calling fetchFn to fetch them if they
+  // aren't cached. If refresh is true, fetches them again unless
+  // that was done very recently.
+  async retrieve (issuer, fetchFn, refresh = false) {
+    const now = Date.now();
+    const entry = this.issuers[issuer];
+    if (entry && entry.expiration > now &&
+        !(refresh && entry.fetched + JWKS_MIN_REFRESH_INTERVAL <= now)) {
+      return entry.keys;
+    }
+
+    const keys = await fetchFn();
+    this.issuers[issuer] = {
+      expiration: now + JWKS_TTL,
+      fetched: now,
+      keys
+    };
+    return keys;
+  }
+
+  // Clears out the cache. This should only be used in testing.
+  flush () {
+    this.issuers = {};
+  }
+}
+
+// This is global so it persists for the lifetime of the worker.
+const jwksCache = new JwksCache();
+
+// Fetches a JSON document. If that doesn't work, we can't check the
+// JWT, so that's a JwtError too.
+async function fetchJson (url) {
+  try {
+    const resp = await fetch(url);
+    if (!resp.ok) {
+      throw new JwtError(`Fetching ${url} failed with status ${resp.status}`);
+    }
+    return await resp.json();
+  } catch (e) {
+    throw e instanceof JwtError ? e : new JwtError(`Fetching ${url} failed: ${e.message}`);
+  }
+}
+
+// Fetches an issuer's signing keys.
+async function fetchKeys (issuer) {
+  let uri = issuer.jwksUri;
+  if (!uri) {
+    const discovery = await fetchJson(
+      issuer.issuer.replace(/\/$/, '') + '/.well-known/openid-configuration');
+    uri = isObject(discovery) ? discovery.jwks_uri : undefined;
+    if (typeof uri !== 'string') {
+      throw new JwtError(`${issuer.issuer} has no jwks_uri`);
+    }
+  }
+  const jwks = await fetchJson(uri);
+  if (!isObject(jwks) || !Array.isArray(jwks.keys)) {
+    throw new JwtError(`${uri} is not a JWKS`);
+  }
+  return jwks.keys;
+}
+
+// Returns the keys that could have signed a JWT.
+function candidateKeys (keys, header) {
+  const algorithm = ALGORITHMS[header.alg];
+  return keys.filter((k) =>
+    isObject(k) && k.kty === algorithm.kty &&
+    (k.alg === undefined || k.alg === header.alg) &&
+    (k.use === undefined || k.use === 'sig') &&
+    (header.kid === undefined || k.kid === header.kid));
+}
+
+async function signatureIsValid (jwt, keys) {
+  const algorithm = ALGORITHMS[jwt.header.alg];
+  for (const jwk of keys) {
+    let key;
+    try {
+      key = await crypto.subtle.importKey('jwk', jwk, algorithm.importParams, false, ['verify']);
+    } catch (e) {
+      continue; // a malformed key can't have signed anything
+    }
+    if (await crypto.subtle.verify(algorithm.verifyParams, key, jwt.signature, jwt.signedPart)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Checks a JWT's signature with the issuer's keys, fetching them if
+// need be. Throws JwtError if it's not good.
+async function checkSignature (jwt, issuer) {
+  if (!(jwt.header.alg in ALGORITHMS)) {
+    throw new JwtError(`Unsupported algorithm "${jwt.header.alg}"`);
+  }
+
+  let keys;
+  if (issuer.keys) {
+    keys = candidateKeys(issuer.keys, jwt.header);
+  } else {
+    const fetchFn = () => fetchKeys(issuer);
+    keys = candidateKeys(await jwksCache.retrieve(issuer.issuer, fetchFn), jwt.header);
+    if (keys.length === 0) {
+      keys = candidateKeys(await jwksCache.retrieve(issuer.issuer, fetchFn, true), jwt.header);
+    }
+  }
+  if (keys.length === 0) {
+    throw new JwtError('No key to check the signature with');
+  }
+  if (!await signatureIsValid(jwt, keys)) {
+    throw new JwtError('Bad signature');
+  }
+}
+
+// Checks the subject, time and audience claims of a JWT. Throws
+// JwtError if they're not good.
+function checkClaims (payload, issuer, now) {
+  if (typeof payload.sub !== 'string' || payload.sub === '') {
+    throw new JwtError('JWT has no subject');
+  }
+  if (typeof payload.exp !== 'number') {
+    throw new JwtError('JWT has no expiry');
+  }
+  if (payload.exp * 1000 + CLOCK_SKEW <= now) {
+    throw new JwtError('JWT has expired');
+  }
+  if (payload.nbf !== undefined &&
+      (typeof payload.nbf !== 'number' || payload.nbf * 1000 - CLOCK_SKEW > now)) {
+    throw new JwtError('JWT is not valid yet');
+  }
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(issuer.audience)) {
+    throw new JwtError('JWT is for someone else');
+  }
+}
+
+// Returns true if a claim's value matches a rule's pattern, in which
+// "*" matches any run of characters.
+function claimMatches (value, pattern) {
+  if (value === undefined || value === null || typeof value === 'object') {
+    return false;
+  }
+  const regex = pattern.split('*')
+    .map((piece) => piece.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + regex + '$', 's').test(String(value));
+}
+
+// Returns the permissions, prefixes, namespaces and limits that a
+// JWT's claims get it.
+function grantsFor (payload, issuer) {
+  for (const rule of issuer.rules) {
+    const matches = Object.entries(rule.claims)
+      .every(([claim, pattern]) => claimMatches(payload[claim], pattern));
+    if (matches) {
+      const { permissions, prefixes, namespaces, limits } = rule;
+      return { permissions, prefixes, namespaces, limits };
+    }
+  }
+  return { permissions: [], prefixes: null, namespaces: null, limits: null };
+}
+
+// Checks a JWT from a request. Returns what it grants, in the same
+// form as a token (see tokens.js): { name, permissions, prefixes,
+// namespaces, limits, expires }, where the name is "oidc:", the
+// issuer, ":" and the subject, so that each job's subject is held to
+// its own limits and shows up as itself in the audit log and stats.
+// Returns null if the JWT isn't valid or isn't from an issuer in the
+// configuration.
+export async function authenticateJwt (jwtString, issuersConfig, now = Date.now()) {
+  const jwt = decodeJwt(jwtString);
+  if (!jwt) {
+    return null;
+  }
+  const issuer = parseIssuers(issuersConfig).find((i) => i.issuer === jwt.payload.iss);
+  if (!issuer) {
+    return null;
+  }
+
+  try {
+    await checkSignature(jwt, issuer);
+    checkClaims(jwt.payload, issuer, now);
+  } catch (e) {
+    if (e instanceof JwtError) {
+      return null;
+    }
+    throw e;
+  }
+  return {
+    name: 'oidc:' + issuer.issuer + ':' + jwt.payload.sub,
+    ...grantsFor(jwt.payload, issuer),
+    expires: jwt.payload.exp * 1000 + CLOCK_SKEW
+  };
+}
+
+// Clears out the cache of issuers' keys. This should only be used in
+// testing.
+export function flushJwksCache () {
+  jwksCache.flush();
+}
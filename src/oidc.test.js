@@ -0,0 +1,318 @@
+import { jest } from '@jest/globals';
+import worker from './index';
+import { OidcConfigError, parseIssuers } from './oidc';
+import { migrate } from './schema';
+
+/* global expect, test, beforeAll, beforeEach, afterEach, crypto, Buffer,
+   getMiniflareBindings, getMiniflareFetchMock, getMiniflareWaitUntil, ExecutionContext, describe */
+
+const ISSUER = 'https://ci.example.com';
+const AUDIENCE = 'https://bazel-cache.example.com';
+
+const RULES = [
+  { claims: { repository: 'acme/monorepo', ref: 'refs/heads/main' }, permissions: ['read', 'write'] },
+  { claims: { repository: 'acme/*' }, permissions: ['read'] },
+  { claims: { repository: 'partner/tools' }, permissions: ['read'], prefixes: ['cas/'] }
+];
+
+function base64Url (data) {
+  return Buffer.from(data).toString('base64url');
+}
+
+// Makes a signing key, along with its public half as a JWK.
+async function makeKey (alg, kid) {
+  const params = alg === 'RS256'
+    ? {
+        name: 'RSASSA-PKCS1-v1_5',
+        modulusLength: 2048,
+        publicExponent: new Uint8Array([1, 0, 1]),
+        hash: 'SHA-256'
+      }
+    : { name: 'ECDSA', namedCurve: 'P-256' };
+  const pair = await crypto.subtle.generateKey(params, true, ['sign', 'verify']);
+  const jwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+  return { alg, kid, privateKey: pair.privateKey, jwk: { ...jwk, kid, alg, use: 'sig' } };
+}
+
+async function sign (key, claims, header = {}) {
+  const signingInput = base64Url(JSON.stringify({ alg: key.alg, typ: 'JWT', kid: key.kid, ...header })) +
+    '.' + base64Url(JSON.stringify(claims));
+  const params = key.alg === 'RS256'
+    ? { name: 'RSASSA-PKCS1-v1_5' }
+    : { name: 'ECDSA', hash: 'SHA-256' };
+  const signature = await crypto.subtle.sign(params, key.privateKey, Buffer.from(signingInput));
+  return signingInput + '.' + base64Url(new Uint8Array(signature));
+}
+
+function claims (overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    iss: ISSUER,
+    aud: AUDIENCE,
+    sub: 'repo:acme/monorepo:ref:refs/heads/main',
+    iat: now,
+    exp: now + 300,
+    repository: 'acme/monorepo',
+    ref: 'refs/heads/main',
+    ...overrides
+  };
+}
+
+describe('OIDC authentication', () => {
+  let env;
+  let rsaKey;
+  let ecKey;
+  let otherKey;
+  const ctx = new ExecutionContext();
+
+  beforeAll(async () => {
+    rsaKey = await makeKey('RS256', 'rsa-1');
+    ecKey = await makeKey('ES256', 'ec-1');
+    otherKey = await makeKey('RS256', 'rsa-1'); // same kid, different key
+
+    env = {
+      ...getMiniflareBindings(),
+      // The local JWKS fixture stands in for the issuer's.
+      OIDC_ISSUERS: JSON.stringify([{
+        issuer: ISSUER,
+        audience: AUDIENCE,
+        jwks: { keys: [rsaKey.jwk, ecKey.jwk] },
+        rules: RULES
+      }])
+    };
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(() => {
+    worker.flushCaches();
+  });
+
+  // Makes a request with a JWT and returns the response status.
+  async function statusWith (jwt, method = 'GET', key = 'ac/' + 'a'.repeat(64), testEnv = env) {
+    const req = new Request('https://localhost/' + key, {
+      method,
+      headers: { Authorization: 'Bearer ' + jwt },
+      body: method === 'PUT' ? new Uint8Array(0) : undefined
+    });
+    return (await worker.fetch(req, testEnv, ctx)).status;
+  }
+
+  test('it accepts RS256 JWTs', async () => {
+    const jwt = await sign(rsaKey, claims());
+    expect(await statusWith(jwt)).toBe(404);
+    expect(await statusWith(jwt, 'PUT')).toBe(201);
+  });
+
+  test('it accepts ES256 JWTs', async () => {
+    const jwt = await sign(ecKey, claims());
+    expect(await statusWith(jwt)).toBe(404);
+  });
+
+  test('it gives JWTs the permissions of the first rule they match', async () => {
+    const jwt = await sign(rsaKey, claims({ ref: 'refs/heads/my-branch' }));
+    expect(await statusWith(jwt)).toBe(404);
+    expect(await statusWith(jwt, 'PUT')).toBe(403);
+  });
+
+  test('it gives JWTs the prefixes of the rule they match', async () => {
+    const jwt = await sign(rsaKey, claims({ repository: 'partner/tools' }));
+    expect(await statusWith(jwt, 'GET', 'cas/' + 'a'.repeat(64))).toBe(404);
+    expect(await statusWith(jwt)).toBe(403);
+  });
+
+  test('it gives JWTs that match no rule nothing', async () => {
+    const jwt = await sign(rsaKey, claims({ repository: 'someone-else/fork' }));
+    expect(await statusWith(jwt)).toBe(403);
+  });
+
+  test('it does not let "*" match across claims it was not given', async () => {
+    const jwt = await sign(rsaKey, claims({ repository: undefined }));
+    expect(await statusWith(jwt)).toBe(403);
+  });
+
+  for (const [what, overrides] of [
+    ['an expired JWT', { exp: Math.floor(Date.now() / 1000) - 3600 }],
+    ['a JWT with no expiry', { exp: undefined }],
+    ['a JWT with no subject', { sub: undefined }],
+    ['a JWT that is not valid yet', { nbf: Math.floor(Date.now() / 1000) + 3600 }],
+    ['a JWT for another audience', { aud: 'https://somewhere-else.example.com' }],
+    ['a JWT from another issuer', { iss: 'https://evil.example.com' }]
+  ]) {
+    test(`it rejects ${what}`, async () => {
+      expect(await statusWith(await sign(rsaKey, claims(overrides)))).toBe(401);
+    });
+  }
+
+  test('it tells jobs apart by their subjects', async () => {
+    for (const sub of ['repo:acme/monorepo:ref:refs/heads/main', 'repo:acme/monorepo:environment:prod']) {
+      const jwt = await sign(rsaKey, claims({ sub }));
+      expect(await statusWith(jwt, 'PUT', 'ac/' + 'b'.repeat(64))).toBe(201);
+    }
+    await getMiniflareWaitUntil(ctx);
+    const results = await env.__D1_BETA__DB.prepare(
+      "SELECT DISTINCT token FROM AuditLog WHERE action = 'upload' AND key = ?1 ORDER BY token")
+      .bind('ac/' + 'b'.repeat(64))
+      .all();
+    expect(results.results.map((row) => row.token)).toEqual([
+      `oidc:${ISSUER}:repo:acme/monorepo:environment:prod`,
+      `oidc:${ISSUER}:repo:acme/monorepo:ref:refs/heads/main`
+    ]);
+  });
+
+  test('it holds each subject to the limits on its own', async () => {
+    const limitedEnv = {
+      ...env,
+      OIDC_ISSUERS: JSON.stringify([{
+        issuer: ISSUER,
+        audience: AUDIENCE,
+        jwks: { keys: [rsaKey.jwk] },
+        rules: [{ claims: { repository: 'acme/*' }, permissions: ['read'], limits: { requests_per_minute: 1 } }]
+      }])
+    };
+    const first = await sign(rsaKey, claims({ sub: 'repo:acme/limited:ref:refs/heads/a' }));
+    const second = await sign(rsaKey, claims({ sub: 'repo:acme/limited:ref:refs/heads/b' }));
+    const key = 'ac/' + 'c'.repeat(64);
+    expect(await statusWith(first, 'GET', key, limitedEnv)).toBe(404);
+    expect(await statusWith(first, 'GET', key, limitedEnv)).toBe(429);
+    expect(await statusWith(second, 'GET', key, limitedEnv)).toBe(404);
+  });
+
+  test('it accepts a JWT with several audiences', async () => {
+    const jwt = await sign(rsaKey, claims({ aud: ['https://other.example.com', AUDIENCE] }));
+    expect(await statusWith(jwt)).toBe(404);
+  });
+
+  test('it rejects a JWT signed with the wrong key', async () => {
+    expect(await statusWith(await sign(otherKey, claims()))).toBe(401);
+  });
+
+  test('it rejects a JWT whose claims were changed after signing', async () => {
+    const jwt = await sign(rsaKey, claims({ ref: 'refs/heads/my-branch' }));
+    const [header, , signature] = jwt.split('.');
+    const forged = [header, base64Url(JSON.stringify(claims())), signature].join('.');
+    expect(await statusWith(forged, 'PUT')).toBe(401);
+  });
+
+  test('it rejects unsigned JWTs', async () => {
+    const jwt = base64Url(JSON.stringify({ alg: 'none', typ: 'JWT' })) + '.' +
+      base64Url(JSON.stringify(claims())) + '.AA';
+    expect(await statusWith(jwt)).toBe(401);
+  });
+
+  test('it rejects JWTs with an algorithm that does not fit the key', async () => {
+    const jwt = await sign(rsaKey, claims(), { alg: 'HS256' });
+    expect(await statusWith(jwt)).toBe(401);
+  });
+
+  test('it ignores JWTs when no issuers are configured', async () => {
+    const jwt = await sign(rsaKey, claims());
+    expect(await statusWith(jwt, 'GET', 'ac/' + 'a'.repeat(64), getMiniflareBindings())).toBe(401);
+  });
+
+  test('it still accepts cache tokens', async () => {
+    await env.BUCKET.put('tokens/squirrel', 'many-buried-nuts');
+    expect(await statusWith('squirrel.many-buried-nuts')).toBe(404);
+  });
+
+  describe('fetching keys', () => {
+    const REMOTE_ISSUER = 'https://remote-ci.example.com';
+    let remoteEnv;
+    let fetchMock;
+
+    function claimsFromRemote (overrides = {}) {
+      return claims({ iss: REMOTE_ISSUER, exp: Math.floor(Date.now() / 1000) + 3600, ...overrides });
+    }
+
+    function expectJwksFetch (keys) {
+      fetchMock.get(REMOTE_ISSUER)
+        .intercept({ path: '/keys' })
+        .reply(200, JSON.stringify({ keys }), { headers: { 'Content-Type': 'application/json' } });
+    }
+
+    beforeAll(() => {
+      remoteEnv = {
+        ...env,
+        OIDC_ISSUERS: JSON.stringify([{ issuer: REMOTE_ISSUER, audience: AUDIENCE, rules: RULES }])
+      };
+    });
+
+    function expectDiscovery () {
+      fetchMock.get(REMOTE_ISSUER)
+        .intercept({ path: '/.well-known/openid-configuration' })
+        .reply(200, JSON.stringify({ issuer: REMOTE_ISSUER, jwks_uri: REMOTE_ISSUER + '/keys' }),
+          { headers: { 'Content-Type': 'application/json' } });
+    }
+
+    beforeEach(() => {
+      fetchMock = getMiniflareFetchMock();
+      fetchMock.disableNetConnect();
+      expectDiscovery();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('it finds the issuer keys through discovery and caches them', async () => {
+      expectJwksFetch([rsaKey.jwk]);
+      expect(await statusWith(await sign(rsaKey, claimsFromRemote()), 'GET',
+        'ac/' + 'a'.repeat(64), remoteEnv)).toBe(404);
+
+      // There's nothing more to fetch, so this only works if the keys
+      // were cached.
+      expect(await statusWith(await sign(rsaKey, claimsFromRemote({ jti: 'second' })), 'GET',
+        'ac/' + 'a'.repeat(64), remoteEnv)).toBe(404);
+    });
+
+    test('it fetches the keys again when the issuer rotates them', async () => {
+      expectJwksFetch([rsaKey.jwk]);
+      expect(await statusWith(await sign(rsaKey, claimsFromRemote()), 'GET',
+        'ac/' + 'a'.repeat(64), remoteEnv)).toBe(404);
+
+      // Too soon after the last fetch, so the new key isn't found.
+      const jwt = await sign(ecKey, claimsFromRemote());
+      expect(await statusWith(jwt, 'GET', 'ac/' + 'a'.repeat(64), remoteEnv)).toBe(401);
+
+      // A couple of minutes later, it is.
+      const later = Date.now() + 2 * 60 * 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => later);
+      expectDiscovery();
+      expectJwksFetch([rsaKey.jwk, ecKey.jwk]);
+      expect(await statusWith(await sign(ecKey, claimsFromRemote({ jti: 'again' })), 'GET',
+        'ac/' + 'a'.repeat(64), remoteEnv)).toBe(404);
+    });
+
+    test('it rejects JWTs when the keys cannot be fetched', async () => {
+      fetchMock.get(REMOTE_ISSUER).intercept({ path: '/keys' }).reply(500, 'oops');
+      expect(await statusWith(await sign(rsaKey, claimsFromRemote()), 'GET',
+        'ac/' + 'a'.repeat(64), remoteEnv)).toBe(401);
+    });
+  });
+});
+
+describe('OIDC configuration', () => {
+  test('it parses a configuration', () => {
+    const [issuer] = parseIssuers(JSON.stringify([{ issuer: ISSUER, audience: AUDIENCE, rules: RULES }]));
+    expect(issuer.issuer).toBe(ISSUER);
+    expect(issuer.jwksUri).toBe(null);
+    expect(issuer.rules[2].prefixes).toStrictEqual(['cas/']);
+    expect(issuer.rules[0].prefixes).toBe(null);
+  });
+
+  for (const [what, config] of [
+    ['invalid JSON', '[{'],
+    ['a non-array', '{}'],
+    ['a missing audience', [{ issuer: ISSUER, rules: [] }]],
+    ['missing rules', [{ issuer: ISSUER, audience: AUDIENCE }]],
+    ['a rule without claims', [{ issuer: ISSUER, audience: AUDIENCE, rules: [{ permissions: ['read'] }] }]],
+    ['a non-string claim pattern', [{ issuer: ISSUER, audience: AUDIENCE, rules: [{ claims: { n: 1 } }] }]],
+    ['an unknown permission', [{
+      issuer: ISSUER, audience: AUDIENCE, rules: [{ claims: {}, permissions: ['admin'] }]
+    }]],
+    ['a malformed JWKS', [{ issuer: ISSUER, audience: AUDIENCE, jwks: [], rules: [] }]]
+  ]) {
+    test(`it rejects ${what}`, () => {
+      expect(() => parseIssuers(config)).toThrow(OidcConfigError);
+    });
+  }
+});
@@ -0,0 +1,269 @@
+/**
+   Pins: cache entries that the cleanup leaves alone however long
+   nobody uses them, for things like release builds and toolchains
+   that are expensive to rebuild.
+
+     POST   /admin/pins  pins an object or a prefix
+     GET    /admin/pins  lists the pins
+     DELETE /admin/pins  unpins one
+
+   These need "Authorization: Bearer <ADMIN_SECRET>" like the rest of
+   the admin API. POST takes a JSON body with either "key", an object
+   name like "ac/<hash>" or "ns/team/cas/<hash>", or "prefix", like
+   "ns/release/", and optionally "expires", an ISO 8601 time after
+   which the pin no longer counts. DELETE takes the same "key" or
+   "prefix" as a query parameter.
+
+   Pinning an AC entry pins the CAS blobs it refers to as well, in
+   both their forms, as they are when it's pinned; pin it again if it
+   changes. That takes in the files in its output directories, which
+   are listed in the Tree blobs it refers to, as long as those are in
+   the cache and no bigger than MAX_PINNED_TREE_SIZE. Pins live in the Pins table of the database, with those
+   blobs' pins marked as coming from the entry's.
+
+   Pinned objects are neither expired nor evicted (see cleanup.js),
+   though they still count towards MAX_CACHE_SIZE. A purge deletes
+   them all the same.
+ */
+
+import { adminOnly, jsonResponse } from './admin';
+import { addAuditEntry } from './audit';
+import { getDigestFunction } from './digest';
+import { ProtobufError } from './protobuf';
+import { decodeActionResult, referencedDigests, treeFileDigests } from './reapi';
+import {
+  CACHE_PREFIXES, casObjectName, isCacheKey, nowInEpochSeconds,
+  splitObjectName, zstdObjectName
+} from './storage';
+import { decompressStream } from './zstd';
+
+/* global Response, URL */
+
+// How many pins go into the database at a time. Each takes four
+// parameters, and D1 allows 100 per statement.
+const PIN_BATCH_SIZE = 25;
+
+// How big a Tree blob can be for pinning an AC entry to read it for
+// the files in an output directory. A Tree this big lists tens of
+// thousands of files.
+export const MAX_PINNED_TREE_SIZE = 4 * 1024 * 1024;
+
+class TreeTooBigError extends Error {
+  constructor (hash) {
+    super(`Tree ${hash} is too big to pin its files`);
+    this.name = 'TreeTooBigError';
+  }
+}
+
+// Returns an SQL condition that holds for the CacheEntries rows that
+// no pin in force covers. nowParam is the parameter (e.g. "?4") that
+// the current time is bound to.
+export function notPinned (nowParam) {
+  return 'NOT EXISTS (SELECT 1 FROM Pins WHERE ' +
+    `(Pins.expires IS NULL OR Pins.expires > ${nowParam}) AND ` +
+    '(Pins.key = CacheEntries.key OR ' +
+    '(Pins.prefix = 1 AND substr(CacheEntries.key, 1, length(Pins.key)) = Pins.key)))';
+}
+
+// Deletes pins that have expired.
+export async function forgetExpiredPins (db) {
+  await db.prepare('DELETE FROM Pins WHERE expires <= ?1')
+    .bind(nowInEpochSeconds())
+    .run();
+}
+
+function isoDate (time) {
+  return time === null ? null : new Date(time * 1000).toISOString();
+}
+
+// Returns what the admin API says about a row of the Pins table.
+function describePin (row) {
+  return {
+    [row.prefix ? 'prefix' : 'key']: row.key,
+    expires: isoDate(row.expires),
+    expired: row.expires !== null && row.expires <= nowInEpochSeconds(),
+    created: isoDate(row.created)
+  };
+}
+
+// Reads the "key" or "prefix" that says which pin a request is about,
+// from fields, which is a parsed JSON body or a URLSearchParams's
+// entries. Returns { key, prefix }, where prefix is 1 for a prefix
+// and 0 for a single object, or { error }.
+function pinTarget (fields) {
+  const given = ['key', 'prefix'].filter((field) => field in fields);
+  if (given.length !== 1) {
+    return { error: 'Give one of "key" and "prefix"' };
+  }
+  const key = fields[given[0]];
+  if (!isCacheKey(key)) {
+    return { error: `"${given[0]}" must start with one of ${CACHE_PREFIXES.join(', ')}` };
+  }
+  return { key, prefix: given[0] === 'prefix' ? 1 : 0 };
+}
+
+// Returns the digests of the files in the Tree blob with the given
+// digest, or none if the cache doesn't have it or it isn't a valid
+// Tree. Throws TreeTooBigError if it's bigger than
+// MAX_PINNED_TREE_SIZE.
+async function treeFiles (env, digest, namespace, digestFn) {
+  if (digest.sizeBytes > MAX_PINNED_TREE_SIZE) {
+    throw new TreeTooBigError(digest.hash);
+  }
+  let body;
+  const obj = await env.BUCKET.get(casObjectName(digest.hash, namespace));
+  if (obj) {
+    body = obj.body;
+  } else {
+    const compressed = await env.BUCKET.get(zstdObjectName(digest.hash, namespace));
+    if (!compressed) {
+      return [];
+    }
+    body = decompressStream(compressed.body);
+  }
+  try {
+    return treeFileDigests(await new Response(body).arrayBuffer(), digestFn);
+  } catch (e) {
+    if (e instanceof ProtobufError) {
+      return [];
+    }
+    throw e;
+  }
+}
+
+// Adds pins for the CAS blobs that an AC entry refers to, replacing
+// any it had. Returns how many blobs there are, or null if the entry
+// isn't there or isn't a valid ActionResult. Throws TreeTooBigError
+// for an output directory with too many files to pin.
+async function pinReferencedBlobs (env, key, expires, created) {
+  const obj = await env.BUCKET.get(key);
+  if (!obj) {
+    return null;
+  }
+  const digestFn = getDigestFunction(env.DIGEST_FUNCTION);
+  if (!digestFn) {
+    throw new Error('Unsupported digest function: ' + env.DIGEST_FUNCTION);
+  }
+  let result;
+  try {
+    result = decodeActionResult(await obj.arrayBuffer(), digestFn);
+  } catch (e) {
+    if (e instanceof ProtobufError) {
+      return null;
+    }
+    throw e;
+  }
+  const { namespace } = splitObjectName(key);
+  const digests = referencedDigests(result);
+  for (const dir of result.outputDirectories) {
+    digests.push(...await treeFiles(env, dir.treeDigest, namespace, digestFn));
+  }
+
+  const db = env.__D1_BETA__DB;
+  await db.prepare('DELETE FROM Pins WHERE pinned_by = ?1').bind(key).run();
+  const keys = [...new Set(digests.flatMap((d) => [
+    casObjectName(d.hash, namespace), zstdObjectName(d.hash, namespace)
+  ]))];
+  for (let i = 0; i < keys.length; i += PIN_BATCH_SIZE) {
+    const batch = keys.slice(i, i + PIN_BATCH_SIZE);
+    const rows = batch.map((_, j) => `(?${4 * j + 1}, 0, ?${4 * j + 2}, ?${4 * j + 3}, ?${4 * j + 4})`);
+    await db.prepare(
+      'INSERT INTO Pins (key, prefix, pinned_by, expires, created) VALUES ' + rows.join(', ') +
+        ' ON CONFLICT(key, prefix, pinned_by) DO UPDATE SET expires=excluded.expires, created=excluded.created')
+      .bind(...batch.flatMap((blob) => [blob, key, expires, created]))
+      .run();
+  }
+  return keys.length / 2;
+}
+
+// POST /admin/pins
+export const createPin = adminOnly(async (request, env) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: 'Body must be JSON' }, 400);
+  }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return jsonResponse({ error: 'Body must be a JSON object' }, 400);
+  }
+  const target = pinTarget(body);
+  if (target.error) {
+    return jsonResponse({ error: target.error }, 400);
+  }
+  let expires = null;
+  if ('expires' in body && body.expires !== null) {
+    const time = typeof body.expires === 'string' ? Date.parse(body.expires) : NaN;
+    if (isNaN(time)) {
+      return jsonResponse({ error: '"expires" must be an ISO 8601 time' }, 400);
+    }
+    expires = Math.floor(time / 1000);
+  }
+
+  const db = env.__D1_BETA__DB;
+  const row = { key: target.key, prefix: target.prefix, expires, created: nowInEpochSeconds() };
+  let blobs = null;
+  if (!target.prefix) {
+    if (splitObjectName(target.key).key.startsWith('ac/')) {
+      try {
+        blobs = await pinReferencedBlobs(env, target.key, expires, row.created);
+      } catch (e) {
+        if (e instanceof TreeTooBigError) {
+          return jsonResponse({ error: e.message }, 400);
+        }
+        throw e;
+      }
+      if (blobs === null) {
+        return jsonResponse({ error: 'No such action cache entry' }, 404);
+      }
+    } else if (!await env.BUCKET.head(target.key)) {
+      return jsonResponse({ error: 'No such object' }, 404);
+    }
+  }
+  await db.prepare(
+    "INSERT INTO Pins (key, prefix, pinned_by, expires, created) VALUES (?1, ?2, '', ?3, ?4) " +
+      'ON CONFLICT(key, prefix, pinned_by) DO UPDATE SET expires=excluded.expires, created=excluded.created')
+    .bind(row.key, row.prefix, row.expires, row.created)
+    .run();
+
+  const described = describePin(row);
+  if (blobs !== null) {
+    described.blobs = blobs;
+  }
+  await addAuditEntry(db, { action: 'pin', key: target.key, request, details: described });
+  return jsonResponse(described, 201);
+});
+
+// GET /admin/pins
+//
+// Lists the pins that were asked for, not those of the blobs that AC
+// entries refer to.
+export const listPins = adminOnly(async (request, env) => {
+  const results = await env.__D1_BETA__DB.prepare(
+    "SELECT key, prefix, expires, created FROM Pins WHERE pinned_by = '' ORDER BY key")
+    .all();
+  return jsonResponse({ pins: results.results.map(describePin) });
+});
+
+// DELETE /admin/pins?key=... or ?prefix=...
+export const deletePin = adminOnly(async (request, env) => {
+  const target = pinTarget(Object.fromEntries(new URL(request.url).searchParams));
+  if (target.error) {
+    return jsonResponse({ error: target.error }, 400);
+  }
+  const db = env.__D1_BETA__DB;
+  const row = await db.prepare("SELECT key FROM Pins WHERE key = ?1 AND prefix = ?2 AND pinned_by = ''")
+    .bind(target.key, target.prefix)
+    .first();
+  if (!row) {
+    return jsonResponse({ error: 'No such pin' }, 404);
+  }
+  await db.prepare("DELETE FROM Pins WHERE key = ?1 AND prefix = ?2 AND pinned_by = ''")
+    .bind(target.key, target.prefix)
+    .run();
+  if (!target.prefix) {
+    await db.prepare('DELETE FROM Pins WHERE pinned_by = ?1').bind(target.key).run();
+  }
+  await addAuditEntry(db, { action: 'unpin', key: target.key, request });
+  return new Response(null, { status: 204 }); // 204 No Content
+});
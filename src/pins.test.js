@@ -0,0 +1,191 @@
+import worker from './index';
+import { encode } from './protobuf';
+import { MAX_PINNED_TREE_SIZE } from './pins';
+import { ActionResult, Tree } from './reapi';
+import { migrate } from './schema';
+
+/* global expect, test, beforeAll, beforeEach, getMiniflareBindings, ExecutionContext, describe */
+
+describe('pins', () => {
+  let env;
+  const adminSecret = 'keep these';
+  const ctx = new ExecutionContext();
+  const longAgo = Math.floor(Date.now() / 1000) - 86400 * 30;
+  const a = 'a'.repeat(64);
+  const b = 'b'.repeat(64);
+  const c = 'c'.repeat(64);
+  const d = 'd'.repeat(64);
+  const e = 'e'.repeat(64);
+
+  beforeAll(async () => {
+    env = { ...getMiniflareBindings(), ADMIN_SECRET: adminSecret };
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(async () => {
+    await env.__D1_BETA__DB.exec('DELETE FROM CacheEntries');
+    await env.__D1_BETA__DB.exec('DELETE FROM Pins');
+    const listing = await env.BUCKET.list();
+    await env.BUCKET.delete(listing.objects.map((o) => o.key));
+  });
+
+  // Puts objects in the cache that nobody has used in a month.
+  async function storeOld (...keys) {
+    for (const key of keys) {
+      await env.__D1_BETA__DB.prepare('INSERT INTO CacheEntries (key, last_used, size) VALUES (?1, ?2, 10)')
+        .bind(key, longAgo)
+        .run();
+      await env.BUCKET.put(key, 'ten bytes!');
+    }
+  }
+
+  // Returns which of the given keys are still in the bucket.
+  async function remaining (...keys) {
+    const left = [];
+    for (const key of keys) {
+      if (await env.BUCKET.head(key)) {
+        left.push(key);
+      }
+    }
+    return left;
+  }
+
+  async function admin (method, path, body, secret = adminSecret) {
+    const req = new Request('https://localhost' + path, {
+      method,
+      headers: { Authorization: 'Bearer ' + secret },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return await worker.fetch(req, env, ctx);
+  }
+
+  async function cleanUp (vars = {}) {
+    await worker.scheduled({ cron: '3 */2 * * *' }, { ...env, ...vars }, ctx);
+  }
+
+  test('it needs the admin secret', async () => {
+    expect((await admin('GET', '/admin/pins', undefined, 'a good guess')).status).toBe(401);
+    expect((await admin('POST', '/admin/pins', { prefix: 'ac/' }, 'a good guess')).status).toBe(401);
+  });
+
+  test('pinned objects do not expire', async () => {
+    await storeOld('cas/' + a, 'cas/' + b, 'ns/release/ac/' + a, 'ns/release/cas/' + c, 'ns/other/cas/' + c);
+
+    let resp = await admin('POST', '/admin/pins', { key: 'cas/' + a });
+    expect(resp.status).toBe(201);
+    expect(await resp.json()).toMatchObject({ key: 'cas/' + a, expires: null, expired: false });
+    resp = await admin('POST', '/admin/pins', { prefix: 'ns/release/' });
+    expect(resp.status).toBe(201);
+
+    await cleanUp();
+    expect(await remaining('cas/' + a, 'cas/' + b, 'ns/release/ac/' + a, 'ns/release/cas/' + c, 'ns/other/cas/' + c))
+      .toEqual(['cas/' + a, 'ns/release/ac/' + a, 'ns/release/cas/' + c]);
+  });
+
+  test('pinning an action result pins its outputs', async () => {
+    const actionResult = encode(ActionResult, {
+      outputFiles: [{ path: 'out', digest: { hash: a, sizeBytes: 10 } }],
+      stdoutDigest: { hash: b, sizeBytes: 10 }
+    });
+    await storeOld('ac/' + c, 'cas/' + a, 'cas/zstd/' + b, 'cas/' + c);
+    await env.BUCKET.put('ac/' + c, actionResult);
+
+    const resp = await admin('POST', '/admin/pins', { key: 'ac/' + c });
+    expect(resp.status).toBe(201);
+    expect((await resp.json()).blobs).toBe(2);
+
+    await cleanUp();
+    expect(await remaining('ac/' + c, 'cas/' + a, 'cas/zstd/' + b, 'cas/' + c))
+      .toEqual(['ac/' + c, 'cas/' + a, 'cas/zstd/' + b]);
+
+    // Unpinning it unpins them too.
+    expect((await admin('DELETE', '/admin/pins?key=ac/' + c)).status).toBe(204);
+    await cleanUp();
+    expect(await remaining('ac/' + c, 'cas/' + a, 'cas/zstd/' + b)).toEqual([]);
+  });
+
+  test('pinning an action result pins the files in its output directories', async () => {
+    const tree = encode(Tree, {
+      root: { files: [{ name: 'top', digest: { hash: a, sizeBytes: 10 } }] },
+      children: [{ files: [{ name: 'nested', digest: { hash: b, sizeBytes: 10 } }] }]
+    });
+    const actionResult = encode(ActionResult, {
+      outputDirectories: [{ path: 'dir', treeDigest: { hash: d, sizeBytes: tree.length } }]
+    });
+    await storeOld('ac/' + c, 'cas/' + a, 'cas/' + b, 'cas/' + d, 'cas/' + e);
+    await env.BUCKET.put('ac/' + c, actionResult);
+    await env.BUCKET.put('cas/' + d, tree);
+
+    const resp = await admin('POST', '/admin/pins', { key: 'ac/' + c });
+    expect(resp.status).toBe(201);
+    expect((await resp.json()).blobs).toBe(3);
+
+    await cleanUp();
+    expect(await remaining('ac/' + c, 'cas/' + a, 'cas/' + b, 'cas/' + d, 'cas/' + e))
+      .toEqual(['ac/' + c, 'cas/' + a, 'cas/' + b, 'cas/' + d]);
+  });
+
+  test('it will not pin an output directory too big to read', async () => {
+    const actionResult = encode(ActionResult, {
+      outputDirectories: [{ path: 'dir', treeDigest: { hash: d, sizeBytes: MAX_PINNED_TREE_SIZE + 1 } }]
+    });
+    await storeOld('ac/' + c);
+    await env.BUCKET.put('ac/' + c, actionResult);
+
+    const resp = await admin('POST', '/admin/pins', { key: 'ac/' + c });
+    expect(resp.status).toBe(400);
+    expect((await (await admin('GET', '/admin/pins')).json()).pins).toEqual([]);
+  });
+
+  test('pins can expire', async () => {
+    await storeOld('cas/' + a, 'cas/' + b);
+    await admin('POST', '/admin/pins', { key: 'cas/' + a, expires: '2001-01-01T00:00:00Z' });
+    await admin('POST', '/admin/pins', { key: 'cas/' + b, expires: '2999-01-01T00:00:00Z' });
+
+    const { pins } = await (await admin('GET', '/admin/pins')).json();
+    expect(pins).toEqual([
+      expect.objectContaining({ key: 'cas/' + a, expires: '2001-01-01T00:00:00.000Z', expired: true }),
+      expect.objectContaining({ key: 'cas/' + b, expires: '2999-01-01T00:00:00.000Z', expired: false })
+    ]);
+
+    await cleanUp();
+    expect(await remaining('cas/' + a, 'cas/' + b)).toEqual(['cas/' + b]);
+    // Expired pins are forgotten.
+    expect((await (await admin('GET', '/admin/pins')).json()).pins).toHaveLength(1);
+  });
+
+  test('pinned objects are not evicted', async () => {
+    await storeOld('cas/' + a, 'cas/' + b, 'cas/' + c);
+    await env.__D1_BETA__DB.exec(`UPDATE CacheEntries SET last_used = ${Math.floor(Date.now() / 1000)}`);
+    await admin('POST', '/admin/pins', { key: 'cas/' + a });
+
+    await cleanUp({ MAX_CACHE_SIZE: '15' });
+    expect(await remaining('cas/' + a, 'cas/' + b, 'cas/' + c)).toEqual(['cas/' + a]);
+  });
+
+  test('it lists and deletes pins', async () => {
+    await storeOld('cas/' + a);
+    await admin('POST', '/admin/pins', { key: 'cas/' + a });
+    await admin('POST', '/admin/pins', { prefix: 'ns/release/' });
+
+    let { pins } = await (await admin('GET', '/admin/pins')).json();
+    expect(pins.map((p) => p.key || p.prefix)).toEqual(['cas/' + a, 'ns/release/']);
+
+    expect((await admin('DELETE', '/admin/pins?prefix=ns/release/')).status).toBe(204);
+    expect((await admin('DELETE', '/admin/pins?prefix=ns/release/')).status).toBe(404);
+    expect((await admin('DELETE', '/admin/pins?prefix=cas/' + a)).status).toBe(404);
+    ({ pins } = await (await admin('GET', '/admin/pins')).json());
+    expect(pins.map((p) => p.key)).toEqual(['cas/' + a]);
+  });
+
+  test('it rejects malformed pins', async () => {
+    await storeOld('cas/' + a);
+    for (const body of [[], {}, { key: 'tokens/alice' }, { key: 'cas/' + a, prefix: 'cas/' },
+      { prefix: 42 }, { key: 'cas/' + a, expires: 'whenever' }]) {
+      expect((await admin('POST', '/admin/pins', body)).status).toBe(400);
+    }
+    expect((await admin('POST', '/admin/pins', { key: 'cas/' + b })).status).toBe(404);
+    expect((await admin('POST', '/admin/pins', { key: 'ac/' + b })).status).toBe(404);
+    expect((await admin('DELETE', '/admin/pins')).status).toBe(400);
+  });
+});
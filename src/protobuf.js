@@ -0,0 +1,278 @@
+/**
+   Just enough of the protobuf wire format to read and write the
+   Remote Execution API messages we care about.
+
+   Messages are described by schemas: objects mapping field numbers to
+   { name, type, repeated }. type is one of "string", "bytes", "bool",
+   "int32", "int64", "enum", or another schema for nested messages.
+   Decoded messages are plain objects keyed by field name.
+ */
+
+/* global TextDecoder, TextEncoder */
+
+export class ProtobufError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'ProtobufError';
+  }
+}
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+const utf8Encoder = new TextEncoder();
+
+const VARINT_TYPES = ['bool', 'int32', 'int64', 'enum'];
+
+function defaultValue (field) {
+  if (field.repeated) {
+    return [];
+  }
+  switch (field.type) {
+    case 'string': return '';
+    case 'bytes': return new Uint8Array(0);
+    case 'bool': return false;
+    case 'int32':
+    case 'int64':
+    case 'enum':
+      return 0;
+    default: return null; // Nested message
+  }
+}
+
+class Reader {
+  constructor (bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  done () {
+    return this.pos >= this.bytes.length;
+  }
+
+  // Varints are up to 64 bits, so we need BigInt to read them
+  // faithfully. Negative int32s and int64s take all ten bytes.
+  varint () {
+    let result = 0n;
+    let shift = 0n;
+    for (let i = 0; i < 10; i++) {
+      if (this.pos >= this.bytes.length) {
+        throw new ProtobufError('Truncated varint');
+      }
+      const b = this.bytes[this.pos++];
+      result |= BigInt(b & 0x7f) << shift;
+      if ((b & 0x80) === 0) {
+        return result;
+      }
+      shift += 7n;
+    }
+    throw new ProtobufError('Varint too long');
+  }
+
+  take (length) {
+    if (length > this.bytes.length - this.pos) {
+      throw new ProtobufError('Truncated field');
+    }
+    const out = this.bytes.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return out;
+  }
+
+  lengthDelimited () {
+    return this.take(Number(this.varint()));
+  }
+
+  skip (wireType) {
+    switch (wireType) {
+      case WIRE_VARINT: this.varint(); break;
+      case WIRE_FIXED64: this.take(8); break;
+      case WIRE_LENGTH_DELIMITED: this.lengthDelimited(); break;
+      case WIRE_FIXED32: this.take(4); break;
+      default: throw new ProtobufError('Unsupported wire type ' + wireType);
+    }
+  }
+}
+
+function varintToValue (type, raw) {
+  switch (type) {
+    case 'bool': return raw !== 0n;
+    case 'int32':
+    case 'enum':
+      return Number(BigInt.asIntN(32, raw));
+    default: {
+      const n = BigInt.asIntN(64, raw);
+      if (n > BigInt(Number.MAX_SAFE_INTEGER) || n < BigInt(Number.MIN_SAFE_INTEGER)) {
+        throw new ProtobufError('Integer out of range');
+      }
+      return Number(n);
+    }
+  }
+}
+
+function decodeValue (field, wireType, reader) {
+  if (VARINT_TYPES.includes(field.type)) {
+    if (wireType !== WIRE_VARINT) {
+      throw new ProtobufError(`Wrong wire type for ${field.name}`);
+    }
+    return varintToValue(field.type, reader.varint());
+  }
+
+  if (wireType !== WIRE_LENGTH_DELIMITED) {
+    throw new ProtobufError(`Wrong wire type for ${field.name}`);
+  }
+  const bytes = reader.lengthDelimited();
+  switch (field.type) {
+    case 'string':
+      try {
+        return utf8Decoder.decode(bytes);
+      } catch (e) {
+        throw new ProtobufError(`Invalid UTF-8 in ${field.name}`);
+      }
+    case 'bytes':
+      return bytes.slice();
+    default:
+      return decode(field.type, bytes);
+  }
+}
+
+// Decodes bytes (a Uint8Array or ArrayBuffer) as a message described
+// by schema. Unknown fields are skipped. Throws ProtobufError if the
+// bytes aren't a well-formed encoding.
+export function decode (schema, bytes) {
+  const reader = new Reader(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  const message = {};
+  for (const field of Object.values(schema)) {
+    message[field.name] = defaultValue(field);
+  }
+
+  while (!reader.done()) {
+    const tag = Number(reader.varint());
+    const fieldNumber = tag >>> 3;
+    const wireType = tag & 7;
+    if (fieldNumber === 0) {
+      throw new ProtobufError('Invalid field number 0');
+    }
+
+    const field = schema[fieldNumber];
+    if (!field) {
+      reader.skip(wireType);
+      continue;
+    }
+
+    if (field.repeated && wireType === WIRE_LENGTH_DELIMITED &&
+        VARINT_TYPES.includes(field.type)) {
+      // Packed repeated scalars
+      const packed = new Reader(reader.lengthDelimited());
+      while (!packed.done()) {
+        message[field.name].push(varintToValue(field.type, packed.varint()));
+      }
+    } else if (field.repeated) {
+      message[field.name].push(decodeValue(field, wireType, reader));
+    } else {
+      message[field.name] = decodeValue(field, wireType, reader);
+    }
+  }
+  return message;
+}
+
+class Writer {
+  constructor () {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  push (bytes) {
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+  }
+
+  varint (value) {
+    let n = BigInt.asUintN(64, BigInt(value));
+    const out = [];
+    while (n > 0x7fn) {
+      out.push(Number(n & 0x7fn) | 0x80);
+      n >>= 7n;
+    }
+    out.push(Number(n));
+    this.push(Uint8Array.from(out));
+  }
+
+  tag (fieldNumber, wireType) {
+    this.varint((fieldNumber << 3) | wireType);
+  }
+
+  lengthDelimited (bytes) {
+    this.varint(bytes.length);
+    this.push(bytes);
+  }
+
+  finish () {
+    const out = new Uint8Array(this.length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+}
+
+function isDefault (field, value) {
+  if (value === undefined || value === null) {
+    return true;
+  }
+  switch (field.type) {
+    case 'string':
+    case 'bytes':
+      return value.length === 0;
+    case 'bool':
+      return value === false;
+    case 'int32':
+    case 'int64':
+    case 'enum':
+      return value === 0;
+    default:
+      return false;
+  }
+}
+
+function encodeValue (writer, fieldNumber, field, value) {
+  if (VARINT_TYPES.includes(field.type)) {
+    writer.tag(fieldNumber, WIRE_VARINT);
+    writer.varint(field.type === 'bool' ? (value ? 1 : 0) : value);
+    return;
+  }
+
+  writer.tag(fieldNumber, WIRE_LENGTH_DELIMITED);
+  switch (field.type) {
+    case 'string':
+      writer.lengthDelimited(utf8Encoder.encode(value));
+      break;
+    case 'bytes':
+      writer.lengthDelimited(value);
+      break;
+    default:
+      writer.lengthDelimited(encode(field.type, value));
+  }
+}
+
+// Encodes a plain object as a message described by schema. Fields
+// that are missing or hold their default value are left out, as
+// proto3 does.
+export function encode (schema, message) {
+  const writer = new Writer();
+  for (const [fieldNumber, field] of Object.entries(schema)) {
+    const value = message[field.name];
+    if (field.repeated) {
+      for (const item of value || []) {
+        encodeValue(writer, Number(fieldNumber), field, item);
+      }
+    } else if (!isDefault(field, value)) {
+      encodeValue(writer, Number(fieldNumber), field, value);
+    }
+  }
+  return writer.finish();
+}
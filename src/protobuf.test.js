@@ -0,0 +1,77 @@
+import { decode, encode, ProtobufError } from './protobuf';
+
+/* global expect, test, describe */
+
+describe('protobuf', () => {
+  const Inner = {
+    1: { name: 'label', type: 'string' }
+  };
+  const Outer = {
+    1: { name: 'name', type: 'string' },
+    2: { name: 'count', type: 'int64' },
+    3: { name: 'delta', type: 'int32' },
+    4: { name: 'flag', type: 'bool' },
+    5: { name: 'data', type: 'bytes' },
+    6: { name: 'inner', type: Inner },
+    7: { name: 'items', type: Inner, repeated: true },
+    8: { name: 'kinds', type: 'enum', repeated: true }
+  };
+
+  test('it round-trips a message', () => {
+    const message = {
+      name: 'héllo',
+      count: 2 ** 40,
+      delta: -7,
+      flag: true,
+      data: Uint8Array.from([0, 1, 255]),
+      inner: { label: 'in' },
+      items: [{ label: 'a' }, { label: 'b' }],
+      kinds: [1, 2, 3]
+    };
+    expect(decode(Outer, encode(Outer, message))).toStrictEqual(message);
+  });
+
+  test('it fills in defaults for missing fields', () => {
+    expect(decode(Outer, new Uint8Array(0))).toStrictEqual({
+      name: '',
+      count: 0,
+      delta: 0,
+      flag: false,
+      data: new Uint8Array(0),
+      inner: null,
+      items: [],
+      kinds: []
+    });
+  });
+
+  test('it encodes negative int32s in ten bytes', () => {
+    // Tag, then 0xffffffffffffffffff01 for -1.
+    expect(encode(Outer, { delta: -1 })).toStrictEqual(
+      Uint8Array.from([0x18, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01]));
+  });
+
+  test('it reads packed repeated enums', () => {
+    const bytes = Uint8Array.from([0x42, 0x03, 0x01, 0x02, 0x03]);
+    expect(decode(Outer, bytes).kinds).toStrictEqual([1, 2, 3]);
+  });
+
+  test('it skips unknown fields', () => {
+    // Field 15 (varint), field 16 (length-delimited), then name = "x".
+    const bytes = Uint8Array.from([0x78, 0x05, 0x82, 0x01, 0x01, 0x00, 0x0a, 0x01, 0x78]);
+    expect(decode(Outer, bytes).name).toBe('x');
+  });
+
+  test('it rejects truncated input', () => {
+    const bytes = encode(Outer, { name: 'truncate me' });
+    expect(() => decode(Outer, bytes.subarray(0, 5))).toThrow(ProtobufError);
+  });
+
+  test('it rejects the wrong wire type', () => {
+    // Field 2 (count) sent as length-delimited
+    expect(() => decode(Outer, Uint8Array.from([0x12, 0x00]))).toThrow(ProtobufError);
+  });
+
+  test('it rejects invalid UTF-8 in strings', () => {
+    expect(() => decode(Outer, Uint8Array.from([0x0a, 0x01, 0xff]))).toThrow(ProtobufError);
+  });
+});
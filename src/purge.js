@@ -0,0 +1,245 @@
+/**
+   Purging: deleting cache entries on demand, for when something bad
+   got into the cache and can't wait for the cleanup to expire it.
+
+     POST /admin/purge
+
+   needs "Authorization: Bearer <ADMIN_SECRET>" like the rest of the
+   admin API. Its body is a JSON object with one of
+
+     "keys": [...]       these objects, e.g. "ac/<hash>" or
+                         "ns/team/cas/<hash>"; a CAS blob goes in both
+                         its plain and its compressed form
+     "prefix": "..."     every object whose name starts with this,
+                         which has to start with "ac/", "cas/" or "ns/"
+     "namespace": "..."  every object in a namespace, "" being the
+                         default one
+     "token": "..."      every object the token uploaded, going by the
+                         audit log (see audit.js), or with "since"
+                         and/or "until", only those uploaded in that
+                         window; those are ISO 8601 times
+
+   Objects go from the bucket before their rows go from the database,
+   as in the cleanup, a batch at a time. Only objects with a row are
+   found; reconciliation (see cleanup.js) deals with any others. The
+   query parameters are those of POST /admin/reconcile: ?dry_run=1
+   only counts what would go, and ?limit=<n> stops after n objects,
+   with the report's "next" the ?start=<key> to carry on from.
+
+   A purged CAS blob can still be served from the edge cache (see
+   edge.js) for a while. That does no harm, since it's named by its
+   contents; action cache entries never go there.
+ */
+
+import { adminOnly, jsonResponse } from './admin';
+import { addAuditEntry } from './audit';
+import { parseBatchQuery, prefixEnd, REPORTED_KEYS, STALE_OBJECT_BATCH_SIZE } from './cleanup';
+import {
+  CACHE_PREFIXES, casObjectName, deleteKeysFromDB, isCacheKey, isValidNamespace,
+  namespacePrefix, splitObjectName, zstdObjectName
+} from './storage';
+
+// How many keys a purge can name.
+const MAX_PURGE_KEYS = 1000;
+
+class PurgeRequestError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'PurgeRequestError';
+  }
+}
+
+// Returns the names of the objects that can hold what the object key
+// does: for a CAS blob, both its forms.
+function blobForms (key) {
+  const { namespace, key: name } = splitObjectName(key);
+  const match = /^cas\/(?:zstd\/)?([^/]+)$/.exec(name);
+  return match ? [casObjectName(match[1], namespace), zstdObjectName(match[1], namespace)] : [key];
+}
+
+// Checks that a time in a purge is an ISO 8601 time, if it's there.
+function checkTime (body, field) {
+  if (field in body && (typeof body[field] !== 'string' || isNaN(Date.parse(body[field])))) {
+    throw new PurgeRequestError(`"${field}" must be an ISO 8601 time`);
+  }
+}
+
+// Checks the body of a purge request. Returns what it selects, which
+// is one of { keys }, { prefix }, { namespace } and { token, since,
+// until }. Throws PurgeRequestError if it's malformed.
+function parseSelection (body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new PurgeRequestError('Body must be a JSON object');
+  }
+  const given = ['keys', 'prefix', 'namespace', 'token'].filter((field) => field in body);
+  if (given.length !== 1) {
+    throw new PurgeRequestError('Body must have one of "keys", "prefix", "namespace" and "token"');
+  }
+  if (!('token' in body) && ('since' in body || 'until' in body)) {
+    throw new PurgeRequestError('"since" and "until" only go with "token"');
+  }
+
+  if ('keys' in body) {
+    const keys = body.keys;
+    if (!Array.isArray(keys) || keys.length > MAX_PURGE_KEYS || !keys.every(isCacheKey)) {
+      throw new PurgeRequestError(
+        `"keys" must be an array of at most ${MAX_PURGE_KEYS} names starting with ${CACHE_PREFIXES.join(', ')}`);
+    }
+    return { keys };
+  }
+  if ('prefix' in body) {
+    if (!isCacheKey(body.prefix)) {
+      throw new PurgeRequestError(`"prefix" must start with one of ${CACHE_PREFIXES.join(', ')}`);
+    }
+    return { prefix: body.prefix };
+  }
+  if ('namespace' in body) {
+    const namespace = body.namespace;
+    if (typeof namespace !== 'string' || (namespace !== '' && !isValidNamespace(namespace))) {
+      throw new PurgeRequestError('"namespace" must be a valid namespace');
+    }
+    return { namespace };
+  }
+  if (typeof body.token !== 'string' || body.token === '') {
+    throw new PurgeRequestError('"token" must be the name of a token');
+  }
+  checkTime(body, 'since');
+  checkTime(body, 'until');
+  return { token: body.token, since: body.since || null, until: body.until || null };
+}
+
+// Generates batches of the keys that are in the database, out of the
+// given ones, that come after start.
+async function * namedKeys (db, keys, start) {
+  const wanted = [...new Set(keys.flatMap(blobForms))].filter((key) => key > start).sort();
+  for (let i = 0; i < wanted.length; i += STALE_OBJECT_BATCH_SIZE) {
+    const batch = wanted.slice(i, i + STALE_OBJECT_BATCH_SIZE);
+    const results = await db.prepare(
+      'SELECT key FROM CacheEntries WHERE key IN (' + batch.map(() => '?').join(',') + ') ORDER BY key')
+      .bind(...batch)
+      .all();
+    yield results.results.map((row) => row.key);
+  }
+}
+
+// Generates batches of the keys in the database that start with one
+// of prefixes and come after start.
+async function * keysUnder (db, prefixes, start) {
+  for (const prefix of prefixes) {
+    let marker = start;
+    while (true) {
+      const results = await db.prepare(
+        'SELECT key FROM CacheEntries WHERE key > ?1 AND key >= ?2 AND key < ?3 ORDER BY key LIMIT ?4')
+        .bind(marker, prefix, prefixEnd(prefix), STALE_OBJECT_BATCH_SIZE)
+        .all();
+      const keys = results.results.map((row) => row.key);
+      if (keys.length === 0) {
+        break;
+      }
+      yield keys;
+      marker = keys[keys.length - 1];
+    }
+  }
+}
+
+// Generates batches of the keys in the database that the audit log
+// says the named token uploaded in the given window, and that come
+// after start. since and until are ISO 8601 times, or null.
+async function * keysUploadedBy (db, token, since, until, start) {
+  const from = since === null ? 0 : Math.floor(Date.parse(since) / 1000);
+  const to = until === null ? Number.MAX_SAFE_INTEGER : Math.floor(Date.parse(until) / 1000);
+  let marker = start;
+  while (true) {
+    const results = await db.prepare(
+      'SELECT DISTINCT AuditLog.key AS key FROM AuditLog JOIN CacheEntries ON CacheEntries.key = AuditLog.key ' +
+        "WHERE AuditLog.action = 'upload' AND AuditLog.token = ?1 AND AuditLog.time >= ?2 AND AuditLog.time < ?3 " +
+        'AND AuditLog.key > ?4 ORDER BY AuditLog.key LIMIT ?5')
+      .bind(token, from, to, marker, STALE_OBJECT_BATCH_SIZE)
+      .all();
+    const keys = results.results.map((row) => row.key);
+    if (keys.length === 0) {
+      return;
+    }
+    yield keys;
+    marker = keys[keys.length - 1];
+  }
+}
+
+// Generates batches of the keys a selection from parseSelection
+// covers, in order, starting after start.
+function selectedKeys (db, selection, start) {
+  if ('keys' in selection) {
+    return namedKeys(db, selection.keys, start);
+  }
+  if ('prefix' in selection) {
+    return keysUnder(db, [selection.prefix], start);
+  }
+  if ('namespace' in selection) {
+    const prefixes = selection.namespace ? [namespacePrefix(selection.namespace)] : ['ac/', 'cas/'];
+    return keysUnder(db, prefixes, start);
+  }
+  return keysUploadedBy(db, selection.token, selection.since, selection.until, start);
+}
+
+// Deletes what a selection from parseSelection covers or, if dryRun
+// is set, only counts it. Starts after the key start and stops after
+// limit objects. Returns a report; see README.md. request is the admin
+// request that asked for it, if any.
+export async function purge (env, selection, { dryRun = false, start = '', limit = Infinity, request = null } = {}) {
+  const db = env.__D1_BETA__DB;
+  const report = { dry_run: dryRun, count: 0, keys: [], next: null };
+
+  let finished = true;
+  for await (const batch of selectedKeys(db, selection, start)) {
+    const room = limit - report.count;
+    if (room <= 0) {
+      finished = false;
+      break;
+    }
+    const keys = batch.slice(0, room);
+    if (keys.length === 0) {
+      continue;
+    }
+    if (!dryRun) {
+      // Bucket first, then database, as in the cleanup.
+      await env.BUCKET.delete(keys);
+      await deleteKeysFromDB(db, keys);
+    }
+    report.count += keys.length;
+    report.keys.push(...keys.slice(0, REPORTED_KEYS - report.keys.length));
+    report.next = keys[keys.length - 1];
+    if (keys.length < batch.length) {
+      finished = false;
+      break;
+    }
+  }
+  if (finished) {
+    report.next = null;
+  }
+
+  if (!dryRun) {
+    await addAuditEntry(db, { action: 'purge', request, details: { ...selection, count: report.count } });
+  }
+  return report;
+}
+
+// POST /admin/purge
+export const purgeCache = adminOnly(async (request, env) => {
+  const query = parseBatchQuery(request);
+  if (query.error) {
+    return jsonResponse({ error: query.error }, 400);
+  }
+  let selection;
+  try {
+    selection = parseSelection(await request.json());
+  } catch (e) {
+    if (e instanceof SyntaxError) {
+      return jsonResponse({ error: 'Body must be JSON' }, 400);
+    }
+    if (e instanceof PurgeRequestError) {
+      return jsonResponse({ error: e.message }, 400);
+    }
+    throw e;
+  }
+  return jsonResponse(await purge(env, selection, { ...query, request }));
+});
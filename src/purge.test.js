@@ -0,0 +1,177 @@
+import worker from './index';
+import { migrate } from './schema';
+
+/* global expect, test, beforeAll, beforeEach, getMiniflareBindings, ExecutionContext, describe */
+
+describe('purging', () => {
+  let env;
+  const adminSecret = 'begone';
+  const ctx = new ExecutionContext();
+  const a = 'a'.repeat(64);
+  const b = 'b'.repeat(64);
+  const c = 'c'.repeat(64);
+
+  beforeAll(async () => {
+    env = { ...getMiniflareBindings(), ADMIN_SECRET: adminSecret };
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(async () => {
+    await env.__D1_BETA__DB.exec('DELETE FROM CacheEntries');
+    await env.__D1_BETA__DB.exec('DELETE FROM AuditLog');
+    const listing = await env.BUCKET.list();
+    await env.BUCKET.delete(listing.objects.map((o) => o.key));
+  });
+
+  // Puts objects in the cache, with rows.
+  async function store (...keys) {
+    for (const key of keys) {
+      await env.__D1_BETA__DB.prepare('INSERT INTO CacheEntries (key, last_used, size) VALUES (?1, ?2, ?3)')
+        .bind(key, Math.floor(Date.now() / 1000), key.length)
+        .run();
+      await env.BUCKET.put(key, key);
+    }
+  }
+
+  // Returns which of the given keys are still in the bucket and the
+  // database, checking that the two agree.
+  async function remaining (...keys) {
+    const left = [];
+    for (const key of keys) {
+      const row = await env.__D1_BETA__DB.prepare('SELECT key FROM CacheEntries WHERE key = ?1')
+        .bind(key)
+        .first();
+      const object = await env.BUCKET.head(key);
+      expect(object === null).toBe(row === null);
+      if (row !== null) {
+        left.push(key);
+      }
+    }
+    return left;
+  }
+
+  async function purge (body, query = '', secret = adminSecret) {
+    const req = new Request('https://localhost/admin/purge' + query, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer ' + secret },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return await worker.fetch(req, env, ctx);
+  }
+
+  test('it needs the admin secret', async () => {
+    await store('ac/' + a);
+    expect((await purge({ keys: ['ac/' + a] }, '', 'a good guess')).status).toBe(401);
+    expect(await remaining('ac/' + a)).toEqual(['ac/' + a]);
+  });
+
+  test('it purges the named objects', async () => {
+    await store('ac/' + a, 'ac/' + b, 'cas/' + a, 'cas/zstd/' + a, 'ns/team/ac/' + a);
+
+    const resp = await purge({ keys: ['ac/' + a, 'cas/' + a, 'cas/' + c] });
+    expect(resp.status).toBe(200);
+    expect(await resp.json()).toEqual({
+      dry_run: false,
+      count: 3,
+      keys: ['ac/' + a, 'cas/' + a, 'cas/zstd/' + a],
+      next: null
+    });
+    expect(await remaining('ac/' + a, 'ac/' + b, 'cas/' + a, 'cas/zstd/' + a, 'ns/team/ac/' + a))
+      .toEqual(['ac/' + b, 'ns/team/ac/' + a]);
+
+    const entry = await env.__D1_BETA__DB.prepare('SELECT action, details FROM AuditLog').first();
+    expect(entry.action).toBe('purge');
+    expect(JSON.parse(entry.details)).toEqual({ keys: ['ac/' + a, 'cas/' + a, 'cas/' + c], count: 3 });
+  });
+
+  test('it only counts in a dry run', async () => {
+    await store('ac/' + a, 'ac/' + b);
+
+    const report = await (await purge({ prefix: 'ac/' }, '?dry_run=1')).json();
+    expect(report.dry_run).toBe(true);
+    expect(report.count).toBe(2);
+    expect(await remaining('ac/' + a, 'ac/' + b)).toEqual(['ac/' + a, 'ac/' + b]);
+    expect(await env.__D1_BETA__DB.prepare('SELECT * FROM AuditLog').first()).toBe(null);
+  });
+
+  test('it purges by prefix and by namespace', async () => {
+    const all = ['ac/' + a, 'cas/' + a, 'ns/team/ac/' + a, 'ns/team/cas/' + b, 'ns/teams/ac/' + a];
+    await store(...all);
+    await env.BUCKET.put('tokens/laptop', 'not a cache object');
+
+    let report = await (await purge({ prefix: 'ns/team/' })).json();
+    expect(report.keys).toEqual(['ns/team/ac/' + a, 'ns/team/cas/' + b]);
+
+    report = await (await purge({ namespace: '' })).json();
+    expect(report.keys).toEqual(['ac/' + a, 'cas/' + a]);
+
+    report = await (await purge({ namespace: 'teams' })).json();
+    expect(report.keys).toEqual(['ns/teams/ac/' + a]);
+
+    expect(await remaining(...all)).toEqual([]);
+    expect(await env.BUCKET.head('tokens/laptop')).not.toBe(null);
+  });
+
+  test('it purges what a token uploaded', async () => {
+    await store('ac/' + a, 'ac/' + b, 'cas/' + a, 'cas/' + b);
+    const uploads = [
+      ['ac/' + a, 'sloppy', '2026-03-01T10:00:00Z'],
+      ['cas/' + a, 'sloppy', '2026-03-01T11:00:00Z'],
+      ['ac/' + a, 'sloppy', '2026-03-01T12:00:00Z'],
+      ['ac/' + b, 'sloppy', '2026-03-02T10:00:00Z'],
+      ['cas/' + b, 'careful', '2026-03-01T10:30:00Z']
+    ];
+    for (const [key, token, time] of uploads) {
+      await env.__D1_BETA__DB.prepare(
+        "INSERT INTO AuditLog (time, token, action, key) VALUES (?1, ?2, 'upload', ?3)")
+        .bind(Date.parse(time) / 1000, token, key)
+        .run();
+    }
+
+    const report = await (await purge({
+      token: 'sloppy', since: '2026-03-01T00:00:00Z', until: '2026-03-02T00:00:00Z'
+    })).json();
+    expect(report.keys).toEqual(['ac/' + a, 'cas/' + a]);
+    expect(await remaining('ac/' + a, 'ac/' + b, 'cas/' + a, 'cas/' + b)).toEqual(['ac/' + b, 'cas/' + b]);
+
+    expect((await (await purge({ token: 'sloppy' })).json()).keys).toEqual(['ac/' + b]);
+  });
+
+  test('it can be done a bit at a time', async () => {
+    const keys = [];
+    for (let i = 0; i < 250; i++) {
+      keys.push('cas/' + String(i).padStart(64, '0'));
+    }
+    await store(...keys);
+
+    const first = await (await purge({ prefix: 'cas/' }, '?limit=120')).json();
+    expect(first.count).toBe(120);
+    expect(first.keys).toHaveLength(100);
+    expect(first.next).toBe(keys[119]);
+
+    const rest = await (await purge({ prefix: 'cas/' }, '?start=' + first.next)).json();
+    expect(rest.count).toBe(130);
+    expect(rest.next).toBe(null);
+    expect(await remaining(...keys)).toEqual([]);
+  });
+
+  test('it rejects malformed requests', async () => {
+    const bad = [
+      'not JSON',
+      [],
+      {},
+      { keys: ['ac/' + a], prefix: 'ac/' },
+      { keys: ['tokens/laptop'] },
+      { keys: 'ac/' + a },
+      { prefix: 'tokens/' },
+      { namespace: 'ns/team' },
+      { token: '' },
+      { token: 'sloppy', since: 'last Tuesday' },
+      { prefix: 'ac/', until: '2026-03-01T00:00:00Z' }
+    ];
+    for (const body of bad) {
+      expect((await purge(body)).status).toBe(400);
+    }
+    expect((await purge({ prefix: 'ac/' }, '?limit=none')).status).toBe(400);
+  });
+});
@@ -0,0 +1,368 @@
+/**
+   Message definitions from Bazel's Remote Execution API
+   (build/bazel/remote/execution/v2/remote_execution.proto) and the
+   ByteStream API it uses for large blobs, along with helpers for
+   checking them. Only the messages and fields this cache needs are
+   described; everything else is skipped when decoding.
+ */
+
+import { decode, ProtobufError } from './protobuf';
+import { isWellFormedHash } from './digest';
+
+export const Digest = {
+  1: { name: 'hash', type: 'string' },
+  2: { name: 'sizeBytes', type: 'int64' }
+};
+
+export const OutputFile = {
+  1: { name: 'path', type: 'string' },
+  2: { name: 'digest', type: Digest },
+  4: { name: 'isExecutable', type: 'bool' },
+  5: { name: 'contents', type: 'bytes' },
+  7: { name: 'nodeProperties', type: 'bytes' }
+};
+
+export const OutputSymlink = {
+  1: { name: 'path', type: 'string' },
+  2: { name: 'target', type: 'string' }
+};
+
+export const OutputDirectory = {
+  1: { name: 'path', type: 'string' },
+  3: { name: 'treeDigest', type: Digest },
+  4: { name: 'isTopologicallySorted', type: 'bool' },
+  5: { name: 'rootDirectoryDigest', type: Digest }
+};
+
+export const FileNode = {
+  1: { name: 'name', type: 'string' },
+  2: { name: 'digest', type: Digest },
+  4: { name: 'isExecutable', type: 'bool' },
+  6: { name: 'nodeProperties', type: 'bytes' }
+};
+
+export const DirectoryNode = {
+  1: { name: 'name', type: 'string' },
+  2: { name: 'digest', type: Digest }
+};
+
+export const SymlinkNode = {
+  1: { name: 'name', type: 'string' },
+  2: { name: 'target', type: 'string' }
+};
+
+export const Directory = {
+  1: { name: 'files', type: FileNode, repeated: true },
+  2: { name: 'directories', type: DirectoryNode, repeated: true },
+  3: { name: 'symlinks', type: SymlinkNode, repeated: true },
+  5: { name: 'nodeProperties', type: 'bytes' }
+};
+
+export const Tree = {
+  1: { name: 'root', type: Directory },
+  2: { name: 'children', type: Directory, repeated: true }
+};
+
+export const ActionResult = {
+  2: { name: 'outputFiles', type: OutputFile, repeated: true },
+  3: { name: 'outputDirectories', type: OutputDirectory, repeated: true },
+  4: { name: 'exitCode', type: 'int32' },
+  5: { name: 'stdoutRaw', type: 'bytes' },
+  6: { name: 'stdoutDigest', type: Digest },
+  7: { name: 'stderrRaw', type: 'bytes' },
+  8: { name: 'stderrDigest', type: Digest },
+  // ExecutedActionMetadata; we pass it through without looking inside.
+  9: { name: 'executionMetadata', type: 'bytes' },
+  10: { name: 'outputFileSymlinks', type: OutputSymlink, repeated: true },
+  11: { name: 'outputDirectorySymlinks', type: OutputSymlink, repeated: true },
+  12: { name: 'outputSymlinks', type: OutputSymlink, repeated: true }
+};
+
+// DigestFunction.Value, keyed by the names getDigestFunction uses.
+export const DigestFunctionValue = {
+  sha256: 1,
+  sha1: 2,
+  blake3: 9
+};
+
+// Compressor.Value
+export const Compressor = {
+  IDENTITY: 0,
+  ZSTD: 1
+};
+
+// SymlinkAbsolutePathStrategy.Value
+const SYMLINK_ABSOLUTE_PATH_DISALLOWED = 1;
+
+// google.rpc.Status
+export const Status = {
+  1: { name: 'code', type: 'int32' },
+  2: { name: 'message', type: 'string' }
+};
+
+export const GetCapabilitiesRequest = {
+  1: { name: 'instanceName', type: 'string' }
+};
+
+export const SemVer = {
+  1: { name: 'major', type: 'int32' },
+  2: { name: 'minor', type: 'int32' },
+  3: { name: 'patch', type: 'int32' },
+  4: { name: 'prerelease', type: 'string' }
+};
+
+export const ActionCacheUpdateCapabilities = {
+  1: { name: 'updateEnabled', type: 'bool' }
+};
+
+export const CacheCapabilities = {
+  1: { name: 'digestFunctions', type: 'enum', repeated: true },
+  2: { name: 'actionCacheUpdateCapabilities', type: ActionCacheUpdateCapabilities },
+  4: { name: 'maxBatchTotalSizeBytes', type: 'int64' },
+  5: { name: 'symlinkAbsolutePathStrategy', type: 'enum' },
+  6: { name: 'supportedCompressors', type: 'enum', repeated: true },
+  7: { name: 'supportedBatchUpdateCompressors', type: 'enum', repeated: true }
+};
+
+export const ServerCapabilities = {
+  1: { name: 'cacheCapabilities', type: CacheCapabilities },
+  4: { name: 'lowApiVersion', type: SemVer },
+  5: { name: 'highApiVersion', type: SemVer }
+};
+
+// Describes this cache for GetCapabilities.
+export function serverCapabilities (digestFn, maxBatchTotalSizeBytes) {
+  return {
+    cacheCapabilities: {
+      digestFunctions: [DigestFunctionValue[digestFn.name]],
+      actionCacheUpdateCapabilities: { updateEnabled: true },
+      maxBatchTotalSizeBytes,
+      symlinkAbsolutePathStrategy: SYMLINK_ABSOLUTE_PATH_DISALLOWED,
+      supportedCompressors: [Compressor.ZSTD],
+      supportedBatchUpdateCompressors: [Compressor.ZSTD]
+    },
+    lowApiVersion: { major: 2, minor: 0 },
+    highApiVersion: { major: 2, minor: 3 }
+  };
+}
+
+export const GetActionResultRequest = {
+  1: { name: 'instanceName', type: 'string' },
+  2: { name: 'actionDigest', type: Digest },
+  3: { name: 'inlineStdout', type: 'bool' },
+  4: { name: 'inlineStderr', type: 'bool' },
+  5: { name: 'inlineOutputFiles', type: 'string', repeated: true },
+  6: { name: 'digestFunction', type: 'enum' }
+};
+
+export const UpdateActionResultRequest = {
+  1: { name: 'instanceName', type: 'string' },
+  2: { name: 'actionDigest', type: Digest },
+  // Left encoded, so that we store exactly what the client sent.
+  3: { name: 'actionResult', type: 'bytes' },
+  5: { name: 'digestFunction', type: 'enum' }
+};
+
+export const FindMissingBlobsRequest = {
+  1: { name: 'instanceName', type: 'string' },
+  2: { name: 'blobDigests', type: Digest, repeated: true },
+  3: { name: 'digestFunction', type: 'enum' }
+};
+
+export const FindMissingBlobsResponse = {
+  2: { name: 'missingBlobDigests', type: Digest, repeated: true }
+};
+
+export const BatchUpdateBlobsRequest = {
+  1: { name: 'instanceName', type: 'string' },
+  2: {
+    name: 'requests',
+    repeated: true,
+    type: {
+      1: { name: 'digest', type: Digest },
+      2: { name: 'data', type: 'bytes' },
+      3: { name: 'compressor', type: 'enum' }
+    }
+  },
+  5: { name: 'digestFunction', type: 'enum' }
+};
+
+export const BatchUpdateBlobsResponse = {
+  1: {
+    name: 'responses',
+    repeated: true,
+    type: {
+      1: { name: 'digest', type: Digest },
+      2: { name: 'status', type: Status }
+    }
+  }
+};
+
+export const BatchReadBlobsRequest = {
+  1: { name: 'instanceName', type: 'string' },
+  2: { name: 'digests', type: Digest, repeated: true },
+  3: { name: 'acceptableCompressors', type: 'enum', repeated: true },
+  4: { name: 'digestFunction', type: 'enum' }
+};
+
+export const BatchReadBlobsResponse = {
+  1: {
+    name: 'responses',
+    repeated: true,
+    type: {
+      1: { name: 'digest', type: Digest },
+      2: { name: 'data', type: 'bytes' },
+      3: { name: 'status', type: Status },
+      4: { name: 'compressor', type: 'enum' }
+    }
+  }
+};
+
+// From google/bytestream/bytestream.proto
+export const ReadRequest = {
+  1: { name: 'resourceName', type: 'string' },
+  2: { name: 'readOffset', type: 'int64' },
+  3: { name: 'readLimit', type: 'int64' }
+};
+
+export const ReadResponse = {
+  10: { name: 'data', type: 'bytes' }
+};
+
+export const WriteRequest = {
+  1: { name: 'resourceName', type: 'string' },
+  2: { name: 'writeOffset', type: 'int64' },
+  3: { name: 'finishWrite', type: 'bool' },
+  10: { name: 'data', type: 'bytes' }
+};
+
+export const WriteResponse = {
+  1: { name: 'committedSize', type: 'int64' }
+};
+
+// Parses a ByteStream resource name. Reads use
+// "{instance_name}/blobs/{hash}/{size}" and writes use
+// "{instance_name}/uploads/{uuid}/blobs/{hash}/{size}{/metadata}";
+// compressed blobs have "compressed-blobs/{compressor}" in place of
+// "blobs".
+//
+// Returns { instanceName, digest, compressor }, with compressor being
+// null for uncompressed blobs, or null if the name doesn't parse.
+export function parseResourceName (name) {
+  const match = /^(?:(.*?)\/)??(?:uploads\/[^/]+\/)?(?:blobs|compressed-blobs\/([a-z0-9]+))\/([0-9a-f]+)\/(\d+)(?:\/|$)/
+    .exec(name);
+  if (!match) {
+    return null;
+  }
+  return {
+    instanceName: match[1] || '',
+    compressor: match[2] || null,
+    digest: { hash: match[3], sizeBytes: parseInt(match[4], 10) }
+  };
+}
+
+function checkDigest (digest, digestFn, what) {
+  if (!isWellFormedHash(digestFn, digest.hash)) {
+    throw new ProtobufError(`Malformed digest for ${what}`);
+  }
+  if (digest.sizeBytes < 0) {
+    throw new ProtobufError(`Negative size for ${what}`);
+  }
+}
+
+function checkPath (path) {
+  if (path === '' || path.startsWith('/')) {
+    throw new ProtobufError(`Bad output path "${path}"`);
+  }
+}
+
+// Decodes an ActionResult and checks that it makes sense: every
+// digest is well-formed for digestFn and every output has a relative
+// path. Throws ProtobufError if not.
+export function decodeActionResult (bytes, digestFn) {
+  const result = decode(ActionResult, bytes);
+
+  for (const file of result.outputFiles) {
+    checkPath(file.path);
+    if (!file.digest) {
+      throw new ProtobufError(`Missing digest for ${file.path}`);
+    }
+    checkDigest(file.digest, digestFn, file.path);
+  }
+  for (const dir of result.outputDirectories) {
+    checkPath(dir.path);
+    if (!dir.treeDigest) {
+      throw new ProtobufError(`Missing tree digest for ${dir.path}`);
+    }
+    checkDigest(dir.treeDigest, digestFn, dir.path);
+    if (dir.rootDirectoryDigest) {
+      checkDigest(dir.rootDirectoryDigest, digestFn, dir.path);
+    }
+  }
+  for (const link of [...result.outputFileSymlinks,
+    ...result.outputDirectorySymlinks, ...result.outputSymlinks]) {
+    checkPath(link.path);
+  }
+  if (result.stdoutDigest) {
+    checkDigest(result.stdoutDigest, digestFn, 'stdout');
+  }
+  if (result.stderrDigest) {
+    checkDigest(result.stderrDigest, digestFn, 'stderr');
+  }
+  return result;
+}
+
+// Returns the digests of the files in a Tree, the blob an output
+// directory's treeDigest names, without duplicates or empty blobs as
+// for referencedDigests. Throws ProtobufError if it isn't a Tree, or
+// has a digest that isn't well-formed for digestFn.
+export function treeFileDigests (bytes, digestFn) {
+  const tree = decode(Tree, bytes);
+  const digests = [];
+  for (const dir of tree.root ? [tree.root, ...tree.children] : tree.children) {
+    for (const file of dir.files) {
+      if (!file.digest) {
+        throw new ProtobufError(`Missing digest for ${file.name}`);
+      }
+      checkDigest(file.digest, digestFn, file.name);
+      digests.push(file.digest);
+    }
+  }
+  return withoutDuplicates(digests);
+}
+
+// Returns the digests of all the CAS blobs an ActionResult refers
+// to, without duplicates. Empty blobs are left out; Bazel never
+// uploads or downloads those since it already knows what's in them.
+export function referencedDigests (result) {
+  const digests = [];
+  for (const file of result.outputFiles) {
+    digests.push(file.digest);
+  }
+  for (const dir of result.outputDirectories) {
+    digests.push(dir.treeDigest);
+    if (dir.rootDirectoryDigest) {
+      digests.push(dir.rootDirectoryDigest);
+    }
+  }
+  if (result.stdoutDigest) {
+    digests.push(result.stdoutDigest);
+  }
+  if (result.stderrDigest) {
+    digests.push(result.stderrDigest);
+  }
+  return withoutDuplicates(digests);
+}
+
+// Leaves out digests that have been seen before, and those of empty
+// blobs.
+function withoutDuplicates (digests) {
+  const seen = new Set();
+  return digests.filter((d) => {
+    if (d.sizeBytes === 0 || seen.has(d.hash)) {
+      return false;
+    }
+    seen.add(d.hash);
+    return true;
+  });
+}
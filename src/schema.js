@@ -0,0 +1,165 @@
+/**
+   The database schema, and migrating the database from one version of
+   it to the next.
+
+   Each migration is a file in migrations/, numbered in the order they
+   go in, that exports the SQL statements that make it, or a function
+   of the database that returns them. To change the schema, add the
+   next one to MIGRATIONS; never change one that's been released,
+   since databases out there have already had it. The SchemaVersion
+   table records which have been applied.
+
+   Databases from before migrations, made by running schema.sql by
+   hand, start out at version 0 like new ones. The migrations follow
+   the changes schema.sql went through, and are written to leave
+   alone whatever such a database already has.
+
+     GET  /admin/schema   says which version the database is at
+     POST /admin/migrate  applies the migrations it hasn't had
+
+   These need "Authorization: Bearer <ADMIN_SECRET>" like the rest of
+   the admin API, and work whatever state the database is in. With
+   AUTO_MIGRATE set, each worker instance applies the migrations
+   itself when it starts handling requests. Otherwise whatever writes
+   to the database, uploads and the scheduled jobs among them, refuses
+   to run on a database that's behind, since it would fail part way
+   or, worse, write what the old schema can't hold.
+ */
+
+import { adminOnly, jsonResponse } from './admin';
+import initial from './migrations/0001_initial';
+import sizes from './migrations/0002_sizes';
+import stats from './migrations/0003_stats';
+import tokenUsage from './migrations/0004_token_usage';
+import auditLog from './migrations/0005_audit_log';
+import uploads from './migrations/0006_uploads';
+import pins from './migrations/0007_pins';
+import uploadActivity from './migrations/0008_upload_activity';
+import cursors from './migrations/0009_cursors';
+import { nowInEpochSeconds } from './storage';
+
+// Every migration, in order. A migration's version is the number in
+// the name of its file.
+const MIGRATIONS = [
+  { version: 1, name: 'initial', statements: initial },
+  { version: 2, name: 'sizes', statements: sizes },
+  { version: 3, name: 'stats', statements: stats },
+  { version: 4, name: 'token_usage', statements: tokenUsage },
+  { version: 5, name: 'audit_log', statements: auditLog },
+  { version: 6, name: 'uploads', statements: uploads },
+  { version: 7, name: 'pins', statements: pins },
+  { version: 8, name: 'upload_activity', statements: uploadActivity },
+  { version: 9, name: 'cursors', statements: cursors }
+];
+
+// The version this code expects the database to be at.
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export class SchemaError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+// Whether this isolate has seen the database at SCHEMA_VERSION. Once
+// it has, it needn't look again; the schema only ever moves forward.
+let schemaChecked = false;
+
+// Forgets that the schema was checked. This is exported only to help
+// in writing tests.
+export function forgetSchemaCheck () {
+  schemaChecked = false;
+}
+
+// Whether AUTO_MIGRATE is on. "false" means it isn't.
+export function autoMigrate (env) {
+  return Boolean(env.AUTO_MIGRATE) && env.AUTO_MIGRATE !== 'false';
+}
+
+// Returns the version the database is at: 0 if it has never been
+// migrated.
+export async function schemaVersion (db) {
+  const table = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'SchemaVersion'")
+    .first();
+  if (!table) {
+    return 0;
+  }
+  const row = await db.prepare('SELECT MAX(version) AS version FROM SchemaVersion').first();
+  return row.version || 0;
+}
+
+// Applies the migrations the database hasn't had. Returns { from, to,
+// applied }, where applied lists the names of those migrations.
+//
+// Each goes in a batch along with its row in SchemaVersion, so either
+// all of it is applied or none of it is. That row goes first, so if
+// another worker instance is applying the same migration at the same
+// time, only one of them can.
+export async function migrate (db) {
+  await db.prepare(
+    'CREATE TABLE IF NOT EXISTS SchemaVersion (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied INTEGER NOT NULL)')
+    .run();
+  const from = await schemaVersion(db);
+  const applied = [];
+  for (const migration of MIGRATIONS.filter((m) => m.version > from)) {
+    const statements = typeof migration.statements === 'function'
+      ? await migration.statements(db)
+      : migration.statements;
+    try {
+      await db.batch([
+        db.prepare('INSERT INTO SchemaVersion (version, name, applied) VALUES (?1, ?2, ?3)')
+          .bind(migration.version, migration.name, nowInEpochSeconds()),
+        ...statements.map((sql) => db.prepare(sql))
+      ]);
+    } catch (e) {
+      if (await schemaVersion(db) >= migration.version) {
+        continue; // Someone else got there first.
+      }
+      throw e;
+    }
+    applied.push(migration.name);
+  }
+  return { from, to: await schemaVersion(db), applied };
+}
+
+// Makes sure the database is at SCHEMA_VERSION, migrating it if
+// AUTO_MIGRATE is set. Throws SchemaError if it's behind, or ahead,
+// which means this code is older than whatever migrated it.
+export async function checkSchema (env) {
+  if (schemaChecked) {
+    return;
+  }
+  const db = env.__D1_BETA__DB;
+  let version = await schemaVersion(db);
+  if (version < SCHEMA_VERSION && autoMigrate(env)) {
+    version = (await migrate(db)).to;
+  }
+  if (version < SCHEMA_VERSION) {
+    throw new SchemaError(
+      `The database is at schema version ${version}, but this worker needs ${SCHEMA_VERSION}; ` +
+        'apply the migrations with "bz migrate" or POST /admin/migrate');
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new SchemaError(
+      `The database is at schema version ${version}, which is newer than this worker's ${SCHEMA_VERSION}`);
+  }
+  schemaChecked = true;
+}
+
+// GET /admin/schema
+export const schemaStatus = adminOnly(async (request, env) => {
+  const version = await schemaVersion(env.__D1_BETA__DB);
+  return jsonResponse({
+    version,
+    expected: SCHEMA_VERSION,
+    pending: MIGRATIONS.filter((m) => m.version > version).map((m) => m.name)
+  });
+});
+
+// POST /admin/migrate
+export const migrateSchema = adminOnly(async (request, env) => {
+  const result = await migrate(env.__D1_BETA__DB);
+  forgetSchemaCheck();
+  return jsonResponse(result);
+});
@@ -0,0 +1,170 @@
+import worker from './index';
+import initial from './migrations/0001_initial';
+import { migrate, SCHEMA_VERSION, SchemaError, schemaVersion } from './schema';
+
+/* global expect, test, beforeEach, getMiniflareBindings, ExecutionContext, describe */
+
+describe('schema', () => {
+  const env = { ...getMiniflareBindings(), ADMIN_SECRET: 'mind the gap' };
+  const db = env.__D1_BETA__DB;
+  const ctx = new ExecutionContext();
+
+  // Drops every table, as for a new database.
+  async function dropEverything () {
+    const tables = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all();
+    for (const { name } of tables.results) {
+      await db.prepare(`DROP TABLE ${name}`).run();
+    }
+  }
+
+  async function tableNames () {
+    const tables = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all();
+    return tables.results.map((row) => row.name);
+  }
+
+  beforeEach(async () => {
+    await dropEverything();
+    worker.flushCaches();
+  });
+
+  async function put (vars = {}) {
+    const req = new Request('https://localhost/cas/' + 'a'.repeat(64), {
+      method: 'PUT',
+      headers: { Authorization: 'Bearer nobody.nothing' },
+      body: 'x'
+    });
+    return await worker.fetch(req, { ...env, ...vars }, ctx);
+  }
+
+  async function admin (method, path, vars = {}, secret = env.ADMIN_SECRET, body) {
+    const req = new Request('https://localhost' + path, {
+      method, headers: { Authorization: 'Bearer ' + secret }, body
+    });
+    return await worker.fetch(req, { ...env, ...vars }, ctx);
+  }
+
+  const ALL_MIGRATIONS = ['initial', 'sizes', 'stats', 'token_usage', 'audit_log', 'uploads', 'pins', 'upload_activity', 'cursors'];
+
+  test('it applies every migration to a new database', async () => {
+    expect(await schemaVersion(db)).toBe(0);
+    const result = await migrate(db);
+    expect(result).toEqual({ from: 0, to: SCHEMA_VERSION, applied: expect.any(Array) });
+    expect(result.applied).toHaveLength(SCHEMA_VERSION);
+    expect(await tableNames()).toEqual([
+      'AuditLog', 'CacheEntries', 'Cursors', 'Pins', 'SchemaVersion', 'Stats', 'TokenUsage', 'UploadParts', 'Uploads'
+    ]);
+
+    // There's nothing left to do the second time.
+    expect(await migrate(db)).toEqual({ from: SCHEMA_VERSION, to: SCHEMA_VERSION, applied: [] });
+  });
+
+  test('it brings the very first schema up to date', async () => {
+    for (const sql of initial) {
+      await db.prepare(sql).run();
+    }
+    await db.prepare("INSERT INTO CacheEntries (key, last_used) VALUES ('cas/old', 1)").run();
+
+    expect(await migrate(db)).toEqual({ from: 0, to: SCHEMA_VERSION, applied: ALL_MIGRATIONS });
+    expect(await db.prepare("SELECT size FROM CacheEntries WHERE key = 'cas/old'").first('size')).toBe(null);
+    worker.flushCaches();
+    // Uploads record sizes now.
+    const hash = '2d711642b726b04401627ca9fbac32f5c8530fb1903cc4db02258717921a4881';
+    const req = new Request('https://localhost/cas/' + hash, {
+      method: 'PUT',
+      headers: { 'Bazel-Cache-Token-Id': 'tester', 'Bazel-Cache-Token-Value': 'testing' },
+      body: 'x'
+    });
+    await env.BUCKET.put('tokens/tester', 'testing');
+    expect((await worker.fetch(req, env, ctx)).status).toBe(201);
+    expect(await db.prepare('SELECT size FROM CacheEntries WHERE key = ?1').bind('cas/' + hash).first('size')).toBe(1);
+  });
+
+  test('it takes over databases made by a later schema.sql', async () => {
+    await db.prepare('CREATE TABLE CacheEntries (key TEXT PRIMARY KEY, last_used INTEGER, size INTEGER) WITHOUT ROWID').run();
+    await db.prepare('CREATE TABLE Stats (token TEXT NOT NULL, namespace TEXT NOT NULL, name TEXT NOT NULL, value INTEGER NOT NULL, PRIMARY KEY (token, namespace, name)) WITHOUT ROWID').run();
+    await db.prepare("INSERT INTO CacheEntries (key, last_used, size) VALUES ('cas/old', 1, 2)").run();
+
+    expect((await migrate(db)).to).toBe(SCHEMA_VERSION);
+    expect(await db.prepare('SELECT size FROM CacheEntries').first('size')).toBe(2);
+  });
+
+  test('only one of two migrations at once applies anything', async () => {
+    const results = await Promise.all([migrate(db), migrate(db)]);
+    expect(results.map((r) => r.to)).toEqual([SCHEMA_VERSION, SCHEMA_VERSION]);
+    expect(results[0].applied.length + results[1].applied.length).toBe(SCHEMA_VERSION);
+    const rows = await db.prepare('SELECT version FROM SchemaVersion').all();
+    expect(rows.results).toHaveLength(SCHEMA_VERSION);
+  });
+
+  test('uploads and the scheduled jobs refuse an outdated database', async () => {
+    const resp = await put();
+    expect(resp.status).toBe(500);
+    expect(await resp.text()).toMatch(/schema version 0, but this worker needs/);
+    await expect(worker.scheduled({ cron: '3 */2 * * *' }, env, ctx)).rejects.toThrow(SchemaError);
+
+    await migrate(db);
+    worker.flushCaches();
+    // Now it gets as far as looking at the token.
+    expect((await put()).status).toBe(401);
+    await worker.scheduled({ cron: '3 */2 * * *' }, env, ctx);
+  });
+
+  test('it refuses a database from newer code', async () => {
+    await migrate(db);
+    await db.prepare("INSERT INTO SchemaVersion (version, name, applied) VALUES (?1, 'future', 0)")
+      .bind(SCHEMA_VERSION + 1)
+      .run();
+    const resp = await put();
+    expect(resp.status).toBe(500);
+    expect(await resp.text()).toMatch(/newer than this worker's/);
+  });
+
+  test('AUTO_MIGRATE migrates on the first request', async () => {
+    const resp = await worker.fetch(new Request('https://localhost/ac/' + 'a'.repeat(64)), { ...env, AUTO_MIGRATE: 'true' }, ctx);
+    expect(resp.status).toBe(401);
+    expect(await schemaVersion(db)).toBe(SCHEMA_VERSION);
+  });
+
+  test('AUTO_MIGRATE = "false" leaves it to the admin API', async () => {
+    const off = { AUTO_MIGRATE: 'false' };
+    expect((await put(off)).status).toBe(500);
+    expect(await schemaVersion(db)).toBe(0);
+    expect((await admin('GET', '/admin/schema', off)).status).toBe(200);
+    expect((await admin('POST', '/admin/migrate', off)).status).toBe(200);
+    expect((await put(off)).status).toBe(401);
+  });
+
+  test('everything that writes refuses an outdated database', async () => {
+    // Admins hear why; nobody else does.
+    let resp = await admin('POST', '/admin/purge', {}, 'let me in', '{"prefix": "ac/"}');
+    expect(resp.status).toBe(401);
+    resp = await admin('POST', '/admin/purge', {}, env.ADMIN_SECRET, '{"prefix": "ac/"}');
+    expect(resp.status).toBe(500);
+    expect(await resp.text()).toMatch(/schema version 0/);
+    for (const [method, path] of [['POST', '/admin/import'], ['POST', '/admin/pins'], ['POST', '/admin/tokens']]) {
+      expect((await admin(method, path, {}, env.ADMIN_SECRET, '{}')).status).toBe(500);
+    }
+
+    const req = new Request('https://localhost/build.bazel.remote.execution.v2.ActionCache/UpdateActionResult', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/grpc-web+proto' },
+      body: new Uint8Array(5)
+    });
+    const text = await (await worker.fetch(req, env, ctx)).text();
+    expect(text).toMatch(/grpc-status:13\r\n/);
+    expect(text).toMatch(/schema%20version%200/);
+  });
+
+  test('the admin API reports on and applies migrations', async () => {
+    let resp = await admin('GET', '/admin/schema');
+    expect(await resp.json()).toEqual({ version: 0, expected: SCHEMA_VERSION, pending: ALL_MIGRATIONS });
+
+    resp = await admin('POST', '/admin/migrate');
+    expect(resp.status).toBe(200);
+    expect(await resp.json()).toEqual({ from: 0, to: SCHEMA_VERSION, applied: ALL_MIGRATIONS });
+    expect((await put()).status).toBe(401);
+
+    resp = await admin('GET', '/admin/schema');
+    expect((await resp.json()).pending).toEqual([]);
+  });
+});
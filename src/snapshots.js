@@ -0,0 +1,225 @@
+/**
+   Snapshots: copies of cache entries, to seed a new cache from an old
+   one or to take a backup before doing something risky.
+
+     GET  /admin/export  sends cache entries as a tar file
+     POST /admin/import  takes one back
+
+   These need "Authorization: Bearer <ADMIN_SECRET>" like the rest of
+   the admin API. In the tar file, each entry is a file named by its
+   object name, like "ac/<hash>" or "ns/team/cas/zstd/<hash>", with its
+   last-used time as its modification time; see tar.js.
+
+   An export takes ?prefix=, like "ns/team/" or "ac/", for only the
+   entries under it, and the ?start= and ?limit= of POST
+   /admin/reconcile. Each entry is a subrequest, so a single export
+   stops after EXPORT_MAX_OBJECTS. Unless it's the last, the response
+   has an Export-Next header with the ?start= to carry on from.
+
+   An import goes through the tar file an entry at a time. Entries
+   already in the cache, or in the bucket, are skipped and never
+   replaced. Others are checked the way uploads are, CAS blobs against
+   the digests in their names (see staging.js) and AC entries for
+   being ActionResult messages, and rejected if they fail. Those that
+   pass go in with their last-used times, or now if those are in the
+   future. Entries the cache doesn't have a place for, like tokens,
+   are rejected too. The response is a report; see README.md.
+ */
+
+import { adminOnly, jsonResponse } from './admin';
+import { addAuditEntry } from './audit';
+import { parseBatchQuery, prefixEnd, REPORTED_KEYS } from './cleanup';
+import { getDigestFunction, hashThrough, isWellFormedHash } from './digest';
+import { ProtobufError } from './protobuf';
+import { decodeActionResult } from './reapi';
+import { ABSENT, DigestMismatchError, storeCheckedBlob } from './staging';
+import {
+  CACHE_PREFIXES, isCacheKey, isValidNamespace, nowInEpochSeconds,
+  recordObject, splitObjectName
+} from './storage';
+import { paddingSize, TAR_END, TarError, tarHeader, TarReader } from './tar';
+import { DecompressingHasher } from './zstd';
+
+/* global ReadableStream, Response, URL */
+
+// The most entries an export sends. Each is a trip to R2, and a
+// worker can only make so many.
+export const EXPORT_MAX_OBJECTS = 500;
+
+// Returns up to limit rows of CacheEntries for an export, in order:
+// those after start and, if prefix isn't empty, under it.
+async function exportedRows (db, prefix, start, limit) {
+  const results = await db.prepare(
+    'SELECT key, last_used FROM CacheEntries WHERE key > ?1 AND key >= ?2 AND (?3 IS NULL OR key < ?3) ' +
+      'ORDER BY key LIMIT ?4')
+    .bind(start, prefix, prefix ? prefixEnd(prefix) : null, limit)
+    .all();
+  return results.results;
+}
+
+// Generates the pieces of a tar file of the given rows' objects.
+// Objects that have gone from the bucket are left out.
+async function * tarPieces (bucket, rows) {
+  for (const row of rows) {
+    const obj = await bucket.get(row.key);
+    if (!obj) {
+      continue;
+    }
+    yield tarHeader({ name: row.key, size: obj.size, mtime: row.last_used });
+    const reader = obj.body.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      yield value;
+    }
+    yield new Uint8Array(paddingSize(obj.size));
+  }
+  // A copy, since a stream can take over the buffers it's given.
+  yield TAR_END.slice();
+}
+
+// GET /admin/export
+export const exportCache = adminOnly(async (request, env) => {
+  const query = parseBatchQuery(request);
+  if (query.error) {
+    return jsonResponse({ error: query.error }, 400);
+  }
+  const prefix = new URL(request.url).searchParams.get('prefix') || '';
+  if (prefix && !isCacheKey(prefix)) {
+    return jsonResponse({ error: `"prefix" must start with one of ${CACHE_PREFIXES.join(', ')}` }, 400);
+  }
+  const limit = Math.min(query.limit, EXPORT_MAX_OBJECTS);
+
+  // One more than we'll send, to see whether there's more after.
+  const rows = await exportedRows(env.__D1_BETA__DB, prefix, query.start, limit + 1);
+  const headers = { 'Content-Type': 'application/x-tar' };
+  if (rows.length > limit) {
+    rows.length = limit;
+    headers['Export-Next'] = rows[limit - 1].key;
+  }
+
+  const pieces = tarPieces(env.BUCKET, rows);
+  const body = new ReadableStream({
+    async pull (controller) {
+      const { done, value } = await pieces.next();
+      if (done) {
+        controller.close();
+      } else if (value.length > 0) {
+        controller.enqueue(value);
+      }
+    }
+  });
+  return new Response(body, { headers });
+});
+
+// Works out what a file in an imported tar file is. Returns { kind,
+// hash }, where kind is "ac", "cas" or "zstd", or null if it isn't
+// something the cache has.
+function importedEntry (name, digestFn) {
+  const { namespace, key } = splitObjectName(name);
+  if (namespace !== '' && !isValidNamespace(namespace)) {
+    return null;
+  }
+  const match = /^(ac|cas|cas\/zstd)\/([^/]+)$/.exec(key);
+  if (!match || !isWellFormedHash(digestFn, match[2])) {
+    return null;
+  }
+  return { kind: { ac: 'ac', cas: 'cas', 'cas/zstd': 'zstd' }[match[1]], hash: match[2] };
+}
+
+// Puts one file from an imported tar file in the cache, as the object
+// key, unless there's one there already. Returns true if it was, or
+// false if it failed its check.
+async function importObject (env, digestFn, key, kind, hash, file) {
+  const lastUsed = Math.min(file.mtime, nowInEpochSeconds());
+  if (kind === 'ac') {
+    const body = await new Response(file.body).arrayBuffer();
+    try {
+      decodeActionResult(body, digestFn);
+    } catch (e) {
+      if (e instanceof ProtobufError) {
+        return false;
+      }
+      throw e;
+    }
+    // As with any other upload, the row goes in before the object.
+    await recordObject(env.__D1_BETA__DB, key, file.size, lastUsed);
+    await env.BUCKET.put(key, body, { onlyIf: ABSENT });
+    return true;
+  }
+
+  let hasher = digestFn.createHasher();
+  if (kind === 'zstd') {
+    hasher = new DecompressingHasher(hasher);
+  }
+  try {
+    await storeCheckedBlob(env, key, hashThrough(file.body, hasher, file.size), {
+      hasher, hash, digestFn, kind, size: file.size, lastUsed
+    });
+  } catch (e) {
+    if (e instanceof DigestMismatchError) {
+      return false;
+    }
+    throw e;
+  }
+  return true;
+}
+
+// POST /admin/import
+export const importCache = adminOnly(async (request, env) => {
+  const digestFn = getDigestFunction(env.DIGEST_FUNCTION);
+  if (!digestFn) {
+    return jsonResponse({ error: 'Unsupported digest function' }, 500);
+  }
+  if (!request.body) {
+    return jsonResponse({ error: 'Body must be a tar file' }, 400);
+  }
+
+  const db = env.__D1_BETA__DB;
+  const report = { imported: 0, skipped: 0, rejected: { count: 0, keys: [] } };
+  const reject = (name) => {
+    report.rejected.count++;
+    if (report.rejected.keys.length < REPORTED_KEYS) {
+      report.rejected.keys.push(name);
+    }
+  };
+
+  let error = null;
+  try {
+    const tar = new TarReader(request.body);
+    let file;
+    while ((file = await tar.next()) !== null) {
+      const entry = importedEntry(file.name, digestFn);
+      if (entry === null) {
+        reject(file.name);
+        continue;
+      }
+      const existing = await db.prepare('SELECT 1 FROM CacheEntries WHERE key = ?1')
+        .bind(file.name)
+        .first();
+      if (existing || await env.BUCKET.head(file.name)) {
+        report.skipped++;
+        continue;
+      }
+      if (await importObject(env, digestFn, file.name, entry.kind, entry.hash, file)) {
+        report.imported++;
+      } else {
+        reject(file.name);
+      }
+    }
+  } catch (e) {
+    if (!(e instanceof TarError)) {
+      throw e;
+    }
+    error = e.message;
+  }
+
+  await addAuditEntry(db, {
+    action: 'import',
+    request,
+    details: { imported: report.imported, skipped: report.skipped, rejected: report.rejected.count }
+  });
+  return error === null ? jsonResponse(report) : jsonResponse({ error, ...report }, 400);
+});
@@ -0,0 +1,224 @@
+import worker from './index';
+import { encode } from './protobuf';
+import { ActionResult } from './reapi';
+import { migrate } from './schema';
+import { paddingSize, TAR_END, tarHeader, TarReader } from './tar';
+import { wrapStream } from './zstd';
+
+/* global expect, test, beforeAll, beforeEach, getMiniflareBindings, ExecutionContext, describe, crypto, Blob, Response */
+
+describe('snapshots', () => {
+  let env;
+  const adminSecret = 'back it up';
+  const ctx = new ExecutionContext();
+  const longAgo = Math.floor(Date.now() / 1000) - 86400 * 5;
+  const encoder = new TextEncoder();
+
+  beforeAll(async () => {
+    env = { ...getMiniflareBindings(), ADMIN_SECRET: adminSecret };
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(async () => {
+    await wipe();
+  });
+
+  // Empties the cache, as for a new instance.
+  async function wipe () {
+    await env.__D1_BETA__DB.exec('DELETE FROM CacheEntries');
+    const listing = await env.BUCKET.list();
+    if (listing.objects.length > 0) {
+      await env.BUCKET.delete(listing.objects.map((o) => o.key));
+    }
+  }
+
+  async function sha256 (bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Puts an object in the cache, last used at the given time.
+  async function store (key, contents, lastUsed = longAgo) {
+    await env.__D1_BETA__DB.prepare('INSERT INTO CacheEntries (key, last_used, size) VALUES (?1, ?2, ?3)')
+      .bind(key, lastUsed, contents.length)
+      .run();
+    await env.BUCKET.put(key, contents);
+  }
+
+  // Returns the contents of the object key as text, or null if there's
+  // no such object, along with its last-used time.
+  async function fetchObject (key) {
+    const obj = await env.BUCKET.get(key);
+    const row = await env.__D1_BETA__DB.prepare('SELECT last_used FROM CacheEntries WHERE key = ?1')
+      .bind(key)
+      .first();
+    return { text: obj && await obj.text(), lastUsed: row && row.last_used };
+  }
+
+  // Returns a tar file of the given { name, contents, mtime } files.
+  function tarFile (...files) {
+    const pieces = files.flatMap(({ name, contents, mtime = longAgo }) => {
+      const bytes = typeof contents === 'string' ? encoder.encode(contents) : contents;
+      return [tarHeader({ name, size: bytes.length, mtime }), bytes, new Uint8Array(paddingSize(bytes.length))];
+    });
+    return new Blob([...pieces, TAR_END]);
+  }
+
+  async function admin (method, path, body, secret = adminSecret) {
+    const req = new Request('https://localhost' + path, {
+      method,
+      headers: { Authorization: 'Bearer ' + secret },
+      body
+    });
+    return await worker.fetch(req, env, ctx);
+  }
+
+  // Returns the names of the files in an exported tar file.
+  async function fileNames (resp) {
+    const tar = new TarReader(resp.body);
+    const names = [];
+    let file;
+    while ((file = await tar.next()) !== null) {
+      names.push(file.name);
+    }
+    return names;
+  }
+
+  test('it needs the admin secret', async () => {
+    expect((await admin('GET', '/admin/export', undefined, 'let me in')).status).toBe(401);
+    expect((await admin('POST', '/admin/import', tarFile(), 'let me in')).status).toBe(401);
+  });
+
+  test('a snapshot brings back what was exported', async () => {
+    const blob = 'the contents of a blob';
+    const hash = await sha256(encoder.encode(blob));
+    const compressed = new Uint8Array(await new Response(wrapStream(new Response(blob).body)).arrayBuffer());
+    const actionResult = encode(ActionResult, {
+      outputFiles: [{ path: 'out', digest: { hash, sizeBytes: blob.length } }]
+    });
+    await store('ac/' + hash, actionResult, longAgo - 1);
+    await store('cas/' + hash, blob, longAgo - 2);
+    await store('cas/zstd/' + hash, compressed, longAgo - 3);
+    await store('ns/team/cas/' + hash, blob, longAgo - 4);
+
+    const resp = await admin('GET', '/admin/export');
+    expect(resp.status).toBe(200);
+    expect(resp.headers.get('Content-Type')).toBe('application/x-tar');
+    expect(resp.headers.has('Export-Next')).toBe(false);
+    const snapshot = await resp.arrayBuffer();
+
+    await wipe();
+    const imported = await admin('POST', '/admin/import', snapshot);
+    expect(imported.status).toBe(200);
+    expect(await imported.json()).toEqual({ imported: 4, skipped: 0, rejected: { count: 0, keys: [] } });
+
+    expect(await fetchObject('ac/' + hash)).toEqual({ text: new TextDecoder().decode(actionResult), lastUsed: longAgo - 1 });
+    expect(await fetchObject('cas/' + hash)).toEqual({ text: blob, lastUsed: longAgo - 2 });
+    expect((await fetchObject('cas/zstd/' + hash)).lastUsed).toBe(longAgo - 3);
+    expect(new Uint8Array(await (await env.BUCKET.get('cas/zstd/' + hash)).arrayBuffer())).toEqual(compressed);
+    expect(await fetchObject('ns/team/cas/' + hash)).toEqual({ text: blob, lastUsed: longAgo - 4 });
+
+    const audit = await env.__D1_BETA__DB.prepare("SELECT details FROM AuditLog WHERE action = 'import'").first();
+    expect(JSON.parse(audit.details)).toEqual({ imported: 4, skipped: 0, rejected: 0 });
+  });
+
+  test('it skips what is already there', async () => {
+    const hash = await sha256(encoder.encode('new'));
+    await store('cas/' + hash, 'old', longAgo);
+
+    const resp = await admin('POST', '/admin/import', tarFile({ name: 'cas/' + hash, contents: 'new', mtime: 1 }));
+    expect(await resp.json()).toEqual({ imported: 0, skipped: 1, rejected: { count: 0, keys: [] } });
+    expect(await fetchObject('cas/' + hash)).toEqual({ text: 'old', lastUsed: longAgo });
+  });
+
+  test('it leaves objects that have no rows alone', async () => {
+    const hash = await sha256(encoder.encode('right'));
+    await env.BUCKET.put('cas/' + hash, 'right');
+
+    const resp = await admin('POST', '/admin/import', tarFile({ name: 'cas/' + hash, contents: 'wrong' }));
+    expect(await resp.json()).toEqual({ imported: 0, skipped: 1, rejected: { count: 0, keys: [] } });
+    expect(await fetchObject('cas/' + hash)).toEqual({ text: 'right', lastUsed: null });
+  });
+
+  test('it stores nothing that fails its check', async () => {
+    const hash = await sha256(encoder.encode('right'));
+    const bucket = env.BUCKET;
+    const stored = [];
+    env.BUCKET = {
+      delete: (...args) => bucket.delete(...args),
+      get: (...args) => bucket.get(...args),
+      head: (...args) => bucket.head(...args),
+      put: (key, ...args) => {
+        stored.push(key);
+        return bucket.put(key, ...args);
+      }
+    };
+    try {
+      await admin('POST', '/admin/import', tarFile({ name: 'cas/zstd/' + hash, contents: 'not zstd' }));
+    } finally {
+      env.BUCKET = bucket;
+    }
+    expect(stored).not.toContain('cas/zstd/' + hash);
+    expect((await env.BUCKET.list()).objects).toEqual([]);
+  });
+
+  test('it rejects what does not belong', async () => {
+    const hash = await sha256(encoder.encode('right'));
+    const future = Math.floor(Date.now() / 1000) + 86400;
+    const resp = await admin('POST', '/admin/import', tarFile(
+      { name: 'cas/' + hash, contents: 'wrong' },
+      { name: 'cas/zstd/' + hash, contents: 'not zstd' },
+      { name: 'ac/' + hash, contents: 'not an action result' },
+      { name: 'tokens/sneaky', contents: 'password' },
+      { name: 'cas/not-a-hash', contents: 'right' },
+      { name: 'ns/ac/cas/' + hash, contents: 'right' },
+      { name: 'ns/team/cas/' + hash, contents: 'right', mtime: future }));
+    expect(resp.status).toBe(200);
+    expect(await resp.json()).toEqual({
+      imported: 1,
+      skipped: 0,
+      rejected: {
+        count: 6,
+        keys: ['cas/' + hash, 'cas/zstd/' + hash, 'ac/' + hash, 'tokens/sneaky', 'cas/not-a-hash', 'ns/ac/cas/' + hash]
+      }
+    });
+
+    for (const key of ['cas/' + hash, 'cas/zstd/' + hash, 'ac/' + hash, 'tokens/sneaky']) {
+      expect(await fetchObject(key)).toEqual({ text: null, lastUsed: null });
+    }
+    // Last used in the future is last used now.
+    expect((await fetchObject('ns/team/cas/' + hash)).lastUsed).toBeLessThan(future);
+  });
+
+  test('it stops at a broken tar file', async () => {
+    const hash = await sha256(encoder.encode('fine'));
+    const good = new Uint8Array(await tarFile({ name: 'cas/' + hash, contents: 'fine' }).arrayBuffer());
+    const broken = good.slice(0, 2048);
+    broken.fill(7, 1024);
+
+    const resp = await admin('POST', '/admin/import', broken);
+    expect(resp.status).toBe(400);
+    expect(await resp.json()).toMatchObject({ imported: 1, error: 'Malformed number in tar header' });
+    expect((await fetchObject('cas/' + hash)).text).toBe('fine');
+  });
+
+  test('it exports a prefix in pieces', async () => {
+    for (const n of [1, 2, 3, 4, 5]) {
+      await store(`ns/team/ac/${n}`, 'x');
+    }
+    await store('cas/1', 'x');
+    await env.BUCKET.delete('ns/team/ac/3');
+
+    let resp = await admin('GET', '/admin/export?prefix=ns/team/&limit=3');
+    expect(resp.headers.get('Export-Next')).toBe('ns/team/ac/3');
+    // The one that's gone from the bucket is left out.
+    expect(await fileNames(resp)).toEqual(['ns/team/ac/1', 'ns/team/ac/2']);
+
+    resp = await admin('GET', '/admin/export?prefix=ns/team/&limit=3&start=ns/team/ac/3');
+    expect(resp.headers.has('Export-Next')).toBe(false);
+    expect(await fileNames(resp)).toEqual(['ns/team/ac/4', 'ns/team/ac/5']);
+
+    expect((await admin('GET', '/admin/export?prefix=tokens/')).status).toBe(400);
+    expect((await admin('GET', '/admin/export?limit=none')).status).toBe(400);
+  });
+});
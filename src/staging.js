@@ -0,0 +1,161 @@
+/**
+   Storing CAS blobs only once they're known to be good, so that
+   nobody is ever served a bad one and a bad upload never replaces or
+   removes a good one.
+
+   R2 checks SHA-256 and SHA-1 digests itself as it stores an object,
+   and refuses a body that doesn't match without storing anything, so
+   an uncompressed blob named by one of those goes straight where it
+   belongs. Anything else, a BLAKE3 blob or a zstd-compressed one, is
+   only known to be good once it's all been read. That goes to a
+   staging object under staging/ first, and is copied into place once
+   it's been checked.
+
+   Staging objects aren't cache entries: they're under none of the
+   CACHE_PREFIXES, and have no rows in CacheEntries. Those left behind
+   by workers that died part way are deleted by the scheduled cleanup
+   once they're STAGING_EXPIRY old; see cleanup.js.
+ */
+
+import { toHex } from './digest';
+import { deleteKeysFromDB, recordObject } from './storage';
+
+/* global crypto, FixedLengthStream */
+
+export const STAGING_PREFIX = 'staging/';
+
+// How old a staging object has to be before the cleanup takes it for
+// left behind, in seconds. Nothing stays staged anywhere near this
+// long.
+export const STAGING_EXPIRY = 86400;
+
+// The digest functions R2 can check uploads against itself.
+const R2_CHECKSUMS = ['sha256', 'sha1'];
+
+// R2 won't take a single put bigger than about 5GiB. Bigger objects
+// are copied in parts this big.
+const MAX_PUT_SIZE = 5 * 1000 * 1000 * 1000;
+const COPY_PART_SIZE = 1000 * 1000 * 1000;
+
+// How many staging objects the cleanup looks at in a run.
+const STAGING_CLEANUP_PAGE_SIZE = 1000;
+
+// The R2Conditional that only stores an object where there's none.
+// R2 has no way to say "*"; see putConditional in conditional.js.
+export const ABSENT = { uploadedBefore: new Date(0) };
+
+export class DigestMismatchError extends Error {
+  constructor () {
+    super('Digest mismatch');
+    this.name = 'DigestMismatchError';
+  }
+}
+
+// Returns the name of the staging object for id, or for a new random
+// id if there's none.
+export function stagingObjectName (id = toHex(crypto.getRandomValues(new Uint8Array(16)))) {
+  return STAGING_PREFIX + id;
+}
+
+// Whether R2 can check a blob of the given kind ("cas" or "zstd") as
+// it stores it.
+export function r2ChecksDigest (digestFn, kind) {
+  return kind === 'cas' && R2_CHECKSUMS.includes(digestFn.name);
+}
+
+// Copies the object from, however big, to the name to, if onlyIf
+// holds. One too big for a single put is only checked for being
+// absent, and only before it's copied. Returns the new R2Object, or
+// null if onlyIf didn't hold.
+async function copyObject (bucket, from, to, onlyIf) {
+  const meta = await bucket.head(from);
+  if (meta.size <= MAX_PUT_SIZE) {
+    const obj = await bucket.get(from);
+    return await bucket.put(to, obj.body.pipeThrough(new FixedLengthStream(obj.size)), { onlyIf });
+  }
+  if (await bucket.head(to)) {
+    return null;
+  }
+  const multipart = await bucket.createMultipartUpload(to);
+  const parts = [];
+  for (let offset = 0; offset < meta.size; offset += COPY_PART_SIZE) {
+    const length = Math.min(COPY_PART_SIZE, meta.size - offset);
+    const obj = await bucket.get(from, { range: { offset, length } });
+    parts.push(await multipart.uploadPart(parts.length + 1, obj.body.pipeThrough(new FixedLengthStream(length))));
+  }
+  return await multipart.complete(parts);
+}
+
+// Puts the staging object staged, which has been checked, in place
+// as the object key, and deletes it. As with any other upload, the
+// row goes in before the object; lastUsed is as for recordObject.
+// Returns the new R2Object, or null if onlyIf, an R2Conditional,
+// didn't hold. By default, that's that there's no object there.
+export async function publishStagedObject (env, staged, key, { onlyIf = ABSENT, lastUsed } = {}) {
+  const meta = await env.BUCKET.head(staged);
+  await recordObject(env.__D1_BETA__DB, key, meta.size, lastUsed);
+  const published = await copyObject(env.BUCKET, staged, key, onlyIf);
+  await env.BUCKET.delete(staged);
+  return published;
+}
+
+// Stores a CAS blob as the object key, if it turns out to have the
+// digest hash. body is a stream that's being hashed into hasher on
+// its way (see hashThrough); kind is "cas" or "zstd". The row goes in
+// before the object, with lastUsed as for recordObject, and size if
+// it's known; see recordObject. onlyIf is as for
+// publishStagedObject.
+//
+// Returns the stored R2Object, or null if onlyIf didn't hold. Throws
+// a DigestMismatchError if the blob isn't what its digest says, and
+// leaves whatever was there before alone.
+export async function storeCheckedBlob (env, key, body, {
+  hasher, hash, digestFn, kind, size = null, lastUsed, onlyIf = ABSENT
+}) {
+  const bucket = env.BUCKET;
+  const db = env.__D1_BETA__DB;
+  if (r2ChecksDigest(digestFn, kind)) {
+    await recordObject(db, key, size, lastUsed);
+    try {
+      return await bucket.put(key, body, { onlyIf, [digestFn.name]: hash });
+    } catch (e) {
+      // R2 refused it without storing anything, so only the row has
+      // to go, and only if it isn't someone else's.
+      const digest = await hasher.digest();
+      if (!digest || toHex(digest) === hash) {
+        throw e;
+      }
+      if (!await bucket.head(key)) {
+        await deleteKeysFromDB(db, [key]);
+      }
+      throw new DigestMismatchError();
+    }
+  }
+
+  const staged = stagingObjectName();
+  try {
+    await bucket.put(staged, body);
+  } catch (e) {
+    await bucket.delete(staged);
+    throw e;
+  }
+  // A null digest means the body wasn't valid zstd.
+  const digest = await hasher.digest();
+  if (digest === null || toHex(digest) !== hash) {
+    await bucket.delete(staged);
+    throw new DigestMismatchError();
+  }
+  return await publishStagedObject(env, staged, key, { onlyIf, lastUsed });
+}
+
+// Deletes the staging objects that have been left behind. Returns how
+// many there were.
+export async function forgetOldStagedObjects (env) {
+  const cutoff = Date.now() - STAGING_EXPIRY * 1000;
+  const listing = await env.BUCKET.list({ prefix: STAGING_PREFIX, limit: STAGING_CLEANUP_PAGE_SIZE });
+  const old = listing.objects.filter((obj) => obj.uploaded.getTime() < cutoff).map((obj) => obj.key);
+  if (old.length > 0) {
+    await env.BUCKET.delete(old);
+  }
+  return old.length;
+}
@@ -0,0 +1,217 @@
+/**
+   Usage statistics: counters kept in the Stats table of the database,
+   broken down by token and namespace, and the endpoints that report
+   them.
+
+     GET /metrics  the counters, in Prometheus's text format
+     GET /stats    a JSON summary, with hit rates
+
+   Both need "Authorization: Bearer <secret>", where the secret is
+   METRICS_SECRET or ADMIN_SECRET; see admin.js.
+
+   Each isolate adds up the counts of the requests it handles and
+   writes them all at once every STATS_FLUSH_INTERVAL seconds, rather
+   than making a database write of every request. So the counters can
+   be that far behind.
+
+   Requests count under the name of the token they were made with.
+   Failed authentication counts under no token and the default
+   namespace, since whoever fails can make up any token or namespace
+   they like. So do the cleanup's expiry and eviction counts, which
+   are broken down by namespace only.
+ */
+
+import { jsonResponse, metricsOnly } from './admin';
+
+/* global Response, setTimeout */
+
+// The counters, with the help text that /metrics gives for each.
+export const COUNTERS = {
+  ac_hits: 'Action cache entries served.',
+  ac_misses: 'Action cache entries asked for but not found or incomplete.',
+  cas_hits: 'CAS blobs served.',
+  cas_misses: 'CAS blobs asked for but not found.',
+  ac_uploads: 'Action cache entries stored.',
+  cas_uploads: 'CAS blobs stored.',
+  bytes_in: 'Bytes stored.',
+  bytes_out: 'Bytes served.',
+  auth_failures: 'Requests turned away for not being authenticated.',
+  expired_objects: 'Objects deleted for not being used in time.',
+  expired_bytes: 'Bytes deleted for not being used in time.',
+  evicted_objects: 'Objects deleted to keep the cache under MAX_CACHE_SIZE.',
+  evicted_bytes: 'Bytes deleted to keep the cache under MAX_CACHE_SIZE.'
+};
+
+const METRIC_PREFIX = 'bazel_cache_';
+
+// Adds n to a counter in counts, an object mapping counter names to
+// numbers.
+export function tally (counts, name, n = 1) {
+  counts[name] = (counts[name] || 0) + n;
+}
+
+// Returns the name that a token's requests count under.
+function tokenName (token) {
+  return token ? token.name : '';
+}
+
+// Returns the statement that adds counts to the stored counters for
+// the token named name and a namespace, or null if there's nothing to
+// add.
+function addStatsStatement (db, name, namespace, counts) {
+  const entries = Object.entries(counts).filter(([, n]) => n > 0);
+  if (entries.length === 0) {
+    return null;
+  }
+  const values = entries.map((_, i) => `(?1, ?2, ?${2 * i + 3}, ?${2 * i + 4})`).join(', ');
+  return db.prepare(
+    'INSERT INTO Stats (token, namespace, name, value) VALUES ' + values +
+      ' ON CONFLICT(token, namespace, name) DO UPDATE SET value=value + excluded.value')
+    .bind(name, namespace, ...entries.flat());
+}
+
+// Adds counts to the stored counters for a token (or null for none)
+// and a namespace.
+export async function addStats (db, token, namespace, counts) {
+  const statement = addStatsStatement(db, tokenName(token), namespace, counts);
+  if (statement) {
+    await statement.run();
+  }
+}
+
+// By default, an isolate writes the counts it has added up every ten
+// seconds. See STATS_FLUSH_INTERVAL in wrangler.toml-example.
+const DEFAULT_STATS_FLUSH_INTERVAL = 10;
+
+// Counts waiting to be written, keyed by token name and namespace,
+// the promise of their being written, and the promise of the last
+// write being done.
+let pendingStats = new Map();
+let pendingFlush = null;
+let lastFlush = Promise.resolve();
+
+// Parses STATS_FLUSH_INTERVAL, a number of seconds. Throws an error if
+// it's malformed.
+function parseFlushInterval (config) {
+  if (config === undefined || config === '') {
+    return DEFAULT_STATS_FLUSH_INTERVAL;
+  }
+  const seconds = Number(config);
+  if (!(seconds >= 0)) {
+    throw new Error('Malformed STATS_FLUSH_INTERVAL: ' + config);
+  }
+  return seconds;
+}
+
+// Forgets the counts that haven't been written. This is exported only
+// to help in writing tests.
+export function forgetStats () {
+  pendingStats = new Map();
+  pendingFlush = null;
+  lastFlush = Promise.resolve();
+}
+
+// Writes the pending counts, all in one batch.
+async function flushStats (db) {
+  const groups = [...pendingStats.values()];
+  pendingStats = new Map();
+  pendingFlush = null;
+
+  const statements = groups
+    .map(({ name, namespace, counts }) => addStatsStatement(db, name, namespace, counts))
+    .filter((statement) => statement !== null);
+  if (statements.length > 0) {
+    await db.batch(statements);
+  }
+}
+
+// Like addStats, but without making the response wait for it. The
+// counts wait in this isolate for up to STATS_FLUSH_INTERVAL seconds,
+// along with those of every other request it handles meanwhile, and
+// then go in one write. If that write fails, they're lost, which is
+// no worse than a lost request.
+export function recordStats (env, ctx, token, namespace, counts) {
+  const name = tokenName(token);
+  const groupKey = JSON.stringify([name, namespace]);
+  if (!pendingStats.has(groupKey)) {
+    pendingStats.set(groupKey, { name, namespace, counts: {} });
+  }
+  const pending = pendingStats.get(groupKey).counts;
+  for (const [counter, n] of Object.entries(counts)) {
+    tally(pending, counter, n);
+  }
+
+  if (!pendingFlush) {
+    const delay = parseFlushInterval(env.STATS_FLUSH_INTERVAL) * 1000;
+    const db = env.__D1_BETA__DB;
+    pendingFlush = lastFlush
+      .then(() => delay > 0 ? new Promise((resolve) => setTimeout(resolve, delay)) : null)
+      .then(() => flushStats(db));
+    lastFlush = pendingFlush.catch(() => {});
+  }
+  ctx.waitUntil(pendingFlush);
+}
+
+async function allStats (db) {
+  const results = await db.prepare(
+    'SELECT token, namespace, name, value FROM Stats ORDER BY name, token, namespace')
+    .all();
+  return results.results.filter((row) => row.name in COUNTERS);
+}
+
+// Escapes a Prometheus label value.
+function labelValue (s) {
+  return '"' + s.replace(/[\\"\n]/g, (c) => c === '\n' ? '\\n' : '\\' + c) + '"';
+}
+
+// GET /metrics
+export const metrics = metricsOnly(async (request, env) => {
+  const rows = await allStats(env.__D1_BETA__DB);
+  const lines = [];
+  for (const [name, help] of Object.entries(COUNTERS)) {
+    const metric = METRIC_PREFIX + name + '_total';
+    lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} counter`);
+    for (const row of rows.filter((r) => r.name === name)) {
+      lines.push(`${metric}{token=${labelValue(row.token)},namespace=${labelValue(row.namespace)}} ${row.value}`);
+    }
+  }
+  return new Response(lines.join('\n') + '\n', {
+    headers: { 'Content-Type': 'text/plain; version=0.0.4' }
+  });
+});
+
+// Returns a summary of some counters: all of them, with zeroes filled
+// in, plus hit rates where there's been anything to hit.
+function summarize (counts) {
+  const summary = {};
+  for (const name of Object.keys(COUNTERS)) {
+    summary[name] = counts[name] || 0;
+  }
+  for (const kind of ['ac', 'cas']) {
+    const lookups = summary[kind + '_hits'] + summary[kind + '_misses'];
+    summary[kind + '_hit_rate'] = lookups > 0 ? summary[kind + '_hits'] / lookups : null;
+  }
+  return summary;
+}
+
+// GET /stats
+export const stats = metricsOnly(async (request, env) => {
+  const total = {};
+  const namespaces = {};
+  const tokens = {};
+  for (const row of await allStats(env.__D1_BETA__DB)) {
+    namespaces[row.namespace] = namespaces[row.namespace] || {};
+    tokens[row.token] = tokens[row.token] || {};
+    for (const counts of [total, namespaces[row.namespace], tokens[row.token]]) {
+      tally(counts, row.name, row.value);
+    }
+  }
+
+  const summarizeAll = (groups) => Object.fromEntries(
+    Object.entries(groups).map(([key, counts]) => [key, summarize(counts)]));
+  return jsonResponse({
+    total: summarize(total),
+    namespaces: summarizeAll(namespaces),
+    tokens: summarizeAll(tokens)
+  });
+});
@@ -0,0 +1,181 @@
+import worker from './index';
+import { migrate } from './schema';
+
+/* global expect, test, beforeAll, beforeEach, crypto, getMiniflareBindings, TextEncoder,
+   getMiniflareWaitUntil, ExecutionContext, describe */
+
+async function sha256Hex (contents) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(contents));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+describe('stats', () => {
+  let env;
+  const metricsSecret = 'for the scraper';
+  const adminSecret = 'for the admins';
+
+  beforeAll(async () => {
+    env = { ...getMiniflareBindings(), METRICS_SECRET: metricsSecret, ADMIN_SECRET: adminSecret };
+    await migrate(env.__D1_BETA__DB);
+  });
+
+  beforeEach(async () => {
+    await env.BUCKET.put('tokens/laptop', 'laptop secret');
+    worker.flushCaches();
+  });
+
+  // Makes a cache request and waits for its stats to be stored.
+  // Returns the response.
+  async function cache (method, path, body, id = 'laptop', value = 'laptop secret') {
+    const ctx = new ExecutionContext();
+    const req = new Request('https://localhost' + path, {
+      method,
+      headers: { 'Bazel-Cache-Token-Id': id, 'Bazel-Cache-Token-Value': value },
+      body
+    });
+    const resp = await worker.fetch(req, env, ctx);
+    await resp.arrayBuffer();
+    await getMiniflareWaitUntil(ctx);
+    return resp;
+  }
+
+  async function get (path, secret = metricsSecret) {
+    const req = new Request('https://localhost' + path, {
+      headers: { Authorization: 'Bearer ' + secret }
+    });
+    return await worker.fetch(req, env, new ExecutionContext());
+  }
+
+  test('it needs a secret', async () => {
+    expect((await get('/stats', 'a good guess')).status).toBe(401);
+    expect((await get('/metrics', 'a good guess')).status).toBe(401);
+    expect((await get('/stats', adminSecret)).status).toBe(200);
+
+    const req = new Request('https://localhost/stats', {
+      headers: { Authorization: 'Bearer ' + metricsSecret }
+    });
+    const resp = await worker.fetch(req, getMiniflareBindings(), new ExecutionContext());
+    expect(resp.status).toBe(404);
+  });
+
+  test('the metrics secret is no good for the admin API', async () => {
+    expect((await get('/admin/tokens')).status).toBe(401);
+  });
+
+  test('it counts hits, misses and uploads by token and namespace', async () => {
+    const contents = 'counted contents';
+    const hash = await sha256Hex(contents);
+    expect((await cache('PUT', `/team/cas/${hash}`, contents)).status).toBe(201);
+    expect((await cache('GET', `/team/cas/${hash}`)).status).toBe(200);
+    expect((await cache('GET', `/team/cas/${hash}`)).status).toBe(200);
+    expect((await cache('GET', `/team/cas/${'0'.repeat(64)}`)).status).toBe(404);
+    expect((await cache('GET', `/ac/${'0'.repeat(64)}`)).status).toBe(404);
+    expect((await cache('GET', `/ac/${'0'.repeat(64)}`, undefined, 'laptop', 'wrong')).status).toBe(401);
+
+    const resp = await get('/stats');
+    expect(resp.status).toBe(200);
+    const stats = await resp.json();
+
+    const team = stats.namespaces.team;
+    expect(team.cas_uploads).toBe(1);
+    expect(team.bytes_in).toBe(contents.length);
+    expect(team.cas_hits).toBe(2);
+    expect(team.cas_misses).toBe(1);
+    expect(team.bytes_out).toBe(2 * contents.length);
+    expect(team.cas_hit_rate).toBeCloseTo(2 / 3);
+    expect(team.ac_hit_rate).toBe(null);
+
+    expect(stats.namespaces[''].ac_misses).toBe(1);
+    expect(stats.namespaces[''].auth_failures).toBe(1);
+    expect(stats.tokens.laptop.cas_hits).toBe(2);
+    expect(stats.tokens.laptop.ac_misses).toBe(1);
+    expect(stats.tokens[''].auth_failures).toBe(1);
+    expect(stats.total.cas_hits).toBe(2);
+  });
+
+  test('it counts bytes of partial downloads', async () => {
+    const contents = 'only some of this is wanted';
+    const hash = await sha256Hex(contents);
+    await cache('PUT', `/cas/${hash}`, contents);
+
+    const ctx = new ExecutionContext();
+    const req = new Request(`https://localhost/cas/${hash}`, {
+      headers: {
+        'Bazel-Cache-Token-Id': 'laptop',
+        'Bazel-Cache-Token-Value': 'laptop secret',
+        Range: 'bytes=0-3'
+      }
+    });
+    expect((await worker.fetch(req, env, ctx)).status).toBe(206);
+    await getMiniflareWaitUntil(ctx);
+
+    const stats = await (await get('/stats')).json();
+    expect(stats.total.bytes_out).toBe(4);
+  });
+
+  test('it writes the counts of many requests at once', async () => {
+    const db = env.__D1_BETA__DB;
+    let writes = 0;
+    const batchedEnv = {
+      ...env,
+      STATS_FLUSH_INTERVAL: '0.2',
+      __D1_BETA__DB: {
+        prepare: (sql) => db.prepare(sql),
+        batch: (statements) => {
+          writes++;
+          return db.batch(statements);
+        }
+      }
+    };
+    const contexts = [];
+    for (const namespace of ['batched', 'batched', 'also-batched']) {
+      const ctx = new ExecutionContext();
+      const req = new Request(`https://localhost/${namespace}/ac/${'0'.repeat(64)}`, {
+        headers: { 'Bazel-Cache-Token-Id': 'laptop', 'Bazel-Cache-Token-Value': 'laptop secret' }
+      });
+      expect((await worker.fetch(req, batchedEnv, ctx)).status).toBe(404);
+      contexts.push(ctx);
+    }
+    let stats = await (await get('/stats')).json();
+    expect(stats.namespaces.batched).toBeUndefined();
+
+    for (const ctx of contexts) {
+      await getMiniflareWaitUntil(ctx);
+    }
+    stats = await (await get('/stats')).json();
+    expect(stats.namespaces.batched.ac_misses).toBe(2);
+    expect(stats.namespaces['also-batched'].ac_misses).toBe(1);
+    expect(writes).toBe(1);
+  });
+
+  test('it counts what the cleanup removes', async () => {
+    const longAgo = Math.floor(Date.now() / 1000) - worker.STALENESS_THRESHOLD - 1;
+    const stmt = env.__D1_BETA__DB.prepare('INSERT INTO CacheEntries (key, last_used, size) VALUES (?1, ?2, ?3)');
+    await stmt.bind('cas/old', longAgo, 10).run();
+    await stmt.bind('ns/team/cas/old', longAgo, 20).run();
+    await stmt.bind('ns/team/cas/older', longAgo - 1, 30).run();
+
+    await worker.scheduled('not sure what goes here', env, new ExecutionContext());
+
+    const stats = await (await get('/stats')).json();
+    expect(stats.namespaces[''].expired_objects).toBe(1);
+    expect(stats.namespaces[''].expired_bytes).toBe(10);
+    expect(stats.namespaces.team.expired_objects).toBe(2);
+    expect(stats.namespaces.team.expired_bytes).toBe(50);
+  });
+
+  test('it serves Prometheus metrics', async () => {
+    const contents = 'scraped contents';
+    const hash = await sha256Hex(contents);
+    await cache('PUT', `/cas/${hash}`, contents);
+    await cache('GET', `/cas/${hash}`);
+
+    const resp = await get('/metrics');
+    expect(resp.status).toBe(200);
+    expect(resp.headers.get('Content-Type')).toContain('text/plain');
+    const text = await resp.text();
+    expect(text).toContain('# TYPE bazel_cache_cas_hits_total counter\n');
+    expect(text).toContain('bazel_cache_cas_hits_total{token="laptop",namespace=""} 1\n');
+    expect(text).toContain(`bazel_cache_bytes_in_total{token="laptop",namespace=""} ${contents.length}\n`);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+   How cache entries are laid out in R2 and tracked in D1. Both the
+   HTTP cache protocol in index.js and the gRPC services in grpc.js go
+   through these, so they always agree on where things live.
+ */
+
+import { ProtobufError } from './protobuf';
+import { decodeActionResult, referencedDigests } from './reapi';
+
+// Objects in a namespace other than the default one live under
+// ns/<namespace>/, which keeps them apart from each other and from
+// everything else in the bucket.
+export const NAMESPACE_PREFIX = 'ns/';
+
+// The prefixes of the objects that make up the cache. Tokens, and
+// anything else in the bucket, are under none of them.
+export const CACHE_PREFIXES = ['ac/', 'cas/', NAMESPACE_PREFIX];
+
+// These would be ambiguous in a URL or a ByteStream resource name.
+const RESERVED_NAMESPACES = [
+  'ac', 'cas', 'actions', 'actionResults', 'blobs', 'capabilities',
+  'compressed-blobs', 'operations', 'uploads'
+];
+
+// Returns true if name can be used as a namespace. The default
+// namespace is "", which is always valid, so it isn't checked here.
+export function isValidNamespace (name) {
+  return /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/.test(name) &&
+    !RESERVED_NAMESPACES.includes(name);
+}
+
+// Returns what the names of objects in a namespace start with.
+export function namespacePrefix (namespace) {
+  return namespace ? NAMESPACE_PREFIX + namespace + '/' : '';
+}
+
+// Splits an object name into its namespace and its name within that
+// namespace, e.g. "ns/team/ac/abc" into { namespace: "team", key:
+// "ac/abc" }.
+export function splitObjectName (name) {
+  if (!name.startsWith(NAMESPACE_PREFIX)) {
+    return { namespace: '', key: name };
+  }
+  const end = name.indexOf('/', NAMESPACE_PREFIX.length);
+  return end < 0
+    ? { namespace: name.slice(NAMESPACE_PREFIX.length), key: '' }
+    : { namespace: name.slice(NAMESPACE_PREFIX.length, end), key: name.slice(end + 1) };
+}
+
+// Returns true if key is the name, or the start of the names, of
+// objects in the cache, as opposed to tokens and the like.
+export function isCacheKey (key) {
+  return typeof key === 'string' && CACHE_PREFIXES.some((prefix) => key.startsWith(prefix));
+}
+
+// Returns the R2 object name for an AC entry.
+export function acObjectName (hash, namespace = '') {
+  return namespacePrefix(namespace) + 'ac/' + hash;
+}
+
+// Returns the R2 object name for a CAS blob.
+export function casObjectName (hash, namespace = '') {
+  return namespacePrefix(namespace) + 'cas/' + hash;
+}
+
+// Returns the R2 object name for the zstd-compressed form of a CAS
+// blob. It's still keyed by the digest of the uncompressed contents.
+export function zstdObjectName (hash, namespace = '') {
+  return namespacePrefix(namespace) + 'cas/zstd/' + hash;
+}
+
+// Database time is seconds, not milliseconds. SQLite uses a
+// variable-length integer encoding where smaller numbers take up
+// less space, and we don't need sub-second precision here.
+//
+// We could probably get away with dekaseconds or even hectoseconds,
+// but seconds should be fine for now.
+export function nowInEpochSeconds () {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Makes sure there's an entry in the database for an object. This
+// must happen before the object is put in the bucket. It's important
+// that the database contain a superset of the objects actually in the
+// bucket so that we never lose track of objects.
+//
+// size is the number of bytes the object will take up in the bucket.
+// If that isn't known until the upload is done, pass null and call
+// recordObjectSize afterwards. lastUsed is the object's last-used
+// time, which is now unless it's being restored from elsewhere.
+export async function recordObject (db, key, size, lastUsed = nowInEpochSeconds()) {
+  await db.prepare(
+    'INSERT INTO CacheEntries (key, last_used, size) VALUES (?1, ?2, ?3) ' +
+      'ON CONFLICT(key) DO UPDATE SET last_used=excluded.last_used, size=excluded.size')
+    .bind(key, lastUsed, size)
+    .run();
+  rememberTouch(key, lastUsed);
+}
+
+// Sets the size of an object that's already in the database.
+export async function recordObjectSize (db, key, size) {
+  await db.prepare('UPDATE CacheEntries SET size=?2 WHERE key=?1')
+    .bind(key, size)
+    .run();
+}
+
+// By default, an object's last-used time is updated at most once an
+// hour. See LAST_USED_GRANULARITY in wrangler.toml-example.
+const DEFAULT_LAST_USED_GRANULARITY = 3600;
+
+// How many keys go in each UPDATE. D1 allows 100 bound parameters.
+const TOUCH_BATCH_SIZE = 98;
+
+// How many keys' touches this isolate remembers.
+const REMEMBERED_TOUCHES = 10000;
+
+// Keys this isolate has updated the last-used time of, or is about
+// to, mapped to when. The oldest come first.
+const recentTouches = new Map();
+
+// Keys waiting to be written, the promise of their being written,
+// and the promise of the last write being done.
+let pendingTouches = new Set();
+let pendingFlush = null;
+let lastFlush = Promise.resolve();
+
+// Parses LAST_USED_GRANULARITY, a number of seconds. Throws an error
+// if it's malformed.
+function parseGranularity (config) {
+  if (config === undefined || config === '') {
+    return DEFAULT_LAST_USED_GRANULARITY;
+  }
+  const seconds = Number(config);
+  if (!Number.isInteger(seconds) || seconds < 0) {
+    throw new Error('Malformed LAST_USED_GRANULARITY: ' + config);
+  }
+  return seconds;
+}
+
+function rememberTouch (key, time) {
+  recentTouches.delete(key);
+  recentTouches.set(key, time);
+  for (const oldest of recentTouches.keys()) {
+    if (recentTouches.size <= REMEMBERED_TOUCHES) {
+      break;
+    }
+    recentTouches.delete(oldest);
+  }
+}
+
+// Forgets every touch. This is exported only to help in writing tests.
+export function forgetTouches () {
+  recentTouches.clear();
+  pendingTouches = new Set();
+  pendingFlush = null;
+  lastFlush = Promise.resolve();
+}
+
+// Writes the pending touches. Rows that another isolate has touched
+// within the granularity are left as they are.
+async function flushTouches (db, granularity) {
+  const keys = [...pendingTouches];
+  pendingTouches = new Set();
+  pendingFlush = null;
+
+  const now = nowInEpochSeconds();
+  for (let i = 0; i < keys.length; i += TOUCH_BATCH_SIZE) {
+    const batch = keys.slice(i, i + TOUCH_BATCH_SIZE);
+    const placeholders = batch.map((_, j) => '?' + (j + 3)).join(',');
+    await db.prepare(
+      'UPDATE CacheEntries SET last_used=?1 WHERE last_used < ?2 AND key IN (' + placeholders + ')')
+      .bind(now, now - granularity, ...batch)
+      .run();
+  }
+}
+
+// Updates the last-used time of one or more objects, without making
+// the response wait for it. keys may be a single key or an array.
+//
+// To save on database writes, a big build's thousands of touches are
+// coarsened and batched: objects this isolate touched less than
+// LAST_USED_GRANULARITY seconds ago aren't touched again, and while
+// one write is under way, whatever other requests touch waits to go in
+// the next one. So last-used times can be that far behind, and
+// objects can expire or be evicted that much early.
+export function touchObject (env, ctx, keys) {
+  keys = Array.isArray(keys) ? keys : [keys];
+  const granularity = parseGranularity(env.LAST_USED_GRANULARITY);
+  const now = nowInEpochSeconds();
+  const fresh = keys.filter((key) => {
+    const last = recentTouches.get(key);
+    return last === undefined || last <= now - granularity;
+  });
+  if (fresh.length === 0) {
+    return;
+  }
+  for (const key of fresh) {
+    rememberTouch(key, now);
+    pendingTouches.add(key);
+  }
+
+  // There's no need to wait for this to complete before serving the
+  // file. In the worst case, the last-used update fails and the object
+  // expires prematurely.
+  //
+  // Recall that object lifetimes are days or weeks; if the object is
+  // popular, then a subsequent GET will probably succeed in updating
+  // its last-used time. If it's unpopular, then it might expire
+  // early, but hardly anyone will care. Also, this is a cache; if an
+  // object goes missing, Bazel will rebuild and replace it.
+  if (!pendingFlush) {
+    pendingFlush = lastFlush.then(() => flushTouches(env.__D1_BETA__DB, granularity));
+    lastFlush = pendingFlush.catch(() => {});
+  }
+  ctx.waitUntil(pendingFlush);
+}
+
+// Deletes the rows for the given keys.
+export async function deleteKeysFromDB (dbHandle, keys) {
+  const placeholders = keys.map(() => '?').join(',');
+  const sql = ('DELETE FROM CacheEntries WHERE key IN (' +
+               placeholders + ')');
+  await dbHandle.prepare(sql).bind(...keys).run();
+}
+
+// Removes an object that turned out to be bad once it was uploaded.
+// Same order as the scheduled cleanup: bucket first, then database.
+export async function discardObject (env, key) {
+  await env.BUCKET.delete(key);
+  await deleteKeysFromDB(env.__D1_BETA__DB, [key]);
+}
+
+// Looks for the CAS blob with the given digest, in either form.
+// Returns the name of the object holding it, or null if there's no
+// such blob.
+export async function findBlob (bucket, digest, namespace = '') {
+  const obj = await bucket.head(casObjectName(digest.hash, namespace));
+  if (obj) {
+    return obj.size === digest.sizeBytes ? obj.key : null;
+  }
+  // We can't check the size of a compressed blob without
+  // decompressing it, but it was verified when it was uploaded.
+  const compressed = await bucket.head(zstdObjectName(digest.hash, namespace));
+  return compressed ? compressed.key : null;
+}
+
+// How many blobs actionResultIsComplete looks for at once, and how
+// many it looks for at most. Each takes a subrequest or two, and a
+// Worker only gets so many of those.
+const COMPLETENESS_CHECK_CONCURRENCY = 10;
+export const MAX_CHECKED_BLOBS = 400;
+
+// Returns true if every CAS blob that an AC entry refers to is still
+// in the bucket with the right size. An AC entry that fails this
+// check is useless; Bazel would take the hit, fail to download an
+// output, and fail the build. The blobs have to be in the same
+// namespace as the AC entry. One that refers to more than
+// MAX_CHECKED_BLOBS can't be checked, so it fails too.
+export async function actionResultIsComplete (contents, digestFn, bucket, namespace = '') {
+  let result;
+  try {
+    result = decodeActionResult(contents, digestFn);
+  } catch (e) {
+    if (e instanceof ProtobufError) {
+      return false;
+    }
+    throw e;
+  }
+
+  const digests = referencedDigests(result);
+  if (digests.length > MAX_CHECKED_BLOBS) {
+    return false;
+  }
+  for (let i = 0; i < digests.length; i += COMPLETENESS_CHECK_CONCURRENCY) {
+    const batch = digests.slice(i, i + COMPLETENESS_CHECK_CONCURRENCY);
+    const found = await Promise.all(batch.map((d) => findBlob(bucket, d, namespace)));
+    if (found.some((key) => key === null)) {
+      return false;
+    }
+  }
+  return true;
+}
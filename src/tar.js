@@ -0,0 +1,313 @@
+/**
+   Just enough of the tar format for the cache snapshots in
+   snapshots.js: regular files with a name, a size and a modification
+   time.
+
+   What we write is POSIX ustar, with sizes too big for its octal
+   fields in the base-256 form that GNU tar and others read. What we
+   read is that, plus the long names of pax and GNU tar archives, so
+   that a snapshot can be repacked with the tar command. Other kinds of
+   entries, like directories, are passed over.
+ */
+
+/* global ReadableStream */
+
+export const BLOCK_SIZE = 512;
+
+// The end of an archive: two blocks of zeros.
+export const TAR_END = new Uint8Array(2 * BLOCK_SIZE);
+
+export class TarError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'TarError';
+  }
+}
+
+// The typeflags we look at.
+const REGULAR_FILE = '0';
+const OLD_REGULAR_FILE = '\0';
+const PAX_HEADER = 'x';
+const GNU_LONG_NAME = 'L';
+
+// Where each field of a header is: [offset, length].
+const NAME = [0, 100];
+const MODE = [100, 8];
+const UID = [108, 8];
+const GID = [116, 8];
+const SIZE = [124, 12];
+const MTIME = [136, 12];
+const CHECKSUM = [148, 8];
+const TYPEFLAG = [156, 1];
+const MAGIC = [257, 6];
+const VERSION = [263, 2];
+const PREFIX = [345, 155];
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function putString (header, [offset, length], text) {
+  const bytes = encoder.encode(text);
+  if (bytes.length > length) {
+    throw new TarError(`"${text}" doesn't fit in a tar header`);
+  }
+  header.set(bytes, offset);
+}
+
+// Writes a number into a numeric field: in octal, NUL-terminated, if
+// it fits, and otherwise in base 256, with the top bit of the first
+// byte set.
+function putNumber (header, [offset, length], n) {
+  const octal = n.toString(8);
+  if (octal.length < length) {
+    putString(header, [offset, length], octal.padStart(length - 1, '0'));
+    return;
+  }
+  for (let i = offset + length - 1; i > offset; i--) {
+    header[i] = n % 256;
+    n = Math.floor(n / 256);
+  }
+  header[offset] = 0x80;
+}
+
+function getString (header, [offset, length]) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return decoder.decode(end < 0 ? field : field.subarray(0, end));
+}
+
+function getNumber (header, [offset, length]) {
+  if (header[offset] & 0x80) {
+    let n = header[offset] & 0x7f;
+    for (let i = offset + 1; i < offset + length; i++) {
+      n = n * 256 + header[i];
+    }
+    return n;
+  }
+  const text = getString(header, [offset, length]).trim();
+  if (!/^[0-7]*$/.test(text)) {
+    throw new TarError('Malformed number in tar header');
+  }
+  return text === '' ? 0 : parseInt(text, 8);
+}
+
+function checksum (header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    const inChecksum = i >= CHECKSUM[0] && i < CHECKSUM[0] + CHECKSUM[1];
+    sum += inChecksum ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+// Returns the number of zeros that follow size bytes of file contents
+// to fill out their last block.
+export function paddingSize (size) {
+  return (BLOCK_SIZE - size % BLOCK_SIZE) % BLOCK_SIZE;
+}
+
+// Returns the header block for a regular file. mtime is in seconds
+// since the epoch. Names longer than 100 bytes are split between the
+// name and prefix fields, at a slash; throws TarError if they can't
+// be.
+export function tarHeader ({ name, size, mtime }) {
+  const header = new Uint8Array(BLOCK_SIZE);
+  let prefix = '';
+  if (encoder.encode(name).length > NAME[1]) {
+    let split = name.lastIndexOf('/');
+    while (split > 0 && encoder.encode(name.slice(split + 1)).length <= NAME[1]) {
+      const shorter = name.lastIndexOf('/', split - 1);
+      if (shorter <= 0 || encoder.encode(name.slice(shorter + 1)).length > NAME[1]) {
+        break;
+      }
+      split = shorter;
+    }
+    if (split <= 0) {
+      throw new TarError(`"${name}" is too long for a tar header`);
+    }
+    prefix = name.slice(0, split);
+    name = name.slice(split + 1);
+  }
+
+  putString(header, NAME, name);
+  putString(header, MODE, '0000644');
+  putString(header, UID, '0000000');
+  putString(header, GID, '0000000');
+  putNumber(header, SIZE, size);
+  putNumber(header, MTIME, mtime);
+  putString(header, TYPEFLAG, REGULAR_FILE);
+  putString(header, MAGIC, 'ustar');
+  putString(header, VERSION, '00');
+  putString(header, PREFIX, prefix);
+  putString(header, CHECKSUM, checksum(header).toString(8).padStart(6, '0'));
+  header[CHECKSUM[0] + 7] = 0x20;
+  return header;
+}
+
+// Parses a header block. Returns { name, size, mtime, type }, or null
+// for a block of zeros, which ends the archive.
+export function parseTarHeader (header) {
+  if (header.every((b) => b === 0)) {
+    return null;
+  }
+  if (getNumber(header, CHECKSUM) !== checksum(header)) {
+    throw new TarError('Bad tar header checksum');
+  }
+  let name = getString(header, NAME);
+  if (getString(header, MAGIC) === 'ustar') {
+    const prefix = getString(header, PREFIX);
+    if (prefix) {
+      name = prefix + '/' + name;
+    }
+  }
+  return {
+    name,
+    size: getNumber(header, SIZE),
+    mtime: getNumber(header, MTIME),
+    type: String.fromCharCode(header[TYPEFLAG[0]])
+  };
+}
+
+// Reads a stream of bytes a piece at a time.
+class ByteReader {
+  constructor (stream) {
+    this.reader = stream.getReader();
+    this.buffered = new Uint8Array(0);
+  }
+
+  // Returns up to max of the next bytes, or none at the end of the
+  // stream.
+  async readSome (max) {
+    while (this.buffered.length === 0) {
+      const { done, value } = await this.reader.read();
+      if (done) {
+        return new Uint8Array(0);
+      }
+      this.buffered = value;
+    }
+    const bytes = this.buffered.subarray(0, max);
+    this.buffered = this.buffered.subarray(bytes.length);
+    return bytes;
+  }
+
+  // Returns the next n bytes. Throws TarError if the stream ends
+  // first.
+  async read (n) {
+    const out = new Uint8Array(n);
+    let have = 0;
+    while (have < n) {
+      const bytes = await this.readSome(n - have);
+      if (bytes.length === 0) {
+        throw new TarError('Truncated tar file');
+      }
+      out.set(bytes, have);
+      have += bytes.length;
+    }
+    return out;
+  }
+
+  // Skips the next n bytes.
+  async skip (n) {
+    while (n > 0) {
+      const bytes = await this.readSome(n);
+      if (bytes.length === 0) {
+        throw new TarError('Truncated tar file');
+      }
+      n -= bytes.length;
+    }
+  }
+}
+
+// Parses the records of a pax extended header. Returns the path it
+// gives, if any.
+function paxPath (bytes) {
+  const text = decoder.decode(bytes);
+  let path = null;
+  let pos = 0;
+  while (pos < text.length) {
+    const space = text.indexOf(' ', pos);
+    const length = parseInt(text.slice(pos, space), 10);
+    if (space < 0 || !(length > 0)) {
+      throw new TarError('Malformed pax header');
+    }
+    const record = text.slice(space + 1, pos + length - 1);
+    if (record.startsWith('path=')) {
+      path = record.slice('path='.length);
+    }
+    pos += length;
+  }
+  return path;
+}
+
+// Reads the regular files in a tar archive, one at a time, from a
+// stream.
+export class TarReader {
+  constructor (stream) {
+    this.bytes = new ByteReader(stream);
+    this.unread = 0; // What's left of the current file's contents
+    this.padding = 0; // and the zeros after them
+    this.files = 0; // How many files have been read
+  }
+
+  // Returns the next file, as { name, size, mtime, body }, where body
+  // is a stream of its contents, or null at the end of the archive.
+  // Whatever of the previous file's body hasn't been read is skipped.
+  async next () {
+    await this.bytes.skip(this.unread + this.padding);
+    this.unread = this.padding = 0;
+
+    let longName = null;
+    while (true) {
+      const header = parseTarHeader(await this.bytes.read(BLOCK_SIZE));
+      if (header === null) {
+        return null;
+      }
+      const padding = paddingSize(header.size);
+      if (header.type === PAX_HEADER || header.type === GNU_LONG_NAME) {
+        const data = await this.bytes.read(header.size);
+        await this.bytes.skip(padding);
+        longName = header.type === PAX_HEADER
+          ? paxPath(data) || longName
+          : decoder.decode(data).replace(/\0+$/, '');
+        continue;
+      }
+      if (header.type !== REGULAR_FILE && header.type !== OLD_REGULAR_FILE) {
+        await this.bytes.skip(header.size + padding);
+        longName = null;
+        continue;
+      }
+
+      this.unread = header.size;
+      this.padding = padding;
+      return {
+        name: longName || header.name,
+        size: header.size,
+        mtime: header.mtime,
+        body: this.body()
+      };
+    }
+  }
+
+  // Returns a stream of the current file's contents. It only reads
+  // when it's read from, and ends once the reader moves on.
+  body () {
+    const file = ++this.files;
+    return new ReadableStream({
+      pull: async (controller) => {
+        if (this.files !== file || this.unread === 0) {
+          controller.close();
+          return;
+        }
+        const bytes = await this.bytes.readSome(this.unread);
+        if (bytes.length === 0) {
+          controller.error(new TarError('Truncated tar file'));
+          return;
+        }
+        this.unread -= bytes.length;
+        // A copy, since whatever reads the stream may take over the
+        // buffer, and the rest of it is still to be read.
+        controller.enqueue(bytes.slice());
+      }
+    }, { highWaterMark: 0 });
+  }
+}
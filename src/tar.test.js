@@ -0,0 +1,128 @@
+import { BLOCK_SIZE, paddingSize, parseTarHeader, TAR_END, TarError, tarHeader, TarReader } from './tar';
+
+/* global expect, test, describe, ReadableStream, Response */
+
+const encoder = new TextEncoder();
+
+// Returns a tar file of the given pieces, as a stream that hands them
+// out a few bytes at a time, like a slow network would.
+function tarStream (...pieces) {
+  const bytes = new Uint8Array(pieces.reduce((n, piece) => n + piece.length, 0));
+  let offset = 0;
+  for (const piece of pieces) {
+    bytes.set(piece, offset);
+    offset += piece.length;
+  }
+  let sent = 0;
+  return new ReadableStream({
+    pull (controller) {
+      if (sent >= bytes.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(bytes.slice(sent, sent + 300));
+      sent += 300;
+    }
+  });
+}
+
+// Returns a file's header, contents and padding.
+function tarFile (name, contents, mtime = 1700000000) {
+  const bytes = typeof contents === 'string' ? encoder.encode(contents) : contents;
+  return [tarHeader({ name, size: bytes.length, mtime }), bytes, new Uint8Array(paddingSize(bytes.length))];
+}
+
+// Returns a header of another type, like a directory or a pax header.
+function otherHeader (name, type, size = 0) {
+  const header = tarHeader({ name, size, mtime: 0 });
+  header[156] = type.charCodeAt(0);
+  // The checksum has to be worked out again.
+  header.fill(0x20, 148, 156);
+  const sum = header.reduce((n, b) => n + b, 0);
+  header.set(encoder.encode(sum.toString(8).padStart(6, '0') + '\0 '), 148);
+  return header;
+}
+
+// Reads every file in a tar stream. Returns [{ name, mtime, text }].
+async function readAll (stream) {
+  const tar = new TarReader(stream);
+  const files = [];
+  let file;
+  while ((file = await tar.next()) !== null) {
+    files.push({ name: file.name, mtime: file.mtime, text: await new Response(file.body).text() });
+  }
+  return files;
+}
+
+describe('tar', () => {
+  test('headers round-trip', () => {
+    const header = tarHeader({ name: 'cas/abc', size: 1234, mtime: 1700000000 });
+    expect(header.length).toBe(BLOCK_SIZE);
+    expect(parseTarHeader(header)).toEqual({ name: 'cas/abc', size: 1234, mtime: 1700000000, type: '0' });
+    expect(parseTarHeader(new Uint8Array(BLOCK_SIZE))).toBe(null);
+  });
+
+  test('long names go in the prefix', () => {
+    const name = 'ns/' + 'n'.repeat(60) + '/cas/zstd/' + 'f'.repeat(64);
+    expect(parseTarHeader(tarHeader({ name, size: 0, mtime: 0 })).name).toBe(name);
+    expect(() => tarHeader({ name: 'x'.repeat(101), size: 0, mtime: 0 })).toThrow(TarError);
+  });
+
+  test('big sizes are in base 256', () => {
+    const size = 10 * 1024 * 1024 * 1024;
+    expect(parseTarHeader(tarHeader({ name: 'big', size, mtime: 0 })).size).toBe(size);
+  });
+
+  test('it notices corrupt headers', () => {
+    const header = tarHeader({ name: 'cas/abc', size: 1, mtime: 0 });
+    header[3] ^= 1;
+    expect(() => parseTarHeader(header)).toThrow(TarError);
+  });
+
+  test('it reads files', async () => {
+    const files = await readAll(tarStream(
+      ...tarFile('ac/one', 'first'),
+      ...tarFile('cas/two', 'x'.repeat(BLOCK_SIZE)),
+      ...tarFile('cas/three', '', 12),
+      TAR_END));
+    expect(files).toEqual([
+      { name: 'ac/one', mtime: 1700000000, text: 'first' },
+      { name: 'cas/two', mtime: 1700000000, text: 'x'.repeat(BLOCK_SIZE) },
+      { name: 'cas/three', mtime: 12, text: '' }
+    ]);
+  });
+
+  test('it skips what is not read', async () => {
+    const tar = new TarReader(tarStream(...tarFile('a', 'y'.repeat(1000)), ...tarFile('b', 'bee'), TAR_END));
+    expect((await tar.next()).name).toBe('a');
+    const file = await tar.next();
+    expect(file.name).toBe('b');
+    expect(await new Response(file.body).text()).toBe('bee');
+    expect(await tar.next()).toBe(null);
+  });
+
+  test('it reads the long names of other tars and skips directories', async () => {
+    const long = 'ns/' + 'l'.repeat(200) + '/cas/abc';
+    const pax = encoder.encode(`${long.length + 10} path=${long}\n`);
+    const gnu = encoder.encode(long.replace('abc', 'def') + '\0');
+    const files = await readAll(tarStream(
+      otherHeader('ns/', '5'),
+      otherHeader('PaxHeader', 'x', pax.length), pax, new Uint8Array(paddingSize(pax.length)),
+      ...tarFile('short', 'pax'),
+      otherHeader('././@LongLink', 'L', gnu.length), gnu, new Uint8Array(paddingSize(gnu.length)),
+      ...tarFile('short', 'gnu'),
+      TAR_END));
+    expect(files.map((f) => [f.name, f.text])).toEqual([
+      [long, 'pax'],
+      [long.replace('abc', 'def'), 'gnu']
+    ]);
+  });
+
+  test('it notices truncated files', async () => {
+    const [header, contents] = tarFile('cas/abc', 'z'.repeat(2000));
+    const tar = new TarReader(tarStream(header, contents.subarray(0, 1000)));
+    const file = await tar.next();
+    await expect(new Response(file.body).text()).rejects.toThrow('Truncated');
+    await expect(new TarReader(tarStream(header.subarray(0, 100))).next()).rejects.toThrow(TarError);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+   Auth tokens and what they let their holders do.
+
+   A token is stored in the bucket under tokens/<id>. The original
+   format is just the token's value, which grants full access. A
+   token can instead be a JSON document that limits what it's good
+   for:
+
+     {
+       "value": "<the secret the client sends>",
+       "permissions": ["read"],
+       "prefixes": ["ac/", "cas/"],
+       "namespaces": ["", "team-a"],
+       "limits": { "requests_per_minute": 600 },
+       "expires": "2025-01-01T00:00:00Z"
+     }
+
+   Only "value", or "hash" as described below, is required. Leaving
+   out "permissions" means both "read" and "write", leaving out
+   "prefixes" means every key, leaving out "namespaces" means every
+   namespace, leaving out "limits" means no limits (see limits.js) and
+   leaving out "expires" means the token never expires.
+   The default namespace is "", and prefixes apply to keys within a
+   namespace, so "cas/" covers the CAS in every namespace the token
+   has. Tokens made through the admin API also have a
+   "created" date, which is just for information.
+
+   Rather than the value itself, a document can hold a salted hash of
+   it in place of "value":
+
+     "hash": {
+       "algorithm": "PBKDF2-SHA256",
+       "iterations": 100000,
+       "salt": "<hex>",
+       "key": "<hex, 32 bytes>"
+     }
+
+   That way, someone who can read the bucket still can't use the
+   tokens in it. Tokens stored the old ways keep working until
+   they're replaced with hashed ones.
+ */
+
+import { fromHex, toHex } from './digest';
+import { LIMIT_NAMES } from './limits';
+import { isValidNamespace, splitObjectName } from './storage';
+
+/* global crypto, TextEncoder */
+
+export const READ = 'read';
+export const WRITE = 'write';
+
+const ALL_PERMISSIONS = [READ, WRITE];
+
+const HASH_ALGORITHM = 'PBKDF2-SHA256';
+const HASH_KEY_LENGTH = 32;
+
+// Workers won't do more PBKDF2 iterations than this.
+export const MAX_HASH_ITERATIONS = 100000;
+
+export class TokenFormatError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'TokenFormatError';
+  }
+}
+
+function checkStringArray (doc, field) {
+  const array = doc[field];
+  if (!Array.isArray(array) || !array.every((s) => typeof s === 'string')) {
+    throw new TokenFormatError(`"${field}" must be an array of strings`);
+  }
+  return array;
+}
+
+function parseHash (hash) {
+  if (hash === null || typeof hash !== 'object' || Array.isArray(hash)) {
+    throw new TokenFormatError('"hash" must be an object');
+  }
+  if (hash.algorithm !== HASH_ALGORITHM) {
+    throw new TokenFormatError(`Unsupported hash algorithm "${hash.algorithm}"`);
+  }
+  if (!Number.isInteger(hash.iterations) || hash.iterations < 1 ||
+      hash.iterations > MAX_HASH_ITERATIONS) {
+    throw new TokenFormatError(`"iterations" must be from 1 to ${MAX_HASH_ITERATIONS}`);
+  }
+  const salt = typeof hash.salt === 'string' ? fromHex(hash.salt) : null;
+  if (salt === null || salt.length === 0) {
+    throw new TokenFormatError('"salt" must be hex');
+  }
+  const key = typeof hash.key === 'string' ? fromHex(hash.key) : null;
+  if (key === null || key.length !== HASH_KEY_LENGTH) {
+    throw new TokenFormatError(`"key" must be ${HASH_KEY_LENGTH} bytes of hex`);
+  }
+  return { iterations: hash.iterations, salt, key };
+}
+
+function parseLimits (limits) {
+  if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new TokenFormatError('"limits" must be an object');
+  }
+  for (const [name, n] of Object.entries(limits)) {
+    if (!LIMIT_NAMES.includes(name)) {
+      throw new TokenFormatError(`Unknown limit "${name}"`);
+    }
+    if (!Number.isSafeInteger(n) || n < 1) {
+      throw new TokenFormatError(`"${name}" must be a positive whole number`);
+    }
+  }
+  return limits;
+}
+
+// Parses the "permissions", "prefixes", "namespaces" and "limits" of a
+// token document, or of anything else that grants the same things.
+// Returns { permissions, prefixes, namespaces, limits }, with the
+// defaults filled in. Throws TokenFormatError if any of them is
+// malformed.
+export function parseGrants (doc) {
+  let permissions = ALL_PERMISSIONS;
+  if ('permissions' in doc) {
+    permissions = checkStringArray(doc, 'permissions');
+    for (const p of permissions) {
+      if (!ALL_PERMISSIONS.includes(p)) {
+        throw new TokenFormatError(`Unknown permission "${p}"`);
+      }
+    }
+  }
+
+  const prefixes = 'prefixes' in doc ? checkStringArray(doc, 'prefixes') : null;
+
+  let namespaces = null;
+  if ('namespaces' in doc) {
+    namespaces = checkStringArray(doc, 'namespaces');
+    for (const n of namespaces) {
+      if (n !== '' && !isValidNamespace(n)) {
+        throw new TokenFormatError(`Invalid namespace "${n}"`);
+      }
+    }
+  }
+
+  const limits = 'limits' in doc ? parseLimits(doc.limits) : null;
+  return { permissions, prefixes, namespaces, limits };
+}
+
+// Parses a date from a token document. Returns a time in
+// milliseconds, or null if the field isn't there.
+function parseDate (doc, field) {
+  if (!(field in doc)) {
+    return null;
+  }
+  const time = typeof doc[field] === 'string' ? Date.parse(doc[field]) : NaN;
+  if (isNaN(time)) {
+    throw new TokenFormatError(`"${field}" must be a date`);
+  }
+  return time;
+}
+
+// Parses the stored form of a token. Returns
+// { value, hash, permissions, prefixes, namespaces, limits, expires,
+// created }, where exactly one of value and hash is non-null, prefixes
+// and namespaces are null if every key or namespace is allowed, limits
+// is null if there are none and expires and created are times in
+// milliseconds or null. Throws TokenFormatError if the document is
+// malformed.
+export function parseToken (text) {
+  // Token values are random hex, so they never look like JSON
+  // objects.
+  if (!text.trimStart().startsWith('{')) {
+    return {
+      value: text,
+      hash: null,
+      permissions: ALL_PERMISSIONS,
+      prefixes: null,
+      namespaces: null,
+      limits: null,
+      expires: null,
+      created: null
+    };
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new TokenFormatError('Invalid JSON: ' + e.message);
+  }
+  if (doc === null || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new TokenFormatError('Token must be a JSON object');
+  }
+
+  let value = null;
+  let hash = null;
+  if ('hash' in doc) {
+    if ('value' in doc) {
+      throw new TokenFormatError('Only one of "value" and "hash" is allowed');
+    }
+    hash = parseHash(doc.hash);
+  } else if (typeof doc.value === 'string' && doc.value !== '') {
+    value = doc.value;
+  } else {
+    throw new TokenFormatError('"value" must be a non-empty string');
+  }
+
+  const { permissions, prefixes, namespaces, limits } = parseGrants(doc);
+  const expires = parseDate(doc, 'expires');
+  const created = parseDate(doc, 'created');
+
+  return { value, hash, permissions, prefixes, namespaces, limits, expires, created };
+}
+
+// Returns true if the token has expired.
+export function tokenExpired (token, now = Date.now()) {
+  return token.expires !== null && token.expires <= now;
+}
+
+// Returns true if the token grants the given permission (READ or
+// WRITE) on the object with the given name.
+export function tokenAllows (token, permission, name) {
+  if (!token.permissions.includes(permission)) {
+    return false;
+  }
+  const { namespace, key } = splitObjectName(name);
+  if (token.namespaces !== null && !token.namespaces.includes(namespace)) {
+    return false;
+  }
+  return token.prefixes === null || token.prefixes.some((p) => key.startsWith(p));
+}
+
+async function pbkdf2 (secret, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, HASH_KEY_LENGTH * 8);
+  return new Uint8Array(bits);
+}
+
+async function sha256 (secret) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret)));
+}
+
+// Returns the "hash" member of a token document for the given secret,
+// with a fresh random salt.
+export async function hashSecret (secret, iterations = MAX_HASH_ITERATIONS) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return {
+    algorithm: HASH_ALGORITHM,
+    iterations,
+    salt: toHex(salt),
+    key: toHex(await pbkdf2(secret, salt, iterations))
+  };
+}
+
+// Compares two strings in constant time.
+export async function secretsEqual (a, b) {
+  // timingSafeEqual needs inputs of equal length, and comparing the
+  // hashes keeps the lengths secret too.
+  return crypto.subtle.timingSafeEqual(await sha256(a), await sha256(b));
+}
+
+// Returns true if secret is the token's value. This takes the same
+// time however much of secret is right, so it can't be guessed a
+// character at a time.
+export async function verifySecret (token, secret) {
+  if (token.hash) {
+    const key = await pbkdf2(secret, token.hash.salt, token.hash.iterations);
+    return crypto.subtle.timingSafeEqual(key, token.hash.key);
+  }
+  return await secretsEqual(secret, token.value);
+}
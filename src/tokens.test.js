@@ -0,0 +1,137 @@
+import {
+  hashSecret, parseToken, READ, tokenAllows, tokenExpired, TokenFormatError, verifySecret, WRITE
+} from './tokens';
+
+/* global expect, test, describe */
+
+// A hashed token for "hunter2", from
+//   openssl kdf -keylen 32 -kdfopt digest:SHA256 -kdfopt pass:hunter2 \
+//     -kdfopt hexsalt:00112233445566778899aabbccddeeff -kdfopt iter:100000 PBKDF2
+function hashed (overrides = {}) {
+  return JSON.stringify({
+    hash: {
+      algorithm: 'PBKDF2-SHA256',
+      iterations: 100000,
+      salt: '00112233445566778899aabbccddeeff',
+      key: '2147d14169e0af3690f720de3f98dd89d63e4dbb08a702ebbda7b33f0fe97a69',
+      ...overrides
+    },
+    permissions: ['read']
+  });
+}
+
+describe('tokens', () => {
+  test('a plain value grants everything', () => {
+    const token = parseToken('0123456789abcdef');
+    expect(token.value).toBe('0123456789abcdef');
+    expect(tokenAllows(token, READ, 'ac/abc')).toBe(true);
+    expect(tokenAllows(token, WRITE, 'cas/abc')).toBe(true);
+    expect(tokenExpired(token)).toBe(false);
+  });
+
+  test('a document with only a value grants everything', () => {
+    const token = parseToken('{"value": "secret"}');
+    expect(token.value).toBe('secret');
+    expect(tokenAllows(token, READ, 'ac/abc')).toBe(true);
+    expect(tokenAllows(token, WRITE, 'cas/abc')).toBe(true);
+  });
+
+  test('permissions limit what a token can do', () => {
+    const token = parseToken('{"value": "secret", "permissions": ["read"]}');
+    expect(tokenAllows(token, READ, 'cas/abc')).toBe(true);
+    expect(tokenAllows(token, WRITE, 'cas/abc')).toBe(false);
+  });
+
+  test('prefixes limit where a token can do it', () => {
+    const token = parseToken('{"value": "secret", "prefixes": ["ac/"]}');
+    expect(tokenAllows(token, WRITE, 'ac/abc')).toBe(true);
+    expect(tokenAllows(token, WRITE, 'cas/abc')).toBe(false);
+  });
+
+  test('namespaces limit which namespaces a token can use', () => {
+    const token = parseToken('{"value": "secret", "namespaces": ["", "team"], "prefixes": ["cas/"]}');
+    expect(tokenAllows(token, READ, 'cas/abc')).toBe(true);
+    expect(tokenAllows(token, READ, 'ns/team/cas/abc')).toBe(true);
+    expect(tokenAllows(token, READ, 'ns/team/ac/abc')).toBe(false);
+    expect(tokenAllows(token, READ, 'ns/other/cas/abc')).toBe(false);
+  });
+
+  test('limits are kept', () => {
+    const token = parseToken('{"value": "secret", "limits": {"requests_per_minute": 60, "max_object_size": 1000}}');
+    expect(token.limits).toEqual({ requests_per_minute: 60, max_object_size: 1000 });
+    expect(parseToken('{"value": "secret"}').limits).toBe(null);
+  });
+
+  test('an empty prefix list allows nothing', () => {
+    const token = parseToken('{"value": "secret", "prefixes": []}');
+    expect(tokenAllows(token, READ, 'ac/abc')).toBe(false);
+  });
+
+  test('expiry', () => {
+    const token = parseToken('{"value": "secret", "expires": "2030-06-01T00:00:00Z"}');
+    expect(tokenExpired(token, Date.parse('2030-05-31T23:59:59Z'))).toBe(false);
+    expect(tokenExpired(token, Date.parse('2030-06-01T00:00:00Z'))).toBe(true);
+  });
+
+  for (const [what, text] of [
+    ['invalid JSON', '{"value": '],
+    ['a missing value', '{"permissions": ["read"]}'],
+    ['an empty value', '{"value": ""}'],
+    ['an unknown permission', '{"value": "secret", "permissions": ["admin"]}'],
+    ['a non-array permission', '{"value": "secret", "permissions": "read"}'],
+    ['a non-string prefix', '{"value": "secret", "prefixes": [1]}'],
+    ['an invalid namespace', '{"value": "secret", "namespaces": ["team/a"]}'],
+    ['non-object limits', '{"value": "secret", "limits": 100}'],
+    ['an unknown limit', '{"value": "secret", "limits": {"bandwidth": 100}}'],
+    ['a fractional limit', '{"value": "secret", "limits": {"requests_per_minute": 0.5}}'],
+    ['a bad expiry', '{"value": "secret", "expires": "someday"}'],
+    ['a numeric expiry', '{"value": "secret", "expires": 1700000000}'],
+    ['both a value and a hash', '{"value": "secret", "hash": {}}'],
+    ['an unknown hash algorithm', hashed({ algorithm: 'MD5' })],
+    ['too many iterations', hashed({ iterations: 100001 })],
+    ['a fractional iteration count', hashed({ iterations: 1.5 })],
+    ['a non-hex salt', hashed({ salt: 'salty' })],
+    ['a short key', hashed({ key: '2147d141' })]
+  ]) {
+    test(`it rejects ${what}`, () => {
+      expect(() => parseToken(text)).toThrow(TokenFormatError);
+    });
+  }
+
+  test('it verifies plain values', async () => {
+    const token = parseToken('0123456789abcdef');
+    expect(await verifySecret(token, '0123456789abcdef')).toBe(true);
+    expect(await verifySecret(token, '0123456789abcdeg')).toBe(false);
+    expect(await verifySecret(token, '0123456789abcdef0')).toBe(false);
+    expect(await verifySecret(token, '')).toBe(false);
+  });
+
+  test('it verifies hashed values', async () => {
+    const token = parseToken(hashed());
+    expect(token.value).toBe(null);
+    expect(tokenAllows(token, READ, 'cas/abc')).toBe(true);
+    expect(tokenAllows(token, WRITE, 'cas/abc')).toBe(false);
+    expect(await verifySecret(token, 'hunter2')).toBe(true);
+    expect(await verifySecret(token, 'hunter3')).toBe(false);
+  });
+
+  test('it accepts uppercase hex', async () => {
+    const token = parseToken(hashed({
+      key: '2147D14169E0AF3690F720DE3F98DD89D63E4DBB08A702EBBDA7B33F0FE97A69'
+    }));
+    expect(await verifySecret(token, 'hunter2')).toBe(true);
+  });
+
+  test('it hashes secrets with a fresh salt each time', async () => {
+    const first = await hashSecret('correct horse battery staple', 1000);
+    const second = await hashSecret('correct horse battery staple', 1000);
+    expect(first.salt).not.toBe(second.salt);
+    expect(first.key).not.toBe(second.key);
+
+    for (const hash of [first, second]) {
+      const token = parseToken(JSON.stringify({ hash }));
+      expect(await verifySecret(token, 'correct horse battery staple')).toBe(true);
+      expect(await verifySecret(token, 'correct horse battery')).toBe(false);
+    }
+  });
+});
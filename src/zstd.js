@@ -0,0 +1,158 @@
+/**
+   Zstandard support for CAS blobs.
+
+   Decompression uses fzstd. There's no zstd compressor that runs in a
+   worker without WebAssembly, so when we have to hand out a
+   compressed form of a blob that was uploaded uncompressed, we wrap
+   it in a valid zstd frame made of raw (stored) blocks. That's no
+   smaller than the original, but any zstd decoder can read it. The
+   savings come from clients that upload compressed blobs in the first
+   place; we keep those compressed.
+ */
+
+import { Decompress } from 'fzstd';
+
+/* global TransformStream */
+
+const ZSTD_MAGIC = [0x28, 0xb5, 0x2f, 0xfd];
+
+// Frame_Header_Descriptor: no content size, no checksum, no
+// dictionary, not single-segment. That means a Window_Descriptor
+// follows; 0x38 is a 128 KiB window, which is also the largest block.
+const FRAME_HEADER_DESCRIPTOR = 0x00;
+const WINDOW_DESCRIPTOR = 0x38;
+const MAX_BLOCK_SIZE = 128 * 1024;
+
+const FRAME_HEADER = Uint8Array.from([...ZSTD_MAGIC, FRAME_HEADER_DESCRIPTOR, WINDOW_DESCRIPTOR]);
+const BLOCK_HEADER_SIZE = 3;
+
+function rawBlock (bytes, last) {
+  const header = (bytes.length << 3) | (last ? 1 : 0); // Block_Type 0 is Raw_Block
+  const block = new Uint8Array(BLOCK_HEADER_SIZE + bytes.length);
+  block[0] = header & 0xff;
+  block[1] = (header >> 8) & 0xff;
+  block[2] = (header >> 16) & 0xff;
+  block.set(bytes, BLOCK_HEADER_SIZE);
+  return block;
+}
+
+// Returns the size of what wrapStream produces for size bytes of
+// input.
+export function wrappedSize (size) {
+  const blocks = Math.max(1, Math.ceil(size / MAX_BLOCK_SIZE));
+  return FRAME_HEADER.length + blocks * BLOCK_HEADER_SIZE + size;
+}
+
+// Wraps a stream of bytes in a zstd frame of raw blocks.
+export function wrapStream (stream) {
+  let buffered = new Uint8Array(0);
+  return stream.pipeThrough(new TransformStream({
+    start (controller) {
+      controller.enqueue(FRAME_HEADER.slice());
+    },
+
+    transform (chunk, controller) {
+      const joined = new Uint8Array(buffered.length + chunk.length);
+      joined.set(buffered);
+      joined.set(chunk, buffered.length);
+      buffered = joined;
+
+      // Hold back at least one byte, since we can't tell whether a
+      // block is the last one until the input ends.
+      while (buffered.length > MAX_BLOCK_SIZE) {
+        controller.enqueue(rawBlock(buffered.subarray(0, MAX_BLOCK_SIZE), false));
+        buffered = buffered.slice(MAX_BLOCK_SIZE);
+      }
+    },
+
+    flush (controller) {
+      controller.enqueue(rawBlock(buffered, true));
+    }
+  }));
+}
+
+// Decompresses a stream of zstd frames. The resulting stream errors
+// out if the input isn't valid zstd.
+export function decompressStream (stream) {
+  let decompressor;
+  return stream.pipeThrough(new TransformStream({
+    start (controller) {
+      decompressor = new Decompress((chunk) => {
+        if (chunk.length > 0) {
+          // fzstd may reuse its buffers, so take a copy.
+          controller.enqueue(chunk.slice());
+        }
+      });
+    },
+
+    transform (chunk) {
+      decompressor.push(chunk, false);
+    },
+
+    flush () {
+      decompressor.push(new Uint8Array(0), true);
+    }
+  }));
+}
+
+// Computes the digest of the decompressed form of a zstd stream. It
+// has the same interface as the hashers in digest.js, so it can be
+// passed to hashThrough; the compressed bytes pass through untouched.
+//
+// If the input isn't valid zstd, digest() returns null.
+export class DecompressingHasher {
+  constructor (hasher) {
+    this.hasher = hasher;
+    this.pending = [];
+    this.failed = false;
+    this.decompressor = new Decompress((chunk) => {
+      if (chunk.length > 0) {
+        this.pending.push(chunk.slice());
+      }
+    });
+  }
+
+  async push (chunk, final) {
+    if (this.failed) {
+      return;
+    }
+    try {
+      this.decompressor.push(chunk, final);
+    } catch (e) {
+      this.failed = true;
+      return;
+    }
+
+    const pending = this.pending;
+    this.pending = [];
+    for (const decompressed of pending) {
+      await this.hasher.update(decompressed);
+    }
+  }
+
+  async update (chunk) {
+    await this.push(chunk, false);
+  }
+
+  async digest () {
+    await this.push(new Uint8Array(0), true);
+    const digest = await this.hasher.digest();
+    return this.failed ? null : digest;
+  }
+}
+
+// Returns true if an Accept-Encoding header value allows zstd.
+export function acceptsZstd (acceptEncoding) {
+  if (!acceptEncoding) {
+    return false;
+  }
+  for (const part of acceptEncoding.split(',')) {
+    const [coding, ...params] = part.trim().toLowerCase().split(';');
+    if (coding.trim() !== 'zstd') {
+      continue;
+    }
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    return !q || parseFloat(q.slice(2)) > 0;
+  }
+  return false;
+}
@@ -0,0 +1,55 @@
+import { decompress } from 'fzstd';
+import { acceptsZstd, decompressStream, wrappedSize, wrapStream } from './zstd';
+
+/* global expect, test, describe, Blob, Response, Buffer */
+
+async function readAll (stream) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Jest's toStrictEqual is very slow on big arrays, so compare them
+// as Buffers instead.
+function expectSameBytes (actual, expected) {
+  expect(actual.length).toBe(expected.length);
+  expect(Buffer.compare(Buffer.from(actual), Buffer.from(expected))).toBe(0);
+}
+
+function testInput (length) {
+  const input = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    input[i] = (i * 7) % 256;
+  }
+  return input;
+}
+
+describe('zstd', () => {
+  for (const length of [0, 1, 1000, 128 * 1024, 128 * 1024 + 1, 300000]) {
+    test(`it wraps ${length} bytes in a valid frame`, async () => {
+      const input = testInput(length);
+      const wrapped = await readAll(wrapStream(new Blob([input]).stream()));
+
+      expect(wrapped.length).toBe(wrappedSize(length));
+      expectSameBytes(decompress(wrapped), input);
+    });
+  }
+
+  test('it decompresses what it wraps', async () => {
+    const input = testInput(200000);
+    const roundTripped = await readAll(
+      decompressStream(wrapStream(new Blob([input]).stream())));
+    expectSameBytes(roundTripped, input);
+  });
+
+  test('it fails to decompress things that are not zstd', async () => {
+    const stream = decompressStream(new Blob(['definitely not zstd']).stream());
+    await expect(readAll(stream)).rejects.toThrow();
+  });
+
+  test('it parses Accept-Encoding', () => {
+    expect(acceptsZstd(null)).toBe(false);
+    expect(acceptsZstd('gzip, br')).toBe(false);
+    expect(acceptsZstd('zstd')).toBe(true);
+    expect(acceptsZstd('gzip, ZSTD;q=0.5')).toBe(true);
+    expect(acceptsZstd('zstd;q=0')).toBe(false);
+  });
+});